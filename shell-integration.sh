@@ -19,6 +19,13 @@ GHOSTLY_AUTO_SUGGEST="${GHOSTLY_AUTO_SUGGEST:-true}"
 GHOSTLY_CAPTURE_TIMEOUT="${GHOSTLY_CAPTURE_TIMEOUT:-2}"
 GHOSTLY_MIN_DURATION="${GHOSTLY_MIN_DURATION:-1}"
 
+# One session per terminal, so a failure can be paired with the command that
+# later fixed it in the same shell
+if [ -z "$GHOSTLY_SESSION_ID" ]; then
+    GHOSTLY_SESSION_ID="$(date +%s)-$$-$RANDOM"
+fi
+export GHOSTLY_SESSION_ID
+
 # State variables
 __GHOSTLY_COMMAND=""
 __GHOSTLY_START_TIME=""
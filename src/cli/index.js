@@ -8,11 +8,41 @@
 import { fileURLToPath } from 'url';
 import path from 'path';
 import fs from 'fs';
+import readline from 'readline';
+import { spawnSync } from 'child_process';
 import { loadConfig } from '../lib/config.js';
-import { initDatabase, getStats, searchEpisodes } from '../lib/database.js';
+import {
+  initDatabase,
+  migrateDatabase,
+  getSchemaStatus,
+  getStats,
+  searchEpisodes,
+  searchEvents,
+  getEpisode,
+  getEpisodeEvents,
+  setEpisodePinned,
+  getRecipeByName,
+  getEncryptionStatus,
+  rekey
+} from '../lib/database.js';
 import { simulateEvent, startWatching, stopWatching, getSessionInfo } from '../lib/event-listener.js';
-import { retrieve, formatMemory } from '../lib/retrieval.js';
-import { generateProjectHash } from '../lib/episodes.js';
+import { retrieve, formatMemory, formatRecurrence, formatSlowdown, formatFix } from '../lib/retrieval.js';
+import { formatErrorDetails } from '../lib/error-parsers.js';
+import { generateProjectHash, classifyEvent } from '../lib/episodes.js';
+import { getCaptureRules, matchRule, describeRule, parseDuration } from '../lib/rules.js';
+import { checkExclusion } from '../lib/ignore.js';
+import { getCommandBaselines, formatDuration } from '../lib/timing.js';
+import { captureEnvironment, parseEnvironment, formatEnvironment, diffWithLastSuccess } from '../lib/environment.js';
+import { parseGitState, formatGitState, formatFixCommit, shortSha } from '../lib/git.js';
+import { findFailingRun, compareWithLastSuccess } from '../lib/regression.js';
+import { mineRecipes, runRecipe, renderSteps } from '../lib/recipes.js';
+import { consolidate } from '../lib/consolidation.js';
+import { dedupe } from '../lib/dedupe.js';
+import { generateEmbedding, getEmbeddingModel } from '../lib/embedding.js';
+import { rebuildVectorIndex, getVectorIndexStatus } from '../lib/vector-index.js';
+import { prune } from '../lib/retention.js';
+import { readKeyfile, resolveSecret } from '../lib/encryption.js';
+import { exportArchive, importArchive, parseDateBound } from '../lib/archive.js';
 import { RichCLI } from './rich-output.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -49,8 +79,24 @@ COMMANDS:
   init                Initialize database and config
   capture [cmd]       Capture a terminal command event
   recall [query]      Recall past episodes  
-  search [terms]      Search memories by keywords
+  search [terms]      Full-text search ("phrases", prefix*)
+  show <id>           Show an episode and the commands it was built from (--diff for its fix commit)
   stats               Show storage statistics
+  migrate             Apply pending schema migrations (--status, --dry-run)
+  index               Show the vector index (--rebuild to rebuild it)
+  prune               Apply storage.retention and vacuum (--dry-run)
+  consolidate         Group finished runs of commands into workflow episodes
+  dedupe              Fold duplicate episodes into one (--dry-run)
+  baselines           Show how long commands usually take in this project
+  env [diff <id>]     Show the environment fingerprint, or diff a failure with the last success
+  diff-last-success   Show what changed since a failing command last worked ([cmd] --cwd)
+  recipes             Find the command sequences this project repeats (--cwd)
+  recipe run <name>   Replay a recipe, confirming each step (--yes to skip prompts)
+  pin <id>            Keep an episode forever (unpin <id> to undo)
+  rekey               Encrypt/re-encrypt the database (--status, --decrypt)
+  export [file]       Write a portable JSONL archive (.gz to compress)
+  import <file>       Merge an archive into this memory bank
+  rules [test <cmd>]  List capture rules, or explain which one a command hits
   watch               Start watching terminal sessions
   session             Show current session info
   shell-integration   Output shell integration script
@@ -59,9 +105,27 @@ COMMANDS:
 EXAMPLES:
   ghostly init
   ghostly capture "npm install" --stderr "ERROR" --exit-code 1
+  ghostly capture "npm install" --exit-code 0 --session my-shell
   ghostly recall "webpack error"
   ghostly search "git commit"
+  ghostly show 42
+  ghostly show 42 --diff
   ghostly stats
+  ghostly migrate --status
+  ghostly prune --dry-run
+  ghostly consolidate --session my-shell
+  ghostly dedupe --dry-run
+  ghostly capture "npm run build" --exit-code 0 --duration 95
+  ghostly baselines --cwd ~/work/api
+  ghostly env "npm test"
+  ghostly env diff 42
+  ghostly diff-last-success "npm test"
+  ghostly recipes
+  ghostly recipe run rm-node-modules-npm-ci-test
+  GHOSTLY_NEW_PASSPHRASE=... ghostly rekey
+  ghostly export backup.jsonl.gz --since 2024-01-01 --with-embeddings
+  ghostly import backup.jsonl.gz
+  ghostly rules test "git status" --cwd ~/work/api
   ghostly shell-integration  # Add to your .bashrc/.zshrc
 `.trim());
 }
@@ -91,32 +155,68 @@ async function cmdCapture(args) {
   await ensureInit();
   
   // Parse remaining flags
-  const options = { stderr: '', stdout: '', exitCode: 0, cwd: null, branch: null };
+  const options = { stderr: '', stdout: '', exitCode: 0, cwd: null, branch: null, durationMs: null };
   for (let i = 1; i < args.length; i++) {
     if (args[i] === '-e' || args[i] === '--stderr') options.stderr = args[++i] || '';
     else if (args[i] === '-o' || args[i] === '--stdout') options.stdout = args[++i] || '';
     else if (args[i] === '--exit-code') options.exitCode = parseInt(args[++i]) || 0;
     else if (args[i] === '-c' || args[i] === '--cwd') options.cwd = args[++i];
-    else if (args[i] === '-b' || args[i] === '--branch') options.branch = args[++i];
+    else if (args[i] === '-b' || args[i] === '--branch' || args[i] === '--git-branch') options.branch = args[++i];
+    else if (args[i] === '--session') options.session = args[++i];
+    else if (args[i] === '-d' || args[i] === '--duration') {
+      // Plain numbers are seconds, as the shell integration sends them
+      try {
+        options.durationMs = parseDuration(args[++i]);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      }
+    }
   }
   
   console.log(`📝 Capturing: ${command}`);
   
   const result = await simulateEvent({
     command,
+    session_id: options.session || null,
     cwd: options.cwd || process.cwd(),
     git_branch: options.branch || null,
     exit_code: options.exitCode,
+    duration_ms: options.durationMs,
     stdout: options.stdout,
     stderr: options.stderr
   });
   
   if (result.skipped) {
-    console.log('⏭️  Skipped (command in ignore list)');
+    console.log(result.rule
+      ? `⏭️  Skipped (rule #${result.rule.index + 1}: ${describeRule(result.rule.rule)})`
+      : result.source
+        ? `⏭️  Skipped (excluded by ${result.source})`
+        : '⏭️  Skipped (command in ignore list)');
   } else if (result.stored) {
-    console.log('✅ Event stored');
+    console.log(result.metadataOnly ? '✅ Event stored (metadata only, output dropped)' : '✅ Event stored');
+    if (result.redactions > 0) {
+      console.log(`🔒 Redacted ${result.redactions} secret(s)`);
+    }
     if (result.significant) {
-      console.log('📚 Episode created');
+      console.log(result.occurrences > 1
+        ? `🔁 Seen again: episode #${result.episodeId} (${result.occurrences}×)`
+        : '📚 Episode created');
+    }
+    for (const episode of result.resolved || []) {
+      console.log(`🩹 Resolved episode #${episode.id}: ${episode.fix}${episode.fix_commit ? ` (${formatFixCommit(episode)})` : ''}`);
+    }
+    for (const episode of result.fixCommits || []) {
+      console.log(`🔗 Episode #${episode.id} ${formatFixCommit(episode)}`);
+    }
+    for (const workflow of result.workflows || []) {
+      console.log(`🧩 Workflow episode #${workflow.id}: ${workflow.summary}`);
+    }
+    if (result.retrieval?.recurrence) {
+      console.log(formatRecurrence(result.retrieval.recurrence));
+    }
+    if (result.slowdown) {
+      console.log(formatSlowdown(result.slowdown));
     }
   }
 }
@@ -179,25 +279,135 @@ async function cmdSearch(args) {
   console.log(`🔎 Searching: "${terms}"\n`);
   
   const results = searchEpisodes(terms, 10);
+  const events = searchEvents(terms, 5);
   
-  if (results.length === 0) {
+  if (results.length === 0 && events.length === 0) {
     console.log('No results found.');
     return;
   }
   
-  console.log(`Found ${results.length} results:\n`);
-  for (const episode of results) {
-    console.log(formatMemory(episode, 'compact'));
+  if (results.length > 0) {
+    console.log(`Found ${results.length} episodes:\n`);
+    for (const episode of results) {
+      console.log(`📌 #${episode.id} ${episode.summary.substring(0, 100)}`);
+      console.log(`   ${episode.snippet}`);
+      console.log('');
+    }
+  }
+  
+  if (events.length > 0) {
+    console.log(`Matching commands:\n`);
+    for (const event of events) {
+      console.log(`$ ${event.command}  (exit ${event.exit_code ?? '?'}, ${event.timestamp})`);
+      console.log(`   ${event.snippet}`);
+      console.log('');
+    }
+  }
+}
+
+/**
+ * Show an episode with its source events
+ */
+async function cmdShow(args) {
+  const id = parseInt(args[0]);
+  
+  if (!id) {
+    console.error('❌ Error: Episode ID is required');
+    process.exit(1);
+  }
+  
+  await ensureInit();
+  
+  const episode = getEpisode(id);
+  if (!episode) {
+    console.error(`❌ Episode #${id} not found`);
+    process.exit(1);
+  }
+  
+  console.log(`📌 Episode #${episode.id}: ${episode.summary}${episode.pinned ? ' (pinned)' : ''}`);
+  console.log(`   Problem:     ${episode.problem || 'N/A'}`);
+  console.log(`   Environment: ${episode.environment || 'N/A'}`);
+  console.log(`   Command:     ${episode.command || 'N/A'}`);
+  if (episode.error_details) {
+    const details = JSON.parse(episode.error_details);
+    console.log(`   Error:       ${formatErrorDetails(details)}${details.count > 1 ? ` (+${details.count - 1} more)` : ''}`);
+  }
+  console.log(`   Fix:         ${formatFix(episode)}`);
+  if (episode.resolved) {
+    console.log(`   Resolved:    ${episode.resolved_at} by event #${episode.resolution_event_id ?? '?'}`);
+  }
+  if (episode.fix_commit) {
+    console.log(`   Fix commit:  ${shortSha(episode.fix_commit)} ${episode.fix_commit_subject || ''}`.trimEnd());
+  }
+  console.log(`   Keywords:    ${episode.keywords || 'N/A'}`);
+  if (episode.error_signature) {
+    console.log(`   Signature:   ${episode.error_signature} (seen ${episode.recurrence_count}×)`);
+  }
+  if (episode.workflow_id) {
+    console.log(`   Workflow:    part of workflow episode #${episode.workflow_id}`);
+  }
+  console.log(`   Created:     ${episode.created_at}`);
+  console.log(`   Occurrences: ${episode.occurrences}${episode.first_seen ? ` (${episode.first_seen} → ${episode.last_seen})` : ''}`);
+  if (episode.slowdown) {
+    console.log(`   Slow run:    ${episode.slowdown.toFixed(1)}× the usual duration`);
+  }
+  
+  const events = getEpisodeEvents(id);
+  if (args.includes('--diff')) {
+    showFixDiff(episode, events);
+    return;
+  }
+  if (events.length === 0) {
+    console.log('\n(no linked events)');
+    return;
+  }
+  
+  console.log(`\nBuilt from ${events.length} command(s):\n`);
+  for (const event of events) {
+    const status = event.exit_code === 0 ? '✅' : event.exit_code === null ? '•' : '❌';
+    console.log(`${status} $ ${event.command}`);
+    console.log(`   exit ${event.exit_code ?? '?'} · ${event.timestamp} · ${event.cwd || ''}${event.git_branch ? ` (${event.git_branch})` : ''}${event.duration_ms != null ? ` · took ${formatDuration(event.duration_ms)}` : ''}${event.redaction_count ? ` · ${event.redaction_count} secret(s) redacted` : ''}`);
+    if (event.git_status) {
+      console.log(`   git ${formatGitState(parseGitState(event.git_status))}`);
+    }
+    if (event.stderr_text) {
+      for (const line of event.stderr_text.split('\n').slice(0, 20)) {
+        console.log(`   │ ${line}`);
+      }
+    }
     console.log('');
   }
 }
 
+/**
+ * Show the commit that fixed an episode, in the repository it was resolved in
+ * @param {Object} episode - Episode
+ * @param {Array<Object>} events - Its linked events
+ */
+function showFixDiff(episode, events) {
+  if (!episode.fix_commit) {
+    console.error(`❌ Episode #${episode.id} has no fix commit`);
+    process.exit(1);
+  }
+  
+  const resolution = events.find(event => event.id === episode.resolution_event_id) || events[events.length - 1];
+  const cwd = resolution?.cwd && fs.existsSync(resolution.cwd) ? resolution.cwd : process.cwd();
+  
+  console.log('');
+  const result = spawnSync('git', ['show', episode.fix_commit], { cwd, stdio: 'inherit' });
+  if (result.status !== 0) {
+    console.error(`❌ Could not show ${shortSha(episode.fix_commit)} from ${cwd}`);
+    process.exit(1);
+  }
+}
+
 /**
  * Show statistics
  */
 async function cmdStats() {
   await ensureInit();
   const stats = getStats();
+  const encryption = getEncryptionStatus();
   console.log(`
 📊 Ghostly Memory Bank - Statistics
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -205,10 +415,628 @@ Events:     ${stats.events}
 Episodes:   ${stats.episodes}
 Projects:   ${stats.projects}
 Sessions:   ${stats.sessions}
+Encryption: ${encryption.encrypted ? 'on (AES-256-GCM)' : 'off'}
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  `.trim());
+}
+
+/**
+ * Show or apply schema migrations
+ */
+async function cmdMigrate(args) {
+  const showStatus = args.includes('--status');
+  const dryRun = args.includes('--dry-run');
+  
+  loadConfig();
+  await initDatabase({ migrate: false });
+  
+  if (showStatus) {
+    const status = getSchemaStatus();
+    console.log(`🗄️  Schema version: v${status.current} (latest: v${status.latest})\n`);
+    for (const migration of status.migrations) {
+      const mark = migration.applied ? '✅' : '⏳';
+      const when = migration.applied_at ? `  applied ${migration.applied_at}` : '  pending';
+      console.log(`${mark} v${migration.version} ${migration.name}${when}`);
+    }
+    return;
+  }
+  
+  const result = migrateDatabase({ dryRun });
+  
+  if (result.pending.length === 0) {
+    console.log(`✅ Schema is up to date (v${result.from})`);
+    return;
+  }
+  
+  if (dryRun) {
+    console.log(`🔍 Would migrate v${result.from} → v${result.pending[result.pending.length - 1].version}:`);
+    for (const migration of result.pending) {
+      console.log(`   v${migration.version} ${migration.name}`);
+    }
+    return;
+  }
+  
+  if (result.backupPath) {
+    console.log(`💾 Backup written to ${result.backupPath}`);
+  }
+  for (const migration of result.applied) {
+    console.log(`   ✅ v${migration.version} ${migration.name}`);
+  }
+  console.log(`✅ Migrated v${result.from} → v${result.to}`);
+}
+
+/**
+ * Show or rebuild the ANN vector index
+ */
+async function cmdIndex(args) {
+  await ensureInit();
+  
+  if (args.includes('--rebuild')) {
+    const model = await getEmbeddingModel();
+    const probe = await generateEmbedding('ghostly');
+    const index = rebuildVectorIndex({ model, dim: probe.length });
+    console.log(`✅ Rebuilt vector index: ${index.size} vectors (${model}, ${index.dim} dims)`);
+    return;
+  }
+  
+  const status = getVectorIndexStatus();
+  if (!status) {
+    console.log('No vector index yet. It is built on the first semantic search, or with --rebuild.');
+    return;
+  }
+  
+  console.log(`
+🧭 Vector Index (HNSW)
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+Model:      ${status.model}
+Dimensions: ${status.dim}
+Vectors:    ${status.size}
+Deleted:    ${status.deleted}
+Size:       ${(status.bytes / 1024).toFixed(1)} KB
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
   `.trim());
 }
 
+/**
+ * Apply the retention policy
+ */
+async function cmdPrune(args) {
+  const dryRun = args.includes('--dry-run');
+  
+  await ensureInit();
+  
+  const result = prune({ dryRun });
+  const verb = dryRun ? 'Would remove' : 'Removed';
+  
+  console.log(`🧹 ${dryRun ? 'Prune dry run' : 'Pruned'}`);
+  console.log(`   ${verb} ${result.episodes} expired episode(s)`);
+  console.log(`   ${verb} ${result.events} raw event(s)`);
+  console.log(`   ${dryRun ? 'Would strip' : 'Stripped'} output from ${result.outputs} older event(s)`);
+  console.log(`   ${verb} ${result.embeddings} orphaned embedding(s)`);
+  
+  if (!dryRun) {
+    const saved = result.bytesBefore - result.bytesAfter;
+    console.log(`   Dropped ${result.indexEntries} vector index entr${result.indexEntries === 1 ? 'y' : 'ies'}`);
+    console.log(`   Database ${(result.bytesBefore / 1024).toFixed(1)} KB → ${(result.bytesAfter / 1024).toFixed(1)} KB` +
+      (saved > 0 ? ` (saved ${(saved / 1024).toFixed(1)} KB)` : ''));
+  }
+}
+
+/**
+ * List capture rules, or test a command against them
+ */
+async function cmdRules(args) {
+  let rules;
+  try {
+    rules = getCaptureRules();
+  } catch (error) {
+    console.error(`❌ Invalid capture rules: ${error.message}`);
+    process.exit(1);
+  }
+  
+  if (args[0] !== 'test') {
+    if (args.length > 0 && args[0] !== 'list') {
+      console.error(`❌ Unknown rules command: ${args[0]} (use list or test)`);
+      process.exit(1);
+    }
+    if (rules.length === 0) {
+      console.log('No capture rules configured (capture.rules in config.yaml).');
+      return;
+    }
+    console.log('📏 Capture rules (first match wins)');
+    for (const rule of rules) {
+      console.log(`   ${rule.index + 1}. ${describeRule(rule.rule)}`);
+    }
+    return;
+  }
+  
+  const command = args[1];
+  if (!command) {
+    console.error('❌ Error: Command is required (ghostly rules test "<command>")');
+    process.exit(1);
+  }
+  
+  const event = { command, cwd: process.cwd(), exit_code: 0, duration_ms: null };
+  for (let i = 2; i < args.length; i++) {
+    if (args[i] === '-c' || args[i] === '--cwd') event.cwd = path.resolve(args[++i]);
+    else if (args[i] === '--exit-code') event.exit_code = parseInt(args[++i]) || 0;
+    else if (args[i] === '--duration') {
+      try {
+        event.duration_ms = parseDuration(args[++i]);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      }
+    }
+  }
+  
+  console.log(`🔎 ${command}`);
+  console.log(`   cwd ${event.cwd}, exit ${event.exit_code}` +
+    (event.duration_ms != null ? `, took ${event.duration_ms}ms` : ''));
+  
+  const exclusion = checkExclusion(event);
+  if (exclusion.action === 'exclude') {
+    console.log(`\n→ ignored (not stored) (excluded by ${exclusion.source})`);
+    return;
+  }
+  if (exclusion.action === 'metadata') {
+    console.log(`   output dropped (metadata only, ${exclusion.source})`);
+  }
+  
+  const match = matchRule(event, rules);
+  for (const rule of rules) {
+    const mark = match?.index === rule.index ? '✅' : (match && rule.index > match.index ? '  ' : '❌');
+    console.log(`   ${mark} ${rule.index + 1}. ${describeRule(rule.rule)}`);
+  }
+  
+  const { action, reason } = classifyEvent(event);
+  const outcome = {
+    ignore: 'ignored (not stored)',
+    store: 'stored as an event',
+    significant: 'stored and turned into an episode'
+  }[action];
+  const because = match
+    ? `rule #${match.index + 1}`
+    : { ignored_command: 'capture.ignore_commands', important_command: 'capture.important_commands' }[reason] ||
+      reason || 'no rule or list matched';
+  console.log(`\n→ ${outcome} (${because})`);
+}
+
+/**
+ * Consolidate runs of commands into workflow episodes
+ */
+async function cmdConsolidate(args) {
+  const sessionIndex = args.indexOf('--session');
+  const sessionId = sessionIndex === -1 ? null : args[sessionIndex + 1];
+  
+  if (sessionIndex !== -1 && !sessionId) {
+    console.error('❌ Error: --session needs a session ID');
+    process.exit(1);
+  }
+  
+  await ensureInit();
+  
+  const result = await consolidate({ sessionId });
+  
+  console.log(`🧩 Consolidated ${result.sessions} session(s)`);
+  for (const workflow of result.workflows) {
+    console.log(`   #${workflow.id}: ${workflow.summary}`);
+  }
+  console.log(`   ${result.workflows.length} workflow episode(s), ${result.superseded} single-command episode(s) folded in`);
+}
+
+/**
+ * Fold duplicate episodes into their canonical episode
+ */
+async function cmdDedupe(args) {
+  const dryRun = args.includes('--dry-run');
+  
+  await ensureInit();
+  
+  const result = dedupe({ dryRun });
+  
+  console.log(`${dryRun ? '🔍 Would merge' : '🔁 Merged'} ${result.merged.length} of ${result.scanned} episode(s)`);
+  for (const { canonicalId, duplicateId } of result.merged) {
+    console.log(`   #${duplicateId} → #${canonicalId}`);
+  }
+}
+
+/**
+ * Show the timing baselines of the current project's commands
+ */
+async function cmdBaselines(args) {
+  const cwd = getCwdOption(args);
+  
+  await ensureInit();
+  
+  const baselines = getCommandBaselines(generateProjectHash(cwd));
+  if (baselines.length === 0) {
+    console.log('No timed commands in this project yet (capture them with --duration).');
+    return;
+  }
+  
+  console.log(`⏱️  Command baselines for ${cwd}`);
+  for (const baseline of baselines) {
+    console.log(`   ${formatDuration(baseline.median).padStart(8)} median · ${formatDuration(baseline.p90).padStart(8)} p90 · ${String(baseline.samples).padStart(3)} runs  $ ${baseline.command}`);
+  }
+}
+
+/**
+ * Show the current environment fingerprint, or compare an episode's
+ * failing run with the last successful run of its command
+ */
+async function cmdEnv(args) {
+  if (args[0] !== 'diff') {
+    const fingerprint = captureEnvironment({ command: args[0] || '', cwd: process.cwd() });
+    if (!fingerprint) {
+      console.log('Environment fingerprints are off (capture.environment.enabled).');
+      return;
+    }
+    console.log(`🧬 ${fingerprint.os}${fingerprint.shell ? ` · ${fingerprint.shell}` : ''}`);
+    console.log(`   ${formatEnvironment(fingerprint) || '(no tool versions or markers)'}`);
+    for (const [name, value] of Object.entries(fingerprint.env)) {
+      console.log(`   ${name}=${value}`);
+    }
+    return;
+  }
+  
+  const id = parseInt(args[1]);
+  if (!id) {
+    console.error('❌ Error: Episode ID is required (ghostly env diff <id>)');
+    process.exit(1);
+  }
+  
+  await ensureInit();
+  
+  const events = getEpisodeEvents(id);
+  if (!getEpisode(id) || events.length === 0) {
+    console.error(`❌ Episode #${id} not found or has no events`);
+    process.exit(1);
+  }
+  
+  const failing = events.find(event => event.exit_code !== 0) || events[0];
+  const result = diffWithLastSuccess(failing);
+  if (!result) {
+    console.log(`No earlier successful run of "${failing.command}" to compare with.`);
+    return;
+  }
+  
+  console.log(`🔬 $ ${failing.command}`);
+  console.log(`   event #${failing.id} (exit ${failing.exit_code ?? '?'}, ${failing.timestamp}) vs last success #${result.success.id} (${result.success.timestamp})`);
+  if (!parseEnvironment(failing.environment) || !parseEnvironment(result.success.environment)) {
+    console.log('   (one of the runs has no environment fingerprint)');
+  }
+  if (result.diff.length === 0) {
+    console.log('   Same environment');
+    return;
+  }
+  for (const { key, before, after } of result.diff) {
+    console.log(`   ${key.padEnd(24)} ${before ?? '(none)'} → ${after ?? '(none)'}`);
+  }
+}
+
+/**
+ * Show what changed between the latest failing run of a command and the
+ * last time it succeeded in this project
+ */
+async function cmdDiffLastSuccess(args) {
+  const cwdIndex = args.findIndex(arg => arg === '-c' || arg === '--cwd');
+  const cwd = cwdIndex === -1 ? process.cwd() : path.resolve(args[cwdIndex + 1] || '.');
+  const command = args.filter((arg, i) => cwdIndex === -1 || (i !== cwdIndex && i !== cwdIndex + 1)).join(' ') || null;
+  
+  await ensureInit();
+  
+  const failing = findFailingRun({ projectHash: generateProjectHash(cwd), command });
+  if (!failing) {
+    console.log(command ? `No runs of "${command}" in this project yet.` : 'No failing commands in this project.');
+    return;
+  }
+  if (failing.exit_code === 0) {
+    console.log(`✅ The last run of "${failing.command}" (#${failing.id}, ${failing.timestamp}) succeeded.`);
+    return;
+  }
+  
+  const comparison = await compareWithLastSuccess(failing);
+  if (!comparison) {
+    console.log(`No earlier successful run of "${failing.command}" to compare with.`);
+    return;
+  }
+  
+  const { success, branch, commits, dependencies, environment, commands } = comparison;
+  console.log(`🔬 $ ${failing.command}`);
+  console.log(`   Failed:       #${failing.id} · exit ${failing.exit_code ?? '?'} · ${failing.timestamp}`);
+  console.log(`   Last worked:  #${success.id} · ${success.timestamp}`);
+  console.log(`   Branch:       ${branch ? `${branch.from ?? '(none)'} → ${branch.to ?? '(none)'}` : 'unchanged'}`);
+  
+  if (commits === null) {
+    console.log('   Commits:      unknown (no git state for both runs, or the commits are gone)');
+  } else {
+    console.log(`   Commits:      ${commits.length === 0 ? 'none' : commits.length}`);
+    for (const commit of commits) {
+      console.log(`      ${shortSha(commit.sha)} ${commit.subject}`);
+    }
+  }
+  
+  console.log(`   Dependencies: ${dependencies.length === 0 ? 'unchanged' : ''}`.trimEnd());
+  for (const change of dependencies) {
+    const lines = change.uncommitted ? 'uncommitted' : change.added === null ? 'binary' : `+${change.added} −${change.deleted}`;
+    console.log(`      ${change.file} (${lines})`);
+  }
+  
+  console.log(`   Environment:  ${environment.length === 0 ? 'unchanged' : ''}`.trimEnd());
+  for (const { key, before, after } of environment) {
+    console.log(`      ${key.padEnd(24)} ${before ?? '(none)'} → ${after ?? '(none)'}`);
+  }
+  
+  console.log(`   Ran between:  ${commands.length === 0 ? 'nothing' : ''}`.trimEnd());
+  for (const event of commands) {
+    console.log(`      ${event.exit_code === 0 ? '✅' : event.exit_code === null ? '•' : '❌'} $ ${event.command}`);
+  }
+}
+
+/**
+ * Read answers from stdin, one line each
+ * Not in terminal mode, so commands run in between get a normal terminal,
+ * and answers piped in ahead of time are not lost.
+ * @returns {Object} { ask(question) -> Promise<string|null>, close() }; null at end of input
+ */
+function createPrompt() {
+  const rl = readline.createInterface({ input: process.stdin, terminal: false });
+  const lines = rl[Symbol.asyncIterator]();
+  
+  return {
+    async ask(question) {
+      process.stdout.write(question);
+      const { value, done } = await lines.next();
+      return done ? null : value.trim();
+    },
+    close: () => rl.close()
+  };
+}
+
+/**
+ * Get the project directory of a command from --cwd, or the current one
+ * @param {Array<string>} args - Command arguments
+ * @returns {string} Directory
+ */
+function getCwdOption(args) {
+  const cwdIndex = args.findIndex(arg => arg === '-c' || arg === '--cwd');
+  return cwdIndex === -1 ? process.cwd() : path.resolve(args[cwdIndex + 1] || '.');
+}
+
+/**
+ * Mine and list the recipes of a project
+ */
+async function cmdRecipes(args) {
+  const cwd = getCwdOption(args);
+  
+  await ensureInit();
+  
+  const { recipes, added, removed } = mineRecipes(generateProjectHash(cwd));
+  if (recipes.length === 0) {
+    console.log('No recipes yet: no command sequence has been repeated often enough (capture.recipes.min_support).');
+    return;
+  }
+  
+  console.log(`📜 Recipes for ${cwd}${added.length || removed ? ` (${added.length} new, ${removed} replaced)` : ''}\n`);
+  for (const recipe of recipes) {
+    console.log(`${added.includes(recipe.name) ? '✨' : '•'} ${recipe.name}  (seen ${recipe.support}×, last ${recipe.last_seen})`);
+    recipe.steps.forEach((step, i) => console.log(`   ${i + 1}. ${step}`));
+    recipe.params.forEach((value, i) => console.log(`   {${i + 1}} last: ${value}`));
+    console.log('');
+  }
+}
+
+/**
+ * Replay a recipe step by step, stopping at the first failure
+ */
+async function cmdRecipe(args) {
+  if (args[0] !== 'run' || !args[1]) {
+    console.error('❌ Error: Usage: ghostly recipe run <name> [--yes] [--cwd dir]');
+    process.exit(1);
+  }
+  
+  const name = args[1];
+  const cwd = getCwdOption(args);
+  const yes = args.includes('--yes') || args.includes('-y');
+  
+  await ensureInit();
+  
+  const recipe = getRecipeByName(generateProjectHash(cwd), name);
+  if (!recipe) {
+    console.error(`❌ No recipe "${name}" in this project (see ghostly recipes)`);
+    process.exit(1);
+  }
+  
+  const prompt = createPrompt();
+  const values = [];
+  for (const [i, value] of recipe.params.entries()) {
+    values.push(yes ? value : (await prompt.ask(`{${i + 1}} [${value}]: `)) || value);
+  }
+  
+  console.log(`📜 ${recipe.name}`);
+  renderSteps(recipe, values).forEach((step, i) => console.log(`   ${i + 1}. ${step}`));
+  console.log('');
+  
+  const result = await runRecipe(recipe, {
+    values,
+    cwd,
+    confirm: async (command, index, total) => {
+      console.log(`▶ [${index + 1}/${total}] $ ${command}`);
+      if (yes) return 'run';
+      
+      // End of input stops rather than running the rest unconfirmed
+      const answer = await prompt.ask('   Run this step? [Y/n/q] ');
+      if (answer === null) return 'quit';
+      return answer.toLowerCase() === 'q' ? 'quit' : answer.toLowerCase() === 'n' ? 'skip' : 'run';
+    }
+  });
+  prompt.close();
+  
+  const last = result.results[result.results.length - 1];
+  if (result.aborted) {
+    console.log('⏹️  Stopped');
+  } else if (!result.completed) {
+    console.error(`❌ Step ${result.results.length} failed (exit ${last.exit_code}); stopping`);
+    process.exit(last.exit_code || 1);
+  } else {
+    console.log(`✅ Recipe ${recipe.name} finished (${result.results.filter(step => step.status === 'ok').length} of ${result.results.length} steps run)`);
+  }
+}
+
+/**
+ * Pin or unpin an episode
+ */
+async function cmdPin(args, pinned) {
+  const id = parseInt(args[0]);
+  
+  if (!id) {
+    console.error('❌ Error: Episode ID is required');
+    process.exit(1);
+  }
+  
+  await ensureInit();
+  
+  if (!setEpisodePinned(id, pinned)) {
+    console.error(`❌ Episode #${id} not found`);
+    process.exit(1);
+  }
+  
+  console.log(pinned ? `📌 Pinned episode #${id}; it will never be pruned` : `✅ Unpinned episode #${id}`);
+}
+
+/**
+ * Encrypt, re-encrypt or decrypt the database
+ * The current key comes from the usual settings; the new one from
+ * GHOSTLY_NEW_PASSPHRASE or --new-keyfile <path>.
+ */
+async function cmdRekey(args) {
+  await ensureInit();
+  
+  const status = getEncryptionStatus();
+  
+  if (args.includes('--status')) {
+    if (status.encrypted) {
+      console.log(`🔐 Database is encrypted (AES-256-GCM, key from ${status.keySource})`);
+    } else {
+      console.log('🔓 Database is stored in plaintext');
+    }
+    if (status.configured !== status.encrypted) {
+      console.log(`   security.encrypt is ${status.configured}; run \`ghostly rekey${status.configured ? '' : ' --decrypt'}\` to match it`);
+    }
+    return;
+  }
+  
+  if (args.includes('--decrypt')) {
+    if (!status.encrypted) {
+      console.log('🔓 Database is already stored in plaintext');
+      return;
+    }
+    rekey(null);
+    console.log('🔓 Database decrypted. Set security.encrypt: false to keep it that way.');
+    return;
+  }
+  
+  const keyfileIndex = args.indexOf('--new-keyfile');
+  let key = null;
+  
+  if (keyfileIndex !== -1) {
+    if (!args[keyfileIndex + 1]) {
+      console.error('❌ Error: --new-keyfile requires a path');
+      process.exit(1);
+    }
+    key = readKeyfile(args[keyfileIndex + 1]);
+  } else if (process.env.GHOSTLY_NEW_PASSPHRASE) {
+    key = { secret: Buffer.from(process.env.GHOSTLY_NEW_PASSPHRASE, 'utf8'), source: 'GHOSTLY_NEW_PASSPHRASE' };
+  } else if (!status.encrypted && status.keySource) {
+    // Encrypting a plaintext database with the key already configured
+    key = resolveSecret();
+  }
+  
+  if (!key) {
+    console.error('❌ Error: Provide the new key via GHOSTLY_NEW_PASSPHRASE or --new-keyfile <path>');
+    process.exit(1);
+  }
+  
+  rekey(key);
+  console.log(`🔐 Database ${status.encrypted ? 're-encrypted' : 'encrypted'} with the key from ${key.source}`);
+  if (key.source === 'GHOSTLY_NEW_PASSPHRASE') {
+    console.log('   From now on open it with GHOSTLY_PASSPHRASE set to the new passphrase.');
+  } else if (key.source !== status.keySource) {
+    console.log('   From now on open it with GHOSTLY_KEYFILE (or security.keyfile) pointing at the new keyfile.');
+  }
+}
+
+/**
+ * Accept either a project directory or a project hash
+ */
+function resolveProjectHash(project) {
+  return project && fs.existsSync(project)
+    ? generateProjectHash(path.resolve(project))
+    : project;
+}
+
+/**
+ * Export memories to an archive
+ */
+async function cmdExport(args) {
+  const filter = { episodesOnly: false, withEmbeddings: false };
+  let file = null;
+  
+  try {
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--project' || args[i] === '-p') filter.projectHash = resolveProjectHash(args[++i]);
+      else if (args[i] === '--since') filter.since = parseDateBound(args[++i]);
+      else if (args[i] === '--until') filter.until = parseDateBound(args[++i], true);
+      else if (args[i] === '--episodes-only') filter.episodesOnly = true;
+      else if (args[i] === '--with-embeddings') filter.withEmbeddings = true;
+      else if (!args[i].startsWith('-')) file = args[i];
+    }
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+  
+  file = file || `ghostly-export-${new Date().toISOString().slice(0, 10)}.jsonl.gz`;
+  
+  await ensureInit();
+  
+  const counts = await exportArchive(file, filter);
+  console.log(`📦 Exported to ${file}`);
+  console.log(`   ${counts.project} project(s), ${counts.session} session(s), ${counts.event} event(s), ` +
+    `${counts.episode} episode(s), ${counts.embedding} embedding(s)`);
+}
+
+/**
+ * Import memories from an archive
+ */
+async function cmdImport(args) {
+  const file = args[0];
+  
+  if (!file) {
+    console.error('❌ Error: Archive path is required');
+    process.exit(1);
+  }
+  if (!fs.existsSync(file)) {
+    console.error(`❌ Archive not found: ${file}`);
+    process.exit(1);
+  }
+  
+  await ensureInit();
+  
+  const result = await importArchive(file);
+  console.log(`📥 Imported ${file} (archive v${result.header.version}, exported ${result.header.created_at})`);
+  for (const type of ['project', 'session', 'event', 'episode', 'embedding']) {
+    console.log(`   ${type}s: ${result.imported[type]} new, ${result.skipped[type]} already present`);
+  }
+  if (result.reembedded > 0) {
+    console.log(`   🧠 Re-embedded ${result.reembedded} episode(s) with the local model`);
+  }
+  if (result.reembedFailed > 0) {
+    console.log(`   ⚠️  ${result.reembedFailed} episode(s) could not be re-embedded`);
+  }
+}
+
 /**
  * Main CLI entry point
  */
@@ -239,9 +1067,60 @@ async function main() {
     case 's':
       await cmdSearch(commandArgs);
       break;
+    case 'show':
+      await cmdShow(commandArgs);
+      break;
     case 'stats':
       await cmdStats();
       break;
+    case 'migrate':
+      await cmdMigrate(commandArgs);
+      break;
+    case 'index':
+      await cmdIndex(commandArgs);
+      break;
+    case 'prune':
+      await cmdPrune(commandArgs);
+      break;
+    case 'consolidate':
+      await cmdConsolidate(commandArgs);
+      break;
+    case 'dedupe':
+      await cmdDedupe(commandArgs);
+      break;
+    case 'baselines':
+      await cmdBaselines(commandArgs);
+      break;
+    case 'env':
+      await cmdEnv(commandArgs);
+      break;
+    case 'diff-last-success':
+      await cmdDiffLastSuccess(commandArgs);
+      break;
+    case 'recipes':
+      await cmdRecipes(commandArgs);
+      break;
+    case 'recipe':
+      await cmdRecipe(commandArgs);
+      break;
+    case 'pin':
+      await cmdPin(commandArgs, true);
+      break;
+    case 'unpin':
+      await cmdPin(commandArgs, false);
+      break;
+    case 'rekey':
+      await cmdRekey(commandArgs);
+      break;
+    case 'export':
+      await cmdExport(commandArgs);
+      break;
+    case 'import':
+      await cmdImport(commandArgs);
+      break;
+    case 'rules':
+      await cmdRules(commandArgs);
+      break;
     case 'watch':
       await ensureInit();
       startWatching();
@@ -89,6 +89,14 @@ export class RichCLI {
       }
     }
 
+    if (episode.events?.length) {
+      lines.push('');
+      lines.push(chalk.dim('Commands:'));
+      episode.events.slice(0, 5).forEach(e => {
+        lines.push('  ' + this.formatCommand(e.command, e.exit_code));
+      });
+    }
+
     return boxen(lines.join('\n'), {
       padding: 1,
       borderColor: 'green',
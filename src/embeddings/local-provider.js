@@ -3,7 +3,6 @@
  * Uses transformers.js for offline embeddings - no API needed!
  */
 
-import { pipeline } from '@xenova/transformers';
 import { loadConfig } from '../lib/config.js';
 
 export class LocalEmbeddingProvider {
@@ -19,6 +18,10 @@ export class LocalEmbeddingProvider {
   async initialize() {
     if (this.initialized) return;
     
+    // Lazy load transformers.js so short-lived capture processes that never
+    // embed anything don't pay for loading it
+    const { pipeline } = await import('@xenova/transformers');
+    
     console.log(`📦 Loading local embedding model: ${this.model}...`);
     this.embedder = await pipeline('feature-extraction', this.model);
     this.initialized = true;
@@ -29,7 +32,7 @@ export class LocalEmbeddingProvider {
     await this.initialize();
     
     if (!text || text.trim() === '') {
-      return new Array(this.dimension).fill(0);
+      return new Float32Array(this.dimension);
     }
 
     // Check cache first
@@ -44,7 +47,7 @@ export class LocalEmbeddingProvider {
         normalize: true
       });
 
-      const embedding = Array.from(output.data);
+      const embedding = Float32Array.from(output.data);
       
       // Cache result
       this.cache.set(cacheKey, embedding);
@@ -53,7 +56,7 @@ export class LocalEmbeddingProvider {
     } catch (error) {
       console.error('Error generating embedding:', error.message);
       // Return zeros on error
-      return new Array(this.dimension).fill(0);
+      return new Float32Array(this.dimension);
     }
   }
 
@@ -76,7 +79,7 @@ export class LocalEmbeddingProvider {
 
         // Extract embeddings for each text
         for (let j = 0; j < batch.length; j++) {
-          const embedding = Array.from(output.data.slice(
+          const embedding = Float32Array.from(output.data.subarray(
             j * this.dimension,
             (j + 1) * this.dimension
           ));
@@ -90,7 +93,7 @@ export class LocalEmbeddingProvider {
         console.error('Batch embedding error:', error.message);
         // Add zero embeddings for failed batch
         for (let j = 0; j < batch.length; j++) {
-          embeddings.push(new Array(this.dimension).fill(0));
+          embeddings.push(new Float32Array(this.dimension));
         }
       }
     }
@@ -138,7 +141,7 @@ export class OpenAIEmbeddingProvider {
       input: text
     });
     
-    return response.data[0].embedding;
+    return Float32Array.from(response.data[0].embedding);
   }
 
   async embedBatch(texts) {
@@ -149,7 +152,7 @@ export class OpenAIEmbeddingProvider {
       input: texts
     });
     
-    return response.data.map(d => d.embedding);
+    return response.data.map(d => Float32Array.from(d.embedding));
   }
 }
 
@@ -185,6 +188,11 @@ export async function createEmbeddingProvider(config = {}) {
 
 /**
  * Calculate cosine similarity between two vectors
+ * Works directly on typed arrays (Float32Array, or Int8Array for quantized
+ * vectors - cosine is scale-invariant) as well as plain arrays.
+ * @param {ArrayLike<number>} a - First vector
+ * @param {ArrayLike<number>} b - Second vector
+ * @returns {number} Similarity score (-1 to 1)
  */
 export function cosineSimilarity(a, b) {
   if (a.length !== b.length) {
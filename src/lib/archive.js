@@ -0,0 +1,303 @@
+/**
+ * Ghostly Memory Bank - Portable Archives
+ * Exports the memory bank to versioned JSONL (gzip-compressed when the file
+ * name ends in .gz) and imports it into another database, de-duplicating
+ * rows and remapping IDs
+ *
+ * Layout: one header line, then one { type, ...row } line per record, with
+ * parents before children (project, session, event, episode, embedding).
+ */
+
+import fs from 'fs';
+import zlib from 'zlib';
+import readline from 'readline';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import db from './database.js';
+import { LATEST_VERSION } from './migrations.js';
+import { ENCODINGS, packVector, unpackVector, dequantize } from './vectors.js';
+import { generateEpisodeEmbedding, getEmbeddingModel } from './embedding.js';
+
+export const ARCHIVE_FORMAT = 'ghostly-archive';
+export const ARCHIVE_VERSION = 1;
+
+// Records written per transaction on import
+const IMPORT_BATCH_SIZE = 500;
+
+const TABLES = {
+  project: 'projects',
+  session: 'sessions',
+  event: 'raw_events',
+  episode: 'episodes'
+};
+
+/**
+ * Parse a --since/--until value
+ * Bare dates cover the whole day, so `--until 2024-06-30` includes June 30.
+ * @param {string} value - Date or date-time
+ * @param {boolean} end - True for an upper bound
+ * @returns {string} ISO timestamp
+ */
+export function parseDateBound(value, end = false) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  if (end && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Encode an embedding vector as base64 little-endian Float32
+ * @param {Object} embedding - Embedding row from the database
+ * @returns {string} Base64 vector
+ */
+function encodeVector(embedding) {
+  const vector = embedding.encoding === ENCODINGS.INT8
+    ? dequantize(embedding.vector, embedding.scale)
+    : embedding.vector;
+  return Buffer.from(packVector(vector).blob).toString('base64');
+}
+
+/**
+ * Decode a vector written by encodeVector
+ * @param {string} data - Base64 vector
+ * @returns {Float32Array} Vector
+ */
+function decodeVector(data) {
+  return unpackVector(new Uint8Array(Buffer.from(data, 'base64')));
+}
+
+/**
+ * Write an archive
+ * @param {string} filePath - Output file (.jsonl or .jsonl.gz)
+ * @param {Object} filter - See database.getArchiveRows
+ * @returns {Promise<Object>} Record counts by type
+ */
+export async function exportArchive(filePath, filter = {}) {
+  const counts = { project: 0, session: 0, event: 0, episode: 0, embedding: 0 };
+
+  function* lines() {
+    yield JSON.stringify({
+      type: 'header',
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      schema_version: LATEST_VERSION,
+      created_at: new Date().toISOString(),
+      filter
+    }) + '\n';
+
+    for (const { type, row } of db.getArchiveRows(filter)) {
+      counts[type]++;
+      const record = type === 'embedding'
+        ? { episode_id: row.episode_id, model: row.model, dim: row.dim, vector: encodeVector(row), created_at: row.created_at }
+        : row;
+      yield JSON.stringify({ type, ...record }) + '\n';
+    }
+  }
+
+  const stages = [Readable.from(lines())];
+  if (filePath.endsWith('.gz')) stages.push(zlib.createGzip());
+  stages.push(fs.createWriteStream(filePath));
+  await pipeline(...stages);
+
+  return counts;
+}
+
+/**
+ * Open an archive for line-by-line reading, gunzipping if needed
+ * @param {string} filePath - Archive path
+ * @returns {readline.Interface} Line reader
+ */
+function openArchive(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  const magic = Buffer.alloc(2);
+  fs.readSync(fd, magic, 0, 2, 0);
+  fs.closeSync(fd);
+
+  let input = fs.createReadStream(filePath);
+  if (magic[0] === 0x1f && magic[1] === 0x8b) {
+    input = input.pipe(zlib.createGunzip());
+  }
+
+  return readline.createInterface({ input, crlfDelay: Infinity });
+}
+
+/**
+ * Check an archive header
+ * @param {Object} header - First record
+ */
+function validateHeader(header) {
+  if (header?.type !== 'header' || header.format !== ARCHIVE_FORMAT) {
+    throw new Error('Not a Ghostly archive (missing header)');
+  }
+  if (header.version > ARCHIVE_VERSION) {
+    throw new Error(`Archive format v${header.version} is newer than this version of Ghostly supports (v${ARCHIVE_VERSION})`);
+  }
+}
+
+/**
+ * Import an archive into the current database
+ * Rows that already exist (same natural key) are skipped and their IDs
+ * reused for links. Workflow episodes come after the episodes they cover and
+ * events after their session, so those links are set once every row is in.
+ * Embeddings made with the local model are copied; episodes whose
+ * embeddings came from another model are re-embedded.
+ * @param {string} filePath - Archive path
+ * @returns {Promise<Object>} { header, imported, skipped, reembedded, reembedFailed }
+ */
+export async function importArchive(filePath) {
+  const imported = { project: 0, session: 0, event: 0, episode: 0, embedding: 0 };
+  const skipped = { project: 0, session: 0, event: 0, episode: 0, embedding: 0 };
+  const eventIds = new Map();
+  const episodeIds = new Map();
+  const newEpisodes = new Set();
+  const embeddings = [];
+  // Archived consolidation progress per session, and its local equivalent
+  const consolidatedIds = new Map();
+  const consolidatedUpTo = new Map();
+  // [local episode ID, archived workflow episode ID]
+  const workflowLinks = [];
+
+  function apply(record) {
+    const { type, ...row } = record;
+
+    if (type === 'embedding') {
+      // Resolved after the rows: picking the local model may load it
+      const episodeId = episodeIds.get(row.episode_id);
+      if (episodeId && newEpisodes.has(episodeId)) {
+        embeddings.push({ ...row, episode_id: episodeId });
+      } else {
+        skipped.embedding++;
+      }
+      return;
+    }
+
+    const table = TABLES[type];
+    if (!table) return;
+
+    const links = {};
+    if (type === 'episode' && eventIds.has(row.resolution_event_id)) {
+      links.resolution_event_id = eventIds.get(row.resolution_event_id);
+    }
+
+    const result = db.importRow(table, row, links);
+    (result.inserted ? imported : skipped)[type]++;
+
+    if (type === 'session') {
+      if (row.consolidated_event_id) consolidatedIds.set(row.session_id, row.consolidated_event_id);
+    } else if (type === 'event') {
+      eventIds.set(row.id, result.id);
+      if (row.id <= (consolidatedIds.get(row.session_id) || 0)) {
+        consolidatedUpTo.set(row.session_id, Math.max(consolidatedUpTo.get(row.session_id) || 0, result.id));
+      }
+    } else if (type === 'episode') {
+      episodeIds.set(row.id, result.id);
+      if (result.inserted) {
+        newEpisodes.add(result.id);
+        if (row.workflow_id) workflowLinks.push([result.id, row.workflow_id]);
+        const linked = (row.event_ids || []).map(id => eventIds.get(id)).filter(Boolean);
+        if (linked.length > 0) db.linkEpisodeEvents(result.id, linked);
+      }
+    }
+  }
+
+  const lines = openArchive(filePath);
+  let header = null;
+  let batch = [];
+  const flush = () => {
+    db.transaction(() => batch.forEach(apply));
+    batch = [];
+  };
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const record = JSON.parse(line);
+
+    if (!header) {
+      validateHeader(record);
+      header = record;
+      continue;
+    }
+
+    batch.push(record);
+    if (batch.length >= IMPORT_BATCH_SIZE) flush();
+  }
+
+  if (!header) {
+    throw new Error('Not a Ghostly archive (empty file)');
+  }
+  flush();
+
+  db.transaction(() => {
+    for (const [episodeId, workflowId] of workflowLinks) {
+      if (episodeIds.has(workflowId)) db.setEpisodeWorkflow(episodeId, episodeIds.get(workflowId));
+    }
+    for (const [sessionId, eventId] of consolidatedUpTo) {
+      db.setConsolidatedEvent(sessionId, eventId);
+    }
+  });
+
+  // Archived counts describe the source database
+  if (imported.episode > 0) {
+    db.refreshRecurrenceCounts();
+  }
+
+  const { reembedded, reembedFailed } = await importEmbeddings(embeddings, imported);
+  return { header, imported, skipped, reembedded, reembedFailed };
+}
+
+/**
+ * Store archived embeddings, re-embedding those made by another model
+ * @param {Array<Object>} embeddings - Archived embeddings with local episode IDs
+ * @param {Object} imported - Counts to update
+ * @returns {Promise<Object>} { reembedded, reembedFailed }
+ */
+async function importEmbeddings(embeddings, imported) {
+  let reembedded = 0;
+  let reembedFailed = 0;
+  if (embeddings.length === 0) return { reembedded, reembedFailed };
+
+  let targetModel;
+  try {
+    targetModel = await getEmbeddingModel();
+  } catch (error) {
+    // Without a provider vectors are kept as-is; they stay tagged with
+    // their model and are only compared with vectors of the same model
+    targetModel = null;
+  }
+
+  const foreign = [];
+  db.transaction(() => {
+    for (const embedding of embeddings) {
+      if (targetModel && embedding.model !== targetModel) {
+        foreign.push(embedding.episode_id);
+        continue;
+      }
+      db.insertEmbedding(embedding.episode_id, embedding.model, decodeVector(embedding.vector));
+      imported.embedding++;
+    }
+  });
+
+  for (const episodeId of foreign) {
+    try {
+      const vector = await generateEpisodeEmbedding(db.getEpisode(episodeId));
+      db.insertEmbedding(episodeId, targetModel, vector);
+      reembedded++;
+    } catch (error) {
+      reembedFailed++;
+    }
+  }
+
+  return { reembedded, reembedFailed };
+}
+
+export default {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  parseDateBound,
+  exportArchive,
+  importArchive
+};
@@ -53,15 +53,31 @@ function getDefaultConfig() {
     storage: {
       db_path: './data/ghostly.db',
       vector_dimensions: 1536,
-      index_type: 'hnsw'
+      index_type: 'hnsw',
+      hnsw_m: 16,
+      hnsw_ef_construction: 200,
+      hnsw_ef_search: 64,
+      index_save_every: 25,
+      vector_quantization: 'none',
+      backup_before_migrate: true,
+      journal_checkpoint_kb: 4096,
+      lock_timeout_ms: 10000,
+      lock_stale_ms: 30000,
+      retention: {
+        raw_output_days: 30,
+        raw_events_days: 180,
+        episodes_days: 730,
+        max_project_mb: 50
+      }
     },
     capture: {
       session_timeout_minutes: 30,
       sequence_window: 5,
       min_sequence_length: 3,
+      resolution_window: 30,
       error_patterns: [
         'error', 'fail', 'failed', 'exception', 'fatal', 
-        'critical', 'ermission denied', 'not found', 
+        'critical', 'permission denied', 'not found', 
         'no such file', 'command not found'
       ],
       success_patterns: [
@@ -70,7 +86,49 @@ function getDefaultConfig() {
       ignore_commands: [
         'ls', 'll', 'la', 'pwd', 'cd', 'clear', 
         'echo', 'history', 'which', 'whoami', 'date', 'time'
-      ]
+      ],
+      important_commands: [
+        'git', 'npm', 'yarn', 'pnpm', 'docker', 'kubectl',
+        'python', 'pip', 'cargo', 'go', 'make', 'cmake',
+        'bundle', 'rake', 'gradle', 'mvn', 'javac', 'node',
+        'tsc', 'eslint', 'prettier', 'jest', 'pytest',
+        'curl', 'wget', 'ssh', 'scp', 'rsync',
+        'psql', 'mysql', 'mongosh', 'redis-cli'
+      ],
+      rules: [],
+      dedupe: {
+        enabled: true,
+        similarity: 0.95
+      },
+      slow_commands: {
+        enabled: true,
+        factor: 3,
+        min_runs: 5,
+        min_duration: '5s',
+        baseline_runs: 50
+      },
+      environment: {
+        enabled: true,
+        cache_ttl: '10m',
+        probe_timeout_ms: 2000,
+        env_vars: [
+          'NODE_ENV', 'NODE_OPTIONS', 'PYTHONPATH', 'GOPATH', 'GOFLAGS',
+          'JAVA_HOME', 'RUSTUP_TOOLCHAIN', 'DOCKER_HOST', 'DOCKER_CONTEXT',
+          'KUBECONFIG', 'AWS_PROFILE', 'CI'
+        ]
+      },
+      git: {
+        enabled: true,
+        timeout_ms: 2000,
+        fix_commit_days: 14
+      },
+      recipes: {
+        min_support: 3,
+        min_length: 2,
+        max_length: 6,
+        max_gap: '10m',
+        max_events: 5000
+      }
     },
     embedding: {
       provider: 'openai',
@@ -83,14 +141,19 @@ function getDefaultConfig() {
       weights: {
         semantic_similarity: 0.5,
         project_match: 0.3,
-        command_similarity: 0.2
+        command_similarity: 0.2,
+        signature_match: 0.5,
+        frequency: 0.1,
+        environment_match: 0.1
       },
       max_memories: 3,
+      ann_candidates: 50,
       triggers: {
         on_error: true,
         on_repeat_command: true,
         on_project_entry: true,
-        on_branch_change: true
+        on_branch_change: true,
+        on_slow_command: true
       }
     },
     output: {
@@ -102,16 +165,50 @@ function getDefaultConfig() {
     security: {
       local_only: true,
       encrypt: false,
+      keyfile: null,
       exclude_projects: [
         '*/node_modules/*',
         '*/.git/*',
         '*/vendor/*',
         '*/venv/*'
-      ]
+      ],
+      redaction: {
+        enabled: true,
+        entropy_threshold: 4.5,
+        patterns: []
+      }
     }
   };
 }
 
+/**
+ * Recursively merge overrides into defaults
+ * Nested objects are merged key by key; arrays and scalars replace defaults.
+ * @param {Object} defaults - Default values
+ * @param {Object} overrides - User values
+ * @returns {Object} Merged object
+ */
+function deepMerge(defaults, overrides) {
+  if (!isPlainObject(defaults) || !isPlainObject(overrides)) {
+    return overrides === undefined || overrides === null ? defaults : overrides;
+  }
+
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = deepMerge(defaults[key], value);
+  }
+  return merged;
+}
+
+/**
+ * Check for a plain (non-array) object
+ * @param {any} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
 /**
  * Merge YAML config with defaults
  * @param {Object} yamlConfig - Configuration from YAML
@@ -119,14 +216,14 @@ function getDefaultConfig() {
  */
 function mergeWithDefaults(yamlConfig) {
   const defaults = getDefaultConfig();
-  
+
   return {
-    storage: { ...defaults.storage, ...yamlConfig.storage },
-    capture: { ...defaults.capture, ...yamlConfig.capture },
-    embedding: { ...defaults.embedding, ...yamlConfig.embedding },
-    retrieval: { ...defaults.retrieval, ...yamlConfig.retrieval },
-    output: { ...defaults.output, ...yamlConfig.output },
-    security: { ...defaults.security, ...yamlConfig.security }
+    storage: deepMerge(defaults.storage, yamlConfig?.storage),
+    capture: deepMerge(defaults.capture, yamlConfig?.capture),
+    embedding: deepMerge(defaults.embedding, yamlConfig?.embedding),
+    retrieval: deepMerge(defaults.retrieval, yamlConfig?.retrieval),
+    output: deepMerge(defaults.output, yamlConfig?.output),
+    security: deepMerge(defaults.security, yamlConfig?.security)
   };
 }
 
@@ -0,0 +1,111 @@
+/**
+ * Ghostly Memory Bank - Episode Consolidation
+ * Groups a session's events into multi-command workflow episodes once a run
+ * of commands is over, and folds the single-command episodes it covers
+ * into the workflow
+ */
+
+import { loadConfig } from './config.js';
+import db from './database.js';
+import { splitEventSequences, createEpisodeFromEvents, classifyEvent } from './episodes.js';
+import { generateEpisodeEmbedding, getEmbeddingModel } from './embedding.js';
+import { findDuplicateEpisode } from './dedupe.js';
+
+/**
+ * Check if a run of commands is worth a workflow episode
+ * It needs min_sequence_length commands, at least one of them significant.
+ * @param {Array} sequence - Events of one run
+ * @returns {boolean} True if it should become a workflow
+ */
+function isWorkflow(sequence) {
+  const config = loadConfig();
+  return sequence.length >= config.capture.min_sequence_length &&
+    sequence.some(event => classifyEvent(event).action === 'significant');
+}
+
+/**
+ * Consolidate the finished runs of one session
+ * A run is finished once a later event started another run, or when
+ * sequence_window minutes have passed since it started. The last,
+ * unfinished run is left for a later pass.
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - { now: time (ms or ISO) the runs are judged at }
+ * @returns {Object} { workflows: [new episode], superseded: number }
+ */
+export function consolidateSession(sessionId, options = {}) {
+  const config = loadConfig();
+  const now = new Date(options.now ?? Date.now()).getTime();
+  const timeWindow = config.capture.sequence_window * 60 * 1000;
+
+  return db.transaction(() => {
+    const sequences = splitEventSequences(db.getUnconsolidatedEvents(sessionId));
+    const last = sequences[sequences.length - 1];
+    if (last && now - new Date(last[0].timestamp).getTime() <= timeWindow) {
+      sequences.pop();
+    }
+
+    const workflows = [];
+    let superseded = 0;
+
+    for (const sequence of sequences) {
+      if (isWorkflow(sequence)) {
+        const episode = createEpisodeFromEvents(sequence);
+
+        // A workflow run again counts as another occurrence of the first one
+        const duplicate = findDuplicateEpisode(episode);
+        const id = duplicate
+          ? db.recordOccurrence(duplicate.id, { event_ids: episode.event_ids, timestamp: episode.last_seen }).id
+          : db.insertEpisode(episode);
+        superseded += db.supersedeEpisodes(id, episode.event_ids).length;
+        if (!duplicate) workflows.push({ ...episode, id });
+      }
+      db.setConsolidatedEvent(sessionId, sequence[sequence.length - 1].id);
+    }
+
+    return { workflows, superseded };
+  });
+}
+
+/**
+ * Embed new workflow episodes
+ * @param {Array<Object>} episodes - Stored episodes
+ */
+export async function embedWorkflows(episodes) {
+  for (const episode of episodes) {
+    try {
+      const embedding = await generateEpisodeEmbedding(episode);
+      const model = await getEmbeddingModel();
+      db.transaction(() => {
+        const embeddingId = db.insertEmbedding(episode.id, model, embedding);
+        db.updateEpisode(episode.id, { ...episode, embedding_id: embeddingId });
+      });
+    } catch (error) {
+      console.warn('Failed to generate embedding:', error.message);
+    }
+  }
+}
+
+/**
+ * Consolidate every session with unconsolidated events (ghostly consolidate)
+ * @param {Object} options - { sessionId: only this session, now }
+ * @returns {Promise<Object>} { sessions, workflows: [episode], superseded }
+ */
+export async function consolidate(options = {}) {
+  const sessionIds = options.sessionId ? [options.sessionId] : db.getUnconsolidatedSessions();
+  const result = { sessions: sessionIds.length, workflows: [], superseded: 0 };
+
+  for (const sessionId of sessionIds) {
+    const { workflows, superseded } = consolidateSession(sessionId, options);
+    result.workflows.push(...workflows);
+    result.superseded += superseded;
+  }
+
+  await embedWorkflows(result.workflows);
+  return result;
+}
+
+export default {
+  consolidateSession,
+  embedWorkflows,
+  consolidate
+};
@@ -8,6 +8,31 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { loadConfig } from './config.js';
+import {
+  LATEST_VERSION,
+  getCurrentVersion,
+  getPendingMigrations,
+  getMigrationStatus,
+  applyMigrations
+} from './migrations.js';
+import {
+  getJournalPath,
+  encodeRecord,
+  appendRecords,
+  readRecords,
+  truncateJournal
+} from './journal.js';
+import { acquireLock, releaseLock } from './lock.js';
+import { HIGHLIGHT_OPEN, HIGHLIGHT_CLOSE, buildMatchQuery, bm25 } from './fulltext.js';
+import { ENCODINGS, packVector, unpackVector } from './vectors.js';
+import { resolveProject } from './project.js';
+import {
+  isEncrypted,
+  isSqliteFile,
+  resolveSecret,
+  createCipher,
+  getSalt
+} from './encryption.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,13 +40,48 @@ const __dirname = path.dirname(__filename);
 let db = null;
 let SQL = null;
 
+// Write journal state
+let journalSeq = 0;
+let journalOffset = 0;
+let pendingOps = [];
+let transactionDepth = 0;
+let lockDepth = 0;
+
+// Identity of the database file last loaded or written by this process
+let snapshotId = null;
+
+// Encryption state: cipher opens encrypted data whenever a key is
+// configured; `encrypted` decides whether new snapshots/journal records are
+// sealed. It follows the file on disk and only changes through rekey().
+let cipher = null;
+let encrypted = false;
+let keySource = null;
+let warnedPlaintext = false;
+
+// Callbacks notified after an embedding is stored (e.g. the ANN index)
+const embeddingListeners = [];
+
+// Files derived from the database (vector index, caches), by path getter
+const sidecarFiles = [];
+
 /**
- * Initialize database connection and create tables
- * @returns {Promise<Object>} SQLite database instance
+ * Resolve the configured database file path
+ * @returns {string} Absolute database path
  */
-export async function initDatabase() {
+export function getDatabasePath() {
   const config = loadConfig();
-  const dbPath = path.resolve(process.cwd(), config.storage.db_path);
+  return path.resolve(process.cwd(), config.storage.db_path);
+}
+
+/**
+ * Initialize database connection and bring the schema up to date
+ * @param {Object} options - Initialization options
+ * @param {boolean} options.migrate - Apply pending migrations (default true)
+ * @returns {Promise<Object>} SQLite database instance
+ */
+export async function initDatabase(options = {}) {
+  const { migrate = true } = options;
+  const dbPath = getDatabasePath();
   
   // Ensure directory exists
   const dbDir = path.dirname(dbPath);
@@ -32,24 +92,87 @@ export async function initDatabase() {
   // Initialize SQL.js
   SQL = await initSqlJs();
   
-  // Load existing database or create new
-  if (fs.existsSync(dbPath)) {
-    const buffer = fs.readFileSync(dbPath);
-    db = new SQL.Database(buffer);
-  } else {
-    db = new SQL.Database();
-  }
-  
-  // Create tables
-  createTables();
-  
-  // Save to disk
-  saveDatabase();
+  withDatabaseLock(() => {
+    // Load existing database or create new, then re-apply writes
+    // committed since the last checkpoint
+    loadSnapshot();
+    applyJournal();
+    
+    if (migrate) {
+      migrateDatabase();
+    }
+  });
   
   console.log(`📂 Database initialized at ${dbPath}`);
   return db;
 }
 
+/**
+ * Apply pending schema migrations, backing up the file first
+ * @param {Object} options - Migration options
+ * @param {boolean} options.dryRun - Only report what would be applied
+ * @returns {Object} { from, to, pending, applied, backupPath }
+ */
+export function migrateDatabase(options = {}) {
+  const { dryRun = false } = options;
+  
+  return withDatabaseLock(() => {
+    syncWithDisk();
+    const from = getCurrentVersion(db);
+    
+    if (from > LATEST_VERSION) {
+      throw new Error(
+        `Database schema v${from} is newer than this version of ghostly supports (v${LATEST_VERSION}). ` +
+        'Upgrade ghostly-memory-bank before using this database.'
+      );
+    }
+    
+    const pending = getPendingMigrations(db);
+    const result = { from, to: from, pending, applied: [], backupPath: null };
+    
+    if (dryRun || pending.length === 0) {
+      return result;
+    }
+    
+    const config = loadConfig();
+    const dbPath = getDatabasePath();
+    if (config.storage.backup_before_migrate && fs.existsSync(dbPath)) {
+      result.backupPath = backupDatabase(dbPath, from);
+    }
+    
+    result.applied = applyMigrations(db, pending);
+    result.to = getCurrentVersion(db);
+    checkpoint();
+    
+    return result;
+  });
+}
+
+/**
+ * Get applied/pending state of every known migration
+ * @returns {Object} { current, latest, migrations }
+ */
+export function getSchemaStatus() {
+  return {
+    current: getCurrentVersion(db),
+    latest: LATEST_VERSION,
+    migrations: getMigrationStatus(db)
+  };
+}
+
+/**
+ * Copy the database file aside before it is migrated
+ * @param {string} dbPath - Database file path
+ * @param {number} version - Schema version being backed up
+ * @returns {string} Backup file path
+ */
+function backupDatabase(dbPath, version) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = `${dbPath}.v${version}-${stamp}.bak`;
+  fs.copyFileSync(dbPath, backupPath);
+  return backupPath;
+}
+
 /**
  * Get database instance
  * @returns {Promise<Object>} SQLite database instance
@@ -62,103 +185,338 @@ export async function getDatabase() {
 }
 
 /**
- * Save database to disk
+ * Run a group of writes as one atomic, durable unit
+ * Writes are applied in memory immediately and appended to the journal as a
+ * single record when the outermost transaction commits. Nested calls join
+ * the enclosing transaction. The callback must be synchronous.
+ * @param {Function} fn - Callback performing the writes
+ * @returns {any} Callback result
  */
-function saveDatabase() {
-  if (!db) return;
+export function transaction(fn) {
+  if (transactionDepth > 0) {
+    transactionDepth++;
+    try {
+      return fn();
+    } finally {
+      transactionDepth--;
+    }
+  }
+  
+  return withDatabaseLock(() => {
+    // Pick up writes other processes made since we last looked
+    syncWithDisk();
+    
+    db.run('BEGIN');
+    transactionDepth = 1;
+    
+    let journalSize;
+    let result;
+    
+    try {
+      result = fn();
+      journalSize = flushJournal();
+      db.run('COMMIT');
+    } catch (error) {
+      pendingOps = [];
+      db.run('ROLLBACK');
+      throw error;
+    } finally {
+      transactionDepth = 0;
+    }
+    
+    // Compact once the journal has grown past the configured size
+    const config = loadConfig();
+    if (journalSize > config.storage.journal_checkpoint_kb * 1024) {
+      checkpoint();
+    }
+    
+    return result;
+  });
+}
+
+/**
+ * Run a callback while holding the cross-process database lock
+ * Re-entrant within this process. Files kept next to the database (such as
+ * the vector index) are written under it too.
+ * @param {Function} fn - Synchronous callback
+ * @returns {any} Callback result
+ */
+export function withDatabaseLock(fn) {
+  if (lockDepth > 0) {
+    return fn();
+  }
   
   const config = loadConfig();
-  const dbPath = path.resolve(process.cwd(), config.storage.db_path);
-  const data = db.export();
-  const buffer = Buffer.from(data);
-  fs.writeFileSync(dbPath, buffer);
-}
-
-/**
- * Create database tables
- */
-function createTables() {
-  // Terminal events table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS raw_events (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      session_id TEXT NOT NULL,
-      timestamp TEXT NOT NULL,
-      cwd TEXT,
-      git_branch TEXT,
-      command TEXT NOT NULL,
-      exit_code INTEGER,
-      stdout_text TEXT,
-      stderr_text TEXT,
-      project_hash TEXT,
-      created_at TEXT DEFAULT (datetime('now'))
-    )
-  `);
+  const lockPath = `${getDatabasePath()}.lock`;
   
-  // Episodes table (grouped events with summaries)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS episodes (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      project_hash TEXT,
-      summary TEXT NOT NULL,
-      problem TEXT,
-      environment TEXT,
-      fix TEXT,
-      keywords TEXT,
-      embedding_id TEXT,
-      created_at TEXT DEFAULT (datetime('now')),
-      updated_at TEXT DEFAULT (datetime('now'))
-    )
-  `);
+  acquireLock(lockPath, {
+    timeoutMs: config.storage.lock_timeout_ms,
+    staleMs: config.storage.lock_stale_ms
+  });
+  lockDepth++;
   
-  // Embeddings table (vector storage)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS embeddings (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      episode_id INTEGER NOT NULL,
-      model TEXT NOT NULL,
-      vector BLOB NOT NULL,
-      created_at TEXT DEFAULT (datetime('now')),
-      FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE
-    )
-  `);
+  try {
+    return fn();
+  } finally {
+    lockDepth--;
+    releaseLock(lockPath);
+  }
+}
+
+/**
+ * Get a cheap identity for the database file (changes on checkpoint)
+ * @returns {string} Snapshot identity
+ */
+function getSnapshotId() {
+  try {
+    const stats = fs.statSync(getDatabasePath());
+    return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+  } catch (error) {
+    return 'missing';
+  }
+}
+
+/**
+ * Load the database file into memory (or start an empty database)
+ */
+function loadSnapshot() {
+  const dbPath = getDatabasePath();
+  const config = loadConfig();
   
-  // Projects table (for project-aware retrieval)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS projects (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      project_hash TEXT UNIQUE NOT NULL,
-      name TEXT,
-      root_path TEXT,
-      git_remote TEXT,
-      first_seen TEXT DEFAULT (datetime('now')),
-      last_seen TEXT DEFAULT (datetime('now'))
-    )
-  `);
+  if (db) {
+    db.close();
+    db = null;
+  }
   
-  // Sessions table (terminal session tracking)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS sessions (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      session_id TEXT UNIQUE NOT NULL,
-      cwd TEXT,
-      git_branch TEXT,
-      started_at TEXT DEFAULT (datetime('now')),
-      last_activity TEXT DEFAULT (datetime('now')),
-      ended_at TEXT
-    )
-  `);
+  let data = fs.existsSync(dbPath) ? fs.readFileSync(dbPath) : null;
+  if (data && data.length === 0) data = null;
   
-  // Create indexes for faster queries
-  try {
-    db.run(`CREATE INDEX IF NOT EXISTS idx_events_session ON raw_events(session_id)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_events_project ON raw_events(project_hash)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_events_timestamp ON raw_events(timestamp)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_episodes_project ON episodes(project_hash)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_episodes_embedding ON episodes(embedding_id)`);
-  } catch (e) {
-    // Indexes may already exist
+  const key = resolveSecret(config.security);
+  keySource = key?.source || null;
+  
+  if (data && isEncrypted(data)) {
+    if (!key) {
+      throw new Error(
+        `${dbPath} is encrypted. Set GHOSTLY_PASSPHRASE or GHOSTLY_KEYFILE ` +
+        '(or security.keyfile in config.yaml) to open it.'
+      );
+    }
+    cipher = createCipher(key.secret, getSalt(data));
+    encrypted = true;
+    try {
+      data = cipher.decrypt(data);
+    } catch (error) {
+      throw new Error(`Cannot open ${dbPath} with the key from ${key.source}: ${error.message}`);
+    }
+  } else if (data && !isSqliteFile(data)) {
+    throw new Error(`${dbPath} is neither a SQLite database nor an encrypted Ghostly database`);
+  } else {
+    encrypted = !data && config.security.encrypt === true;
+    if (encrypted && !key) {
+      throw new Error(
+        'security.encrypt is enabled but no key is configured. Set GHOSTLY_PASSPHRASE ' +
+        'or GHOSTLY_KEYFILE, or point security.keyfile at a key file.'
+      );
+    }
+    cipher = key ? createCipher(key.secret) : null;
+    
+    if (data && config.security.encrypt && !warnedPlaintext) {
+      console.warn(`⚠️  ${dbPath} is not encrypted although security.encrypt is enabled. Run \`ghostly rekey\` to encrypt it.`);
+      warnedPlaintext = true;
+    }
+  }
+  
+  db = data ? new SQL.Database(data) : new SQL.Database();
+  
+  registerFunctions();
+  snapshotId = getSnapshotId();
+  journalSeq = Number(getMetaValue('checkpoint_seq')) || 0;
+  journalOffset = 0;
+}
+
+/**
+ * Register custom SQL functions
+ * sql.js drops them whenever the database is reopened (including export()),
+ * so this runs after every load and checkpoint.
+ */
+function registerFunctions() {
+  db.create_function('ghostly_bm25', (matchinfo, weights) =>
+    bm25(matchinfo, String(weights).split(',').map(Number))
+  );
+}
+
+/**
+ * Bring the in-memory database up to date with the file and journal
+ * Must be called while holding the database lock.
+ */
+export function syncWithDisk() {
+  if (getSnapshotId() !== snapshotId) {
+    // Another process checkpointed: start again from its snapshot
+    loadSnapshot();
   }
+  applyJournal();
+}
+
+/**
+ * Execute a write statement and record it for the journal
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Bound parameters
+ */
+function write(sql, params = []) {
+  // sql.js refuses to bind undefined
+  params = params.map(value => value === undefined ? null : value);
+  
+  transaction(() => {
+    db.run(sql, params);
+    pendingOps.push({ sql, params });
+  });
+}
+
+/**
+ * Execute an INSERT and return the new row ID
+ * @param {string} sql - INSERT statement
+ * @param {Array} params - Bound parameters
+ * @returns {number} Inserted row ID
+ */
+function insert(sql, params = []) {
+  return transaction(() => {
+    write(sql, params);
+    const result = db.exec('SELECT last_insert_rowid() as id');
+    return result[0]?.values[0][0] || 0;
+  });
+}
+
+/**
+ * Append the pending writes to the journal as one record
+ * @returns {number} Journal size in bytes after the append
+ */
+function flushJournal() {
+  if (pendingOps.length === 0) return 0;
+  
+  const journalPath = getJournalPath(getDatabasePath());
+  const size = appendRecords(journalPath, [encodeRecord(journalSeq + 1, pendingOps, encrypted ? cipher : null)]);
+  
+  journalSeq++;
+  pendingOps = [];
+  return size;
+}
+
+/**
+ * Apply journal records we have not seen yet
+ * Must be called while holding the database lock.
+ * @returns {number} Number of records applied
+ */
+function applyJournal() {
+  const journalPath = getJournalPath(getDatabasePath());
+  const { records, offset } = readRecords(journalPath, journalOffset, cipher);
+  let applied = 0;
+  
+  for (const record of records) {
+    if (record.seq <= journalSeq) continue;
+    
+    db.run('BEGIN');
+    try {
+      for (const op of record.ops) {
+        db.run(op.sql, op.params);
+      }
+      db.run('COMMIT');
+    } catch (error) {
+      db.run('ROLLBACK');
+      throw new Error(`Failed to replay journal record ${record.seq}: ${error.message}`);
+    }
+    
+    journalSeq = record.seq;
+    applied++;
+  }
+  
+  // Writers append whole records under the lock, so trailing bytes can only
+  // be a torn record from a crashed writer: drop it so appends start clean
+  if (fs.existsSync(journalPath) && fs.statSync(journalPath).size > offset) {
+    fs.truncateSync(journalPath, offset);
+  }
+  
+  journalOffset = offset;
+  return applied;
+}
+
+/**
+ * Fold the journal into the database file
+ * The snapshot is written to a temporary file and renamed into place, so a
+ * crash leaves either the old or the new snapshot plus a replayable journal.
+ */
+export function checkpoint() {
+  if (!db) return;
+  
+  withDatabaseLock(() => {
+    syncWithDisk();
+    
+    const dbPath = getDatabasePath();
+    setMetaValue('checkpoint_seq', journalSeq);
+    
+    const exported = db.export();
+    registerFunctions();
+    const data = encrypted ? cipher.encrypt(exported) : Buffer.from(exported);
+    
+    const tmpPath = `${dbPath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, dbPath);
+    
+    truncateJournal(getJournalPath(dbPath));
+    snapshotId = getSnapshotId();
+    journalOffset = 0;
+  });
+}
+
+/**
+ * Read a value from the ghostly_meta table
+ * @param {string} key - Meta key
+ * @returns {string|null} Stored value
+ */
+function getMetaValue(key) {
+  if (!hasTable('ghostly_meta')) return null;
+  
+  const stmt = db.prepare('SELECT value FROM ghostly_meta WHERE key = ?');
+  stmt.bind([key]);
+  const value = stmt.step() ? stmt.get()[0] : null;
+  stmt.free();
+  return value;
+}
+
+/**
+ * Store a value in the ghostly_meta table (not journaled)
+ * @param {string} key - Meta key
+ * @param {any} value - Value to store
+ */
+function setMetaValue(key, value) {
+  if (!hasTable('ghostly_meta')) return;
+  db.run('INSERT OR REPLACE INTO ghostly_meta (key, value) VALUES (?, ?)', [key, String(value)]);
+}
+
+/**
+ * Check whether a table exists
+ * @param {string} name - Table name
+ * @returns {boolean} True if the table exists
+ */
+function hasTable(name) {
+  const result = db.exec(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = '${name}'`);
+  return result.length > 0;
+}
+
+/**
+ * Current time in SQLite's datetime('now') format
+ * Journaled statements must not call datetime('now') (or rely on column
+ * defaults that do): replaying them in another process would stamp rows
+ * with the replay time.
+ * @returns {string} 'YYYY-MM-DD HH:MM:SS' (UTC)
+ */
+function now() {
+  return new Date().toISOString().replace('T', ' ').slice(0, 19);
 }
 
 /**
@@ -167,87 +525,539 @@ function createTables() {
  * @returns {number} Inserted event ID
  */
 export function insertEvent(event) {
-  const stmt = db.prepare(`
+  return insert(`
     INSERT INTO raw_events 
-    (session_id, timestamp, cwd, git_branch, command, exit_code, stdout_text, stderr_text, project_hash)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `);
-  
-  stmt.run([
+    (session_id, timestamp, cwd, git_branch, command, exit_code, stdout_text, stderr_text, project_hash, redaction_count,
+     duration_ms, command_key, environment, git_head, git_status, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
     event.session_id,
     event.timestamp,
     event.cwd || null,
     event.git_branch || null,
     event.command,
-    event.exit_code || null,
-    event.stdout_truncated || null,
-    event.stderr_truncated || null,
-    event.project_hash || null
+    event.exit_code ?? null,
+    event.stdout_text || null,
+    event.stderr_text || null,
+    event.project_hash || null,
+    event.redaction_count || 0,
+    event.duration_ms ?? null,
+    event.command_key || null,
+    serializeDetails(event.environment),
+    event.git_status?.head || null,
+    serializeDetails(event.git_status),
+    now()
   ]);
-  
-  stmt.free();
-  
-  const result = db.exec('SELECT last_insert_rowid() as id');
-  saveDatabase();
-  
-  return result[0]?.values[0][0] || 0;
+}
+
+/**
+ * Store parsed error details (or an environment fingerprint, a git state) as JSON
+ * @param {Object|string|null} details - Details object (or stored JSON)
+ * @returns {string|null} JSON text
+ */
+function serializeDetails(details) {
+  if (!details) return null;
+  return typeof details === 'string' ? details : JSON.stringify(details);
 }
 
 /**
  * Insert an episode (grouped events with summary)
- * @param {Object} episode - Episode data
+ * @param {Object} episode - Episode data; `event_ids` links its source events
  * @returns {number} Inserted episode ID
  */
 export function insertEpisode(episode) {
-  const stmt = db.prepare(`
-    INSERT INTO episodes 
-    (project_hash, summary, problem, environment, fix, keywords, embedding_id)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `);
+  const seen = new Date().toISOString();
   
-  stmt.run([
-    episode.project_hash,
+  return transaction(() => {
+    const id = insert(`
+      INSERT INTO episodes 
+      (project_hash, kind, summary, problem, environment, command, fix, keywords, embedding_id, error_signature, error_details,
+       occurrences, first_seen, last_seen, slowdown, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      episode.project_hash,
+      episode.kind || 'event',
+      episode.summary,
+      episode.problem,
+      episode.environment,
+      episode.command || null,
+      episode.fix || null,
+      episode.keywords,
+      episode.embedding_id || null,
+      episode.error_signature || null,
+      serializeDetails(episode.error_details),
+      episode.occurrences || 1,
+      episode.first_seen || seen,
+      episode.last_seen || episode.first_seen || seen,
+      episode.slowdown ?? null,
+      now(),
+      now()
+    ]);
+    
+    if (episode.event_ids?.length) {
+      linkEpisodeEvents(id, episode.event_ids);
+    }
+    
+    if (episode.error_signature) {
+      refreshRecurrenceCounts(episode.error_signature);
+    }
+    
+    return id;
+  });
+}
+
+/**
+ * Link raw events to an episode, appending after any existing links
+ * @param {number} episodeId - Episode ID
+ * @param {Array<number>} eventIds - Event IDs in chronological order
+ */
+export function linkEpisodeEvents(episodeId, eventIds) {
+  transaction(() => {
+    const result = db.exec(`SELECT COALESCE(MAX(position) + 1, 0) FROM episode_events WHERE episode_id = ${Number(episodeId)}`);
+    let position = result[0]?.values[0][0] || 0;
+    
+    for (const eventId of eventIds) {
+      write(`
+        INSERT OR IGNORE INTO episode_events (episode_id, event_id, position)
+        VALUES (?, ?, ?)
+      `, [episodeId, eventId, position++]);
+    }
+  });
+}
+
+/**
+ * Get the raw events an episode was built from
+ * @param {number} episodeId - Episode ID
+ * @returns {Array} Events in the order they were linked
+ */
+export function getEpisodeEvents(episodeId) {
+  return all(`
+    SELECT r.* FROM episode_events ee
+    JOIN raw_events r ON r.id = ee.event_id
+    WHERE ee.episode_id = ?
+    ORDER BY ee.position ASC
+  `, [episodeId]);
+}
+
+/**
+ * Update an existing episode
+ * @param {number} id - Episode ID
+ * @param {Object} episode - Updated episode data
+ */
+export function updateEpisode(id, episode) {
+  write(`
+    UPDATE episodes 
+    SET summary = ?, problem = ?, environment = ?, fix = ?, keywords = ?, 
+        embedding_id = ?, updated_at = ?
+    WHERE id = ?
+  `, [
     episode.summary,
     episode.problem,
     episode.environment,
     episode.fix,
     episode.keywords,
-    episode.embedding_id || null
+    episode.embedding_id || null,
+    now(),
+    id
   ]);
+}
+
+/**
+ * Get failing episodes of a session that no later command has resolved yet
+ * @param {Object} filter - { sessionId, projectHash, since }
+ * @returns {Array} Episodes, oldest first, with their first failing event
+ *   of the session since then as `failed_event_id` / `failed_command` /
+ *   `failed_git_status`
+ */
+export function getOpenFailures({ sessionId, projectHash, since }) {
+  return all(`
+    SELECT e.*, r.id AS failed_event_id, r.command AS failed_command, r.git_status AS failed_git_status
+    FROM episodes e
+    JOIN raw_events r ON r.id = (
+      SELECT MIN(ee.event_id) FROM episode_events ee
+      JOIN raw_events x ON x.id = ee.event_id
+      WHERE ee.episode_id = e.id AND x.session_id = ? AND x.timestamp >= ?
+    )
+    WHERE e.resolved = 0 AND e.kind = 'event'
+      AND (e.error_signature IS NOT NULL OR r.exit_code != 0)
+      AND r.project_hash IS ?
+    ORDER BY r.id ASC
+  `, [sessionId, since, projectHash ?? null]);
+}
+
+/**
+ * Get how long recent successful runs of a command took in a project
+ * @param {Object} filter - { projectHash, commandKey, beforeId, limit }
+ * @returns {Array<number>} Durations in ms, newest first
+ */
+export function getCommandDurations({ projectHash, commandKey, beforeId = Number.MAX_SAFE_INTEGER, limit = 50 }) {
+  return all(`
+    SELECT duration_ms FROM raw_events
+    WHERE project_hash IS ? AND command_key = ? AND duration_ms IS NOT NULL AND exit_code = 0
+      AND id < ?
+    ORDER BY id DESC
+    LIMIT ?
+  `, [projectHash ?? null, commandKey, beforeId, limit]).map(row => row.duration_ms);
+}
+
+/**
+ * Get the timed commands of a project, for their baselines
+ * @param {string} projectHash - Project hash
+ * @param {number} limit - Max number of events
+ * @returns {Array} { command_key, command, duration_ms }, newest first
+ */
+export function getTimedCommands(projectHash, limit = 5000) {
+  return all(`
+    SELECT command_key, command, duration_ms FROM raw_events
+    WHERE project_hash IS ? AND command_key IS NOT NULL AND duration_ms IS NOT NULL AND exit_code = 0
+    ORDER BY id DESC
+    LIMIT ?
+  `, [projectHash ?? null, limit]);
+}
+
+/**
+ * Get the latest earlier run of a command that took at least some time
+ * @param {Object} filter - { projectHash, commandKey, beforeId, minDuration }
+ * @returns {Object|null} Event
+ */
+export function getLastSlowRun({ projectHash, commandKey, beforeId, minDuration }) {
+  const [row] = all(`
+    SELECT * FROM raw_events
+    WHERE project_hash IS ? AND command_key = ? AND id < ? AND duration_ms >= ?
+    ORDER BY id DESC
+    LIMIT 1
+  `, [projectHash ?? null, commandKey, beforeId, minDuration]);
+  return row || null;
+}
+
+/**
+ * Get the latest earlier successful run of a command
+ * @param {Object} filter - { projectHash, commandKey, beforeId }
+ * @returns {Object|null} Event
+ */
+export function getLastSuccessfulRun({ projectHash, commandKey, beforeId }) {
+  const [row] = all(`
+    SELECT * FROM raw_events
+    WHERE project_hash IS ? AND command_key = ? AND id < ? AND exit_code = 0
+    ORDER BY id DESC
+    LIMIT 1
+  `, [projectHash ?? null, commandKey, beforeId]);
+  return row || null;
+}
+
+/**
+ * Get the environment fingerprint of an episode's first event
+ * @param {number} episodeId - Episode ID
+ * @returns {string|null} Fingerprint JSON
+ */
+export function getEpisodeEnvironment(episodeId) {
+  const [row] = all(`
+    SELECT r.environment FROM episode_events ee
+    JOIN raw_events r ON r.id = ee.event_id
+    WHERE ee.episode_id = ? AND r.environment IS NOT NULL
+    ORDER BY ee.position
+    LIMIT 1
+  `, [episodeId]);
+  return row?.environment || null;
+}
+
+/**
+ * Get the run of a command just before an event
+ * @param {Object} filter - { projectHash, commandKey, beforeId }
+ * @returns {Object|null} Event
+ */
+export function getPreviousRun({ projectHash, commandKey, beforeId }) {
+  const [row] = all(`
+    SELECT * FROM raw_events
+    WHERE project_hash IS ? AND command_key = ? AND id < ?
+    ORDER BY id DESC
+    LIMIT 1
+  `, [projectHash ?? null, commandKey, beforeId]);
+  return row || null;
+}
+
+/**
+ * Get the latest run of a command (or the latest failing command) in a project
+ * @param {Object} filter - { projectHash, commandKey, failedOnly }
+ * @returns {Object|null} Event
+ */
+export function getLatestRun({ projectHash, commandKey = null, failedOnly = false }) {
+  const conditions = ['project_hash IS ?', 'command_key IS NOT NULL'];
+  const params = [projectHash ?? null];
+  if (commandKey) {
+    conditions.push('command_key = ?');
+    params.push(commandKey);
+  }
+  if (failedOnly) {
+    conditions.push('exit_code != 0');
+  }
   
-  stmt.free();
-  
-  const result = db.exec('SELECT last_insert_rowid() as id');
-  saveDatabase();
+  const [row] = all(`
+    SELECT * FROM raw_events
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY id DESC
+    LIMIT 1
+  `, params);
+  return row || null;
+}
+
+/**
+ * Get the events run in a project, in any session, between two events
+ * @param {Object} range - { projectHash, afterId, untilId, limit }; both ends excluded
+ * @returns {Array} The last `limit` events of the range, in the order they ran
+ */
+export function getProjectEventsBetween({ projectHash, afterId, untilId, limit = 50 }) {
+  return all(`
+    SELECT * FROM raw_events
+    WHERE project_hash IS ? AND id > ? AND id < ?
+    ORDER BY id DESC
+    LIMIT ?
+  `, [projectHash ?? null, afterId, untilId, limit]).reverse();
+}
+
+/**
+ * Get the events a session ran in a project within an event ID range
+ * @param {Object} range - { sessionId, projectHash, afterId, untilId }
+ * @returns {Array} Events in the order they ran
+ */
+export function getSessionEventsBetween({ sessionId, projectHash, afterId, untilId }) {
+  return all(`
+    SELECT * FROM raw_events
+    WHERE session_id = ? AND project_hash IS ? AND id > ? AND id <= ?
+    ORDER BY id ASC
+  `, [sessionId, projectHash ?? null, afterId, untilId]);
+}
+
+/**
+ * Get a session's events that consolidation has not looked at yet
+ * @param {string} sessionId - Session ID
+ * @returns {Array} Events in the order they ran
+ */
+export function getUnconsolidatedEvents(sessionId) {
+  return all(`
+    SELECT r.* FROM raw_events r
+    JOIN sessions s ON s.session_id = r.session_id
+    WHERE r.session_id = ? AND r.id > s.consolidated_event_id
+    ORDER BY r.id ASC
+  `, [sessionId]);
+}
+
+/**
+ * Get sessions with events that consolidation has not looked at yet
+ * @returns {Array<string>} Session IDs
+ */
+export function getUnconsolidatedSessions() {
+  return all(`
+    SELECT s.session_id FROM sessions s
+    WHERE EXISTS (SELECT 1 FROM raw_events r WHERE r.session_id = s.session_id AND r.id > s.consolidated_event_id)
+    ORDER BY s.id ASC
+  `).map(row => row.session_id);
+}
+
+/**
+ * Record how far consolidation has got in a session
+ * @param {string} sessionId - Session ID
+ * @param {number} eventId - Last event looked at
+ */
+export function setConsolidatedEvent(sessionId, eventId) {
+  write('UPDATE sessions SET consolidated_event_id = ? WHERE session_id = ? AND consolidated_event_id < ?',
+    [eventId, sessionId, eventId]);
+}
+
+/**
+ * Record the workflow episode that covers an episode
+ * @param {number} episodeId - Episode ID
+ * @param {number} workflowId - Workflow episode ID
+ */
+export function setEpisodeWorkflow(episodeId, workflowId) {
+  write('UPDATE episodes SET workflow_id = ? WHERE id = ?', [workflowId, episodeId]);
+}
+
+/**
+ * Fold the single-command episodes of some events into a workflow episode
+ * They stay stored (and pinned, resolvable) but are no longer retrieved on
+ * their own. Episodes that recur outside the workflow are left alone.
+ * @param {number} workflowId - Workflow episode ID
+ * @param {Array<number>} eventIds - Events the workflow covers
+ * @returns {Array<number>} IDs of the episodes folded in
+ */
+export function supersedeEpisodes(workflowId, eventIds) {
+  if (eventIds.length === 0) return [];
   
-  return result[0]?.values[0][0] || 0;
+  return transaction(() => {
+    const covered = all(`
+      SELECT DISTINCT e.id, e.error_signature FROM episodes e
+      JOIN episode_events ee ON ee.episode_id = e.id
+      WHERE e.kind = 'event' AND e.workflow_id IS NULL AND e.occurrences = 1
+        AND ee.event_id IN (${eventIds.map(() => '?').join(', ')})
+    `, eventIds);
+    
+    for (const episode of covered) {
+      write('UPDATE episodes SET workflow_id = ?, updated_at = ? WHERE id = ?', [workflowId, now(), episode.id]);
+    }
+    
+    for (const signature of new Set(covered.map(episode => episode.error_signature).filter(Boolean))) {
+      refreshRecurrenceCounts(signature);
+    }
+    
+    return covered.map(episode => episode.id);
+  });
 }
 
 /**
- * Update an existing episode
+ * Get episodes that a new episode could be a repeat of, oldest first
+ * @param {Object} filter - { projectHash, kind, signature, excludeId }
+ * @returns {Array} Episodes not folded into a workflow
+ */
+export function getDuplicateCandidates({ projectHash, kind = 'event', signature = null, excludeId = null }) {
+  return all(`
+    SELECT * FROM episodes
+    WHERE project_hash IS ? AND kind = ? AND error_signature IS ? AND id IS NOT ? AND workflow_id IS NULL
+    ORDER BY id ASC
+  `, [projectHash ?? null, kind, signature ?? null, excludeId]);
+}
+
+/**
+ * Get every episode a batch de-duplication looks at, oldest first
+ * @returns {Array} Episodes not folded into a workflow
+ */
+export function getDedupeEpisodes() {
+  return all('SELECT * FROM episodes WHERE workflow_id IS NULL ORDER BY id ASC');
+}
+
+/**
+ * Count another occurrence of an episode
+ * @param {number} id - Canonical episode ID
+ * @param {Object} occurrence - { event_ids, timestamp }
+ * @returns {Object} Updated episode
+ */
+export function recordOccurrence(id, occurrence) {
+  return transaction(() => {
+    const seen = occurrence.timestamp || new Date().toISOString();
+    write(`
+      UPDATE episodes
+      SET occurrences = occurrences + 1,
+          first_seen = MIN(COALESCE(first_seen, ?), ?), last_seen = MAX(COALESCE(last_seen, ?), ?),
+          updated_at = ?
+      WHERE id = ?
+    `, [seen, seen, seen, seen, now(), id]);
+    
+    if (occurrence.event_ids?.length) {
+      linkEpisodeEvents(id, occurrence.event_ids);
+    }
+    
+    const episode = getEpisode(id);
+    if (episode.error_signature) {
+      refreshRecurrenceCounts(episode.error_signature);
+    }
+    return getEpisode(id);
+  });
+}
+
+/**
+ * Fold a duplicate episode into its canonical episode and delete it
+ * Occurrences add up, the seen range widens, source events move over, and
+ * a pin or a recorded fix the canonical episode lacks is kept.
+ * @param {number} canonicalId - Episode that stays
+ * @param {number} duplicateId - Episode that goes
+ * @returns {Object} Updated canonical episode
+ */
+export function mergeEpisodes(canonicalId, duplicateId) {
+  return transaction(() => {
+    const duplicate = getEpisode(duplicateId);
+    
+    write(`
+      UPDATE episodes
+      SET occurrences = occurrences + ?,
+          first_seen = MIN(COALESCE(first_seen, ?), COALESCE(?, first_seen)),
+          last_seen = MAX(COALESCE(last_seen, ?), COALESCE(?, last_seen)),
+          pinned = MAX(pinned, ?),
+          updated_at = ?
+      WHERE id = ?
+    `, [
+      duplicate.occurrences, duplicate.first_seen, duplicate.first_seen,
+      duplicate.last_seen, duplicate.last_seen, duplicate.pinned, now(), canonicalId
+    ]);
+    
+    if (duplicate.resolved) {
+      write(`
+        UPDATE episodes SET fix = ?, resolved = 1, resolved_at = ?, resolution_event_id = ?,
+          fix_commit = ?, fix_commit_subject = ?
+        WHERE id = ? AND resolved = 0
+      `, [
+        duplicate.fix, duplicate.resolved_at, duplicate.resolution_event_id,
+        duplicate.fix_commit, duplicate.fix_commit_subject, canonicalId
+      ]);
+    }
+    
+    const eventIds = all('SELECT event_id FROM episode_events WHERE episode_id = ? ORDER BY position', [duplicateId])
+      .map(link => link.event_id);
+    linkEpisodeEvents(canonicalId, eventIds);
+    
+    write('UPDATE episodes SET workflow_id = ? WHERE workflow_id = ?', [canonicalId, duplicateId]);
+    write('DELETE FROM episode_events WHERE episode_id = ?', [duplicateId]);
+    write('DELETE FROM embeddings WHERE episode_id = ?', [duplicateId]);
+    write('DELETE FROM episodes WHERE id = ?', [duplicateId]);
+    
+    if (duplicate.error_signature) {
+      refreshRecurrenceCounts(duplicate.error_signature);
+    }
+    return getEpisode(canonicalId);
+  });
+}
+
+/**
+ * Record how a failing episode was resolved
  * @param {number} id - Episode ID
- * @param {Object} episode - Updated episode data
+ * @param {Object} resolution - { fix, resolution_event_id, event_ids, fix_commit }
+ *   where fix_commit is { sha, subject } when the fix was already committed
  */
-export function updateEpisode(id, episode) {
-  const stmt = db.prepare(`
-    UPDATE episodes 
-    SET summary = ?, problem = ?, environment = ?, fix = ?, keywords = ?, 
-        embedding_id = ?, updated_at = datetime('now')
+export function resolveEpisode(id, resolution) {
+  transaction(() => {
+    write(`
+      UPDATE episodes
+      SET fix = ?, resolved = 1, resolved_at = ?, resolution_event_id = ?,
+        fix_commit = ?, fix_commit_subject = ?, updated_at = ?
+      WHERE id = ?
+    `, [
+      resolution.fix, now(), resolution.resolution_event_id,
+      resolution.fix_commit?.sha || null, resolution.fix_commit?.subject || null, now(), id
+    ]);
+    
+    if (resolution.event_ids?.length) {
+      linkEpisodeEvents(id, resolution.event_ids);
+    }
+  });
+}
+
+/**
+ * Link a resolved episode to the commit that contained its fix
+ * @param {number} id - Episode ID
+ * @param {Object} commit - { sha, subject }
+ */
+export function setFixCommit(id, commit) {
+  write(`
+    UPDATE episodes SET fix_commit = ?, fix_commit_subject = ?, updated_at = ?
     WHERE id = ?
-  `);
-  
-  stmt.run([
-    episode.summary,
-    episode.problem,
-    episode.environment,
-    episode.fix,
-    episode.keywords,
-    episode.embedding_id || null,
-    id
-  ]);
-  
-  stmt.free();
-  saveDatabase();
+  `, [commit.sha, commit.subject || null, now(), id]);
+}
+
+/**
+ * Get resolved episodes of a project whose fix commit is not known yet
+ * Only resolutions made on another commit than `head` can have been
+ * committed since.
+ * @param {Object} filter - { projectHash, head, since }
+ * @returns {Array} { id, resolution_git_status }, oldest first
+ */
+export function getPendingFixes({ projectHash, head, since }) {
+  return all(`
+    SELECT e.id, r.git_status AS resolution_git_status
+    FROM episodes e
+    JOIN raw_events r ON r.id = e.resolution_event_id
+    WHERE e.project_hash IS ? AND e.resolved = 1 AND e.fix_commit IS NULL
+      AND r.git_head IS NOT NULL AND r.git_head != ? AND e.resolved_at >= ?
+    ORDER BY e.id ASC
+  `, [projectHash ?? null, head, since]);
 }
 
 /**
@@ -269,6 +1079,53 @@ export function getEpisode(id) {
   return null;
 }
 
+/**
+ * Recount how often each error signature occurs (occurrences included)
+ * @param {string} signature - Only this signature (all when omitted)
+ */
+export function refreshRecurrenceCounts(signature = null) {
+  write(`
+    UPDATE episodes SET recurrence_count = (
+      SELECT COALESCE(SUM(other.occurrences), 0) FROM episodes other
+      WHERE other.error_signature = episodes.error_signature AND other.workflow_id IS NULL
+    )
+    WHERE ${signature ? 'error_signature = ?' : 'error_signature IS NOT NULL'}
+  `, signature ? [signature] : []);
+}
+
+/**
+ * Get episodes with an identical error signature, newest first
+ * @param {string} signature - Error signature
+ * @param {Object} options - { limit, excludeId }
+ * @returns {Array} Episodes
+ */
+export function getEpisodesBySignature(signature, options = {}) {
+  const { limit = 10, excludeId = null } = options;
+  
+  return all(`
+    SELECT * FROM episodes
+    WHERE error_signature = ? AND id IS NOT ? AND workflow_id IS NULL
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `, [signature, excludeId, limit]);
+}
+
+/**
+ * Summarize previous occurrences of an error signature
+ * @param {string} signature - Error signature
+ * @param {number} excludeId - Episode to leave out (usually the current one)
+ * @returns {Object} { count, first_seen, last_seen }
+ */
+export function getSignatureHistory(signature, excludeId = null) {
+  const [row] = all(`
+    SELECT COALESCE(SUM(occurrences), 0) as count, MIN(first_seen) as first_seen, MAX(last_seen) as last_seen
+    FROM episodes
+    WHERE error_signature = ? AND id IS NOT ? AND workflow_id IS NULL
+  `, [signature, excludeId]);
+  
+  return row;
+}
+
 /**
  * Get recent episodes for a project
  * @param {string} projectHash - Project hash
@@ -294,83 +1151,212 @@ export function getRecentEpisodes(projectHash, limit = 10) {
 }
 
 /**
- * Search episodes by similarity (basic text search fallback)
+ * Full-text search over episodes, ranked by BM25
+ * Supports "quoted phrases" and prefix* terms.
  * @param {string} query - Search query
  * @param {number} limit - Max results
- * @returns {Array} Matching episodes
+ * @returns {Array} Matching episodes with `rank` and highlighted `snippet`
  */
 export function searchEpisodes(query, limit = 5) {
-  const escapedQuery = query.replace(/'/g, "''");
+  const match = buildMatchQuery(query);
+  if (!match) return [];
   
-  const results = db.exec(`
-    SELECT * FROM episodes 
-    WHERE summary LIKE '%${escapedQuery}%' 
-       OR problem LIKE '%${escapedQuery}%' 
-       OR keywords LIKE '%${escapedQuery}%'
-    ORDER BY created_at DESC 
-    LIMIT ${limit}
-  `);
+  // Column weights: summary, problem, fix, keywords
+  return all(`
+    SELECT e.*,
+           snippet(episodes_fts, ?, ?, '…', -1, 12) AS snippet,
+           ghostly_bm25(matchinfo(episodes_fts, 'pcnalx'), '1,2,1,1.5') AS rank
+    FROM episodes_fts
+    JOIN episodes e ON e.id = episodes_fts.docid
+    WHERE episodes_fts MATCH ? AND e.workflow_id IS NULL
+    ORDER BY rank DESC
+    LIMIT ?
+  `, [HIGHLIGHT_OPEN, HIGHLIGHT_CLOSE, match, limit]);
+}
+
+/**
+ * Full-text search over raw event commands and stderr, ranked by BM25
+ * @param {string} query - Search query
+ * @param {number} limit - Max results
+ * @returns {Array} Matching events with `rank` and highlighted `snippet`
+ */
+export function searchEvents(query, limit = 5) {
+  const match = buildMatchQuery(query);
+  if (!match) return [];
   
-  if (!results[0]) return [];
+  // Column weights: command, stderr_text
+  return all(`
+    SELECT r.*,
+           snippet(events_fts, ?, ?, '…', -1, 12) AS snippet,
+           ghostly_bm25(matchinfo(events_fts, 'pcnalx'), '1.5,1') AS rank
+    FROM events_fts
+    JOIN raw_events r ON r.id = events_fts.docid
+    WHERE events_fts MATCH ?
+    ORDER BY rank DESC
+    LIMIT ?
+  `, [HIGHLIGHT_OPEN, HIGHLIGHT_CLOSE, match, limit]);
+}
+
+/**
+ * Run a read query and return rows as objects
+ * @param {string} sql - SELECT statement
+ * @param {Array} params - Bound parameters
+ * @returns {Array<Object>} Rows
+ */
+function all(sql, params = []) {
+  const stmt = db.prepare(sql);
+  const rows = [];
   
-  const columns = results[0].columns;
-  return results[0].values.map(row => {
-    const obj = {};
-    columns.forEach((col, i) => obj[col] = row[i]);
-    return obj;
-  });
+  try {
+    stmt.bind(params);
+    while (stmt.step()) {
+      rows.push(stmt.getAsObject());
+    }
+  } finally {
+    stmt.free();
+  }
+  
+  return rows;
 }
 
 /**
- * Insert embedding for an episode
+ * Insert embedding for an episode, replacing the one it had
+ * Vectors are packed as little-endian Float32, or int8 when
+ * storage.vector_quantization is 'int8'.
  * @param {number} episodeId - Episode ID
  * @param {string} model - Embedding model name
- * @param {Array} vector - Embedding vector
+ * @param {Array<number>|Float32Array} vector - Embedding vector
+ * @returns {number} Inserted embedding ID
  */
 export function insertEmbedding(episodeId, model, vector) {
-  // Convert vector to base64 string for storage
-  const vectorStr = JSON.stringify(vector);
-  
-  const stmt = db.prepare(`
-    INSERT INTO embeddings (episode_id, model, vector)
-    VALUES (?, ?, ?)
-  `);
+  const config = loadConfig();
+  const encoding = config.storage.vector_quantization === 'int8' ? ENCODINGS.INT8 : ENCODINGS.FLOAT32;
+  const packed = packVector(vector, encoding);
   
-  stmt.run([episodeId, model, vectorStr]);
-  stmt.free();
+  const id = transaction(() => {
+    write('DELETE FROM embeddings WHERE episode_id = ?', [episodeId]);
+    return insert(`
+      INSERT INTO embeddings (episode_id, model, vector, dim, encoding, scale, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [episodeId, model, packed.blob, packed.dim, packed.encoding, packed.scale, now()]);
+  });
   
-  const result = db.exec('SELECT last_insert_rowid() as id');
-  saveDatabase();
+  for (const listener of embeddingListeners) {
+    listener({ id, episode_id: episodeId, model, dim: packed.dim, vector });
+  }
   
-  return result[0]?.values[0][0] || 0;
+  return id;
+}
+
+/**
+ * Register a callback invoked after every insertEmbedding()
+ * @param {Function} listener - Receives { id, episode_id, model, dim, vector }
+ */
+export function onEmbeddingInserted(listener) {
+  embeddingListeners.push(listener);
 }
 
 /**
  * Get embedding for an episode
  * @param {number} episodeId - Episode ID
- * @returns {Object|null} Embedding data with vector
+ * @returns {Object|null} Embedding data with a typed-array vector
  */
 export function getEmbedding(episodeId) {
-  const stmt = db.prepare(`
-    SELECT id, episode_id, model, vector, created_at 
+  const rows = all(`
+    SELECT id, episode_id, model, dim, encoding, scale, vector, created_at 
     FROM embeddings 
     WHERE episode_id = ?
-  `);
+    ORDER BY id DESC
+    LIMIT 1
+  `, [episodeId]);
   
-  stmt.bind([episodeId]);
+  return rows.length > 0 ? toEmbedding(rows[0]) : null;
+}
+
+/**
+ * Iterate stored embeddings as typed arrays
+ * @param {Object} filter - Optional filter
+ * @param {string} filter.model - Only vectors from this model
+ * @param {number} filter.dim - Only vectors of this dimension
+ * @param {number} filter.afterId - Only embeddings with a greater ID
+ * @yields {Object} { id, episode_id, model, dim, encoding, scale, vector }
+ */
+export function* loadEmbeddings(filter = {}) {
+  const conditions = [];
+  const params = [];
   
-  if (stmt.step()) {
-    const row = stmt.getAsObject();
-    stmt.free();
-    
-    return {
-      ...row,
-      vector: JSON.parse(row.vector)
-    };
+  if (filter.model) {
+    conditions.push('model = ?');
+    params.push(filter.model);
   }
   
-  stmt.free();
-  return null;
+  if (filter.dim) {
+    conditions.push('dim = ?');
+    params.push(filter.dim);
+  }
+  
+  if (filter.afterId) {
+    conditions.push('id > ?');
+    params.push(filter.afterId);
+  }
+  
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const stmt = db.prepare(`
+    SELECT id, episode_id, model, dim, encoding, scale, vector, created_at
+    FROM embeddings ${where}
+    ORDER BY id ASC
+  `);
+  
+  try {
+    stmt.bind(params);
+    while (stmt.step()) {
+      yield toEmbedding(stmt.getAsObject());
+    }
+  } finally {
+    stmt.free();
+  }
+}
+
+/**
+ * Convert a stored embedding row into its typed-array form
+ * @param {Object} row - embeddings row
+ * @returns {Object} Embedding with unpacked vector
+ */
+function toEmbedding(row) {
+  return {
+    ...row,
+    vector: unpackVector(row.vector, row.encoding)
+  };
+}
+
+/**
+ * Fold projects recorded before schema v10 into the project they belong to
+ * Those were keyed by the directory a command ran in; rows at or below this
+ * project's root that resolve to it are merged in, nested projects are not.
+ * @param {Object} project - Project data from resolveProject
+ * @returns {string|null} Earliest first_seen of the merged rows
+ */
+function mergeLegacyProjects(project) {
+  const prefix = project.root_path.endsWith(path.sep) ? project.root_path : project.root_path + path.sep;
+  const legacy = db.exec(`
+    SELECT project_hash, root_path, first_seen FROM projects
+    WHERE rekey_pending = 1 AND project_hash != ? AND (root_path = ? OR substr(root_path, 1, ?) = ?)
+  `, [project.project_hash, project.root_path, prefix.length, prefix])[0]?.values || [];
+
+  let firstSeen = null;
+  for (const [oldHash, rootPath, seen] of legacy) {
+    if (resolveProject(rootPath).project_hash !== project.project_hash) continue;
+
+    write('UPDATE raw_events SET project_hash = ? WHERE project_hash = ?', [project.project_hash, oldHash]);
+    write('UPDATE episodes SET project_hash = ? WHERE project_hash = ?', [project.project_hash, oldHash]);
+    write('UPDATE OR IGNORE recipes SET project_hash = ? WHERE project_hash = ?', [project.project_hash, oldHash]);
+    write('DELETE FROM recipes WHERE project_hash = ?', [oldHash]);
+    write('DELETE FROM projects WHERE project_hash = ?', [oldHash]);
+
+    if (seen && (!firstSeen || seen < firstSeen)) firstSeen = seen;
+  }
+
+  return firstSeen;
 }
 
 /**
@@ -378,32 +1364,28 @@ export function getEmbedding(episodeId) {
  * @param {Object} project - Project data
  */
 export function upsertProject(project) {
-  // Check if exists
-  const existing = db.exec(`SELECT id FROM projects WHERE project_hash = '${project.project_hash}'`);
-  
-  if (existing[0]?.values?.length > 0) {
-    db.run(`
-      UPDATE projects 
-      SET name = '${(project.name || '').replace(/'/g, "''")}', 
-          root_path = '${(project.root_path || '').replace(/'/g, "''")}', 
-          git_remote = '${(project.git_remote || '').replace(/'/g, "''")}', 
-          last_seen = datetime('now')
-      WHERE project_hash = '${project.project_hash}'
-    `);
-  } else {
-    db.run(`
-      INSERT INTO projects (project_hash, name, root_path, git_remote, last_seen)
-      VALUES (
-        '${project.project_hash}', 
-        '${(project.name || '').replace(/'/g, "''")}', 
-        '${(project.root_path || '').replace(/'/g, "''")}', 
-        '${(project.git_remote || '').replace(/'/g, "''")}', 
-        datetime('now')
-      )
-    `);
-  }
-  
-  saveDatabase();
+  transaction(() => {
+    const firstSeen = project.root_path ? mergeLegacyProjects(project) : null;
+
+    write(`
+      INSERT INTO projects (project_hash, name, root_path, git_remote, first_seen, last_seen)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(project_hash) DO UPDATE SET
+        name = excluded.name,
+        root_path = excluded.root_path,
+        git_remote = excluded.git_remote,
+        first_seen = MIN(first_seen, excluded.first_seen),
+        last_seen = excluded.last_seen,
+        rekey_pending = 0
+    `, [
+      project.project_hash,
+      project.name || '',
+      project.root_path || '',
+      project.git_remote || '',
+      firstSeen || now(),
+      now()
+    ]);
+  });
 }
 
 /**
@@ -441,12 +1423,10 @@ export function getOrCreateSession(sessionId, initialData = {}) {
   }
   
   // Create new session
-  db.run(`
-    INSERT INTO sessions (session_id, cwd, git_branch)
-    VALUES ('${sessionId}', '${(initialData.cwd || '').replace(/'/g, "''")}', '${(initialData.git_branch || '').replace(/'/g, "''")}')
-  `);
-  
-  saveDatabase();
+  write(`
+    INSERT INTO sessions (session_id, cwd, git_branch, started_at, last_activity)
+    VALUES (?, ?, ?, ?, ?)
+  `, [sessionId, initialData.cwd || '', initialData.git_branch || '', now(), now()]);
   
   const result = db.exec(`SELECT * FROM sessions WHERE session_id = '${sessionId}'`);
   const columns = result[0].columns;
@@ -463,21 +1443,22 @@ export function getOrCreateSession(sessionId, initialData = {}) {
  */
 export function updateSession(sessionId, data) {
   const updates = [];
+  const params = [];
   
   if (data.cwd) {
-    updates.push(`cwd = '${data.cwd.replace(/'/g, "''")}'`);
+    updates.push('cwd = ?');
+    params.push(data.cwd);
   }
   
   if (data.git_branch) {
-    updates.push(`git_branch = '${data.git_branch.replace(/'/g, "''")}'`);
+    updates.push('git_branch = ?');
+    params.push(data.git_branch);
   }
   
-  updates.push("last_activity = datetime('now')");
+  updates.push('last_activity = ?');
+  params.push(now());
   
-  if (updates.length > 0) {
-    db.run(`UPDATE sessions SET ${updates.join(', ')} WHERE session_id = '${sessionId}'`);
-    saveDatabase();
-  }
+  write(`UPDATE sessions SET ${updates.join(', ')} WHERE session_id = ?`, [...params, sessionId]);
 }
 
 /**
@@ -485,8 +1466,7 @@ export function updateSession(sessionId, data) {
  * @param {string} sessionId - Session ID
  */
 export function endSession(sessionId) {
-  db.run(`UPDATE sessions SET ended_at = datetime('now') WHERE session_id = '${sessionId}'`);
-  saveDatabase();
+  write('UPDATE sessions SET ended_at = ? WHERE session_id = ?', [now(), sessionId]);
 }
 
 /**
@@ -551,28 +1531,557 @@ export function getStats() {
   };
 }
 
+// Natural keys used to recognise rows that already exist on import
+const IMPORT_KEYS = {
+  projects: ['project_hash'],
+  sessions: ['session_id'],
+  raw_events: ['session_id', 'timestamp', 'command'],
+  episodes: ['project_hash', 'created_at', 'summary']
+};
+
+// Columns that reference local row IDs; import remaps them or leaves them out
+const LOCAL_COLUMNS = new Set(['id', 'embedding_id', 'resolution_event_id', 'workflow_id', 'consolidated_event_id']);
+
+/**
+ * Iterate query results row by row
+ * @param {string} sql - SELECT statement
+ * @param {Array} params - Bound parameters
+ */
+function* iterate(sql, params = []) {
+  const stmt = db.prepare(sql);
+  
+  try {
+    stmt.bind(params);
+    while (stmt.step()) {
+      yield stmt.getAsObject();
+    }
+  } finally {
+    stmt.free();
+  }
+}
+
+/**
+ * Stream the rows selected for an archive, parents before children
+ * Yields projects, sessions, events, episodes (with the IDs of their source
+ * events) and, optionally, the latest embedding of each episode.
+ * @param {Object} filter - Archive filter
+ * @param {string} filter.projectHash - Only this project
+ * @param {string} filter.since - ISO time, inclusive
+ * @param {string} filter.until - ISO time, exclusive
+ * @param {boolean} filter.episodesOnly - Skip sessions and raw events
+ * @param {boolean} filter.withEmbeddings - Include embeddings
+ * @returns {Generator<Object>} { type, row }
+ */
+export function* getArchiveRows(filter = {}) {
+  const toSqliteTime = iso => iso.replace('T', ' ').slice(0, 19);
+  const eventConditions = ['1 = 1'];
+  const eventParams = [];
+  const episodeConditions = ['1 = 1'];
+  const episodeParams = [];
+  
+  if (filter.projectHash) {
+    eventConditions.push('project_hash = ?');
+    eventParams.push(filter.projectHash);
+    episodeConditions.push('project_hash = ?');
+    episodeParams.push(filter.projectHash);
+  }
+  if (filter.since) {
+    eventConditions.push('timestamp >= ?');
+    eventParams.push(filter.since);
+    episodeConditions.push('created_at >= ?');
+    episodeParams.push(toSqliteTime(filter.since));
+  }
+  if (filter.until) {
+    eventConditions.push('timestamp < ?');
+    eventParams.push(filter.until);
+    episodeConditions.push('created_at < ?');
+    episodeParams.push(toSqliteTime(filter.until));
+  }
+  
+  const events = `SELECT %COLUMN% FROM raw_events WHERE ${eventConditions.join(' AND ')}`;
+  const episodes = `SELECT %COLUMN% FROM episodes WHERE ${episodeConditions.join(' AND ')}`;
+  const column = (sql, name) => sql.replace('%COLUMN%', name);
+  
+  const projectSources = [column(episodes, 'project_hash')];
+  const projectParams = [...episodeParams];
+  if (!filter.episodesOnly) {
+    projectSources.push(column(events, 'project_hash'));
+    projectParams.push(...eventParams);
+  }
+  
+  for (const row of iterate(`
+    SELECT * FROM projects WHERE project_hash IN (${projectSources.join(' UNION ')}) ORDER BY id
+  `, projectParams)) {
+    yield { type: 'project', row };
+  }
+  
+  if (!filter.episodesOnly) {
+    for (const row of iterate(`
+      SELECT * FROM sessions WHERE session_id IN (${column(events, 'session_id')}) ORDER BY id
+    `, eventParams)) {
+      yield { type: 'session', row };
+    }
+    
+    for (const row of iterate(`${column(events, '*')} ORDER BY id`, eventParams)) {
+      yield { type: 'event', row };
+    }
+  }
+  
+  for (const row of iterate(`${column(episodes, '*')} ORDER BY id`, episodeParams)) {
+    const eventIds = filter.episodesOnly
+      ? []
+      : all('SELECT event_id FROM episode_events WHERE episode_id = ? ORDER BY position', [row.id]).map(link => link.event_id);
+    yield { type: 'episode', row: { ...row, event_ids: eventIds } };
+  }
+  
+  if (filter.withEmbeddings) {
+    for (const row of iterate(`
+      SELECT id, episode_id, model, dim, encoding, scale, vector, created_at FROM embeddings
+      WHERE episode_id IN (${column(episodes, 'id')})
+        AND id IN (SELECT MAX(id) FROM embeddings GROUP BY episode_id)
+      ORDER BY id
+    `, episodeParams)) {
+      yield { type: 'embedding', row: toEmbedding(row) };
+    }
+  }
+}
+
+/**
+ * Insert an archived row unless an equivalent row already exists
+ * Only columns the local table has are copied, so archives written by older
+ * or newer schema versions import cleanly.
+ * @param {string} table - 'projects', 'sessions', 'raw_events' or 'episodes'
+ * @param {Object} row - Archived row
+ * @param {Object} links - Remapped local IDs for columns that reference other rows
+ * @returns {Object} { id, inserted }
+ */
+export function importRow(table, row, links = {}) {
+  const keys = IMPORT_KEYS[table];
+  if (!keys) {
+    throw new Error(`Cannot import rows into ${table}`);
+  }
+  
+  return transaction(() => {
+    const existing = all(
+      `SELECT id FROM ${table} WHERE ${keys.map(key => `${key} IS ?`).join(' AND ')}`,
+      keys.map(key => row[key] ?? null)
+    );
+    if (existing.length > 0) {
+      return { id: existing[0].id, inserted: false };
+    }
+    
+    const values = { ...row, ...links };
+    const columns = all(`PRAGMA table_info(${table})`)
+      .map(info => info.name)
+      .filter(name => (!LOCAL_COLUMNS.has(name) || name in links) && values[name] !== undefined);
+    
+    const id = insert(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(name => values[name])
+    );
+    return { id, inserted: true };
+  });
+}
+
+/**
+ * Describe how the database is stored on disk
+ * @returns {Object} { encrypted, configured, keySource }
+ */
+export function getEncryptionStatus() {
+  return {
+    encrypted,
+    configured: loadConfig().security.encrypt === true,
+    keySource
+  };
+}
+
+/**
+ * Re-encrypt the database with a new key, or decrypt it
+ * Folds the journal into a freshly written snapshot, so afterwards only the
+ * new key opens the database. Migration backups keep their old format.
+ * Sidecar files are deleted; they are rebuilt in the new format on use.
+ * @param {Object|null} key - New { secret, source } (see encryption.js), or null to store plaintext
+ */
+export function rekey(key) {
+  withDatabaseLock(() => {
+    syncWithDisk();
+    
+    encrypted = Boolean(key);
+    cipher = key ? createCipher(key.secret) : null;
+    keySource = key?.source || null;
+    checkpoint();
+    
+    for (const getPath of sidecarFiles) {
+      fs.rmSync(getPath(), { force: true });
+    }
+  });
+}
+
+/**
+ * Register a file kept next to the database whose contents derive from it
+ * @param {Function} getPath - Returns the file's path for the current config
+ */
+export function registerSidecar(getPath) {
+  sidecarFiles.push(getPath);
+}
+
+/**
+ * Prepare the contents of a sidecar file for writing
+ * Sidecars hold database content (embedding vectors, paths), so they are
+ * sealed with the database key whenever the database is encrypted.
+ * @param {Buffer} data - Plaintext contents
+ * @returns {Buffer|null} Contents to write, or null when encryption is
+ *   configured but no encrypted database is open (do not write anything)
+ */
+export function sealSidecar(data) {
+  if (encrypted) return cipher.encrypt(data);
+  return db || !loadConfig().security.encrypt ? data : null;
+}
+
+/**
+ * Read the contents of a sidecar file written by sealSidecar()
+ * @param {Buffer} data - File contents
+ * @returns {Buffer|null} Plaintext, or null when the file cannot be used:
+ *   sealed without a key to open it, or left in plaintext while the
+ *   database is encrypted (it is replaced on the next write)
+ */
+export function openSidecar(data) {
+  if (!isEncrypted(data)) {
+    return encrypted ? null : data;
+  }
+  if (!cipher) return null;
+  
+  try {
+    return cipher.decrypt(data);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the latest events of a project, for recipe mining
+ * @param {Object} filter - { projectHash, limit }
+ * @returns {Array} Events in the order they ran
+ */
+export function getProjectEvents({ projectHash, limit }) {
+  return all(`
+    SELECT id, session_id, timestamp, cwd, command, exit_code, project_hash FROM raw_events
+    WHERE project_hash IS ?
+    ORDER BY id DESC
+    LIMIT ?
+  `, [projectHash ?? null, limit]).reverse();
+}
+
+/**
+ * Store a mined recipe, or refresh the one mined under the same pattern
+ * A refreshed recipe keeps its name.
+ * @param {Object} recipe - { project_hash, name, pattern, steps, params, support, last_seen }
+ * @returns {Object} Stored recipe
+ */
+export function upsertRecipe(recipe) {
+  return transaction(() => {
+    const [existing] = all('SELECT id FROM recipes WHERE project_hash = ? AND pattern = ?', [recipe.project_hash, recipe.pattern]);
+    const steps = JSON.stringify(recipe.steps);
+    const params = JSON.stringify(recipe.params);
+    
+    if (existing) {
+      write(`
+        UPDATE recipes SET steps = ?, params = ?, support = ?, last_seen = ?, updated_at = ?
+        WHERE id = ?
+      `, [steps, params, recipe.support, recipe.last_seen, now(), existing.id]);
+      return getRecipe(existing.id);
+    }
+    
+    const id = insert(`
+      INSERT INTO recipes (project_hash, name, pattern, steps, params, support, last_seen, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [recipe.project_hash, recipe.name, recipe.pattern, steps, params, recipe.support, recipe.last_seen, now(), now()]);
+    return getRecipe(id);
+  });
+}
+
+/**
+ * Parse the JSON columns of a recipe row
+ * @param {Object|undefined} row - Row
+ * @returns {Object|null} Recipe
+ */
+function parseRecipe(row) {
+  if (!row) return null;
+  return { ...row, steps: JSON.parse(row.steps), params: JSON.parse(row.params) };
+}
+
+/**
+ * Get a recipe by ID
+ * @param {number} id - Recipe ID
+ * @returns {Object|null} Recipe
+ */
+export function getRecipe(id) {
+  return parseRecipe(all('SELECT * FROM recipes WHERE id = ?', [id])[0]);
+}
+
+/**
+ * Get a project's recipe by name
+ * @param {string} projectHash - Project hash
+ * @param {string} name - Recipe name
+ * @returns {Object|null} Recipe
+ */
+export function getRecipeByName(projectHash, name) {
+  return parseRecipe(all('SELECT * FROM recipes WHERE project_hash = ? AND name = ?', [projectHash, name])[0]);
+}
+
+/**
+ * Get a project's recipes, the most used first
+ * @param {string} projectHash - Project hash
+ * @returns {Array<Object>} Recipes
+ */
+export function getRecipes(projectHash) {
+  return all(`
+    SELECT * FROM recipes WHERE project_hash = ?
+    ORDER BY support DESC, last_seen DESC, id ASC
+  `, [projectHash]).map(parseRecipe);
+}
+
+/**
+ * Delete recipes
+ * @param {Array<number>} ids - Recipe IDs
+ */
+export function deleteRecipes(ids) {
+  if (ids.length > 0) {
+    writeForIds('DELETE FROM recipes WHERE id IN (%IDS%)', ids);
+  }
+}
+
+/**
+ * Pin or unpin an episode (pinned episodes are never pruned)
+ * @param {number} id - Episode ID
+ * @param {boolean} pinned - New pinned state
+ * @returns {boolean} False if the episode does not exist
+ */
+export function setEpisodePinned(id, pinned) {
+  if (!getEpisode(id)) return false;
+  write('UPDATE episodes SET pinned = ? WHERE id = ?', [pinned ? 1 : 0, id]);
+  return true;
+}
+
+// Sentinel used to roll back a dry-run prune
+const DRY_RUN = Symbol('dry-run');
+
+// Ids per DELETE statement (SQLite caps bound parameters)
+const ID_CHUNK_SIZE = 500;
+
+/**
+ * Run a statement over a list of IDs in chunks
+ * @param {string} sql - Statement with `%IDS%` where the ID list goes
+ * @param {Array<number>} ids - Row IDs
+ */
+function writeForIds(sql, ids) {
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + ID_CHUNK_SIZE);
+    write(sql.replace('%IDS%', chunk.map(() => '?').join(', ')), chunk);
+  }
+}
+
+/**
+ * Delete expired rows according to a retention policy
+ * Cutoffs are passed in (rather than computed with datetime('now')) so the
+ * journaled statements replay identically in other processes. Events that
+ * belong to pinned episodes are never touched.
+ * @param {Object} policy - Retention cutoffs, each optional
+ * @param {string} policy.outputBefore - Strip stdout/stderr of events before this ISO time
+ * @param {string} policy.eventsBefore - Delete events before this ISO time
+ * @param {string} policy.episodesBefore - Delete unpinned episodes last updated before this ISO time
+ * @param {number} policy.maxProjectBytes - Per-project cap on raw event storage
+ * @param {Object} options - { dryRun: report what would be removed without removing it }
+ * @returns {Object} Counts plus the IDs of removed episodes
+ */
+export function pruneDatabase(policy, options = {}) {
+  const { dryRun = false } = options;
+  const protectedEvents = `
+    SELECT ee.event_id FROM episode_events ee
+    JOIN episodes e ON e.id = ee.episode_id
+    WHERE e.pinned = 1
+  `;
+  const ids = (sql, params = []) => all(sql, params).map(row => row.id);
+
+  let summary;
+
+  try {
+    transaction(() => {
+      summary = {
+        episodes: 0,
+        events: 0,
+        outputs: 0,
+        embeddings: 0,
+        episodeIds: []
+      };
+
+      if (policy.episodesBefore) {
+        // episodes.updated_at uses SQLite's 'YYYY-MM-DD HH:MM:SS' format
+        const cutoff = policy.episodesBefore.replace('T', ' ').slice(0, 19);
+        const expired = ids('SELECT id FROM episodes WHERE pinned = 0 AND updated_at < ?', [cutoff]);
+        writeForIds('DELETE FROM episode_events WHERE episode_id IN (%IDS%)', expired);
+        writeForIds('DELETE FROM episodes WHERE id IN (%IDS%)', expired);
+        // Episodes folded into a pruned workflow stand on their own again
+        writeForIds('UPDATE episodes SET workflow_id = NULL WHERE workflow_id IN (%IDS%)', expired);
+        summary.episodes = expired.length;
+        summary.episodeIds.push(...expired);
+      }
+
+      if (policy.eventsBefore) {
+        const expired = ids(`
+          SELECT id FROM raw_events
+          WHERE timestamp < ? AND id NOT IN (${protectedEvents})
+        `, [policy.eventsBefore]);
+        writeForIds('DELETE FROM episode_events WHERE event_id IN (%IDS%)', expired);
+        writeForIds('DELETE FROM raw_events WHERE id IN (%IDS%)', expired);
+        summary.events += expired.length;
+      }
+
+      if (policy.outputBefore) {
+        const stale = ids(`
+          SELECT id FROM raw_events
+          WHERE timestamp < ?
+            AND (stdout_text IS NOT NULL OR stderr_text IS NOT NULL)
+            AND id NOT IN (${protectedEvents})
+        `, [policy.outputBefore]);
+        writeForIds('UPDATE raw_events SET stdout_text = NULL, stderr_text = NULL WHERE id IN (%IDS%)', stale);
+        summary.outputs = stale.length;
+      }
+
+      if (policy.maxProjectBytes) {
+        const eventSize = 'LENGTH(command) + COALESCE(LENGTH(stdout_text), 0) + COALESCE(LENGTH(stderr_text), 0)';
+        const oversized = all(`
+          SELECT project_hash, SUM(${eventSize}) as bytes FROM raw_events
+          GROUP BY project_hash HAVING bytes > ?
+        `, [policy.maxProjectBytes]);
+
+        for (const project of oversized) {
+          const candidates = all(`
+            SELECT id, ${eventSize} as bytes FROM raw_events
+            WHERE project_hash IS ? AND id NOT IN (${protectedEvents})
+            ORDER BY timestamp ASC, id ASC
+          `, [project.project_hash]);
+
+          // Drop the oldest events until the project fits
+          let bytes = project.bytes;
+          const evicted = [];
+          for (const candidate of candidates) {
+            if (bytes <= policy.maxProjectBytes) break;
+            evicted.push(candidate.id);
+            bytes -= candidate.bytes;
+          }
+
+          writeForIds('DELETE FROM episode_events WHERE event_id IN (%IDS%)', evicted);
+          writeForIds('DELETE FROM raw_events WHERE id IN (%IDS%)', evicted);
+          summary.events += evicted.length;
+        }
+      }
+
+      // Embeddings whose episode is gone (pruned now or deleted earlier)
+      const orphans = all(`
+        SELECT id, episode_id FROM embeddings
+        WHERE episode_id NOT IN (SELECT id FROM episodes)
+      `);
+      writeForIds('DELETE FROM embeddings WHERE id IN (%IDS%)', orphans.map(row => row.id));
+      summary.embeddings = orphans.length;
+      summary.episodeIds = [...new Set([...summary.episodeIds, ...orphans.map(row => row.episode_id)])];
+      
+      if (summary.episodes > 0) {
+        refreshRecurrenceCounts();
+      }
+
+      if (dryRun) throw DRY_RUN;
+    });
+  } catch (error) {
+    if (error !== DRY_RUN) throw error;
+  }
+
+  return summary;
+}
+
+/**
+ * Rebuild the database file to reclaim space freed by deletes
+ * @returns {Object} { before, after } file sizes in bytes
+ */
+export function vacuumDatabase() {
+  const dbPath = getDatabasePath();
+  const fileSize = () => fs.existsSync(dbPath) ? fs.statSync(dbPath).size : 0;
+  const before = fileSize();
+
+  withDatabaseLock(() => {
+    syncWithDisk();
+    db.run('VACUUM');
+    checkpoint();
+  });
+
+  return { before, after: fileSize() };
+}
+
 /**
  * Close database connection
  */
 export function closeDatabase() {
   if (db) {
-    saveDatabase();
+    checkpoint();
     db.close();
     db = null;
+    journalSeq = 0;
+    journalOffset = 0;
+    pendingOps = [];
+    snapshotId = null;
+    cipher = null;
+    encrypted = false;
+    keySource = null;
   }
 }
 
 export default {
   initDatabase,
+  migrateDatabase,
+  getSchemaStatus,
+  getDatabasePath,
   getDatabase,
+  transaction,
+  withDatabaseLock,
+  checkpoint,
   insertEvent,
   insertEpisode,
   updateEpisode,
+  linkEpisodeEvents,
+  getEpisodeEvents,
   getEpisode,
+  getOpenFailures,
+  getSessionEventsBetween,
+  getCommandDurations,
+  getTimedCommands,
+  getLastSlowRun,
+  getPreviousRun,
+  getLastSuccessfulRun,
+  getLatestRun,
+  getProjectEventsBetween,
+  getEpisodeEnvironment,
+  getDuplicateCandidates,
+  getDedupeEpisodes,
+  recordOccurrence,
+  mergeEpisodes,
+  getUnconsolidatedEvents,
+  getUnconsolidatedSessions,
+  setConsolidatedEvent,
+  setEpisodeWorkflow,
+  supersedeEpisodes,
+  resolveEpisode,
+  setFixCommit,
+  getPendingFixes,
   getRecentEpisodes,
+  getEpisodesBySignature,
+  getSignatureHistory,
+  refreshRecurrenceCounts,
   searchEpisodes,
+  searchEvents,
   insertEmbedding,
   getEmbedding,
+  loadEmbeddings,
+  onEmbeddingInserted,
   upsertProject,
   getProject,
   getOrCreateSession,
@@ -581,5 +2090,21 @@ export default {
   getSessionEvents,
   getRecentEvents,
   getStats,
+  getArchiveRows,
+  importRow,
+  getEncryptionStatus,
+  rekey,
+  registerSidecar,
+  sealSidecar,
+  openSidecar,
+  setEpisodePinned,
+  getProjectEvents,
+  upsertRecipe,
+  getRecipe,
+  getRecipeByName,
+  getRecipes,
+  deleteRecipes,
+  pruneDatabase,
+  vacuumDatabase,
   closeDatabase
 };
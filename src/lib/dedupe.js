@@ -0,0 +1,149 @@
+/**
+ * Ghostly Memory Bank - Episode De-duplication
+ * Folds repeats of an episode into one canonical episode that counts its
+ * occurrences, at capture time and as a batch job over the whole history
+ */
+
+import { loadConfig } from './config.js';
+import db from './database.js';
+import { normalizeCommand } from './signature.js';
+import { isRelatedCommand } from './episodes.js';
+import { cosineSimilarity } from './embedding.js';
+import { removeFromVectorIndex } from './vector-index.js';
+
+/**
+ * Get the normalized command line an episode is compared by
+ * Workflows compare their whole command sequence.
+ * @param {Object} episode - Episode
+ * @returns {string} Normalized command(s)
+ */
+function getDedupeCommand(episode) {
+  if (episode.kind === 'workflow') {
+    return (episode.fix || '').split('→').map(step => normalizeCommand(step.trim())).join(' → ');
+  }
+  return normalizeCommand(episode.command || episode.fix || '');
+}
+
+/**
+ * Check if two episodes are the same memory
+ * They must share project, kind and error signature (or both have none),
+ * both be slow runs or neither, and either run the same normalized command,
+ * or related commands whose embeddings are at least
+ * capture.dedupe.similarity alike. A failure that comes back after the
+ * earlier episode was resolved is a new episode, so it can get its own fix.
+ * @param {Object} episode - New episode
+ * @param {Object} candidate - Earlier episode
+ * @param {Object} vectors - { episode, candidate } embeddings, when known
+ * @returns {boolean} True if duplicates
+ */
+export function isDuplicateEpisode(episode, candidate, vectors = {}) {
+  if (episode.project_hash !== candidate.project_hash) return false;
+  if ((episode.kind || 'event') !== (candidate.kind || 'event')) return false;
+  if ((episode.error_signature || null) !== (candidate.error_signature || null)) return false;
+  if (!episode.slowdown !== !candidate.slowdown) return false;
+  if (candidate.resolved) return false;
+
+  if (getDedupeCommand(episode) === getDedupeCommand(candidate)) return true;
+
+  const a = vectors.episode;
+  const b = vectors.candidate;
+  if (!a || !b || a.model !== b.model || a.dim !== b.dim) return false;
+  if (!isRelatedCommand(episode.command || '', candidate.command || '')) return false;
+
+  return cosineSimilarity(a.vector, b.vector) >= loadConfig().capture.dedupe.similarity;
+}
+
+/**
+ * Find the canonical episode a new episode repeats, by normalized command
+ * @param {Object} episode - Episode about to be stored
+ * @returns {Object|null} Earliest matching episode
+ */
+export function findDuplicateEpisode(episode) {
+  if (!loadConfig().capture.dedupe.enabled) return null;
+
+  return db.getDuplicateCandidates({
+    projectHash: episode.project_hash,
+    kind: episode.kind,
+    signature: episode.error_signature
+  }).find(candidate => isDuplicateEpisode(episode, candidate)) || null;
+}
+
+/**
+ * Fold a newly stored episode into an earlier one its embedding matches
+ * @param {number} episodeId - New episode
+ * @returns {Object|null} Canonical episode it was merged into
+ */
+export function mergeIfDuplicate(episodeId) {
+  if (!loadConfig().capture.dedupe.enabled) return null;
+
+  const episode = db.getEpisode(episodeId);
+  const vector = episode && db.getEmbedding(episodeId);
+  if (!vector) return null;
+
+  const canonical = db.getDuplicateCandidates({
+    projectHash: episode.project_hash,
+    kind: episode.kind,
+    signature: episode.error_signature,
+    excludeId: episodeId
+  }).find(candidate => candidate.id < episodeId &&
+    isDuplicateEpisode(episode, candidate, { episode: vector, candidate: db.getEmbedding(candidate.id) }));
+
+  if (!canonical) return null;
+
+  const merged = db.mergeEpisodes(canonical.id, episodeId);
+  removeFromVectorIndex([episodeId]);
+  return merged;
+}
+
+/**
+ * De-duplicate the whole history (ghostly dedupe)
+ * Each episode is compared with the earlier episodes that survived, so the
+ * oldest of a group becomes its canonical episode.
+ * @param {Object} options - { dryRun }
+ * @returns {Object} { scanned, merged: [{ canonicalId, duplicateId }] }
+ */
+export function dedupe(options = {}) {
+  const { dryRun = false } = options;
+  const episodes = db.getDedupeEpisodes();
+  const kept = new Map();
+  const vectors = new Map();
+  const merged = [];
+
+  const vectorOf = id => {
+    if (!vectors.has(id)) vectors.set(id, db.getEmbedding(id));
+    return vectors.get(id);
+  };
+
+  for (const episode of episodes) {
+    const key = [episode.project_hash, episode.kind, episode.error_signature].join('\n');
+    const group = kept.get(key) || [];
+
+    const canonical = group.find(candidate =>
+      isDuplicateEpisode(episode, candidate, { episode: vectorOf(episode.id), candidate: vectorOf(candidate.id) }));
+
+    if (canonical) {
+      merged.push({ canonicalId: canonical.id, duplicateId: episode.id });
+    } else {
+      group.push(episode);
+      kept.set(key, group);
+    }
+  }
+
+  if (!dryRun && merged.length > 0) {
+    db.transaction(() => {
+      for (const { canonicalId, duplicateId } of merged) {
+        db.mergeEpisodes(canonicalId, duplicateId);
+      }
+    });
+    removeFromVectorIndex(merged.map(merge => merge.duplicateId));
+  }
+
+  return { scanned: episodes.length, merged, dryRun };
+}
+
+export default {
+  isDuplicateEpisode,
+  findDuplicateEpisode,
+  mergeIfDuplicate,
+  dedupe
+};
@@ -5,6 +5,8 @@
  */
 
 import { loadConfig } from './config.js';
+import { getPrimaryCommand } from './shell-parser.js';
+import { redactText } from './redaction.js';
 import { createEmbeddingProvider, cosineSimilarity as computeCosineSimilarity } from '../embeddings/local-provider.js';
 
 // Lazy-loaded providers
@@ -21,20 +23,33 @@ async function getEmbeddingProvider() {
   return embeddingProvider;
 }
 
+/**
+ * Get the name of the model that produces embeddings
+ * Stored with every vector so vectors from different models are never compared.
+ * @returns {Promise<string>} Model name
+ */
+export async function getEmbeddingModel() {
+  const provider = await getEmbeddingProvider();
+  return provider.model;
+}
+
 /**
  * Generate embedding for text 
  * @param {string} text - Text to embed
- * @returns {Promise<Array<number>>} Embedding vector
+ * @returns {Promise<Float32Array>} Embedding vector
  */
 export async function generateEmbedding(text) {
   const provider = await getEmbeddingProvider();
-  return provider.embed(text);
+  
+  // Text may reach a remote provider; episodes stored before redaction
+  // existed and typed queries can still hold secrets
+  return provider.embed(redactText(text).text);
 }
 
 /**
  * Generate embedding for a terminal episode
  * @param {Object} episode - Episode data with problem, environment, fix, keywords
- * @returns {Promise<Array<number>>} Embedding vector
+ * @returns {Promise<Float32Array>} Embedding vector
  */
 export async function generateEpisodeEmbedding(episode) {
   const prompt = formatEpisodeForEmbedding(episode);
@@ -74,8 +89,8 @@ export function formatEpisodeForEmbedding(episode) {
 
 /**
  * Calculate cosine similarity between two vectors
- * @param {Array<number>} a - First vector
- * @param {Array<number>} b - Second vector
+ * @param {ArrayLike<number>} a - First vector (plain or typed array)
+ * @param {ArrayLike<number>} b - Second vector (plain or typed array)
  * @returns {number} Similarity score (0-1)
  */
 export function cosineSimilarity(a, b) {
@@ -91,8 +106,12 @@ export function cosineSimilarity(a, b) {
 export function commandSimilarity(cmd1, cmd2) {
   if (!cmd1 || !cmd2) return 0;
   
-  // Normalize commands
-  const normalize = (cmd) => cmd.toLowerCase().trim().split(/\s+/);
+  // Normalize commands: the primary command's words, without wrappers,
+  // env prefixes or setup steps like "cd dir &&"
+  const normalize = (cmd) => {
+    const primary = getPrimaryCommand(cmd);
+    return primary ? [primary.name, ...primary.args].map(word => word.toLowerCase()) : [];
+  };
   
   const parts1 = normalize(cmd1);
   const parts2 = normalize(cmd2);
@@ -100,6 +119,7 @@ export function commandSimilarity(cmd1, cmd2) {
   // Get command name similarity
   const cmdName1 = parts1[0];
   const cmdName2 = parts2[0];
+  if (!cmdName1) return 0;
   
   // Exact match
   if (cmdName1 === cmdName2) {
@@ -125,7 +145,7 @@ export function commandSimilarity(cmd1, cmd2) {
 /**
  * Batch generate embeddings
  * @param {Array<Object>} episodes - Array of episode data
- * @returns {Promise<Array<Array<number>>>} Array of embedding vectors
+ * @returns {Promise<Array<Float32Array>>} Array of embedding vectors
  */
 export async function batchGenerateEmbeddings(episodes) {
   const provider = await getEmbeddingProvider();
@@ -143,6 +163,7 @@ export async function clearCache() {
 }
 
 export default {
+  getEmbeddingModel,
   generateEmbedding,
   generateEpisodeEmbedding,
   formatEpisodeForEmbedding,
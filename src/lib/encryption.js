@@ -0,0 +1,170 @@
+/**
+ * Ghostly Memory Bank - Encryption at Rest
+ * AES-256-GCM envelopes for the database file and journal records, keyed by
+ * a passphrase or keyfile through scrypt
+ *
+ * Envelope layout: MAGIC (8) | salt (16) | iv (12) | auth tag (16) | ciphertext
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from './config.js';
+
+const MAGIC = Buffer.from('GHSTENC1');
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + SALT_LENGTH + IV_LENGTH + TAG_LENGTH;
+const SQLITE_HEADER = Buffer.from('SQLite format 3\0');
+
+// scrypt work factor: ~100ms and 32 MB per derivation
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// Derived keys by secret+salt, so each salt costs one scrypt per process
+const keyCache = new Map();
+
+/**
+ * Thrown when data cannot be decrypted with the configured key
+ */
+export class DecryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DecryptionError';
+  }
+}
+
+/**
+ * Check whether a buffer is an encrypted envelope
+ * @param {Uint8Array} data - File contents
+ * @returns {boolean} True if encrypted
+ */
+export function isEncrypted(data) {
+  return data.length >= HEADER_LENGTH && Buffer.from(data.buffer, data.byteOffset, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Check whether a buffer is a plaintext SQLite database
+ * @param {Uint8Array} data - File contents
+ * @returns {boolean} True for SQLite files
+ */
+export function isSqliteFile(data) {
+  return data.length >= SQLITE_HEADER.length &&
+    Buffer.from(data.buffer, data.byteOffset, SQLITE_HEADER.length).equals(SQLITE_HEADER);
+}
+
+/**
+ * Find the configured key material
+ * GHOSTLY_PASSPHRASE wins over GHOSTLY_KEYFILE, which wins over
+ * security.keyfile in config.yaml.
+ * @param {Object} security - security config block
+ * @returns {Object|null} { secret: Buffer, source } or null if no key is set
+ */
+export function resolveSecret(security = loadConfig().security) {
+  if (process.env.GHOSTLY_PASSPHRASE) {
+    return { secret: Buffer.from(process.env.GHOSTLY_PASSPHRASE, 'utf8'), source: 'GHOSTLY_PASSPHRASE' };
+  }
+
+  const keyfile = process.env.GHOSTLY_KEYFILE || security?.keyfile;
+  if (!keyfile) return null;
+
+  return readKeyfile(keyfile);
+}
+
+/**
+ * Read key material from a file
+ * A single trailing newline is ignored so keys written with echo/openssl
+ * survive being re-saved by an editor.
+ * @param {string} keyfile - Path (may start with ~)
+ * @returns {Object} { secret: Buffer, source }
+ */
+export function readKeyfile(keyfile) {
+  const resolved = path.resolve(keyfile.replace(/^~(?=$|\/)/, os.homedir()));
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Keyfile not found: ${resolved}`);
+  }
+
+  let secret = fs.readFileSync(resolved);
+  if (secret[secret.length - 1] === 0x0a) secret = secret.subarray(0, secret[secret.length - 2] === 0x0d ? -2 : -1);
+  if (secret.length === 0) {
+    throw new Error(`Keyfile is empty: ${resolved}`);
+  }
+
+  return { secret, source: `keyfile ${resolved}` };
+}
+
+/**
+ * Derive (or reuse) the AES key for a secret and salt
+ * @param {Buffer} secret - Passphrase or keyfile contents
+ * @param {Buffer} salt - Per-database salt
+ * @returns {Buffer} 32-byte key
+ */
+function deriveKey(secret, salt) {
+  const cacheKey = crypto.createHash('sha256').update(secret).update(salt).digest('hex');
+  if (!keyCache.has(cacheKey)) {
+    keyCache.set(cacheKey, crypto.scryptSync(secret, salt, 32, SCRYPT_OPTIONS));
+  }
+  return keyCache.get(cacheKey);
+}
+
+/**
+ * Create a cipher bound to a secret
+ * New envelopes are sealed with `salt`; envelopes carrying another salt
+ * (e.g. written before a rekey by another process) still open as long as
+ * the secret matches.
+ * @param {Buffer} secret - Passphrase or keyfile contents
+ * @param {Buffer} salt - Salt for new envelopes (random if omitted)
+ * @returns {Object} { salt, encrypt(data), decrypt(envelope) }
+ */
+export function createCipher(secret, salt = crypto.randomBytes(SALT_LENGTH)) {
+  return {
+    salt,
+
+    encrypt(data) {
+      const iv = crypto.randomBytes(IV_LENGTH);
+      const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret, salt), iv);
+      const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+      return Buffer.concat([MAGIC, salt, iv, cipher.getAuthTag(), ciphertext]);
+    },
+
+    decrypt(envelope) {
+      if (!isEncrypted(envelope)) {
+        throw new DecryptionError('Data is not an encrypted Ghostly envelope');
+      }
+
+      const data = Buffer.from(envelope.buffer, envelope.byteOffset, envelope.byteLength);
+      let offset = MAGIC.length;
+      const envelopeSalt = data.subarray(offset, offset += SALT_LENGTH);
+      const iv = data.subarray(offset, offset += IV_LENGTH);
+      const tag = data.subarray(offset, offset += TAG_LENGTH);
+
+      try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret, envelopeSalt), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(data.subarray(offset)), decipher.final()]);
+      } catch (error) {
+        throw new DecryptionError('Decryption failed: wrong passphrase/keyfile or corrupted data');
+      }
+    }
+  };
+}
+
+/**
+ * Read the salt of an encrypted envelope
+ * @param {Uint8Array} envelope - Encrypted data
+ * @returns {Buffer} Salt
+ */
+export function getSalt(envelope) {
+  return Buffer.from(envelope.subarray(MAGIC.length, MAGIC.length + SALT_LENGTH));
+}
+
+export default {
+  DecryptionError,
+  isEncrypted,
+  isSqliteFile,
+  resolveSecret,
+  readKeyfile,
+  createCipher,
+  getSalt
+};
@@ -0,0 +1,317 @@
+/**
+ * Ghostly Memory Bank - Environment Fingerprints
+ * Records the environment a command ran in: OS, shell, the versions of the
+ * tools it relies on, version manager markers (venv, nvm, asdf, pin files)
+ * and an allowlist of environment variables. Tool versions are cached, so
+ * a capture only runs `node --version` and friends once in a while.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { loadConfig } from './config.js';
+import db, { registerSidecar, sealSidecar, openSidecar } from './database.js';
+import { getCommands } from './shell-parser.js';
+import { parseDuration } from './rules.js';
+import { redactText } from './redaction.js';
+
+/**
+ * How to ask each tool for its version
+ */
+export const TOOLS = {
+  node: ['node', ['--version']],
+  npm: ['npm', ['--version']],
+  yarn: ['yarn', ['--version']],
+  pnpm: ['pnpm', ['--version']],
+  python: ['python3', ['--version']],
+  pip: ['pip3', ['--version']],
+  go: ['go', ['version']],
+  rustc: ['rustc', ['--version']],
+  cargo: ['cargo', ['--version']],
+  docker: ['docker', ['--version']],
+  ruby: ['ruby', ['--version']],
+  java: ['java', ['-version']]
+};
+
+// Tools whose version matters to a command
+const COMMAND_TOOLS = {
+  node: ['node'], npm: ['node', 'npm'], npx: ['node', 'npm'], yarn: ['node', 'yarn'], pnpm: ['node', 'pnpm'],
+  jest: ['node'], tsc: ['node'], eslint: ['node'], prettier: ['node'], vite: ['node'], webpack: ['node'],
+  python: ['python'], python3: ['python'], pip: ['python', 'pip'], pip3: ['python', 'pip'],
+  pytest: ['python'], poetry: ['python'],
+  go: ['go'],
+  cargo: ['rustc', 'cargo'], rustc: ['rustc'],
+  docker: ['docker'], 'docker-compose': ['docker'],
+  ruby: ['ruby'], bundle: ['ruby'], rake: ['ruby'],
+  java: ['java'], javac: ['java'], mvn: ['java'], gradle: ['java']
+};
+
+// Version pin files, nearest one wins
+const PIN_FILES = {
+  nvmrc: '.nvmrc',
+  node_version: '.node-version',
+  python_version: '.python-version',
+  tool_versions: '.tool-versions'
+};
+
+// Probed versions by cache key: { version, at }
+let versionCache = null;
+
+/**
+ * Get the file tool versions are cached in, next to the database
+ * @returns {string} Cache file path
+ */
+function getCachePath() {
+  return path.join(path.dirname(path.resolve(loadConfig().storage.db_path)), 'environment-cache.json');
+}
+
+/**
+ * Load the version cache
+ * @returns {Object} Cache entries by key
+ */
+function loadVersionCache() {
+  const file = getCachePath();
+  if (!versionCache || versionCache.file !== file) {
+    let entries = {};
+    try {
+      entries = JSON.parse(openSidecar(fs.readFileSync(file)).toString('utf8'));
+    } catch (error) {
+      // Missing, unreadable or sealed with another key: start over
+    }
+    versionCache = { file, entries };
+  }
+  return versionCache.entries;
+}
+
+/**
+ * Save the version cache, encrypted when the database is (its keys hold
+ * PATH and project paths); a read-only data directory only costs re-probing
+ */
+function saveVersionCache() {
+  const data = sealSidecar(Buffer.from(JSON.stringify(versionCache.entries)));
+  if (!data) return;
+
+  try {
+    fs.writeFileSync(versionCache.file, data);
+  } catch (error) {
+    // Best effort
+  }
+}
+
+registerSidecar(getCachePath);
+
+/**
+ * Ask a tool for its version
+ * @param {string} tool - Key of TOOLS
+ * @param {Object} options - { cwd, env, timeout }
+ * @returns {string|null} Version, or null if the tool is not installed
+ */
+function probeVersion(tool, { cwd, env, timeout }) {
+  const [bin, args] = TOOLS[tool];
+  const result = spawnSync(bin, args, { cwd, env, timeout, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+  if (result.error || result.status !== 0) return null;
+
+  const match = `${result.stdout}\n${result.stderr}`.match(/\d+\.\d+(?:\.\d+)?(?:[-+][0-9A-Za-z.]+)?/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Find the version pin files that apply to a directory
+ * @param {string} cwd - Directory
+ * @returns {Object} Pin file contents by marker name
+ */
+function findPinFiles(cwd) {
+  const pins = {};
+
+  for (let dir = path.resolve(cwd); ; dir = path.dirname(dir)) {
+    for (const [name, file] of Object.entries(PIN_FILES)) {
+      if (pins[name] || !fs.existsSync(path.join(dir, file))) continue;
+      try {
+        pins[name] = fs.readFileSync(path.join(dir, file), 'utf8').trim().split(/\r?\n/).join('; ').substring(0, 200);
+      } catch (error) {
+        // Unreadable pin files are skipped
+      }
+    }
+    if (path.dirname(dir) === dir) break;
+  }
+
+  return pins;
+}
+
+/**
+ * Get the active version manager markers
+ * @param {string|null} cwd - Directory
+ * @param {Object} env - Environment variables
+ * @returns {Object} Markers, only those present
+ */
+function getMarkers(cwd, env) {
+  const markers = {};
+  if (env.VIRTUAL_ENV) markers.venv = env.VIRTUAL_ENV;
+  if (env.CONDA_DEFAULT_ENV) markers.conda = env.CONDA_DEFAULT_ENV;
+  const nvm = env.NVM_BIN?.match(/versions\/node\/(v[^/]+)/);
+  if (nvm) markers.nvm = nvm[1];
+  if (env.ASDF_DIR || env.ASDF_DATA_DIR) markers.asdf = true;
+  return cwd && fs.existsSync(cwd) ? { ...markers, ...findPinFiles(cwd) } : markers;
+}
+
+/**
+ * Get the tools relevant to a command line
+ * @param {string} command - Command line
+ * @returns {Array<string>} Keys of TOOLS
+ */
+export function getRelevantTools(command) {
+  const names = getCommands(command).map(segment => segment.name.split('/').pop());
+  return [...new Set(names.flatMap(name => COMMAND_TOOLS[name] || []))];
+}
+
+/**
+ * Fingerprint the environment of an event
+ * @param {Object} event - Event with command and cwd
+ * @param {Object} env - Environment variables (the shell's, by default)
+ * @returns {Object|null} { os, shell, tools, markers, env }, null when disabled
+ */
+export function captureEnvironment(event, env = process.env) {
+  const settings = loadConfig().capture.environment;
+  if (!settings.enabled) return null;
+
+  const cwd = event.cwd && fs.existsSync(event.cwd) ? event.cwd : undefined;
+  const markers = getMarkers(cwd, env);
+  const ttl = parseDuration(settings.cache_ttl);
+  const cache = loadVersionCache();
+  const tools = {};
+  let probed = false;
+
+  for (const tool of getRelevantTools(event.command || '')) {
+    // Version managers pick versions by PATH and pin files, so they are part of the key
+    const key = [tool, env.PATH || '', JSON.stringify(markers)].join('\n');
+    const cached = cache[key];
+    if (cached && Date.now() - cached.at < ttl) {
+      if (cached.version) tools[tool] = cached.version;
+      continue;
+    }
+
+    const version = probeVersion(tool, { cwd, env, timeout: settings.probe_timeout_ms });
+    cache[key] = { version, at: Date.now() };
+    probed = true;
+    if (version) tools[tool] = version;
+  }
+  if (probed) saveVersionCache();
+
+  const vars = {};
+  for (const name of settings.env_vars) {
+    if (env[name] !== undefined) vars[name] = redactText(env[name]).text;
+  }
+
+  return {
+    os: `${os.platform()} ${os.release()} ${os.arch()}`,
+    shell: env.SHELL ? path.basename(env.SHELL) : null,
+    tools,
+    markers,
+    env: vars
+  };
+}
+
+/**
+ * Parse a stored fingerprint
+ * @param {string|Object|null} value - JSON text or fingerprint
+ * @returns {Object|null} Fingerprint
+ */
+export function parseEnvironment(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Flatten a fingerprint into comparable entries
+ * @param {Object} fingerprint - Fingerprint
+ * @returns {Map<string, string>} e.g. "tools.node" -> "20.1.0"
+ */
+function flatten(fingerprint) {
+  const entries = new Map([['os', fingerprint.os], ['shell', fingerprint.shell]]);
+  for (const group of ['tools', 'markers', 'env']) {
+    for (const [key, value] of Object.entries(fingerprint[group] || {})) {
+      entries.set(`${group}.${key}`, String(value));
+    }
+  }
+  return new Map([...entries].filter(([, value]) => value != null));
+}
+
+/**
+ * Summarize a fingerprint for an episode's environment text
+ * @param {Object} fingerprint - Fingerprint
+ * @returns {string} e.g. "node 20.1.0, npm 10.2.0, venv /app/.venv"
+ */
+export function formatEnvironment(fingerprint) {
+  if (!fingerprint) return '';
+  return [
+    ...Object.entries(fingerprint.tools || {}).map(([tool, version]) => `${tool} ${version}`),
+    ...Object.entries(fingerprint.markers || {}).map(([name, value]) => value === true ? name : `${name} ${value}`)
+  ].join(', ');
+}
+
+/**
+ * Compare two fingerprints
+ * @param {Object} before - Fingerprint of the earlier run
+ * @param {Object} after - Fingerprint of the later run
+ * @returns {Array<Object>} [{ key, before, after }] for every difference
+ */
+export function diffEnvironments(before, after) {
+  const a = flatten(before || {});
+  const b = flatten(after || {});
+  const keys = [...new Set([...a.keys(), ...b.keys()])].sort();
+
+  return keys
+    .filter(key => a.get(key) !== b.get(key))
+    .map(key => ({ key, before: a.get(key) ?? null, after: b.get(key) ?? null }));
+}
+
+/**
+ * Score how alike two environments are
+ * Only what both fingerprints recorded is compared.
+ * @param {Object} a - Fingerprint
+ * @param {Object} b - Fingerprint
+ * @returns {number} Share of shared entries with the same value (0-1)
+ */
+export function environmentSimilarity(a, b) {
+  if (!a || !b) return 0;
+
+  const left = flatten(a);
+  const right = flatten(b);
+  const shared = [...left.keys()].filter(key => right.has(key));
+  if (shared.length === 0) return 0;
+
+  return shared.filter(key => left.get(key) === right.get(key)).length / shared.length;
+}
+
+/**
+ * Compare a run's environment with the last successful run of its command
+ * @param {Object} event - Stored event (usually a failure)
+ * @returns {Object|null} { success: event, diff }, null without an earlier success
+ */
+export function diffWithLastSuccess(event) {
+  if (!event.command_key) return null;
+
+  const success = db.getLastSuccessfulRun({
+    projectHash: event.project_hash,
+    commandKey: event.command_key,
+    beforeId: event.id
+  });
+  if (!success) return null;
+
+  return {
+    success,
+    diff: diffEnvironments(parseEnvironment(success.environment), parseEnvironment(event.environment))
+  };
+}
+
+export default {
+  TOOLS,
+  getRelevantTools,
+  captureEnvironment,
+  parseEnvironment,
+  formatEnvironment,
+  diffEnvironments,
+  diffWithLastSuccess,
+  environmentSimilarity
+};
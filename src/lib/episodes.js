@@ -3,44 +3,77 @@
  * Determines which events to capture as meaningful episodes
  */
 
-import crypto from 'crypto';
 import { loadConfig } from './config.js';
+import { computeErrorSignature } from './signature.js';
+import { parseErrors, parseErrorDetails, formatErrorDetails, errorKeywords } from './error-parsers.js';
+import { resolveProject } from './project.js';
+import { parseShellCommand, getCommands, getPrimaryCommand } from './shell-parser.js';
+import { matchRule } from './rules.js';
+import { formatDuration } from './timing.js';
+import { parseEnvironment, formatEnvironment } from './environment.js';
+import { parseGitState, formatGitState } from './git.js';
+
+// Compiled capture.error_patterns / success_patterns, keyed by pattern list
+const patternCache = new Map();
 
 /**
  * Extract the base command name from a full command
+ * Looks through env prefixes, wrappers and setup steps:
+ * "cd api && sudo npm install" -> "npm".
  * @param {string} command - Full command string
  * @returns {string} Base command name
  */
 export function getCommandName(command) {
   if (!command) return '';
-  return command.trim().split(/\s+/)[0] || '';
+  return getPrimaryCommand(command)?.name || '';
 }
 
 /**
  * Check if a command should be ignored (noise filtering)
+ * Applies capture.rules and capture.ignore_commands, without output.
  * @param {string} command - Command to check
+ * @param {string} cwd - Directory it ran in (for cwd rules)
  * @returns {boolean} True if should be ignored
  */
-export function shouldIgnoreCommand(command) {
-  const config = loadConfig();
-  const cmdName = getCommandName(command);
-  return config.capture.ignore_commands.includes(cmdName);
+export function shouldIgnoreCommand(command, cwd = null) {
+  return classifyEvent({ command, cwd, exit_code: null }).action === 'ignore';
+}
+
+/**
+ * Compile output patterns into one case-insensitive RegExp
+ * Patterns match at the start of a word ("fail" matches "failed", "ok" no
+ * longer matches "token") and not right after a negation ("0 errors",
+ * "no failures").
+ * @param {Array<string>} patterns - Configured patterns
+ * @returns {RegExp|null} Matcher, or null without patterns
+ */
+function compilePatterns(patterns) {
+  const key = patterns.join('\n');
+  if (!patternCache.has(key)) {
+    const alternatives = patterns
+      .filter(Boolean)
+      .map(pattern => pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    patternCache.set(key, alternatives.length > 0
+      ? new RegExp(`(?<!\\b(?:0|no|zero|without) )\\b(?:${alternatives.join('|')})`, 'i')
+      : null);
+  }
+  return patternCache.get(key);
 }
 
 /**
- * Check if output contains error patterns
+ * Check if output reports an error
+ * Recognized tool errors count, as do capture.error_patterns.
  * @param {string} output - stdout or stderr text
+ * @param {string} command - Command that produced it (picks tool parsers)
  * @returns {boolean} True if error detected
  */
-export function hasError(output) {
+export function hasError(output, command = '') {
   if (!output) return false;
   
   const config = loadConfig();
-  const lowerOutput = output.toLowerCase();
+  const matcher = compilePatterns(config.capture.error_patterns);
   
-  return config.capture.error_patterns.some(pattern => 
-    lowerOutput.includes(pattern.toLowerCase())
-  );
+  return Boolean(matcher?.test(output)) || parseErrors(output, command).length > 0;
 }
 
 /**
@@ -52,11 +85,9 @@ export function hasSuccess(output) {
   if (!output) return false;
   
   const config = loadConfig();
-  const lowerOutput = output.toLowerCase();
+  const matcher = compilePatterns(config.capture.success_patterns);
   
-  return config.capture.success_patterns.some(pattern => 
-    lowerOutput.includes(pattern.toLowerCase())
-  );
+  return Boolean(matcher?.test(output));
 }
 
 /**
@@ -69,98 +100,150 @@ export function isErrorExitCode(exitCode) {
 }
 
 /**
- * Determine if a terminal event is significant enough to store
+ * Check if a terminal event failed
  * @param {Object} event - Terminal event data
- * @returns {Object} { isSignificant: boolean, reason: string }
+ * @returns {boolean} True on a failing exit code or error output
  */
-export function isSignificantEvent(event) {
+export function isFailedEvent(event) {
+  return isErrorExitCode(event.exit_code) || hasError(event.stderr_text, event.command);
+}
+
+/**
+ * Check if two commands are the same or related invocations of one tool
+ * "npm test" and "npm test -- --runInBand" are related; "npm test" and
+ * "npm install" are not.
+ * @param {string} a - First command
+ * @param {string} b - Second command
+ * @returns {boolean} True if related
+ */
+export function isRelatedCommand(a, b) {
+  const first = parseCommand(a);
+  const second = parseCommand(b);
+  
+  if (!first.name || first.name !== second.name) return false;
+  if (first.raw.trim() === second.raw.trim()) return true;
+  
+  // Compare the subcommand (first non-flag argument)
+  const subcommand = args => args.find(arg => !arg.startsWith('-')) || null;
+  return subcommand(first.args) === subcommand(second.args);
+}
+
+/**
+ * Build the resolution of a failure from the commands that followed it
+ * Failed re-runs of the original command are left out.
+ * @param {string} failedCommand - Command that failed
+ * @param {Array} events - Events after the failure, ending with the success
+ * @returns {Object} { fix, event_ids, resolution_event_id }
+ */
+export function createResolution(failedCommand, events) {
+  const steps = events.filter(e => !(isFailedEvent(e) && isRelatedCommand(failedCommand, e.command)));
+  const success = events[events.length - 1];
+  
+  return {
+    fix: steps.map(e => e.command).join(' → '),
+    event_ids: steps.map(e => e.id),
+    resolution_event_id: success.id
+  };
+}
+
+/**
+ * Decide what to do with a terminal event
+ * In order: the first matching capture.rules entry, capture.ignore_commands
+ * (by primary command), failures, then capture.important_commands in any
+ * segment of the line. Everything else is stored as a plain event.
+ * @param {Object} event - Terminal event data
+ * @returns {Object} { action: 'ignore'|'store'|'significant', reason, rule }
+ */
+export function classifyEvent(event) {
+  const config = loadConfig();
+  
+  const match = matchRule(event);
+  if (match) {
+    return {
+      action: match.action === 'include' ? 'significant' : 'ignore',
+      reason: `${match.action}_rule`,
+      rule: match
+    };
+  }
+  
+  if (config.capture.ignore_commands.includes(getCommandName(event.command))) {
+    return { action: 'ignore', reason: 'ignored_command', rule: null };
+  }
+  
   // Check if it's an error
-  if (isErrorExitCode(event.exit_code)) {
-    return { isSignificant: true, reason: 'error_exit' };
+  if (isErrorExitCode(event.exit_code ?? null)) {
+    return { action: 'significant', reason: 'error_exit', rule: null };
   }
   
-  if (hasError(event.stderr_text)) {
-    return { isSignificant: true, reason: 'error_in_stderr' };
+  if (hasError(event.stderr_text, event.command)) {
+    return { action: 'significant', reason: 'error_in_stderr', rule: null };
   }
   
-  if (hasError(event.stdout_text)) {
-    return { isSignificant: true, reason: 'error_in_stdout' };
+  if (hasError(event.stdout_text, event.command)) {
+    return { action: 'significant', reason: 'error_in_stdout', rule: null };
   }
   
-  // Check if it's a command we should track (not in ignore list)
-  if (!shouldIgnoreCommand(event.command)) {
-    // But still check if it's meaningful
-    const cmdName = getCommandName(event.command);
-    
-    // Known important command patterns
-    const importantCommands = [
-      'git', 'npm', 'yarn', 'pnpm', 'docker', 'kubectl',
-      'python', 'pip', 'cargo', 'go', 'make', 'cmake',
-      'bundle', 'rake', 'gradle', 'mvn', 'javac', 'node',
-      'tsc', 'eslint', 'prettier', 'jest', 'pytest',
-      'curl', 'wget', 'ssh', 'scp', 'rsync',
-      'psql', 'mysql', 'mongosh', 'redis-cli'
-    ];
-    
-    if (importantCommands.includes(cmdName)) {
-      return { isSignificant: true, reason: 'important_command' };
-    }
+  // Much slower than its baseline (see timing.js checkSlowdown)
+  if (event.slowdown) {
+    return { action: 'significant', reason: 'slow_command', rule: null };
   }
   
-  return { isSignificant: false, reason: null };
+  const names = getCommands(event.command).map(segment => segment.name.split('/').pop());
+  if (names.some(name => config.capture.important_commands.includes(name))) {
+    return { action: 'significant', reason: 'important_command', rule: null };
+  }
+  
+  return { action: 'store', reason: null, rule: null };
+}
+
+/**
+ * Determine if a terminal event is significant enough to store
+ * @param {Object} event - Terminal event data
+ * @returns {Object} { isSignificant: boolean, reason: string }
+ */
+export function isSignificantEvent(event) {
+  const { action, reason } = classifyEvent(event);
+  return action === 'significant'
+    ? { isSignificant: true, reason }
+    : { isSignificant: false, reason: null };
 }
 
 /**
  * Generate a project hash from directory path
+ * Subdirectories of one project, and clones of one git remote, share a hash.
  * @param {string} cwd - Current working directory
  * @returns {string} Project hash
  */
 export function generateProjectHash(cwd) {
-  if (!cwd) return 'unknown';
-  
-  // Find the project root (look for package.json, Cargo.toml, go.mod, etc.)
-  const markers = [
-    'package.json',      // Node.js
-    'Cargo.toml',        // Rust
-    'go.mod',            // Go
-    'pyproject.toml',    // Python
-    'requirements.txt',  // Python
-    'Gemfile',           // Ruby
-    'pom.xml',           // Java
-    'build.gradle',      // Java/Kotlin
-    'CMakeLists.txt',    // C/C++
-    'Makefile',          // Generic
-    '.git'               // Git repo
-  ];
-  
-  const pathParts = cwd.split('/');
-  
-  // Walk up from current directory to find project root
-  for (let i = pathParts.length; i >= 1; i--) {
-    const testPath = pathParts.slice(0, i).join('/');
-    const lastPart = pathParts[i - 1];
-    
-    // Skip common non-project directories
-    if (['node_modules', '.git', 'vendor', 'venv', 'dist', 'build'].includes(lastPart)) {
-      continue;
-    }
-    
-    // Use directory name as project identifier
-    if (lastPart && lastPart[0] !== '.') {
-      return crypto.createHash('md5').update(testPath).digest('hex').substring(0, 8);
-    }
-  }
-  
-  // Fallback: hash the full path
-  return crypto.createHash('md5').update(cwd).digest('hex').substring(0, 8);
+  return resolveProject(cwd).project_hash;
+}
+
+/**
+ * Get the output an event's error is read from
+ * Tools like tsc and jest report failures on stdout.
+ * @param {Object} event - Terminal event
+ * @returns {string} stderr followed by stdout
+ */
+function getErrorOutput(event) {
+  return [event.stderr_text, event.stdout_text].filter(Boolean).join('\n');
+}
+
+/**
+ * Parse the structured error out of an event's output
+ * @param {Object} event - Terminal event
+ * @returns {Object|null} { parser, code, message, file, line, package, count }
+ */
+export function getErrorDetails(event) {
+  return parseErrorDetails(getErrorOutput(event), event.command);
 }
 
 /**
  * Extract keywords from command and output
  * @param {Object} event - Terminal event
+ * @param {Object|null} details - Parsed error details (parsed when omitted)
  * @returns {string} Comma-separated keywords
  */
-export function extractKeywords(event) {
+export function extractKeywords(event, details = getErrorDetails(event)) {
   const keywords = new Set();
   
   // Add command name
@@ -169,40 +252,27 @@ export function extractKeywords(event) {
     keywords.add(cmdName);
   }
   
-  // Add git-related keywords
-  if (event.command?.includes('git')) {
-    const gitSubcommands = ['push', 'pull', 'commit', 'merge', 'rebase', 'checkout', 'branch'];
-    gitSubcommands.forEach(sub => {
-      if (event.command.includes(sub)) {
-        keywords.add(`git-${sub}`);
-      }
-    });
-  }
+  // Add git subcommands and package manager actions of every segment
+  const gitSubcommands = ['push', 'pull', 'commit', 'merge', 'rebase', 'checkout', 'branch'];
+  const npmActions = ['install', 'run', 'build', 'test', 'start', 'dev'];
   
-  // Add package manager keywords
-  if (event.command?.includes('npm') || event.command?.includes('yarn') || event.command?.includes('pnpm')) {
-    const npmActions = ['install', 'run', 'build', 'test', 'start', 'dev'];
-    npmActions.forEach(action => {
-      if (event.command.includes(action)) {
-        keywords.add(action);
-      }
-    });
-  }
-  
-  // Add error keywords from stderr
-  if (event.stderr_text) {
-    const errorPatterns = [
-      'error', 'fail', 'exception', 'ENOENT', 'EACCES', 'ECONNREFUSED',
-      'timeout', 'invalid', 'undefined', 'null', 'cannot', 'unable'
-    ];
+  for (const segment of getCommands(event.command)) {
+    const name = segment.name.split('/').pop();
+    const words = segment.args.filter(arg => !arg.startsWith('-'));
     
-    errorPatterns.forEach(pattern => {
-      if (event.stderr_text.toLowerCase().includes(pattern)) {
-        keywords.add(pattern);
-      }
-    });
+    if (name === 'git' && gitSubcommands.includes(words[0])) {
+      keywords.add(`git-${words[0]}`);
+    }
+    
+    if (['npm', 'yarn', 'pnpm'].includes(name)) {
+      // "npm run build" yields both "run" and "build"
+      words.slice(0, 2).filter(word => npmActions.includes(word)).forEach(action => keywords.add(action));
+    }
   }
   
+  // Add the parsed error: tool, error code, package and file
+  errorKeywords(details).forEach(keyword => keywords.add(keyword));
+  
   // Add directory context
   if (event.cwd) {
     const pathParts = event.cwd.split('/');
@@ -217,17 +287,25 @@ export function extractKeywords(event) {
 
 /**
  * Parse command to extract arguments
+ * `name`/`args` describe the primary command; `commands` holds every
+ * simple command of a compound line.
  * @param {string} command - Full command
- * @returns {Object} Parsed command parts
+ * @returns {Object} { name, args, env, wrappers, commands, raw }
  */
 export function parseCommand(command) {
-  if (!command) return { name: '', args: [], raw: '' };
+  if (!command) return { name: '', args: [], env: {}, wrappers: [], commands: [], raw: '' };
   
-  const parts = command.trim().split(/\s+/);
-  const name = parts[0] || '';
-  const args = parts.slice(1);
+  const list = parseShellCommand(command);
+  const primary = getPrimaryCommand(list);
   
-  return { name, args, raw: command };
+  return {
+    name: primary?.name || '',
+    args: primary?.args || [],
+    env: primary?.env || {},
+    wrappers: primary?.wrappers || [],
+    commands: getCommands(list),
+    raw: command
+  };
 }
 
 /**
@@ -268,77 +346,90 @@ export function createEpisodeFromEvent(event) {
     problem = errorLines.join(' ').substring(0, 500);
   } else if (event.exit_code !== 0) {
     problem = `Command exited with code ${event.exit_code}`;
+  } else if (event.slowdown) {
+    const { duration_ms: duration, median, ratio } = event.slowdown;
+    problem = `Took ${formatDuration(duration)}${ratio ? `, ${ratio.toFixed(1)}× the usual ${formatDuration(median)}` : ''}`;
   }
   
   // Build environment context
   const envParts = [];
   if (event.cwd) envParts.push(`dir: ${event.cwd}`);
   if (event.git_branch) envParts.push(`branch: ${event.git_branch}`);
-  environment = envParts.join(', ');
+  if (event.git_status) envParts.push(`commit: ${formatGitState(parseGitState(event.git_status))}`);
+  envParts.push(formatEnvironment(parseEnvironment(event.environment)));
+  environment = envParts.filter(Boolean).join(', ');
   
-  // Fix is the command itself (for now)
-  fix = event.command;
+  const isFailure = isFailedEvent(event);
+  const details = isFailure ? getErrorDetails(event) : null;
   
-  // Generate summary
+  // A failure has no fix until a later command resolves it
+  fix = isFailure ? null : event.command;
+  
+  // Generate summary, preferring the parsed error over raw output
   const cmdName = getCommandName(event.command);
-  const summary = `${cmdName} - ${problem || 'success'} (${event.cwd || 'unknown'})`;
+  const headline = details ? formatErrorDetails(details) : problem;
+  const summary = `${cmdName} - ${headline || 'success'} (${event.cwd || 'unknown'})`;
   
   return {
     project_hash: event.project_hash,
     summary,
     problem,
     environment,
+    command: event.command,
     fix,
-    keywords: extractKeywords(event),
-    embedding_id: null
+    keywords: extractKeywords(event, details),
+    embedding_id: null,
+    error_signature: isFailure ? computeErrorSignature(getErrorOutput(event), event.command) : null,
+    error_details: details,
+    first_seen: event.timestamp || null,
+    last_seen: event.timestamp || null,
+    slowdown: event.slowdown ? event.slowdown.ratio ?? 1 : null,
+    event_ids: event.id ? [event.id] : []
   };
 }
 
 /**
- * Group events into multi-step episodes
- * @param {Array} events - Array of terminal events
- * @returns {Array} Array of episodes
+ * Split events into runs of related commands
+ * A run ends when the project changes or sequence_window minutes have
+ * passed since its first command.
+ * @param {Array} events - Terminal events, in the order they ran
+ * @returns {Array<Array>} Runs of events, short ones included
  */
-export function groupEventsIntoEpisodes(events) {
+export function splitEventSequences(events) {
   if (!events || events.length === 0) return [];
   
   const config = loadConfig();
-  const episodes = [];
-  let currentEpisode = [];
-  let episodeStartTime = null;
+  const timeWindow = config.capture.sequence_window * 60 * 1000; // Convert to ms
+  const sequences = [];
+  let current = [];
+  let startTime = null;
   
   for (const event of events) {
     const eventTime = new Date(event.timestamp).getTime();
     
-    // Start new episode if:
-    // 1. No current episode
-    // 2. Too much time has passed
-    // 3. Different project
-    
-    const timeWindow = config.capture.sequence_window * 60 * 1000; // Convert to ms
-    
-    if (!episodeStartTime || 
-        (eventTime - episodeStartTime > timeWindow) ||
-        event.project_hash !== currentEpisode[0]?.project_hash) {
-      
-      // Save previous episode if it has enough events
-      if (currentEpisode.length >= config.capture.min_sequence_length) {
-        episodes.push(currentEpisode);
-      }
-      
-      currentEpisode = [event];
-      episodeStartTime = eventTime;
+    if (current.length === 0 ||
+        (eventTime - startTime > timeWindow) ||
+        event.project_hash !== current[0].project_hash) {
+      if (current.length > 0) sequences.push(current);
+      current = [event];
+      startTime = eventTime;
     } else {
-      currentEpisode.push(event);
+      current.push(event);
     }
   }
   
-  // Don't forget the last episode
-  if (currentEpisode.length >= config.capture.min_sequence_length) {
-    episodes.push(currentEpisode);
-  }
-  
-  return episodes;
+  sequences.push(current);
+  return sequences;
+}
+
+/**
+ * Group events into multi-step episodes
+ * @param {Array} events - Array of terminal events
+ * @returns {Array} Runs of at least min_sequence_length events
+ */
+export function groupEventsIntoEpisodes(events) {
+  const config = loadConfig();
+  return splitEventSequences(events).filter(sequence => sequence.length >= config.capture.min_sequence_length);
 }
 
 /**
@@ -353,7 +444,7 @@ export function createEpisodeFromEvents(events) {
   const lastEvent = events[events.length - 1];
   
   // Find the error event (if any)
-  const errorEvent = events.find(e => isErrorExitCode(e.exit_code) || hasError(e.stderr_text));
+  const errorEvent = events.find(isFailedEvent);
   const successEvent = events.find(e => hasSuccess(e.stdout_text) || hasSuccess(e.stderr_text));
   
   let problem = '';
@@ -368,34 +459,51 @@ export function createEpisodeFromEvents(events) {
   
   const environment = [
     firstEvent.cwd ? `cwd: ${firstEvent.cwd}` : '',
-    firstEvent.git_branch ? `branch: ${firstEvent.git_branch}` : ''
+    firstEvent.git_branch ? `branch: ${firstEvent.git_branch}` : '',
+    firstEvent.git_status ? `commit: ${formatGitState(parseGitState(firstEvent.git_status))}` : '',
+    formatEnvironment(parseEnvironment((errorEvent || firstEvent).environment))
   ].filter(Boolean).join(', ');
   
-  const summary = `Multi-step workflow: ${events.length} commands${problem ? ` - ${problem.substring(0, 100)}` : ''}`;
+  const details = errorEvent ? getErrorDetails(errorEvent) : null;
+  const headline = details ? formatErrorDetails(details) : problem;
+  const summary = `Multi-step workflow: ${events.length} commands${headline ? ` - ${headline.substring(0, 100)}` : ''}`;
   
   return {
     project_hash: firstEvent.project_hash,
+    kind: 'workflow',
     summary,
     problem: problem || null,
     environment,
+    command: (errorEvent || firstEvent).command,
     fix: fixCommands,
-    keywords: extractKeywords(firstEvent),
-    embedding_id: null
+    keywords: extractKeywords(firstEvent, details),
+    embedding_id: null,
+    error_signature: errorEvent ? computeErrorSignature(getErrorOutput(errorEvent), errorEvent.command) : null,
+    error_details: details,
+    first_seen: firstEvent.timestamp || null,
+    last_seen: lastEvent.timestamp || null,
+    event_ids: events.map(e => e.id).filter(Boolean)
   };
 }
 
 export default {
   getCommandName,
   shouldIgnoreCommand,
+  classifyEvent,
   hasError,
   hasSuccess,
   isErrorExitCode,
+  isFailedEvent,
+  isRelatedCommand,
+  createResolution,
   isSignificantEvent,
   generateProjectHash,
+  getErrorDetails,
   extractKeywords,
   parseCommand,
   isRepeatedCommand,
   createEpisodeFromEvent,
+  splitEventSequences,
   groupEventsIntoEpisodes,
   createEpisodeFromEvents
 };
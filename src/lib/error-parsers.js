@@ -0,0 +1,579 @@
+/**
+ * Ghostly Memory Bank - Error Parsers
+ * Recognizes the error output of common tools and extracts structured
+ * fields: error code, message, file, line and package
+ */
+
+import { getPrimaryCommand } from './shell-parser.js';
+
+/**
+ * Registered parsers, tried in order after the ones scoped to the tool
+ * Each parser is { name, tools, test, parse(output, tool) } where `test` is
+ * a cheap RegExp guard and `parse` returns an array of errors.
+ */
+const parsers = [];
+
+// Longest message kept per error
+const MAX_MESSAGE = 300;
+
+/**
+ * Build an error record with every field present
+ * @param {string} parser - Parser name
+ * @param {Object} fields - { code, message, file, line, package }
+ * @returns {Object} Error record
+ */
+function error(parser, fields) {
+  const line = fields.line != null ? parseInt(fields.line, 10) : null;
+  return {
+    parser,
+    code: fields.code || null,
+    message: (fields.message || '').trim().substring(0, MAX_MESSAGE),
+    file: fields.file || null,
+    line: Number.isFinite(line) ? line : null,
+    package: fields.package || null
+  };
+}
+
+/**
+ * Split output into lines without trailing whitespace or ANSI colours
+ * @param {string} output - Raw output
+ * @returns {Array<string>} Lines
+ */
+function lines(output) {
+  return output.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '').split(/\r?\n/).map(line => line.trimEnd());
+}
+
+/**
+ * Find a package name in registry URLs and "not in this registry" messages
+ * @param {string} text - Output text
+ * @returns {string|null} Package name
+ */
+function registryPackage(text) {
+  const match = text.match(/'(@?[^'@\s]+)@[^']*' is not in (?:this|the npm) registry/) ||
+    text.match(/No matching version found for (@?[^@\s]+)@/) ||
+    text.match(/Couldn't find package "(@?[^"@]+)/) ||
+    text.match(/\bpeer (@?[^@\s"]+)@/) ||
+    text.match(/registry\.(?:npmjs\.org|yarnpkg\.com)\/(@[^/\s:"]+(?:\/|%2f)[^/\s:"]+|[^/\s:"@]+)/i);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * npm: "npm ERR!" (npm <= 8) and "npm error" (npm 9+) blocks
+ */
+const npmParser = {
+  name: 'npm',
+  tools: ['npm', 'npx'],
+  test: /^npm (ERR!|error) /m,
+  parse(output) {
+    const body = lines(output)
+      .map(line => line.match(/^npm (?:ERR!|error) ?(.*)$/)?.[1])
+      .filter(line => line != null);
+    const text = body.join('\n');
+
+    const code = text.match(/^code (\S+)/m)?.[1];
+    const message = body.find(line => line.trim() &&
+      !/^(code|errno|syscall|path|dest|signal|command|cwd|A complete log|Log files were|\s)/.test(line));
+
+    return [error('npm', {
+      code,
+      message: message || code,
+      file: text.match(/^path (\S+)/m)?.[1],
+      package: registryPackage(text)
+    })];
+  }
+};
+
+/**
+ * yarn: classic "error ..." lines and berry "YN0000" diagnostics
+ */
+const yarnParser = {
+  name: 'yarn',
+  tools: ['yarn'],
+  test: /^error |➤ YN\d{4}: .*(error|not found|fail)/im,
+  parse(output) {
+    const all = lines(output);
+    const text = all.join('\n');
+    const errors = [];
+
+    for (const line of all) {
+      const berry = line.match(/➤ (YN\d{4}): (?:│ )?(.*)$/);
+      if (berry && /error|not found|fail|couldn't|unable/i.test(berry[2])) {
+        errors.push(error('yarn', {
+          code: berry[1],
+          message: berry[2],
+          package: berry[2].match(/^(@?[^@\s]+)@npm:/)?.[1] || registryPackage(berry[2])
+        }));
+        continue;
+      }
+
+      const classic = line.match(/^error (.+)$/);
+      if (classic && !/^Command failed with exit code/.test(classic[1])) {
+        errors.push(error('yarn', { message: classic[1], package: registryPackage(classic[1]) }));
+      }
+    }
+
+    if (errors.length > 0 && !errors[0].package) {
+      errors[0].package = registryPackage(text);
+    }
+    return errors;
+  }
+};
+
+/**
+ * pnpm: " ERR_PNPM_CODE  message" lines
+ */
+const pnpmParser = {
+  name: 'pnpm',
+  tools: ['pnpm'],
+  test: /ERR_PNPM_\w+/,
+  parse(output) {
+    return lines(output)
+      .map(line => line.match(/(ERR_PNPM_\w+)\s+(.+)$/))
+      .filter(Boolean)
+      .map(([, code, message]) => error('pnpm', { code, message, package: registryPackage(message) }));
+  }
+};
+
+/**
+ * Python: tracebacks and bare SyntaxError reports
+ */
+const pythonParser = {
+  name: 'python',
+  tools: ['python', 'python3', 'pip', 'pip3', 'pytest', 'poetry', 'uv'],
+  test: /Traceback \(most recent call last\):|^\s*File ".+", line \d+/m,
+  parse(output) {
+    const all = lines(output);
+    const errors = [];
+    let frame = null;
+
+    for (const line of all) {
+      const fileMatch = line.match(/^\s*File "(.+?)", line (\d+)/);
+      if (fileMatch) {
+        frame = { file: fileMatch[1], line: fileMatch[2] };
+        continue;
+      }
+
+      // The exception line is the first unindented line after the frames
+      const exception = frame && line.match(/^([A-Za-z_][\w.]*(?:Error|Exception|Exit|Interrupt|Warning|Failure))(?::\s*(.*))?$/);
+      if (exception) {
+        const code = exception[1].split('.').pop();
+        const message = exception[2] || code;
+        const module = message.match(/No module named '([^']+)'/) || message.match(/cannot import name '[^']+' from '([^']+)'/);
+
+        errors.push(error('python', {
+          code,
+          message,
+          file: frame.file,
+          line: frame.line,
+          package: module ? module[1].split('.')[0] : null
+        }));
+        frame = null;
+      }
+    }
+
+    return errors;
+  }
+};
+
+/**
+ * TypeScript compiler diagnostics
+ * "file(12,5): error TS2322: ..." and "file:12:5 - error TS2322: ..."
+ */
+const tscParser = {
+  name: 'tsc',
+  tools: ['tsc', 'vue-tsc'],
+  test: /error TS\d+:/,
+  parse(output) {
+    const errors = [];
+
+    for (const line of lines(output)) {
+      const located = line.match(/^(.+?)(?:\((\d+),\d+\)|:(\d+):\d+)\s*[:-]\s*error (TS\d+): (.+)$/);
+      if (located) {
+        errors.push(error('tsc', { file: located[1], line: located[2] || located[3], code: located[4], message: located[5] }));
+        continue;
+      }
+
+      const global = line.match(/^error (TS\d+): (.+)$/);
+      if (global) {
+        errors.push(error('tsc', { code: global[1], message: global[2] }));
+      }
+    }
+
+    return errors;
+  }
+};
+
+/**
+ * rustc / cargo: "error[E0425]: ..." followed by "--> file:line:col"
+ */
+const rustParser = {
+  name: 'rust',
+  tools: ['cargo', 'rustc'],
+  test: /^error\[E\d{4}\]|^\s*--> \S+:\d+:\d+|could not compile `|no matching package named `/m,
+  parse(output) {
+    const all = lines(output);
+    const text = all.join('\n');
+    const crate = text.match(/could not compile `([^`]+)`/)?.[1] ||
+      text.match(/no matching package named `([^`]+)`/)?.[1];
+    const errors = [];
+
+    all.forEach((line, i) => {
+      const match = line.match(/^error(?:\[(E\d{4})\])?: (.+)$/);
+      if (!match || /^(could not compile|aborting due to)/.test(match[2])) return;
+
+      const location = all.slice(i + 1, i + 4)
+        .map(next => next.match(/^\s*--> (.+?):(\d+):\d+/))
+        .find(Boolean);
+
+      errors.push(error('rust', {
+        code: match[1],
+        message: match[2],
+        file: location?.[1],
+        line: location?.[2],
+        package: crate
+      }));
+    });
+
+    // "could not compile" alone still says which crate broke
+    if (errors.length === 0 && crate) {
+      errors.push(error('rust', { message: text.match(/^error: (.+)$/m)?.[1] || `could not compile ${crate}`, package: crate }));
+    }
+    return errors;
+  }
+};
+
+/**
+ * go build / go vet: "./main.go:14:2: message" under a "# package" header
+ */
+const goParser = {
+  name: 'go',
+  tools: ['go'],
+  test: /^(\S+\.go:\d+:\d+: |go: |# \S+$)|no required module provides package/m,
+  parse(output) {
+    const errors = [];
+    let pkg = null;
+
+    for (const line of lines(output)) {
+      const header = line.match(/^# (\S+)$/);
+      if (header) {
+        pkg = header[1];
+        continue;
+      }
+
+      const located = line.match(/^(?:\.\/)?(\S+\.go):(\d+):\d+: (.+)$/);
+      if (located) {
+        errors.push(error('go', { file: located[1], line: located[2], message: located[3], package: pkg }));
+        continue;
+      }
+
+      const missing = line.match(/no required module provides package (\S+?);|cannot find package "([^"]+)"/);
+      if (missing) {
+        errors.push(error('go', { message: line.replace(/^go: /, ''), package: missing[1] || missing[2] }));
+        continue;
+      }
+
+      const tool = line.match(/^go: (.+)$/);
+      if (tool && !/^(downloading|finding|extracting) /.test(tool[1])) {
+        errors.push(error('go', { message: tool[1], package: pkg }));
+      }
+    }
+
+    return errors;
+  }
+};
+
+/**
+ * jest: "FAIL file" blocks with "● Suite › test" entries
+ */
+const jestParser = {
+  name: 'jest',
+  tools: ['jest', 'npm', 'yarn', 'pnpm', 'npx'],
+  test: /^\s*FAIL\s+\S+/m,
+  parse(output) {
+    const all = lines(output);
+    const errors = [];
+    let file = null;
+
+    all.forEach((line, i) => {
+      const fail = line.match(/^\s*FAIL\s+(\S+)/);
+      if (fail) {
+        file = fail[1];
+        return;
+      }
+
+      const test = line.match(/^\s*● (.+)$/);
+      if (!test || !file) return;
+
+      // Look ahead to the assertion and the "> 12 |" code frame
+      const rest = all.slice(i + 1, i + 40);
+      const end = rest.findIndex(next => /^\s*● /.test(next));
+      const block = end === -1 ? rest : rest.slice(0, end);
+      const reason = block.find(next => next.trim())?.trim();
+      const frame = block.map(next => next.match(/^\s*>\s*(\d+)\s*\|/)).find(Boolean);
+
+      errors.push(error('jest', {
+        code: reason?.match(/^(\w*Error)\b/)?.[1],
+        message: reason ? `${test[1]}: ${reason}` : test[1],
+        file,
+        line: frame?.[1]
+      }));
+    });
+
+    return errors;
+  }
+};
+
+/**
+ * pytest: "FAILED file::test - reason" summary lines
+ */
+const pytestParser = {
+  name: 'pytest',
+  tools: ['pytest', 'python', 'python3', 'tox'],
+  test: /^(FAILED|ERROR) \S+/m,
+  parse(output) {
+    const all = lines(output);
+
+    // "tests/test_x.py:12: AssertionError" lines give the line numbers
+    const locations = all
+      .map(line => line.match(/^(\S+\.py):(\d+): (\w+)$/))
+      .filter(Boolean);
+
+    return all
+      .map(line => line.match(/^(FAILED|ERROR) (\S+?\.py)(?:::(\S+))?(?: - (.+))?$/))
+      .filter(Boolean)
+      .map(([, kind, file, test, reason]) => {
+        const location = locations.find(loc => loc[1] === file);
+        return error('pytest', {
+          code: reason?.match(/^(\w+(?:Error|Exception))\b/)?.[1] || location?.[3] || (kind === 'ERROR' ? 'CollectionError' : null),
+          message: [test, reason].filter(Boolean).join(': ') || file,
+          file,
+          line: location?.[2]
+        });
+      });
+  }
+};
+
+/**
+ * docker: daemon errors and BuildKit failures
+ */
+const dockerParser = {
+  name: 'docker',
+  tools: ['docker', 'docker-compose', 'podman'],
+  test: /Error response from daemon|failed to solve|Cannot connect to the Docker daemon|Unable to find image/i,
+  parse(output) {
+    const errors = [];
+
+    for (const line of lines(output)) {
+      const match = line.match(/Error response from daemon: (.+)$/) ||
+        line.match(/^(?:ERROR: |error: )?(failed to solve: .+)$/i) ||
+        line.match(/(Cannot connect to the Docker daemon .+)$/);
+      if (!match) continue;
+
+      const message = match[1];
+      const exitCode = message.match(/exit code: (\d+)/)?.[1];
+      errors.push(error('docker', {
+        code: exitCode ? `exit ${exitCode}` : message.match(/^(\w+)\. /)?.[1],
+        message,
+        file: message.match(/failed to read dockerfile: open (\S+?):/)?.[1],
+        package: message.match(/(?:pull access denied for|manifest for|repository) ([^\s,:]+(?::[\w.-]+)?)/)?.[1] ||
+          message.match(/image '([^']+)'/)?.[1]
+      }));
+    }
+
+    return errors;
+  }
+};
+
+/**
+ * kubectl: "Error from server (Reason): ..." and client-side errors
+ */
+const kubectlParser = {
+  name: 'kubectl',
+  tools: ['kubectl', 'oc', 'helm'],
+  test: /Error from server|^error: |The connection to the server .+ was refused/m,
+  parse(output, tool) {
+    const errors = [];
+
+    for (const line of lines(output)) {
+      const server = line.match(/Error from server(?: \((\w+)\))?: (.+)$/);
+      // Plain "error:" lines are everyone's; only claim them for kubectl
+      const client = kubectlParser.tools.includes(tool) && line.match(/^error: (.+)$/);
+      const refused = line.match(/^(The connection to the server \S+ was refused.*)$/);
+      const message = server?.[2] || client?.[1] || refused?.[1];
+      if (!message) continue;
+
+      errors.push(error('kubectl', {
+        code: server?.[1] || (refused ? 'ConnectionRefused' : null),
+        message,
+        file: message.match(/(?:validating|parsing|reading) "([^"]+)"/)?.[1],
+        package: message.match(/\b[\w.]+ "([^"]+)" (?:not found|already exists)/)?.[1]
+      }));
+    }
+
+    return errors;
+  }
+};
+
+/**
+ * Fallback for everything else: "SomeError: message", "error: ..." and
+ * "fatal: ..." lines, with the first stack frame as the location
+ */
+const genericParser = {
+  name: 'generic',
+  tools: [],
+  test: /(Error|Exception)\b|^\s*(error|fatal|ERROR|FATAL)(\[\w+\])?:/m,
+  parse(output) {
+    const all = lines(output);
+    const frame = all
+      .map(line => line.match(/^\s+at (?:.+ \()?((?:\/|[A-Za-z]:\\|\.{1,2}\/)[^():]+):(\d+):\d+\)?$/))
+      .find(match => match && !match[1].includes('node_modules'));
+
+    for (const line of all) {
+      const thrown = line.match(/^\s*(?:Uncaught )?((?:[\w$]+\.)*[\w$]*(?:Error|Exception))(?::\s*(.*))?$/);
+      const labelled = line.match(/^\s*(?:error|fatal|ERROR|FATAL)(?:\[(\w+)\])?:\s*(.+)$/);
+      if (!thrown && !labelled) continue;
+
+      const message = thrown ? (thrown[2] || thrown[1]) : labelled[2];
+      const errno = message.match(/^([A-Z][A-Z0-9_]{2,}):/)?.[1];
+
+      return [error('generic', {
+        code: errno || (thrown ? thrown[1].split('.').pop() : labelled[1]),
+        message,
+        file: frame?.[1] || message.match(/'((?:\/|[A-Za-z]:\\)[^']+)'/)?.[1],
+        line: frame?.[2],
+        package: message.match(/Cannot find (?:module|package) '([^']+)'/)?.[1]
+      })];
+    }
+
+    return [];
+  }
+};
+
+parsers.push(
+  npmParser,
+  yarnParser,
+  pnpmParser,
+  pythonParser,
+  tscParser,
+  rustParser,
+  goParser,
+  jestParser,
+  pytestParser,
+  dockerParser,
+  kubectlParser
+);
+
+/**
+ * Register an error parser
+ * @param {Object} parser - { name, tools, test, parse(output, tool) }
+ * @param {Object} options - { first: try before the built-in parsers }
+ */
+export function registerErrorParser(parser, options = {}) {
+  if (!parser?.name || typeof parser.parse !== 'function') {
+    throw new Error('An error parser needs a name and a parse() function');
+  }
+
+  const existing = parsers.findIndex(p => p.name === parser.name);
+  if (existing !== -1) parsers.splice(existing, 1);
+
+  if (options.first) parsers.unshift(parser);
+  else parsers.push(parser);
+}
+
+/**
+ * Get the names of the registered parsers, in the order they are tried
+ * @returns {Array<string>} Parser names
+ */
+export function getErrorParsers() {
+  return [...parsers.map(p => p.name), genericParser.name];
+}
+
+/**
+ * Get the tool a command runs
+ * @param {string} command - Command line
+ * @returns {string} Base name of the primary command
+ */
+function getTool(command) {
+  return (getPrimaryCommand(command)?.name || '').split('/').pop();
+}
+
+/**
+ * Parse the errors in a command's output
+ * Parsers scoped to the command's tool are tried first; the first parser
+ * that finds anything wins, and the generic parser is the last resort.
+ * @param {string} output - stderr and/or stdout text
+ * @param {string} command - Command that produced it
+ * @returns {Array<Object>} Errors: { parser, code, message, file, line, package }
+ */
+export function parseErrors(output, command = '') {
+  if (!output || !output.trim()) return [];
+
+  const tool = getTool(command);
+  const ordered = [
+    ...parsers.filter(p => p.tools?.includes(tool)),
+    ...parsers.filter(p => !p.tools?.includes(tool)),
+    genericParser
+  ];
+
+  for (const parser of ordered) {
+    if (parser.test && !parser.test.test(output)) continue;
+
+    const errors = parser.parse(output, tool).filter(e => e.message);
+    if (errors.length > 0) return errors;
+  }
+
+  return [];
+}
+
+/**
+ * Extract the details stored on an episode: the first error plus a count
+ * @param {string} output - stderr and/or stdout text
+ * @param {string} command - Command that produced it
+ * @returns {Object|null} { parser, code, message, file, line, package, count }
+ */
+export function parseErrorDetails(output, command = '') {
+  const errors = parseErrors(output, command);
+  if (errors.length === 0) return null;
+
+  return { ...errors[0], count: errors.length };
+}
+
+/**
+ * Describe error details in one line
+ * @param {Object} details - Parsed error details
+ * @returns {string} e.g. "TS2322: Type 'string'... (src/index.ts:12)"
+ */
+export function formatErrorDetails(details) {
+  if (!details) return '';
+
+  const code = details.code && !details.message.startsWith(details.code) ? `${details.code}: ` : '';
+  const location = details.file ? ` (${details.file}${details.line ? `:${details.line}` : ''})` : '';
+  const pkg = details.package && !details.message.includes(details.package) ? ` [${details.package}]` : '';
+
+  return `${code}${details.message}${pkg}${location}`;
+}
+
+/**
+ * Keywords worth indexing from error details
+ * @param {Object} details - Parsed error details
+ * @returns {Array<string>} Keywords
+ */
+export function errorKeywords(details) {
+  if (!details) return [];
+
+  return [
+    details.parser !== 'generic' ? details.parser : null,
+    details.code,
+    details.package,
+    details.file ? details.file.split(/[\\/]/).pop() : null
+  ].filter(Boolean);
+}
+
+export default {
+  registerErrorParser,
+  getErrorParsers,
+  parseErrors,
+  parseErrorDetails,
+  formatErrorDetails,
+  errorKeywords
+};
@@ -4,49 +4,39 @@
  */
 
 import { v4 as uuidv4 } from 'uuid';
-import simpleGit from 'simple-git';
 import { loadConfig } from './config.js';
-import db, { initDatabase } from './database.js';
+import db from './database.js';
 import { 
   generateProjectHash, 
-  isSignificantEvent, 
+  classifyEvent, 
   createEpisodeFromEvent,
-  shouldIgnoreCommand,
-  getCommandName
+  getCommandName,
+  isFailedEvent,
+  isRelatedCommand,
+  createResolution
 } from './episodes.js';
-import { generateEpisodeEmbedding } from './embedding.js';
+import { resolveProject } from './project.js';
+import { consolidateSession, embedWorkflows } from './consolidation.js';
+import { findDuplicateEpisode, mergeIfDuplicate } from './dedupe.js';
+import { generateEpisodeEmbedding, getEmbeddingModel } from './embedding.js';
 import { retrieve } from './retrieval.js';
+import { redactEvent } from './redaction.js';
+import { checkExclusion } from './ignore.js';
+import { getCommandKey, checkSlowdown, findLastSlowRun } from './timing.js';
+import { captureEnvironment } from './environment.js';
+import { getGitState, getFixCommit, linkPendingFixes } from './git.js';
 
-// Session tracking
+// Session tracking; the shell integration exports one ID per terminal
 let currentSession = null;
-let sessionId = uuidv4();
+let sessionId = process.env.GHOSTLY_SESSION_ID || uuidv4();
 let lastDirectory = null;
 let lastBranch = null;
-let dbInitialized = false;
 
 /**
- * Ensure database is initialized
+ * Ensure database is initialized (again, if it was closed)
  */
 async function ensureDbInit() {
-  if (!dbInitialized) {
-    await initDatabase();
-    dbInitialized = true;
-  }
-}
-
-/**
- * Get current git branch
- * @param {string} cwd - Current working directory
- * @returns {Promise<string|null>} Git branch name
- */
-async function getGitBranch(cwd) {
-  try {
-    const git = simpleGit(cwd);
-    const branch = await git.branch();
-    return branch.current || null;
-  } catch (error) {
-    return null;
-  }
+  await db.getDatabase();
 }
 
 /**
@@ -81,92 +71,215 @@ function detectContextChanges(event) {
   return changes;
 }
 
+/**
+ * Use a specific terminal session ID for subsequent events
+ * @param {string} id - Session ID
+ */
+export function setSessionId(id) {
+  if (id && id !== sessionId) {
+    sessionId = id;
+    currentSession = null;
+  }
+}
+
+/**
+ * Resolve open failures that a successful command fixes
+ * A failure is resolved when a related command later succeeds in the same
+ * session and project; the commands run in between become its fix, and a
+ * commit made in between is the commit that contained it.
+ * @param {Object} event - Stored successful event
+ * @returns {Array<Object>} Resolved episodes
+ */
+function resolveFailures(event) {
+  const config = loadConfig();
+  const windowMs = config.capture.resolution_window * 60 * 1000;
+  const since = new Date(new Date(event.timestamp).getTime() - windowMs).toISOString();
+  
+  const open = db.getOpenFailures({
+    sessionId: event.session_id,
+    projectHash: event.project_hash,
+    since
+  }).filter(failure => isRelatedCommand(failure.failed_command, event.command));
+  
+  return open.map(failure => {
+    const events = db.getSessionEventsBetween({
+      sessionId: event.session_id,
+      projectHash: event.project_hash,
+      afterId: failure.failed_event_id,
+      untilId: event.id
+    });
+    const resolution = createResolution(failure.failed_command, events);
+    db.resolveEpisode(failure.id, {
+      ...resolution,
+      fix_commit: getFixCommit(failure.failed_git_status, event.git_status)
+    });
+    
+    return db.getEpisode(failure.id);
+  });
+}
+
+/**
+ * Re-embed episodes whose text changed
+ * @param {Array<Object>} episodes - Episodes to embed
+ */
+async function refreshEmbeddings(episodes) {
+  for (const episode of episodes) {
+    try {
+      const embedding = await generateEpisodeEmbedding(episode);
+      const model = await getEmbeddingModel();
+      db.transaction(() => {
+        const embeddingId = db.insertEmbedding(episode.id, model, embedding);
+        db.updateEpisode(episode.id, { ...episode, embedding_id: embeddingId });
+      });
+    } catch (error) {
+      console.warn('Failed to generate embedding:', error.message);
+    }
+  }
+}
+
 /**
  * Process a terminal event
  * @param {Object} event - Raw terminal event
  * @returns {Promise<Object>} Processed result
  */
 export async function processEvent(event) {
+  // Excluded trees and commands never reach the database
+  const exclusion = checkExclusion(event);
+  if (exclusion.action === 'exclude') {
+    return { skipped: true, reason: exclusion.reason, source: exclusion.source };
+  }
+  
   // Ensure DB is initialized
   await ensureDbInit();
   
   const config = loadConfig();
+  setSessionId(event.session_id);
   
-  // Ensure we have a session
-  if (!currentSession) {
-    currentSession = db.getOrCreateSession(sessionId, {
-      cwd: event.cwd,
-      git_branch: event.git_branch
-    });
-  }
-  
-  // Update session activity
-  db.updateSession(sessionId, {
-    cwd: event.cwd,
-    git_branch: event.git_branch
-  });
+  // Git state of the work tree; the branch the shell reported wins
+  const gitStatus = event.git_status !== undefined ? event.git_status : await getGitState(event.cwd);
+  const gitBranch = event.git_branch || gitStatus?.branch || null;
   
-  // Generate project hash
-  const projectHash = generateProjectHash(event.cwd);
+  // Identify the project: its root, and its git remote when there is one
+  const project = resolveProject(event.cwd);
+  const projectHash = project.project_hash;
   
-  // Upsert project
-  db.upsertProject({
-    project_hash: projectHash,
-    name: event.cwd?.split('/').pop() || 'unknown',
-    root_path: event.cwd
-  });
-  
-  // Truncate output if needed
-  const stdoutTruncated = event.stdout?.substring(0, config.output.max_stdout_length);
-  const stderrTruncated = event.stderr?.substring(0, config.output.max_stderr_length);
+  // Truncate output if needed; metadata-only commands keep none
+  const metadataOnly = exclusion.action === 'metadata';
+  const stdoutTruncated = metadataOnly ? null : event.stdout?.substring(0, config.output.max_stdout_length);
+  const stderrTruncated = metadataOnly ? null : event.stderr?.substring(0, config.output.max_stderr_length);
   
-  // Create structured event
-  const structuredEvent = {
+  // Create structured event, with secrets masked before anything keeps it
+  const { event: structuredEvent, count: redactionCount } = redactEvent({
     session_id: sessionId,
     timestamp: event.timestamp || new Date().toISOString(),
     cwd: event.cwd,
-    git_branch: event.git_branch,
+    git_branch: gitBranch,
+    git_status: gitStatus,
     command: event.command,
     exit_code: event.exit_code,
-    stdout_truncated: stdoutTruncated,
-    stderr_truncated: stderrTruncated,
-    project_hash: projectHash
-  };
+    stdout_text: stdoutTruncated,
+    stderr_text: stderrTruncated,
+    project_hash: projectHash,
+    duration_ms: event.duration_ms ?? null,
+    environment: event.environment ?? captureEnvironment(event)
+  });
+  structuredEvent.redaction_count = redactionCount;
+  structuredEvent.command_key = getCommandKey(structuredEvent.command);
+  
+  // Session, project, event and episode are committed as one journal record
+  const stored = db.transaction(() => {
+    // Ensure we have a session (the database may have been reopened since)
+    currentSession = db.getOrCreateSession(sessionId, {
+      cwd: event.cwd,
+      git_branch: gitBranch
+    });
+    
+    // Update session activity
+    db.updateSession(sessionId, {
+      cwd: event.cwd,
+      git_branch: gitBranch
+    });
+    
+    // Upsert project
+    db.upsertProject(project);
+    
+    // Capture rules and the ignore list decide whether it is kept at all
+    structuredEvent.slowdown = checkSlowdown(structuredEvent);
+    const classification = classifyEvent(structuredEvent);
+    if (classification.action === 'ignore') {
+      return { skipped: classification };
+    }
+    
+    // Insert event into database
+    const eventId = db.insertEvent(structuredEvent);
+    structuredEvent.id = eventId;
+    
+    // A success may close earlier failures of the same command
+    const resolved = isFailedEvent(structuredEvent) ? [] : resolveFailures(structuredEvent);
+    
+    // Significant events become episodes once consolidation has run
+    const episode = classification.action === 'significant' ? createEpisodeFromEvent(structuredEvent) : null;
+    return { eventId, episode, resolved };
+  });
+  
+  if (stored.skipped) {
+    return { skipped: true, reason: stored.skipped.reason, rule: stored.skipped.rule };
+  }
+  
+  const { eventId, episode, resolved } = stored;
   
-  // Check if command should be ignored
-  if (shouldIgnoreCommand(event.command)) {
-    return { skipped: true, reason: 'ignored_command' };
+  // A slow run is explained by the last one that was as slow
+  const { slowdown } = structuredEvent;
+  if (slowdown) {
+    slowdown.last = findLastSlowRun(structuredEvent, slowdown);
   }
   
-  // Insert event into database
-  const eventId = db.insertEvent(structuredEvent);
-  structuredEvent.id = eventId;
+  // Resolved episodes now carry a fix worth embedding
+  await refreshEmbeddings(resolved);
   
-  // Check if event is significant
-  const significance = isSignificantEvent(structuredEvent);
+  // Fixes verified before they were committed get their commit once it exists
+  const fixCommits = await linkPendingFixes(structuredEvent, gitStatus);
   
-  if (!significance.isSignificant) {
+  // This event may close a run of commands that becomes a workflow episode
+  const { workflows } = consolidateSession(sessionId, { now: structuredEvent.timestamp });
+  await embedWorkflows(workflows);
+  
+  if (!episode) {
     return { 
       stored: true, 
       significant: false, 
-      eventId 
+      eventId,
+      redactions: redactionCount,
+      metadataOnly,
+      slowdown,
+      resolved,
+      fixCommits,
+      workflows
     };
   }
   
-  // Create episode from significant event
-  const episode = createEpisodeFromEvent(structuredEvent);
-  const episodeId = db.insertEpisode(episode);
+  // Store the episode, unless it repeats one the consolidation left standing
+  const { duplicate, episodeId } = db.transaction(() => {
+    const duplicate = findDuplicateEpisode(episode);
+    return { duplicate, episodeId: duplicate ? null : db.insertEpisode(episode) };
+  });
   
   // Generate embedding for the episode
   try {
-    const embedding = await generateEpisodeEmbedding(episode);
-    const embeddingId = db.insertEmbedding(episodeId, config.embedding.openai_model, embedding);
-    
-    // Update episode with embedding ID
-    db.updateEpisode(episodeId, {
-      ...episode,
-      embedding_id: embeddingId
-    });
+    if (episodeId) {
+      const embedding = await generateEpisodeEmbedding(episode);
+      const model = await getEmbeddingModel();
+      
+      db.transaction(() => {
+        const embeddingId = db.insertEmbedding(episodeId, model, embedding);
+        
+        // Update episode with embedding ID
+        db.updateEpisode(episodeId, {
+          ...episode,
+          embedding_id: embeddingId
+        });
+      });
+    }
   } catch (error) {
     console.warn('Failed to generate embedding:', error.message);
   }
@@ -174,26 +287,42 @@ export async function processEvent(event) {
   // Update tracking variables
   const contextChanges = detectContextChanges(structuredEvent);
   lastDirectory = event.cwd;
-  lastBranch = event.git_branch;
+  lastBranch = gitBranch;
   
   // Try to retrieve relevant memories
   const context = {
-    command: event.command,
+    episode_id: episodeId,
+    error_signature: episode.error_signature,
+    command: structuredEvent.command,
     cwd: event.cwd,
-    git_branch: event.git_branch,
+    git_branch: gitBranch,
     exit_code: event.exit_code,
-    error: stderrTruncated,
+    error: structuredEvent.stderr_text,
     project_hash: projectHash,
+    slowdown,
+    fingerprint: structuredEvent.environment,
     ...contextChanges
   };
   
   const retrievalResult = await retrieve(context);
   
+  // Repeats fold into the earlier episode once retrieval has offered it
+  const canonical = duplicate
+    ? db.recordOccurrence(duplicate.id, { event_ids: episode.event_ids, timestamp: structuredEvent.timestamp })
+    : mergeIfDuplicate(episodeId);
+  
   return {
     stored: true,
     significant: true,
     eventId,
-    episodeId,
+    redactions: redactionCount,
+    metadataOnly,
+    slowdown,
+    episodeId: canonical?.id ?? episodeId,
+    occurrences: canonical?.occurrences ?? 1,
+    resolved,
+    fixCommits,
+    workflows,
     retrieval: retrievalResult
   };
 }
@@ -212,16 +341,13 @@ export async function simulateEvent(params) {
     cwd: params.cwd || process.cwd(),
     git_branch: params.git_branch || null,
     command: params.command,
+    session_id: params.session_id,
     exit_code: params.exit_code || 0,
+    duration_ms: params.duration_ms ?? null,
     stdout: params.stdout || '',
     stderr: params.stderr || ''
   };
   
-  // Get git branch if not provided
-  if (!event.git_branch) {
-    event.git_branch = await getGitBranch(event.cwd);
-  }
-  
   return processEvent(event);
 }
 
@@ -278,6 +404,7 @@ export function getSessionInfo() {
 export default {
   processEvent,
   simulateEvent,
+  setSessionId,
   startWatching,
   stopWatching,
   getSessionInfo
@@ -0,0 +1,119 @@
+/**
+ * Ghostly Memory Bank - Full-Text Search Helpers
+ * Query building and BM25 ranking on top of SQLite FTS4
+ */
+
+// Markers wrapped around matched terms in snippets
+export const HIGHLIGHT_OPEN = '«';
+export const HIGHLIGHT_CLOSE = '»';
+
+// Words too common in terminal output to be useful on their own
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in',
+  'is', 'it', 'of', 'on', 'or', 'the', 'to', 'was', 'with'
+]);
+
+// Upper bound on terms sent to MATCH (context queries embed whole errors)
+const MAX_TERMS = 32;
+
+/**
+ * Split free text into FTS tokens the way the porter/simple tokenizer does
+ * @param {string} text - Input text
+ * @returns {Array<string>} Lowercase alphanumeric tokens
+ */
+function tokenize(text) {
+  return text.toLowerCase().split(/[^a-z0-9_]+/).filter(Boolean);
+}
+
+/**
+ * Build an FTS4 MATCH expression from a user query
+ * Supports "quoted phrases" and prefix* terms; everything else is tokenized
+ * and OR-ed together so BM25 can rank documents matching more terms higher.
+ * @param {string} query - User query
+ * @returns {string|null} MATCH expression, or null if nothing is searchable
+ */
+export function buildMatchQuery(query) {
+  if (!query) return null;
+
+  const clauses = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    if (match[1] !== undefined) {
+      const phrase = tokenize(match[1]);
+      if (phrase.length > 1) clauses.push(`"${phrase.join(' ')}"`);
+      else if (phrase.length === 1) clauses.push(phrase[0]);
+      continue;
+    }
+
+    const word = match[2];
+    const isPrefix = word.endsWith('*');
+    const tokens = tokenize(word);
+
+    tokens.forEach((token, i) => {
+      if (isPrefix && i === tokens.length - 1) {
+        clauses.push(`${token}*`);
+      } else {
+        clauses.push(token);
+      }
+    });
+  }
+
+  const unique = [...new Set(clauses)];
+  const meaningful = unique.filter(c => !STOP_WORDS.has(c));
+  const terms = (meaningful.length > 0 ? meaningful : unique).slice(0, MAX_TERMS);
+
+  return terms.length > 0 ? terms.join(' OR ') : null;
+}
+
+/**
+ * Score a row with Okapi BM25 from FTS4 matchinfo(table, 'pcnalx')
+ * @param {Uint8Array} matchinfo - Raw matchinfo blob
+ * @param {Array<number>} weights - Per-column weights
+ * @returns {number} Relevance score (higher is better)
+ */
+export function bm25(matchinfo, weights = []) {
+  if (!matchinfo) return 0;
+
+  const info = new Uint32Array(matchinfo.buffer, matchinfo.byteOffset, matchinfo.byteLength / 4);
+  const k1 = 1.2;
+  const b = 0.75;
+
+  const phraseCount = info[0];
+  const columnCount = info[1];
+  const docCount = info[2];
+  const avgLengthOffset = 3;
+  const lengthOffset = avgLengthOffset + columnCount;
+  const hitsOffset = lengthOffset + columnCount;
+
+  let score = 0;
+
+  for (let phrase = 0; phrase < phraseCount; phrase++) {
+    for (let column = 0; column < columnCount; column++) {
+      const weight = weights[column] ?? 1;
+      if (weight === 0) continue;
+
+      const base = hitsOffset + 3 * (phrase * columnCount + column);
+      const termFrequency = info[base];
+      const docsWithTerm = info[base + 2];
+      if (termFrequency === 0) continue;
+
+      const avgLength = info[avgLengthOffset + column] || 1;
+      const length = info[lengthOffset + column];
+      const idf = Math.log(1 + (docCount - docsWithTerm + 0.5) / (docsWithTerm + 0.5));
+      const norm = termFrequency + k1 * (1 - b + b * length / avgLength);
+
+      score += weight * idf * (termFrequency * (k1 + 1)) / norm;
+    }
+  }
+
+  return score;
+}
+
+export default {
+  HIGHLIGHT_OPEN,
+  HIGHLIGHT_CLOSE,
+  buildMatchQuery,
+  bm25
+};
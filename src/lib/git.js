@@ -0,0 +1,255 @@
+/**
+ * Ghostly Memory Bank - Git State
+ * Records the state of the repository a command ran in (branch, HEAD
+ * commit, ahead/behind counts, staged and unstaged files) and links
+ * resolved failures to the commit that contained their fix.
+ */
+
+import fs from 'fs';
+import simpleGit from 'simple-git';
+import { loadConfig } from './config.js';
+import db from './database.js';
+import { redactText } from './redaction.js';
+
+// File lists are capped; the counts are what recall shows
+const MAX_FILES = 50;
+
+// Digits of a commit SHA shown to people
+const SHORT_SHA = 7;
+
+/**
+ * Open a repository with the configured timeout
+ * @param {string} cwd - Directory inside the work tree
+ * @returns {Object} simple-git instance
+ */
+function openRepository(cwd) {
+  return simpleGit({ baseDir: cwd, timeout: { block: loadConfig().capture.git.timeout_ms } });
+}
+
+/**
+ * Get the HEAD commit and its subject
+ * @param {Object} git - simple-git instance
+ * @returns {Promise<Object>} { head, subject }, nulls before the first commit
+ */
+async function getHead(git) {
+  try {
+    const { latest } = await git.log({ maxCount: 1 });
+    return { head: latest?.hash || null, subject: latest ? redactText(latest.message).text : null };
+  } catch (error) {
+    return { head: null, subject: null };
+  }
+}
+
+/**
+ * Get the state of the repository a directory belongs to
+ * @param {string} cwd - Current working directory
+ * @returns {Promise<Object|null>} { branch, head, subject, tracking, ahead, behind,
+ *   staged, unstaged, untracked, conflicted }, null outside git or when disabled
+ */
+export async function getGitState(cwd) {
+  if (!loadConfig().capture.git.enabled || !cwd || !fs.existsSync(cwd)) return null;
+
+  try {
+    const git = openRepository(cwd);
+    const status = await git.status();
+    const tracked = status.files.filter(file => file.index !== '?' && file.index !== '!');
+
+    return {
+      branch: status.detached ? null : status.current || null,
+      ...await getHead(git),
+      tracking: status.tracking || null,
+      ahead: status.ahead,
+      behind: status.behind,
+      staged: tracked.filter(file => file.index !== ' ').map(file => file.path).slice(0, MAX_FILES),
+      unstaged: tracked.filter(file => file.working_dir !== ' ').map(file => file.path).slice(0, MAX_FILES),
+      untracked: status.not_added.length,
+      conflicted: status.conflicted.slice(0, MAX_FILES)
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse a stored git state
+ * @param {string|Object|null} value - JSON text or state
+ * @returns {Object|null} Git state
+ */
+export function parseGitState(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Check for uncommitted changes to tracked files
+ * @param {Object|null} state - Git state
+ * @returns {boolean} True when files are staged or modified
+ */
+export function isDirty(state) {
+  return !!state && (state.staged.length > 0 || state.unstaged.length > 0);
+}
+
+/**
+ * Shorten a commit SHA
+ * @param {string} sha - Commit SHA
+ * @returns {string} e.g. "a1b2c3d"
+ */
+export function shortSha(sha) {
+  return sha ? sha.substring(0, SHORT_SHA) : '';
+}
+
+/**
+ * Summarize a git state
+ * @param {Object|null} state - Git state
+ * @returns {string} e.g. "a1b2c3d, 2 ahead of origin/main, 1 staged, 3 modified"
+ */
+export function formatGitState(state) {
+  if (!state) return '';
+
+  const parts = [state.head ? shortSha(state.head) : 'no commits'];
+  if (state.tracking && (state.ahead || state.behind)) {
+    const counts = [state.ahead && `${state.ahead} ahead`, state.behind && `${state.behind} behind`].filter(Boolean);
+    parts.push(`${counts.join(', ')} of ${state.tracking}`);
+  }
+  if (state.staged.length) parts.push(`${state.staged.length} staged`);
+  if (state.unstaged.length) parts.push(`${state.unstaged.length} modified`);
+  if (state.untracked) parts.push(`${state.untracked} untracked`);
+  if (state.conflicted.length) parts.push(`${state.conflicted.length} conflicted`);
+  return parts.join(', ');
+}
+
+/**
+ * Describe the commit that fixed an episode
+ * @param {Object} episode - Episode
+ * @returns {string} e.g. "fixed in a1b2c3d: bump eslint config", empty without one
+ */
+export function formatFixCommit(episode) {
+  if (!episode.fix_commit) return '';
+  return `fixed in ${shortSha(episode.fix_commit)}${episode.fix_commit_subject ? `: ${episode.fix_commit_subject}` : ''}`;
+}
+
+/**
+ * Find the commit a resolution was made in
+ * When HEAD moved between the failure and the run that succeeded, the fix
+ * went into the new HEAD. Otherwise it is still uncommitted (or was not a
+ * code change) and `linkPendingFixes` picks it up once it is committed.
+ * @param {Object|string} failedState - Git state of the failing run
+ * @param {Object|string} resolvingState - Git state of the successful run
+ * @returns {Object|null} { sha, subject }
+ */
+export function getFixCommit(failedState, resolvingState) {
+  const before = parseGitState(failedState);
+  const after = parseGitState(resolvingState);
+  if (!before?.head || !after?.head || before.head === after.head) return null;
+
+  return { sha: after.head, subject: after.subject };
+}
+
+/**
+ * List the commits reachable from one commit but not from another
+ * @param {string} cwd - Directory inside the work tree
+ * @param {string} from - Older commit
+ * @param {string} to - Newer commit
+ * @param {number} limit - Max number of commits (the newest are kept)
+ * @returns {Promise<Array<Object>>} [{ sha, subject }], oldest first
+ */
+export async function getCommitsBetween(cwd, from, to, limit = 50) {
+  if (from === to) return [];
+
+  const output = await openRepository(cwd).raw(['log', '--reverse', `--max-count=${limit}`, '--format=%H%x09%s', `${from}..${to}`]);
+  return output.split('\n').filter(Boolean).map(line => {
+    const [sha, ...subject] = line.split('\t');
+    return { sha, subject: redactText(subject.join('\t')).text };
+  });
+}
+
+/**
+ * List the files that differ between two commits
+ * @param {string} cwd - Directory inside the work tree
+ * @param {string} from - Older commit
+ * @param {string} to - Newer commit
+ * @returns {Promise<Array<Object>>} [{ file, added, deleted }], line counts null for binary files
+ */
+export async function getChangedFiles(cwd, from, to) {
+  if (from === to) return [];
+
+  const output = await openRepository(cwd).raw(['diff', '--numstat', '--no-renames', from, to]);
+  return output.split('\n').filter(Boolean).map(line => {
+    const [added, deleted, ...file] = line.split('\t');
+    return {
+      file: file.join('\t'),
+      added: added === '-' ? null : parseInt(added),
+      deleted: deleted === '-' ? null : parseInt(deleted)
+    };
+  });
+}
+
+/**
+ * Find the first commit after `base` on the way to `head` that touches files
+ * @param {Object} git - simple-git instance
+ * @param {string} base - Commit the fix was made on
+ * @param {string} head - Current HEAD
+ * @param {Array<string>} files - Paths relative to the work tree root
+ * @returns {Promise<Object|null>} { sha, subject }
+ */
+async function findCommitTouching(git, base, head, files) {
+  // Commits on another branch did not carry this working tree's fix
+  const mergeBase = (await git.raw(['merge-base', base, head])).trim();
+  if (mergeBase !== base) return null;
+
+  const pathspecs = files.map(file => `:(top,literal)${file}`);
+  const output = await git.raw(['log', '--reverse', '--format=%H%x09%s', `${base}..${head}`, '--', ...pathspecs]);
+  const line = output.split('\n').find(Boolean);
+  if (!line) return null;
+
+  const [sha, ...subject] = line.split('\t');
+  return { sha, subject: redactText(subject.join('\t')).text };
+}
+
+/**
+ * Link resolved episodes whose fix was uncommitted to the commit that took it
+ * Once HEAD has moved past the commit a fix was verified on, the first new
+ * commit touching the files that were dirty then is the fix commit.
+ * @param {Object} event - Event with project_hash and cwd
+ * @param {Object|null} state - Current git state
+ * @returns {Promise<Array<Object>>} Episodes that got a fix commit
+ */
+export async function linkPendingFixes(event, state) {
+  if (!state?.head) return [];
+
+  const days = loadConfig().capture.git.fix_commit_days;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+  const pending = db.getPendingFixes({ projectHash: event.project_hash, head: state.head, since });
+  const linked = [];
+
+  for (const episode of pending) {
+    const resolution = parseGitState(episode.resolution_git_status);
+    if (!isDirty(resolution)) continue;
+
+    try {
+      const files = [...new Set([...resolution.staged, ...resolution.unstaged])];
+      const commit = await findCommitTouching(openRepository(event.cwd), resolution.head, state.head, files);
+      if (commit) {
+        db.setFixCommit(episode.id, commit);
+        linked.push(db.getEpisode(episode.id));
+      }
+    } catch (error) {
+      // Unknown commits (rebased away, another clone): try again later
+    }
+  }
+
+  return linked;
+}
+
+export default {
+  getGitState,
+  parseGitState,
+  isDirty,
+  shortSha,
+  formatGitState,
+  formatFixCommit,
+  getFixCommit,
+  getCommitsBetween,
+  getChangedFiles,
+  linkPendingFixes
+};
@@ -0,0 +1,144 @@
+/**
+ * Ghostly Memory Bank - Capture Exclusions
+ * Keeps commands out of the memory bank when they run in a tree matched by
+ * `security.exclude_projects` or covered by a `.ghostlyignore` file, or
+ * keeps only their metadata (the command line, not its output)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadConfig } from './config.js';
+import { globToRegExp } from './rules.js';
+
+/**
+ * Name of the per-directory ignore file
+ */
+export const IGNORE_FILE = '.ghostlyignore';
+
+// Line prefixes of a .ghostlyignore file
+const COMMAND_PREFIX = 'command:';
+const METADATA_PREFIX = 'metadata-only';
+
+/**
+ * Convert a command pattern into a RegExp
+ * `*` and `?` match any characters, spaces included; a pattern also
+ * matches command lines that continue after it with more arguments.
+ * @param {string} pattern - e.g. "vault read *" or "aws sts"
+ * @returns {RegExp} Anchored pattern
+ */
+export function commandPatternToRegExp(pattern) {
+  const source = pattern.trim()
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}(?:\\s.*)?$`, 's');
+}
+
+/**
+ * Convert a configured exclude_projects glob into a RegExp
+ * Globs that are not absolute (or ~) match at any depth, so the default
+ * node_modules pattern covers every node_modules tree.
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Pattern for absolute directories
+ */
+function projectGlobToRegExp(glob) {
+  return globToRegExp(/^[/~]/.test(glob) ? glob : `**/${glob}`);
+}
+
+/**
+ * Parse the rules of a .ghostlyignore file
+ * Each line is a directory pattern relative to the file (`secrets/`,
+ * `infra/**`, `.` for the whole tree) or `command: <pattern>`; prefixing
+ * either with `metadata-only:` stores those commands without their output.
+ * A file without rules excludes its whole directory tree.
+ * @param {string} text - File contents
+ * @param {string} dir - Directory holding the file
+ * @param {string} file - File path, for messages
+ * @returns {Array<Object>} [{ mode, type, test, source }]
+ */
+export function parseIgnoreFile(text, dir, file = path.join(dir, IGNORE_FILE)) {
+  const rules = [];
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    let line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+
+    let mode = 'exclude';
+    if (line === METADATA_PREFIX || line.startsWith(`${METADATA_PREFIX}:`)) {
+      mode = 'metadata';
+      line = line.slice(METADATA_PREFIX.length).replace(/^:/, '').trim() || '.';
+    }
+
+    const source = `${file}:${index + 1}`;
+    if (line.startsWith(COMMAND_PREFIX)) {
+      const pattern = commandPatternToRegExp(line.slice(COMMAND_PREFIX.length));
+      rules.push({ mode, type: 'command', test: event => pattern.test((event.command || '').trim()), source });
+    } else {
+      const pattern = globToRegExp(line.startsWith('~') ? line : path.join(dir, line));
+      rules.push({ mode, type: 'path', test: (event, cwd) => pattern.test(cwd), source });
+    }
+  });
+
+  if (rules.length === 0) {
+    rules.push({ mode: 'exclude', type: 'path', test: () => true, source: file });
+  }
+  return rules;
+}
+
+/**
+ * Find the .ghostlyignore files that cover a directory
+ * @param {string} cwd - Absolute directory
+ * @returns {Array<Object>} [{ file, rules }], nearest first
+ */
+export function findIgnoreFiles(cwd) {
+  const files = [];
+
+  for (let dir = cwd; ; dir = path.dirname(dir)) {
+    const file = path.join(dir, IGNORE_FILE);
+    try {
+      files.push({ file, rules: parseIgnoreFile(fs.readFileSync(file, 'utf8'), dir, file) });
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+    }
+    if (path.dirname(dir) === dir) break;
+  }
+
+  return files;
+}
+
+/**
+ * Decide whether an event may be captured
+ * Exclusions win over metadata-only rules, wherever they are found.
+ * @param {Object} event - Terminal event (command, cwd)
+ * @returns {Object} { action: 'exclude'|'metadata'|'store', reason, source }
+ */
+export function checkExclusion(event) {
+  if (!event.cwd) {
+    return { action: 'store', reason: null, source: null };
+  }
+
+  const cwd = path.resolve(event.cwd);
+  const globs = loadConfig().security.exclude_projects || [];
+  const excluded = globs.findIndex(glob => projectGlobToRegExp(glob).test(cwd));
+  if (excluded !== -1) {
+    return { action: 'exclude', reason: 'excluded_project', source: `security.exclude_projects[${excluded}]` };
+  }
+
+  const rules = findIgnoreFiles(cwd).flatMap(({ rules }) => rules);
+  for (const mode of ['exclude', 'metadata']) {
+    const match = rules.find(rule => rule.mode === mode && rule.test(event, cwd));
+    if (match) {
+      return { action: mode, reason: mode === 'exclude' ? 'ghostlyignore' : 'metadata_only', source: match.source };
+    }
+  }
+
+  return { action: 'store', reason: null, source: null };
+}
+
+export default {
+  IGNORE_FILE,
+  commandPatternToRegExp,
+  parseIgnoreFile,
+  findIgnoreFiles,
+  checkExclusion
+};
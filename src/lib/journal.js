@@ -0,0 +1,174 @@
+/**
+ * Ghostly Memory Bank - Write Journal
+ * Append-only log of committed write transactions kept next to the database
+ * file, so a capture only costs one small fsync'd append instead of a full
+ * database export. The journal is replayed on load and folded into the
+ * database file by a checkpoint.
+ */
+
+import fs from 'fs';
+import { DecryptionError } from './encryption.js';
+
+// Prefix of journal lines holding an encrypted (base64) record
+const ENCRYPTED_PREFIX = '~';
+
+/**
+ * Get the journal path for a database file
+ * @param {string} dbPath - Database file path
+ * @returns {string} Journal file path
+ */
+export function getJournalPath(dbPath) {
+  return `${dbPath}.journal`;
+}
+
+/**
+ * Encode a bound parameter so it survives a JSON round trip
+ * @param {any} value - Statement parameter
+ * @returns {any} JSON-safe value
+ */
+function encodeParam(value) {
+  if (ArrayBuffer.isView(value)) {
+    return { $blob: Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64') };
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Decode a parameter written by encodeParam
+ * @param {any} value - JSON value
+ * @returns {any} Statement parameter
+ */
+function decodeParam(value) {
+  if (value && typeof value === 'object' && typeof value.$blob === 'string') {
+    return new Uint8Array(Buffer.from(value.$blob, 'base64'));
+  }
+  return value;
+}
+
+/**
+ * Serialize a committed transaction into a single journal line
+ * @param {number} seq - Transaction sequence number
+ * @param {Array} ops - [{ sql, params }] in execution order
+ * @param {Object} cipher - Optional cipher from encryption.js
+ * @returns {string} Journal line (without trailing newline)
+ */
+export function encodeRecord(seq, ops, cipher = null) {
+  const json = JSON.stringify({
+    seq,
+    ops: ops.map(op => ({ sql: op.sql, params: op.params.map(encodeParam) }))
+  });
+
+  return cipher
+    ? ENCRYPTED_PREFIX + cipher.encrypt(Buffer.from(json, 'utf8')).toString('base64')
+    : json;
+}
+
+/**
+ * Parse a journal line written by encodeRecord
+ * Encrypted lines that fail to decrypt throw rather than being skipped:
+ * a wrong key must not look like an empty journal.
+ * @param {string} line - Journal line
+ * @param {Object} cipher - Cipher for encrypted lines
+ * @returns {Object|null} { seq, ops } or null for a torn/corrupt line
+ */
+export function decodeRecord(line, cipher = null) {
+  if (line.startsWith(ENCRYPTED_PREFIX)) {
+    if (!cipher) {
+      throw new DecryptionError('The journal is encrypted but no passphrase or keyfile is configured');
+    }
+    line = cipher.decrypt(Buffer.from(line.slice(ENCRYPTED_PREFIX.length), 'base64')).toString('utf8');
+  }
+
+  try {
+    const record = JSON.parse(line);
+    if (typeof record.seq !== 'number' || !Array.isArray(record.ops)) return null;
+    return {
+      seq: record.seq,
+      ops: record.ops.map(op => ({ sql: op.sql, params: (op.params || []).map(decodeParam) }))
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Durably append lines to the journal
+ * @param {string} journalPath - Journal file path
+ * @param {Array<string>} lines - Encoded records
+ * @returns {number} Journal size in bytes after the append
+ */
+export function appendRecords(journalPath, lines) {
+  const fd = fs.openSync(journalPath, 'a');
+  try {
+    fs.writeSync(fd, lines.map(line => line + '\n').join(''));
+    fs.fsyncSync(fd);
+    return fs.fstatSync(fd).size;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read journal records starting at a byte offset
+ * A trailing partial line (crash mid-append) is ignored and not consumed.
+ * @param {string} journalPath - Journal file path
+ * @param {number} offset - Byte offset to start reading from
+ * @param {Object} cipher - Cipher for encrypted lines
+ * @returns {Object} { records, offset } where offset is the end of the last complete line
+ */
+export function readRecords(journalPath, offset = 0, cipher = null) {
+  if (!fs.existsSync(journalPath)) {
+    return { records: [], offset: 0 };
+  }
+
+  const buffer = fs.readFileSync(journalPath);
+  if (offset > buffer.length) {
+    offset = 0;
+  }
+
+  const records = [];
+  let start = offset;
+  let end = buffer.indexOf(0x0a, start);
+
+  while (end !== -1) {
+    const record = decodeRecord(buffer.toString('utf8', start, end), cipher);
+    if (record) records.push(record);
+    start = end + 1;
+    end = buffer.indexOf(0x0a, start);
+  }
+
+  return { records, offset: start };
+}
+
+/**
+ * Empty the journal after a checkpoint
+ * @param {string} journalPath - Journal file path
+ */
+export function truncateJournal(journalPath) {
+  if (fs.existsSync(journalPath)) {
+    fs.truncateSync(journalPath, 0);
+  }
+}
+
+/**
+ * Get the current journal size
+ * @param {string} journalPath - Journal file path
+ * @returns {number} Size in bytes (0 if missing)
+ */
+export function getJournalSize(journalPath) {
+  try {
+    return fs.statSync(journalPath).size;
+  } catch (error) {
+    return 0;
+  }
+}
+
+export default {
+  getJournalPath,
+  encodeRecord,
+  decodeRecord,
+  appendRecords,
+  readRecords,
+  truncateJournal,
+  getJournalSize
+};
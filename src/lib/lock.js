@@ -0,0 +1,168 @@
+/**
+ * Ghostly Memory Bank - Cross-Process Lock
+ * Lock file guarding the database against concurrent writers
+ * (e.g. background `ghostly capture` processes from several terminals)
+ */
+
+import fs from 'fs';
+import os from 'os';
+
+const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Block the current thread for a short time
+ * @param {number} ms - Milliseconds to sleep
+ */
+function sleepSync(ms) {
+  Atomics.wait(sleepCell, 0, 0, ms);
+}
+
+/**
+ * Read the owner record of a lock file
+ * @param {string} lockPath - Lock file path
+ * @returns {Object|null} { pid, host, acquired_at } or null if unreadable
+ */
+function readOwner(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a process is still running on this host
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Decide whether an existing lock was abandoned
+ * An owner on this host holds the lock for as long as it lives, however long
+ * it takes. Only locks whose owner is on another host or unreadable go stale
+ * by age, after staleMs without being touched.
+ * @param {string} lockPath - Lock file path
+ * @param {number} staleMs - Age after which a lock is considered abandoned
+ * @returns {fs.Stats|null} Stats of the stale lock, or null if it is live
+ */
+function getStaleLock(lockPath, staleMs) {
+  let stats;
+  try {
+    stats = fs.statSync(lockPath);
+  } catch (error) {
+    return null;
+  }
+
+  const owner = readOwner(lockPath);
+  if (owner && owner.host === os.hostname()) {
+    return isProcessAlive(owner.pid) ? null : stats;
+  }
+
+  return Date.now() - stats.mtimeMs > staleMs ? stats : null;
+}
+
+/**
+ * Remove a stale lock without clobbering a lock taken in the meantime
+ * @param {string} lockPath - Lock file path
+ * @param {fs.Stats} staleStats - Stats of the lock judged stale
+ */
+function breakStaleLock(lockPath, staleStats) {
+  const asidePath = `${lockPath}.stale-${process.pid}`;
+
+  try {
+    fs.renameSync(lockPath, asidePath);
+  } catch (error) {
+    return;
+  }
+
+  // Another process replaced the stale lock before our rename: put it back
+  if (fs.statSync(asidePath).ino !== staleStats.ino) {
+    try {
+      fs.linkSync(asidePath, lockPath);
+    } catch (error) {
+      // A third process already holds a fresh lock
+    }
+  }
+
+  fs.rmSync(asidePath, { force: true });
+}
+
+/**
+ * Acquire an exclusive lock file, waiting for other holders
+ * @param {string} lockPath - Lock file path
+ * @param {Object} options - Lock options
+ * @param {number} options.timeoutMs - Give up after this long
+ * @param {number} options.staleMs - Break locks older than this
+ */
+export function acquireLock(lockPath, options = {}) {
+  const { timeoutMs = 10000, staleMs = 30000 } = options;
+  const deadline = Date.now() + timeoutMs;
+
+  while (true) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, JSON.stringify({
+        pid: process.pid,
+        host: os.hostname(),
+        acquired_at: new Date().toISOString()
+      }));
+      fs.closeSync(fd);
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const staleStats = getStaleLock(lockPath, staleMs);
+    if (staleStats) {
+      breakStaleLock(lockPath, staleStats);
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      const owner = readOwner(lockPath);
+      throw new Error(
+        `Timed out waiting for database lock ${lockPath}` +
+        (owner ? ` (held by pid ${owner.pid} on ${owner.host})` : '')
+      );
+    }
+
+    sleepSync(10 + Math.floor(Math.random() * 20));
+  }
+}
+
+/**
+ * Release a lock previously acquired by this process
+ * @param {string} lockPath - Lock file path
+ */
+export function releaseLock(lockPath) {
+  const owner = readOwner(lockPath);
+  if (owner && owner.pid === process.pid && owner.host === os.hostname()) {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * Run a synchronous callback while holding the lock
+ * @param {string} lockPath - Lock file path
+ * @param {Object} options - See acquireLock
+ * @param {Function} fn - Callback
+ * @returns {any} Callback result
+ */
+export function withLock(lockPath, options, fn) {
+  acquireLock(lockPath, options);
+  try {
+    return fn();
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+export default { acquireLock, releaseLock, withLock };
@@ -0,0 +1,602 @@
+/**
+ * Ghostly Memory Bank - Schema Migrations
+ * Ordered, versioned up-migrations for the SQLite store
+ */
+
+import { packVector } from './vectors.js';
+import { computeErrorSignature } from './signature.js';
+import { parseErrorDetails } from './error-parsers.js';
+
+/**
+ * Compute error signatures for stored episodes
+ * Uses the output (stderr, then stdout) of the first failing linked event,
+ * or the stored problem text (and the failing command) for episodes without
+ * provenance.
+ * @param {Object} db - sql.js database
+ * @param {string} commandColumn - Expression holding the failing command
+ * @param {string} where - Condition selecting the episodes (all by default)
+ * @returns {Array} [id, signature] pairs for episodes that have one
+ */
+function signEpisodes(db, commandColumn, where = '1 = 1') {
+  const rows = db.exec(`
+    SELECT e.id, e.problem, ${commandColumn}, r.stderr_text, r.stdout_text, r.command
+    FROM episodes e
+    LEFT JOIN raw_events r ON r.id = (
+      SELECT r.id FROM episode_events ee
+      JOIN raw_events r ON r.id = ee.event_id
+      WHERE ee.episode_id = e.id AND (r.exit_code != 0 OR COALESCE(r.stderr_text, '') != '')
+        AND COALESCE(r.stderr_text, '') || COALESCE(r.stdout_text, '') != ''
+      ORDER BY ee.position LIMIT 1
+    )
+    WHERE ${where}
+  `)[0]?.values || [];
+
+  const signed = [];
+  for (const [id, problem, command, stderr, stdout, failedCommand] of rows) {
+    let signature = null;
+    const output = [stderr, stdout].filter(Boolean).join('\n');
+    if (output) {
+      signature = computeErrorSignature(output, failedCommand);
+    } else if (problem && !/^Commands? (exited|failed) with (exit )?code/.test(problem)) {
+      signature = computeErrorSignature(problem, (command || '').split('→')[0]);
+    }
+    if (signature) {
+      signed.push([id, signature]);
+    }
+  }
+
+  return signed;
+}
+
+/**
+ * Registered migrations, in the order they must be applied.
+ * Each migration receives the sql.js database and must be safe to run
+ * exactly once against the schema left behind by the previous version.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up(db) {
+      // Terminal events table
+      db.run(`
+        CREATE TABLE IF NOT EXISTS raw_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL,
+          timestamp TEXT NOT NULL,
+          cwd TEXT,
+          git_branch TEXT,
+          command TEXT NOT NULL,
+          exit_code INTEGER,
+          stdout_text TEXT,
+          stderr_text TEXT,
+          project_hash TEXT,
+          created_at TEXT DEFAULT (datetime('now'))
+        )
+      `);
+
+      // Episodes table (grouped events with summaries)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS episodes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          project_hash TEXT,
+          summary TEXT NOT NULL,
+          problem TEXT,
+          environment TEXT,
+          fix TEXT,
+          keywords TEXT,
+          embedding_id TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          updated_at TEXT DEFAULT (datetime('now'))
+        )
+      `);
+
+      // Embeddings table (vector storage)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS embeddings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          episode_id INTEGER NOT NULL,
+          model TEXT NOT NULL,
+          vector BLOB NOT NULL,
+          created_at TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE
+        )
+      `);
+
+      // Projects table (for project-aware retrieval)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS projects (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          project_hash TEXT UNIQUE NOT NULL,
+          name TEXT,
+          root_path TEXT,
+          git_remote TEXT,
+          first_seen TEXT DEFAULT (datetime('now')),
+          last_seen TEXT DEFAULT (datetime('now'))
+        )
+      `);
+
+      // Sessions table (terminal session tracking)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT UNIQUE NOT NULL,
+          cwd TEXT,
+          git_branch TEXT,
+          started_at TEXT DEFAULT (datetime('now')),
+          last_activity TEXT DEFAULT (datetime('now')),
+          ended_at TEXT
+        )
+      `);
+
+      // Indexes for faster queries
+      db.run(`CREATE INDEX IF NOT EXISTS idx_events_session ON raw_events(session_id)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_events_project ON raw_events(project_hash)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_events_timestamp ON raw_events(timestamp)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_episodes_project ON episodes(project_hash)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_episodes_embedding ON episodes(embedding_id)`);
+    }
+  },
+  {
+    version: 2,
+    name: 'ghostly_meta',
+    up(db) {
+      // Internal key/value state (journal checkpoint sequence, etc.)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS ghostly_meta (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        )
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'full_text_index',
+    up(db) {
+      // External-content FTS4 indexes kept in sync by triggers. FTS4 reads
+      // the old column values to unindex a row, so removal must run BEFORE
+      // the content row changes.
+      db.run(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS episodes_fts USING fts4(
+          content="episodes", summary, problem, fix, keywords, tokenize=porter
+        )
+      `);
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS episodes_fts_ai AFTER INSERT ON episodes BEGIN
+          INSERT INTO episodes_fts(docid, summary, problem, fix, keywords)
+          VALUES (new.id, new.summary, new.problem, new.fix, new.keywords);
+        END
+      `);
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS episodes_fts_bu BEFORE UPDATE ON episodes BEGIN
+          DELETE FROM episodes_fts WHERE docid = old.id;
+        END
+      `);
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS episodes_fts_au AFTER UPDATE ON episodes BEGIN
+          INSERT INTO episodes_fts(docid, summary, problem, fix, keywords)
+          VALUES (new.id, new.summary, new.problem, new.fix, new.keywords);
+        END
+      `);
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS episodes_fts_bd BEFORE DELETE ON episodes BEGIN
+          DELETE FROM episodes_fts WHERE docid = old.id;
+        END
+      `);
+
+      db.run(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS events_fts USING fts4(
+          content="raw_events", command, stderr_text, tokenize=porter
+        )
+      `);
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS events_fts_ai AFTER INSERT ON raw_events BEGIN
+          INSERT INTO events_fts(docid, command, stderr_text)
+          VALUES (new.id, new.command, new.stderr_text);
+        END
+      `);
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS events_fts_bu BEFORE UPDATE ON raw_events BEGIN
+          DELETE FROM events_fts WHERE docid = old.id;
+        END
+      `);
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS events_fts_au AFTER UPDATE ON raw_events BEGIN
+          INSERT INTO events_fts(docid, command, stderr_text)
+          VALUES (new.id, new.command, new.stderr_text);
+        END
+      `);
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS events_fts_bd BEFORE DELETE ON raw_events BEGIN
+          DELETE FROM events_fts WHERE docid = old.id;
+        END
+      `);
+
+      // Index rows that existed before this migration
+      db.run(`INSERT INTO episodes_fts(episodes_fts) VALUES ('rebuild')`);
+      db.run(`INSERT INTO events_fts(events_fts) VALUES ('rebuild')`);
+    }
+  },
+  {
+    version: 4,
+    name: 'packed_vectors',
+    up(db) {
+      db.run('ALTER TABLE embeddings ADD COLUMN dim INTEGER');
+      db.run(`ALTER TABLE embeddings ADD COLUMN encoding TEXT NOT NULL DEFAULT 'f32'`);
+      db.run('ALTER TABLE embeddings ADD COLUMN scale REAL');
+      db.run('CREATE INDEX IF NOT EXISTS idx_embeddings_episode ON embeddings(episode_id)');
+
+      // Re-encode vectors that were stored as JSON text
+      const rows = db.exec('SELECT id, vector FROM embeddings')[0]?.values || [];
+      for (const [id, stored] of rows) {
+        const json = typeof stored === 'string' ? stored : Buffer.from(stored).toString('utf8');
+        const { blob, dim } = packVector(JSON.parse(json));
+        db.run('UPDATE embeddings SET vector = ?, dim = ? WHERE id = ?', [blob, dim, id]);
+      }
+    }
+  },
+  {
+    version: 5,
+    name: 'episode_events',
+    up(db) {
+      // Provenance: which raw events an episode was built from
+      db.run(`
+        CREATE TABLE IF NOT EXISTS episode_events (
+          episode_id INTEGER NOT NULL,
+          event_id INTEGER NOT NULL,
+          position INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (episode_id, event_id),
+          FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+          FOREIGN KEY (event_id) REFERENCES raw_events(id) ON DELETE CASCADE
+        )
+      `);
+      db.run('CREATE INDEX IF NOT EXISTS idx_episode_events_event ON episode_events(event_id)');
+    }
+  },
+  {
+    version: 6,
+    name: 'pinned_episodes',
+    up(db) {
+      // Pinned episodes are exempt from retention pruning
+      db.run('ALTER TABLE episodes ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    version: 7,
+    name: 'error_signatures',
+    up(db) {
+      db.run('ALTER TABLE episodes ADD COLUMN error_signature TEXT');
+      db.run('ALTER TABLE episodes ADD COLUMN recurrence_count INTEGER NOT NULL DEFAULT 1');
+      db.run('CREATE INDEX IF NOT EXISTS idx_episodes_signature ON episodes(error_signature)');
+
+      // Sign existing episodes from their first failing source event, or
+      // from the stored problem text for episodes without provenance
+      for (const [id, signature] of signEpisodes(db, 'e.fix')) {
+        db.run('UPDATE episodes SET error_signature = ? WHERE id = ?', [signature, id]);
+      }
+
+      db.run(`
+        UPDATE episodes SET recurrence_count = (
+          SELECT COUNT(*) FROM episodes other WHERE other.error_signature = episodes.error_signature
+        )
+        WHERE error_signature IS NOT NULL
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'failure_resolution',
+    up(db) {
+      // A failing episode stays open until a later related command succeeds;
+      // the commands in between become its fix
+      db.run('ALTER TABLE episodes ADD COLUMN command TEXT');
+      db.run('ALTER TABLE episodes ADD COLUMN resolved INTEGER NOT NULL DEFAULT 0');
+      db.run('ALTER TABLE episodes ADD COLUMN resolved_at DATETIME');
+      db.run('ALTER TABLE episodes ADD COLUMN resolution_event_id INTEGER');
+
+      // Single-event failures stored the failing command as their "fix"
+      db.run(`
+        UPDATE episodes SET command = fix, fix = NULL
+        WHERE fix IS NOT NULL AND instr(fix, '→') = 0 AND (
+          error_signature IS NOT NULL OR EXISTS (
+            SELECT 1 FROM episode_events ee JOIN raw_events r ON r.id = ee.event_id
+            WHERE ee.episode_id = episodes.id AND r.exit_code != 0
+          )
+        )
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'error_details',
+    up(db) {
+      // JSON { parser, code, message, file, line, package, count }
+      db.run('ALTER TABLE episodes ADD COLUMN error_details TEXT');
+
+      // Parse the output of each failing episode's first failing event
+      const rows = db.exec(`
+        SELECT e.id, (
+          SELECT COALESCE(r.stderr_text, '') || char(10) || COALESCE(r.stdout_text, '') || char(10) || r.command
+          FROM episode_events ee
+          JOIN raw_events r ON r.id = ee.event_id
+          WHERE ee.episode_id = e.id AND (r.exit_code != 0 OR r.stderr_text IS NOT NULL)
+          ORDER BY ee.position LIMIT 1
+        ) AS source
+        FROM episodes e
+        WHERE e.error_signature IS NOT NULL OR e.resolved = 0 AND e.fix IS NULL
+      `)[0]?.values || [];
+
+      for (const [id, source] of rows) {
+        if (!source) continue;
+        const split = source.lastIndexOf('\n');
+        const details = parseErrorDetails(source.slice(0, split), source.slice(split + 1));
+        if (details) {
+          db.run('UPDATE episodes SET error_details = ? WHERE id = ?', [JSON.stringify(details), id]);
+        }
+      }
+    }
+  },
+  {
+    version: 10,
+    name: 'project_identity',
+    up(db) {
+      // Projects used to be keyed by the directory a command ran in. Which
+      // project such a directory belongs to depends on the filesystem and git
+      // config, so it is not decided here: rows are only marked, and
+      // upsertProject folds them into their real project the next time a
+      // command runs in it.
+      db.run('ALTER TABLE projects ADD COLUMN rekey_pending INTEGER NOT NULL DEFAULT 0');
+      db.run('UPDATE projects SET rekey_pending = 1');
+    }
+  },
+  {
+    version: 11,
+    name: 'workflow_episodes',
+    up(db) {
+      // Workflow episodes group a run of commands; the single-command
+      // episodes they cover point at them and drop out of retrieval
+      db.run(`ALTER TABLE episodes ADD COLUMN kind TEXT NOT NULL DEFAULT 'event'`);
+      db.run('ALTER TABLE episodes ADD COLUMN workflow_id INTEGER');
+      db.run('CREATE INDEX IF NOT EXISTS idx_episodes_workflow ON episodes(workflow_id)');
+
+      // Last event of each session that consolidation has looked at
+      db.run('ALTER TABLE sessions ADD COLUMN consolidated_event_id INTEGER NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    version: 12,
+    name: 'episode_occurrences',
+    up(db) {
+      // Repeats of an episode fold into it instead of adding rows
+      db.run('ALTER TABLE episodes ADD COLUMN occurrences INTEGER NOT NULL DEFAULT 1');
+      db.run('ALTER TABLE episodes ADD COLUMN first_seen TEXT');
+      db.run('ALTER TABLE episodes ADD COLUMN last_seen TEXT');
+
+      // Seen when the first source event ran, else when the episode was stored
+      db.run(`
+        UPDATE episodes SET first_seen = COALESCE((
+          SELECT r.timestamp FROM episode_events ee JOIN raw_events r ON r.id = ee.event_id
+          WHERE ee.episode_id = episodes.id
+          ORDER BY ee.position LIMIT 1
+        ), strftime('%Y-%m-%dT%H:%M:%fZ', created_at))
+      `);
+      db.run('UPDATE episodes SET last_seen = first_seen');
+    }
+  },
+  {
+    version: 13,
+    name: 'event_redactions',
+    up(db) {
+      // Number of secrets masked in an event before it was stored
+      db.run('ALTER TABLE raw_events ADD COLUMN redaction_count INTEGER NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    version: 14,
+    name: 'event_durations',
+    up(db) {
+      // How long a command ran, and the normalized command line its timing
+      // baseline is kept under. Older events have neither, so they simply
+      // do not count towards baselines.
+      db.run('ALTER TABLE raw_events ADD COLUMN duration_ms INTEGER');
+      db.run('ALTER TABLE raw_events ADD COLUMN command_key TEXT');
+      db.run('CREATE INDEX IF NOT EXISTS idx_raw_events_command_key ON raw_events(project_hash, command_key)');
+
+      // Episodes of a much slower than usual run keep how many times slower
+      db.run('ALTER TABLE episodes ADD COLUMN slowdown REAL');
+    }
+  },
+  {
+    version: 15,
+    name: 'event_environments',
+    up(db) {
+      // JSON fingerprint of the environment a command ran in
+      db.run('ALTER TABLE raw_events ADD COLUMN environment TEXT');
+    }
+  },
+  {
+    version: 16,
+    name: 'git_state',
+    up(db) {
+      // HEAD commit and JSON status (ahead/behind, staged and unstaged files)
+      db.run('ALTER TABLE raw_events ADD COLUMN git_head TEXT');
+      db.run('ALTER TABLE raw_events ADD COLUMN git_status TEXT');
+
+      // Commit that contained the fix of a resolved episode
+      db.run('ALTER TABLE episodes ADD COLUMN fix_commit TEXT');
+      db.run('ALTER TABLE episodes ADD COLUMN fix_commit_subject TEXT');
+    }
+  },
+  {
+    version: 17,
+    name: 'recipes',
+    up(db) {
+      // Command sequences a project runs again and again; `pattern` is the
+      // generalized form they were mined under, `steps` the command templates
+      db.run(`
+        CREATE TABLE IF NOT EXISTS recipes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          project_hash TEXT NOT NULL,
+          name TEXT NOT NULL,
+          pattern TEXT NOT NULL,
+          steps TEXT NOT NULL,
+          params TEXT NOT NULL DEFAULT '[]',
+          support INTEGER NOT NULL DEFAULT 0,
+          last_seen DATETIME,
+          created_at DATETIME NOT NULL,
+          updated_at DATETIME NOT NULL,
+          UNIQUE (project_hash, pattern),
+          UNIQUE (project_hash, name)
+        )
+      `);
+    }
+  },
+  {
+    version: 18,
+    name: 'resign_by_primary_command',
+    up(db) {
+      // Signatures are scoped to the primary command now ("sudo npm ci" is
+      // npm, not sudo), so episodes signed before no longer matched new ones
+      for (const [id, signature] of signEpisodes(db, 'COALESCE(e.command, e.fix)', 'e.error_signature IS NOT NULL')) {
+        db.run('UPDATE episodes SET error_signature = ? WHERE id = ?', [signature, id]);
+      }
+
+      // Same count as refreshRecurrenceCounts
+      db.run(`
+        UPDATE episodes SET recurrence_count = (
+          SELECT COALESCE(SUM(other.occurrences), 0) FROM episodes other
+          WHERE other.error_signature = episodes.error_signature AND other.workflow_id IS NULL
+        )
+        WHERE error_signature IS NOT NULL
+      `);
+    }
+  },
+  {
+    version: 19,
+    name: 'drop_replaced_embeddings',
+    up(db) {
+      // Re-embedding used to keep the old rows; only the latest is ever read
+      db.run('DELETE FROM embeddings WHERE id NOT IN (SELECT MAX(id) FROM embeddings GROUP BY episode_id)');
+    }
+  },
+  {
+    version: 20,
+    name: 'resign_with_stdout',
+    up(db) {
+      // Signatures read stdout as well as stderr now, like the error details
+      // they sit next to; failures reported only on stdout had none
+      for (const [id, signature] of signEpisodes(db, 'COALESCE(e.command, e.fix)', `
+        e.error_signature IS NOT NULL OR EXISTS (
+          SELECT 1 FROM episode_events ee JOIN raw_events r ON r.id = ee.event_id
+          WHERE ee.episode_id = e.id AND r.exit_code != 0 AND COALESCE(r.stdout_text, '') != ''
+        )
+      `)) {
+        db.run('UPDATE episodes SET error_signature = ? WHERE id = ?', [signature, id]);
+      }
+
+      // Same count as refreshRecurrenceCounts
+      db.run(`
+        UPDATE episodes SET recurrence_count = (
+          SELECT COALESCE(SUM(other.occurrences), 0) FROM episodes other
+          WHERE other.error_signature = episodes.error_signature AND other.workflow_id IS NULL
+        )
+        WHERE error_signature IS NOT NULL
+      `);
+    }
+  }
+];
+
+/**
+ * Latest schema version known to this build
+ */
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Create the schema_version bookkeeping table if missing
+ * @param {Object} db - sql.js database
+ */
+export function ensureVersionTable(db) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+}
+
+/**
+ * Get the schema version currently recorded in the database
+ * @param {Object} db - sql.js database
+ * @returns {number} Current version (0 for an unversioned database)
+ */
+export function getCurrentVersion(db) {
+  ensureVersionTable(db);
+  const result = db.exec('SELECT MAX(version) FROM schema_version');
+  return result[0]?.values[0][0] || 0;
+}
+
+/**
+ * Get migrations that have not been applied yet
+ * @param {Object} db - sql.js database
+ * @returns {Array} Pending migrations, in order
+ */
+export function getPendingMigrations(db) {
+  const current = getCurrentVersion(db);
+  return MIGRATIONS.filter(m => m.version > current);
+}
+
+/**
+ * Describe every known migration and whether it has been applied
+ * @param {Object} db - sql.js database
+ * @returns {Array} [{ version, name, applied, applied_at }]
+ */
+export function getMigrationStatus(db) {
+  ensureVersionTable(db);
+  const result = db.exec('SELECT version, applied_at FROM schema_version');
+  const applied = new Map((result[0]?.values || []).map(([version, at]) => [version, at]));
+
+  return MIGRATIONS.map(m => ({
+    version: m.version,
+    name: m.name,
+    applied: applied.has(m.version),
+    applied_at: applied.get(m.version) || null
+  }));
+}
+
+/**
+ * Apply migrations in order, each inside its own transaction
+ * @param {Object} db - sql.js database
+ * @param {Array} migrations - Migrations to apply (see getPendingMigrations)
+ * @returns {Array} Applied migrations
+ */
+export function applyMigrations(db, migrations) {
+  ensureVersionTable(db);
+  const applied = [];
+
+  for (const migration of migrations) {
+    db.run('BEGIN');
+    try {
+      migration.up(db);
+      db.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      db.run('COMMIT');
+    } catch (error) {
+      db.run('ROLLBACK');
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    }
+    applied.push(migration);
+  }
+
+  return applied;
+}
+
+export default {
+  MIGRATIONS,
+  LATEST_VERSION,
+  ensureVersionTable,
+  getCurrentVersion,
+  getPendingMigrations,
+  getMigrationStatus,
+  applyMigrations
+};
@@ -0,0 +1,214 @@
+/**
+ * Ghostly Memory Bank - Project Identity
+ * Finds the root of the project a directory belongs to and derives a stable
+ * identity from it: the git remote when there is one (so every clone of a
+ * repository shares memories), otherwise the root path
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+// Files that mark the root of a project without version control
+export const ROOT_MARKERS = [
+  'package.json',      // Node.js
+  'Cargo.toml',        // Rust
+  'go.mod',            // Go
+  'pyproject.toml',    // Python
+  'requirements.txt',  // Python
+  'Gemfile',           // Ruby
+  'pom.xml',           // Java
+  'build.gradle',      // Java/Kotlin
+  'CMakeLists.txt',    // C/C++
+  'Makefile'           // Generic
+];
+
+// Directories that belong to the project around them, never a project of their own
+const SKIP_DIRS = ['node_modules', '.git', 'vendor', 'venv', '.venv', 'dist', 'build'];
+
+// Resolved projects by directory; a capture process rarely sees more than one
+const cache = new Map();
+
+/**
+ * Short, stable hash used as the project identifier
+ * @param {string} value - Remote URL or root path
+ * @returns {string} 8 hex digits
+ */
+function hash(value) {
+  return crypto.createHash('md5').update(value).digest('hex').substring(0, 8);
+}
+
+/**
+ * Strip dependency and build directories (and everything below them)
+ * @param {string} dir - Absolute directory
+ * @returns {string} Directory the walk starts from
+ */
+function stripSkippedDirs(dir) {
+  const parts = dir.split(path.sep);
+  const skipped = parts.findIndex((part, i) => i > 0 && SKIP_DIRS.includes(part));
+  return skipped === -1 ? dir : parts.slice(0, skipped).join(path.sep) || path.sep;
+}
+
+/**
+ * Find the root of the project containing a directory
+ * The nearest enclosing git work tree wins, so a monorepo is one project;
+ * without git the nearest directory holding a root marker is used. The home
+ * directory and the filesystem root are never treated as projects.
+ * @param {string} cwd - Directory
+ * @returns {Object} { root, gitPath } - gitPath is the `.git` entry, or null
+ */
+export function findProjectRoot(cwd) {
+  const start = stripSkippedDirs(path.resolve(cwd));
+  const boundaries = new Set([os.homedir(), path.parse(start).root]);
+  let markerRoot = null;
+
+  for (let dir = start; !boundaries.has(dir); dir = path.dirname(dir)) {
+    const gitPath = path.join(dir, '.git');
+    if (fs.existsSync(gitPath)) {
+      return { root: dir, gitPath };
+    }
+
+    if (!markerRoot && ROOT_MARKERS.some(marker => fs.existsSync(path.join(dir, marker)))) {
+      markerRoot = dir;
+    }
+
+    if (path.dirname(dir) === dir) break;
+  }
+
+  return { root: markerRoot || start, gitPath: null };
+}
+
+/**
+ * Locate the git directory holding the config for a work tree
+ * Handles `.git` files (worktrees, submodules) and shared `commondir`s.
+ * @param {string} gitPath - `.git` directory or file
+ * @returns {string|null} Git directory
+ */
+function resolveGitDir(gitPath) {
+  let gitDir = gitPath;
+
+  if (fs.statSync(gitPath).isFile()) {
+    const target = fs.readFileSync(gitPath, 'utf8').match(/^gitdir:\s*(.+)$/m)?.[1]?.trim();
+    if (!target) return null;
+    gitDir = path.resolve(path.dirname(gitPath), target);
+  }
+
+  const commondir = path.join(gitDir, 'commondir');
+  if (fs.existsSync(commondir)) {
+    gitDir = path.resolve(gitDir, fs.readFileSync(commondir, 'utf8').trim());
+  }
+
+  return gitDir;
+}
+
+/**
+ * Read the remote URL of a repository ("origin", else the first remote)
+ * @param {string} gitPath - `.git` directory or file
+ * @returns {string|null} Remote URL as configured
+ */
+export function getGitRemote(gitPath) {
+  try {
+    const gitDir = resolveGitDir(gitPath);
+    if (!gitDir) return null;
+
+    const remotes = {};
+    let current = null;
+    for (const line of fs.readFileSync(path.join(gitDir, 'config'), 'utf8').split('\n')) {
+      const section = line.match(/^\s*\[\s*remote\s+"([^"]+)"\s*\]/);
+      if (section) {
+        current = section[1];
+        continue;
+      }
+      if (/^\s*\[/.test(line)) {
+        current = null;
+        continue;
+      }
+
+      const url = current && line.match(/^\s*url\s*=\s*(.+?)\s*$/);
+      if (url && !remotes[current]) {
+        remotes[current] = url[1];
+      }
+    }
+
+    return remotes.origin || Object.values(remotes)[0] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reduce a remote URL to "host/owner/repo"
+ * SSH, scp-style and HTTPS remotes of one repository normalize to the same
+ * string; credentials, ports and the ".git" suffix are dropped.
+ * @param {string} url - Remote URL
+ * @returns {string|null} Normalized remote
+ */
+export function normalizeRemoteUrl(url) {
+  if (!url) return null;
+  const trimmed = url.trim();
+
+  let host = '';
+  let repoPath = trimmed;
+
+  const scp = trimmed.match(/^(?:[^@\/\s]+@)?([\w.-]+):(?!\/\/)(?![\\\/])(.+)$/);
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed)) {
+    try {
+      const parsed = new URL(trimmed);
+      host = parsed.protocol === 'file:' ? '' : parsed.hostname;
+      repoPath = decodeURIComponent(parsed.pathname);
+    } catch (error) {
+      return null;
+    }
+  } else if (scp && !/^[A-Za-z]$/.test(scp[1])) {
+    host = scp[1];
+    repoPath = scp[2];
+  }
+
+  repoPath = repoPath.replace(/\/+$/, '').replace(/\.git$/, '').replace(/^\/+/, '');
+  if (!repoPath) return null;
+
+  return (host ? `${host}/${repoPath}` : repoPath).toLowerCase();
+}
+
+/**
+ * Resolve the project a directory belongs to
+ * @param {string} cwd - Directory
+ * @returns {Object} { project_hash, name, root_path, git_remote }
+ */
+export function resolveProject(cwd) {
+  if (!cwd) {
+    return { project_hash: 'unknown', name: 'unknown', root_path: null, git_remote: null };
+  }
+
+  const key = path.resolve(cwd);
+  if (!cache.has(key)) {
+    const { root, gitPath } = findProjectRoot(key);
+    const remote = gitPath ? normalizeRemoteUrl(getGitRemote(gitPath)) : null;
+
+    cache.set(key, {
+      project_hash: hash(remote || root),
+      name: path.basename(root) || root,
+      root_path: root,
+      git_remote: remote
+    });
+  }
+
+  return cache.get(key);
+}
+
+/**
+ * Forget resolved projects (after repositories were moved or re-cloned)
+ */
+export function clearProjectCache() {
+  cache.clear();
+}
+
+export default {
+  ROOT_MARKERS,
+  findProjectRoot,
+  getGitRemote,
+  normalizeRemoteUrl,
+  resolveProject,
+  clearProjectCache
+};
@@ -0,0 +1,305 @@
+/**
+ * Ghostly Memory Bank - Recipes
+ * Mines the command sequences a project runs again and again ("docker
+ * compose down → docker system prune -f → docker compose up --build") into
+ * named recipes, and replays them step by step
+ */
+
+import { spawnSync } from 'child_process';
+import { loadConfig } from './config.js';
+import db from './database.js';
+import { tokenize, getPrimaryCommand } from './shell-parser.js';
+import { parseDuration } from './rules.js';
+
+// An argument that differs between runs: {1}, {2}...
+const PLACEHOLDER = /\{(\d+)\}/g;
+
+// Longest generated recipe name
+const MAX_NAME_LENGTH = 40;
+
+// Words kept as they are when commands are generalized
+const PLAIN_WORD = /^[A-Za-z][\w-]*$/;
+
+/**
+ * Generalize a command line for mining
+ * Command names, subcommands, flags and plain words are kept; paths,
+ * versions, URLs, messages and other values become "*", as do the values
+ * of `--flag=value` options and `NAME=value` prefixes:
+ * "git commit -m 'fix login'" -> ["git", "commit", "-m", "*"].
+ * @param {string} command - Command line
+ * @returns {Array<string>} One entry per token of `tokenize(command)`
+ */
+export function generalizeCommand(command) {
+  let atCommand = true;
+
+  return tokenize(command).map(token => {
+    if (token.type !== 'word') {
+      atCommand = token.type === 'op';
+      return token.value;
+    }
+
+    const assignment = token.value.match(/^(-{0,2}[A-Za-z_][\w-]*)=/);
+    if (assignment) return `${assignment[1]}=*`;
+
+    const word = atCommand || token.value.startsWith('-') || PLAIN_WORD.test(token.value) ? token.value : '*';
+    atCommand = false;
+    return word;
+  });
+}
+
+/**
+ * Split a project's events into runs of commands
+ * A run is one session's commands with no more than max_gap between them.
+ * Failing commands are left out, so recipes only hold steps that worked,
+ * and a step repeated right away (a retry) counts once.
+ * @param {Array<Object>} events - Events, in the order they ran
+ * @param {number} maxGap - Longest pause within a run (ms)
+ * @returns {Array<Array<Object>>} Runs of { event, key }
+ */
+function splitRuns(events, maxGap) {
+  const sessions = new Map();
+  for (const event of events) {
+    if (!sessions.has(event.session_id)) sessions.set(event.session_id, []);
+    sessions.get(event.session_id).push(event);
+  }
+
+  const runs = [];
+  for (const sessionEvents of sessions.values()) {
+    let run = [];
+    let previous = null;
+
+    for (const event of sessionEvents) {
+      if (previous && new Date(event.timestamp) - new Date(previous.timestamp) > maxGap) {
+        runs.push(run);
+        run = [];
+      }
+      previous = event;
+      if (event.exit_code !== null && event.exit_code !== 0) continue;
+
+      const step = { event, key: generalizeCommand(event.command).join(' ') };
+      if (run.length > 0 && run[run.length - 1].key === step.key) {
+        run[run.length - 1] = step;
+      } else {
+        run.push(step);
+      }
+    }
+    runs.push(run);
+  }
+
+  return runs;
+}
+
+/**
+ * Count the contiguous step sequences of every run
+ * @param {Array<Array<Object>>} runs - Runs of { event, key }
+ * @param {Object} settings - capture.recipes
+ * @returns {Map<string, Object>} By pattern: { pattern, keys, occurrences },
+ *   with one occurrence (the run's latest) per run it appears in
+ */
+function countPatterns(runs, settings) {
+  const patterns = new Map();
+
+  for (const run of runs) {
+    const inRun = new Map();
+    for (let length = settings.min_length; length <= Math.min(settings.max_length, run.length); length++) {
+      for (let start = 0; start + length <= run.length; start++) {
+        const steps = run.slice(start, start + length);
+        inRun.set(steps.map(step => step.key).join('\n'), steps);
+      }
+    }
+
+    for (const [pattern, steps] of inRun) {
+      if (!patterns.has(pattern)) {
+        patterns.set(pattern, { pattern, keys: steps.map(step => step.key), occurrences: [] });
+      }
+      patterns.get(pattern).occurrences.push(steps.map(step => step.event));
+    }
+  }
+
+  return patterns;
+}
+
+/**
+ * Check whether one pattern is a contiguous part of another
+ * @param {string} part - Pattern
+ * @param {string} whole - Longer pattern
+ * @returns {boolean} True if `whole` contains `part`
+ */
+function isSubPattern(part, whole) {
+  return part !== whole && `\n${whole}\n`.includes(`\n${part}\n`);
+}
+
+/**
+ * Turn a mined pattern into recipe steps
+ * Steps keep the text of the latest run; tokens that differed between runs
+ * become placeholders whose defaults are the latest values. Tokens that
+ * always varied together (a branch name in `checkout -b` and `push`)
+ * share a placeholder.
+ * @param {Object} entry - { pattern, keys, occurrences }
+ * @returns {Object} { steps, params, last_seen }
+ */
+function buildSteps(entry) {
+  const occurrences = [...entry.occurrences].sort((a, b) => a[a.length - 1].id - b[b.length - 1].id);
+  const latest = occurrences[occurrences.length - 1];
+  const placeholders = new Map();
+  const params = [];
+
+  const steps = latest.map((event, index) => {
+    const commands = occurrences.map(occurrence => occurrence[index].command);
+    if (commands.every(command => command === event.command)) return event.command;
+
+    const tokenLists = commands.map(command => tokenize(command));
+    return tokenize(event.command).map((token, position) => {
+      const values = tokenLists.map(tokens => tokens[position]?.raw);
+      if (values.every(value => value === token.raw)) return token.raw;
+
+      const column = JSON.stringify(values);
+      if (!placeholders.has(column)) {
+        params.push(token.raw);
+        placeholders.set(column, params.length);
+      }
+      return `{${placeholders.get(column)}}`;
+    }).join(' ');
+  });
+
+  return { steps, params, last_seen: latest[latest.length - 1].timestamp };
+}
+
+/**
+ * Name a recipe after its commands
+ * @param {Array<string>} steps - Command lines
+ * @param {Set<string>} taken - Names already used in the project
+ * @returns {string} e.g. "rm-node-modules-npm-ci-test"
+ */
+function nameRecipe(steps, taken) {
+  const words = [];
+  for (const step of steps) {
+    const primary = getPrimaryCommand(step.replace(PLACEHOLDER, '0'));
+    if (!primary) continue;
+    const name = primary.name.split('/').pop();
+    words.push(name, ...primary.args.filter(arg => PLAIN_WORD.test(arg)).slice(0, 2));
+  }
+
+  let base = '';
+  for (const word of new Set(words.map(word => word.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')))) {
+    if (!word) continue;
+    if (base && base.length + word.length + 1 > MAX_NAME_LENGTH) break;
+    base = base ? `${base}-${word}` : word.substring(0, MAX_NAME_LENGTH);
+  }
+  base = base || 'recipe';
+
+  let name = base;
+  for (let n = 2; taken.has(name); n++) {
+    name = `${base}-${n}`;
+  }
+  return name;
+}
+
+/**
+ * Mine a project's history for recipes and store them
+ * Patterns seen in at least min_support runs are kept unless a longer
+ * pattern containing them was seen as often (only closed patterns become
+ * recipes). Stored recipes that a newly mined, at least as frequent one
+ * contains are dropped; others are kept even when their runs have aged out
+ * of the mined history.
+ * @param {string} projectHash - Project hash
+ * @returns {Object} { recipes: all of the project's recipes, added: [names], removed: number }
+ */
+export function mineRecipes(projectHash) {
+  const settings = loadConfig().capture.recipes;
+  const events = db.getProjectEvents({ projectHash, limit: settings.max_events });
+  const patterns = countPatterns(splitRuns(events, parseDuration(settings.max_gap)), settings);
+
+  const frequent = [...patterns.values()].filter(entry => entry.occurrences.length >= settings.min_support);
+  const closed = frequent.filter(entry => !frequent.some(other =>
+    other.occurrences.length === entry.occurrences.length && isSubPattern(entry.pattern, other.pattern)
+  ));
+
+  return db.transaction(() => {
+    const stored = db.getRecipes(projectHash);
+    const byPattern = new Map(stored.map(recipe => [recipe.pattern, recipe]));
+    const taken = new Set(stored.map(recipe => recipe.name));
+    const added = [];
+
+    for (const entry of closed) {
+      const { steps, params, last_seen: lastSeen } = buildSteps(entry);
+      const name = byPattern.get(entry.pattern)?.name || nameRecipe(steps, taken);
+      if (!byPattern.has(entry.pattern)) {
+        taken.add(name);
+        added.push(name);
+      }
+      db.upsertRecipe({
+        project_hash: projectHash,
+        name,
+        pattern: entry.pattern,
+        steps,
+        params,
+        support: entry.occurrences.length,
+        last_seen: lastSeen
+      });
+    }
+
+    const superseded = stored.filter(recipe => closed.some(entry =>
+      entry.occurrences.length >= recipe.support && isSubPattern(recipe.pattern, entry.pattern)
+    ));
+    db.deleteRecipes(superseded.map(recipe => recipe.id));
+
+    return { recipes: db.getRecipes(projectHash), added, removed: superseded.length };
+  });
+}
+
+/**
+ * Fill in a recipe's placeholders
+ * @param {Object} recipe - Recipe
+ * @param {Array<string>} values - Values for {1}, {2}...; defaults to the last used ones
+ * @returns {Array<string>} Command lines
+ */
+export function renderSteps(recipe, values = recipe.params) {
+  return recipe.steps.map(step => step.replace(PLACEHOLDER, (match, n) => values[n - 1] ?? recipe.params[n - 1] ?? match));
+}
+
+/**
+ * Replay a recipe, one confirmed step at a time, stopping at the first failure
+ * @param {Object} recipe - Recipe
+ * @param {Object} options - { values, cwd, shell, confirm }, where
+ *   confirm(command, index, total) resolves to 'run', 'skip' or 'quit'
+ * @returns {Promise<Object>} { completed, aborted, results: [{ command, status, exit_code }] }
+ */
+export async function runRecipe(recipe, options = {}) {
+  const {
+    values,
+    cwd = process.cwd(),
+    shell = process.env.SHELL || '/bin/sh',
+    confirm = async () => 'run'
+  } = options;
+  const commands = renderSteps(recipe, values);
+  const results = [];
+
+  for (let i = 0; i < commands.length; i++) {
+    const command = commands[i];
+    const answer = await confirm(command, i, commands.length);
+    if (answer === 'quit') {
+      return { completed: false, aborted: true, results };
+    }
+    if (answer === 'skip') {
+      results.push({ command, status: 'skipped', exit_code: null });
+      continue;
+    }
+
+    const run = spawnSync(shell, ['-c', command], { cwd, stdio: 'inherit' });
+    const exitCode = run.status ?? 1;
+    results.push({ command, status: exitCode === 0 ? 'ok' : 'failed', exit_code: exitCode });
+    if (exitCode !== 0) {
+      return { completed: false, aborted: false, results };
+    }
+  }
+
+  return { completed: true, aborted: false, results };
+}
+
+export default {
+  generalizeCommand,
+  mineRecipes,
+  renderSteps,
+  runRecipe
+};
@@ -0,0 +1,174 @@
+/**
+ * Ghostly Memory Bank - Secret Redaction
+ * Masks credentials in command lines and output before they are stored or
+ * sent to an embedding provider, using built-in detectors plus the regexes
+ * in `security.redaction.patterns`
+ */
+
+import { loadConfig } from './config.js';
+
+/**
+ * Text that replaces a secret
+ */
+export const REDACTED = '[REDACTED]';
+
+// Names that mark a value as secret in NAME=value, --name value and name: value
+const SECRET_NAME = '[A-Za-z0-9_.-]*(?:passw(?:or)?d|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|credentials?|auth[_-]?(?:key|token))';
+
+/**
+ * Built-in detectors, most specific first
+ * Only the `secret` group is masked when a pattern has one, so the key
+ * name, scheme or user around it stays readable.
+ */
+export const DETECTORS = [
+  { name: 'private_key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g },
+  { name: 'aws_access_key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'github_token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { name: 'slack_token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { name: 'stripe_key', pattern: /\b[rsp]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+  { name: 'google_api_key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { name: 'api_key', pattern: /\bsk-[A-Za-z0-9_-]{20,}/g },
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g },
+  { name: 'auth_header', pattern: /\b(?:Bearer|Basic|Token)\s+(?<secret>[A-Za-z0-9._~+/=-]{8,})/g },
+  { name: 'url_credentials', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:(?<secret>[^\s@/]+)@/gi },
+  { name: 'secret_assignment', pattern: new RegExp(`\\b${SECRET_NAME}["']?\\s*[=:]\\s*(?<quote>["']?)(?<secret>[^\\s"']+)\\k<quote>`, 'gi') },
+  { name: 'secret_flag', pattern: new RegExp(`(?:^|\\s)--?${SECRET_NAME}\\s+(?<quote>["']?)(?<secret>[^\\s"'-][^\\s"']*)\\k<quote>`, 'gi') }
+];
+
+// Candidates for the high-entropy detector
+const TOKEN_PATTERN = /[A-Za-z0-9+=_-]{32,}/g;
+
+// Compiled custom patterns, keyed by the list they were compiled from
+let compiled = { source: null, patterns: [] };
+
+/**
+ * Shannon entropy of a string
+ * @param {string} text - Text
+ * @returns {number} Bits per character
+ */
+export function shannonEntropy(text) {
+  const counts = new Map();
+  for (const ch of text) {
+    counts.set(ch, (counts.get(ch) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Check if a token looks like a random secret
+ * It must mix upper case, lower case and digits, which paths, words and
+ * hex hashes (git SHAs, UUIDs) do not.
+ * @param {string} token - Token
+ * @param {number} threshold - Minimum bits per character
+ * @returns {boolean} True if it should be masked
+ */
+function isHighEntropy(token, threshold) {
+  return /[a-z]/.test(token) && /[A-Z]/.test(token) && /\d/.test(token) &&
+    shannonEntropy(token) >= threshold;
+}
+
+/**
+ * Compile the configured patterns
+ * @returns {Array<Object>} [{ name, pattern }]
+ */
+export function getCustomPatterns() {
+  const patterns = loadConfig().security.redaction?.patterns || [];
+  if (compiled.source !== patterns) {
+    compiled = {
+      source: patterns,
+      patterns: patterns.map((source, index) => {
+        try {
+          return { name: `pattern_${index}`, pattern: new RegExp(source, 'g') };
+        } catch (error) {
+          throw new Error(`security.redaction.patterns[${index}]: ${error.message}`);
+        }
+      })
+    };
+  }
+  return compiled.patterns;
+}
+
+/**
+ * Mask every match of one detector
+ * @param {string} text - Text
+ * @param {RegExp} pattern - Global pattern, optionally with a `secret` group
+ * @returns {Object} { text, count }
+ */
+function applyPattern(text, pattern) {
+  let count = 0;
+
+  const redacted = text.replace(pattern, (...args) => {
+    const match = args[0];
+    const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+    const secret = groups?.secret ?? match;
+    if (!secret || secret.includes(REDACTED)) return match;
+
+    count++;
+    const at = match.lastIndexOf(secret);
+    return match.slice(0, at) + REDACTED + match.slice(at + secret.length);
+  });
+
+  return { text: redacted, count };
+}
+
+/**
+ * Mask the secrets in a piece of text
+ * @param {string} text - Command line or output
+ * @returns {Object} { text, count }
+ */
+export function redactText(text) {
+  const config = loadConfig().security.redaction || {};
+  if (!text || config.enabled === false) {
+    return { text, count: 0 };
+  }
+
+  let result = { text, count: 0 };
+  for (const { pattern } of [...DETECTORS, ...getCustomPatterns()]) {
+    const next = applyPattern(result.text, pattern);
+    result = { text: next.text, count: result.count + next.count };
+  }
+
+  if (config.entropy_threshold) {
+    const next = result.text.replace(TOKEN_PATTERN, token => {
+      if (!isHighEntropy(token, config.entropy_threshold)) return token;
+      result.count++;
+      return REDACTED;
+    });
+    result.text = next;
+  }
+
+  return result;
+}
+
+/**
+ * Mask the secrets of a terminal event
+ * @param {Object} event - Event with command, stdout_text, stderr_text
+ * @returns {Object} { event: redacted copy, count }
+ */
+export function redactEvent(event) {
+  const redacted = { ...event };
+  let count = 0;
+
+  for (const field of ['command', 'stdout_text', 'stderr_text']) {
+    const result = redactText(event[field]);
+    redacted[field] = result.text;
+    count += result.count;
+  }
+
+  return { event: redacted, count };
+}
+
+export default {
+  REDACTED,
+  DETECTORS,
+  shannonEntropy,
+  getCustomPatterns,
+  redactText,
+  redactEvent
+};
@@ -0,0 +1,121 @@
+/**
+ * Ghostly Memory Bank - Regressions
+ * Answers "what changed since it last worked?": compares a failing run of
+ * a command with the last successful run of the same normalized command in
+ * the project - commits, dependency manifests and lockfiles, branch,
+ * environment and the commands run in between.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import db from './database.js';
+import { getCommandKey } from './timing.js';
+import { diffWithLastSuccess } from './environment.js';
+import { parseGitState, getCommitsBetween, getChangedFiles } from './git.js';
+
+/**
+ * Manifests and lockfiles whose changes often explain a regression
+ */
+export const DEPENDENCY_FILES = [
+  'package.json', 'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml',
+  'Cargo.toml', 'Cargo.lock',
+  'go.mod', 'go.sum',
+  'requirements.txt', 'Pipfile', 'Pipfile.lock', 'poetry.lock', 'pyproject.toml',
+  'Gemfile', 'Gemfile.lock',
+  'composer.json', 'composer.lock'
+];
+
+// Commands listed as run in between (the latest are kept)
+const MAX_COMMANDS = 20;
+
+/**
+ * Check whether a file is a dependency manifest or lockfile
+ * @param {string} file - Path
+ * @returns {boolean} True for DEPENDENCY_FILES and requirements-*.txt, at any depth
+ */
+export function isDependencyFile(file) {
+  const name = path.basename(file);
+  return DEPENDENCY_FILES.includes(name) || /^requirements[\w.-]*\.txt$/.test(name);
+}
+
+/**
+ * Find the run to explain
+ * @param {Object} filter - { projectHash, command }
+ * @returns {Object|null} The latest run of `command` (failing or not), or
+ *   without a command the latest failing run of anything in the project
+ */
+export function findFailingRun({ projectHash, command = null }) {
+  if (!command) {
+    return db.getLatestRun({ projectHash, failedOnly: true });
+  }
+  return db.getLatestRun({ projectHash, commandKey: getCommandKey(command) });
+}
+
+/**
+ * Get the files that were modified or staged at the time of a run
+ * @param {Object|null} state - Git state
+ * @returns {Array<string>} Paths relative to the work tree root
+ */
+function getDirtyFiles(state) {
+  return state ? [...new Set([...state.staged, ...state.unstaged])] : [];
+}
+
+/**
+ * Compare a failing run with the last successful run of its command
+ * Commits and committed dependency changes need both runs' HEADs to still
+ * be in the repository; they are null when git cannot tell.
+ * @param {Object} failing - Stored event
+ * @returns {Promise<Object|null>} { failing, success, branch, commits,
+ *   dependencies, environment, commands }, null without an earlier success
+ */
+export async function compareWithLastSuccess(failing) {
+  const result = diffWithLastSuccess(failing);
+  if (!result) return null;
+
+  const { success, diff: environment } = result;
+  const before = parseGitState(success.git_status);
+  const after = parseGitState(failing.git_status);
+  const cwd = [failing.cwd, success.cwd].find(dir => dir && fs.existsSync(dir));
+
+  let commits = null;
+  let dependencies = [];
+  if (before?.head && after?.head && cwd) {
+    try {
+      commits = await getCommitsBetween(cwd, before.head, after.head);
+      dependencies = (await getChangedFiles(cwd, before.head, after.head))
+        .filter(change => isDependencyFile(change.file))
+        .map(change => ({ ...change, uncommitted: false }));
+    } catch (error) {
+      // Rebased away, pruned or another clone: only the recorded state is left
+      commits = null;
+    }
+  }
+
+  // Manifests edited but not committed when the command failed
+  const dirtyBefore = new Set(getDirtyFiles(before));
+  for (const file of getDirtyFiles(after)) {
+    if (isDependencyFile(file) && !dirtyBefore.has(file) && !dependencies.some(change => change.file === file)) {
+      dependencies.push({ file, added: null, deleted: null, uncommitted: true });
+    }
+  }
+
+  const branch = success.git_branch !== failing.git_branch
+    ? { from: success.git_branch, to: failing.git_branch }
+    : null;
+
+  const commands = db.getProjectEventsBetween({
+    projectHash: failing.project_hash,
+    afterId: success.id,
+    untilId: failing.id,
+    limit: MAX_COMMANDS
+  });
+
+  return { failing, success, branch, commits, dependencies, environment, commands };
+}
+
+export default {
+  DEPENDENCY_FILES,
+  isDependencyFile,
+  findFailingRun,
+  compareWithLastSuccess
+};
@@ -0,0 +1,55 @@
+/**
+ * Ghostly Memory Bank - Retention
+ * Turns the storage.retention policy into cutoffs and prunes the database,
+ * the vector index and the file on disk
+ */
+
+import { loadConfig } from './config.js';
+import db from './database.js';
+import { removeFromVectorIndex } from './vector-index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve the configured retention policy into concrete cutoffs
+ * Limits set to 0 (or left empty) are disabled.
+ * @param {Object} retention - storage.retention config block
+ * @param {Date} now - Reference time
+ * @returns {Object} { outputBefore, eventsBefore, episodesBefore, maxProjectBytes }
+ */
+export function getRetentionPolicy(retention = loadConfig().storage.retention, now = new Date()) {
+  const before = days => days > 0 ? new Date(now.getTime() - days * DAY_MS).toISOString() : null;
+
+  return {
+    outputBefore: before(retention?.raw_output_days),
+    eventsBefore: before(retention?.raw_events_days),
+    episodesBefore: before(retention?.episodes_days),
+    maxProjectBytes: retention?.max_project_mb > 0 ? Math.round(retention.max_project_mb * 1024 * 1024) : null
+  };
+}
+
+/**
+ * Apply the retention policy
+ * @param {Object} options - { dryRun, now }
+ * @returns {Object} Prune summary ({ episodes, events, outputs, embeddings,
+ *   indexEntries, bytesBefore, bytesAfter })
+ */
+export function prune(options = {}) {
+  const { dryRun = false, now = new Date() } = options;
+  const policy = getRetentionPolicy(undefined, now);
+  const { episodeIds, ...summary } = db.pruneDatabase(policy, { dryRun });
+
+  if (dryRun) {
+    return { ...summary, indexEntries: 0, dryRun };
+  }
+
+  const indexEntries = removeFromVectorIndex(episodeIds);
+  const { before, after } = db.vacuumDatabase();
+
+  return { ...summary, indexEntries, bytesBefore: before, bytesAfter: after, dryRun };
+}
+
+export default {
+  getRetentionPolicy,
+  prune
+};
@@ -6,10 +6,16 @@
 import { loadConfig } from './config.js';
 import { 
   generateEpisodeEmbedding, 
+  getEmbeddingModel,
   cosineSimilarity, 
   commandSimilarity 
 } from './embedding.js';
 import db from './database.js';
+import { getVectorIndex } from './vector-index.js';
+import { computeErrorSignature } from './signature.js';
+import { formatDuration } from './timing.js';
+import { parseEnvironment, environmentSimilarity } from './environment.js';
+import { formatFixCommit } from './git.js';
 
 /**
  * Determine if retrieval should be triggered based on context
@@ -29,6 +35,11 @@ export function shouldTriggerRetrieval(context, config = null) {
     return { shouldTrigger: true, reason: 'error' };
   }
   
+  // Trigger on a run much slower than usual
+  if (triggers.on_slow_command && context.slowdown) {
+    return { shouldTrigger: true, reason: 'slow_command' };
+  }
+  
   // Trigger on repeated command
   if (triggers.on_repeat_command && context.is_repeated) {
     return { shouldTrigger: true, reason: 'repeated_command' };
@@ -66,15 +77,28 @@ export function calculateConfidence(memory, context, semanticScore) {
   
   // Command similarity score
   let cmdScore = 0;
-  if (context.command && memory.fix) {
-    cmdScore = commandSimilarity(context.command, memory.fix);
+  const memoryCommand = memory.command || memory.fix;
+  if (context.command && memoryCommand) {
+    cmdScore = commandSimilarity(context.command, memoryCommand);
   }
   
+  // Identical error signature: the same failure seen before
+  const signatureScore = memory.error_signature && memory.error_signature === context.error_signature ? 1 : 0;
+  
+  // Memories seen many times are proven: 0 once, 0.5 twice, 0.9 at ten
+  const frequencyScore = 1 - 1 / Math.max(1, memory.occurrences || 1);
+  
+  // Same tool versions, markers and variables as when the memory was made
+  const environmentScore = environmentSimilarity(memory.fingerprint, context.fingerprint);
+  
   // Weighted confidence calculation
   const confidence = 
     (weights.semantic_similarity * semanticScore) +
     (weights.project_match * projectScore) +
-    (weights.command_similarity * cmdScore);
+    (weights.command_similarity * cmdScore) +
+    (weights.signature_match * signatureScore) +
+    ((weights.frequency || 0) * frequencyScore) +
+    ((weights.environment_match || 0) * environmentScore);
   
   return Math.min(1, Math.max(0, confidence));
 }
@@ -91,6 +115,10 @@ export async function retrieveMemories(context, maxResults = null) {
     maxResults = config.retrieval.max_memories;
   }
   
+  if (context.error_signature === undefined) {
+    context = { ...context, error_signature: computeErrorSignature(context.error, context.command) };
+  }
+  
   // First, try semantic search with embeddings
   let memories = await semanticSearch(context, maxResults);
   
@@ -99,6 +127,32 @@ export async function retrieveMemories(context, maxResults = null) {
     memories = textSearch(context, maxResults);
   }
   
+  // Past occurrences of the exact same error are always candidates
+  if (context.error_signature) {
+    const seen = new Set(memories.map(m => m.id));
+    for (const episode of db.getEpisodesBySignature(context.error_signature, { limit: maxResults })) {
+      if (!seen.has(episode.id)) {
+        memories.push({ ...episode, similarity: 0 });
+      }
+    }
+  }
+  
+  // Episodes folded into a workflow are offered as that workflow
+  memories = preferWorkflows(memories);
+  
+  // Never offer the episode that was just recorded for this event
+  if (context.episode_id) {
+    memories = memories.filter(m => m.id !== context.episode_id);
+  }
+  
+  // Environments are compared only when the current one is known
+  if (context.fingerprint) {
+    memories = memories.map(memory => ({
+      ...memory,
+      fingerprint: parseEnvironment(db.getEpisodeEnvironment(memory.id))
+    }));
+  }
+  
   // Calculate confidence scores
   const scoredMemories = memories.map(memory => {
     const semanticScore = memory.similarity || 0;
@@ -119,7 +173,33 @@ export async function retrieveMemories(context, maxResults = null) {
   // Sort by confidence
   filteredMemories.sort((a, b) => b.confidence - a.confidence);
   
-  return filteredMemories.slice(0, maxResults);
+  // Attach the commands that make up each memory
+  return filteredMemories.slice(0, maxResults).map(memory => ({
+    ...memory,
+    events: db.getEpisodeEvents(memory.id)
+  }));
+}
+
+/**
+ * Replace episodes folded into a workflow with the workflow itself
+ * Each workflow is kept once, with the best similarity of its parts.
+ * @param {Array} memories - Candidate memories
+ * @returns {Array} Memories without overlapping episodes
+ */
+function preferWorkflows(memories) {
+  const byId = new Map();
+  
+  for (const memory of memories) {
+    const workflow = memory.workflow_id ? db.getEpisode(memory.workflow_id) : null;
+    const candidate = workflow ? { ...workflow, similarity: memory.similarity } : memory;
+    const seen = byId.get(candidate.id);
+    
+    if (!seen || (candidate.similarity || 0) > (seen.similarity || 0)) {
+      byId.set(candidate.id, candidate);
+    }
+  }
+  
+  return [...byId.values()];
 }
 
 /**
@@ -139,17 +219,23 @@ async function semanticSearch(context, limit) {
       summary: queryText
     });
     
-    // Get all episodes with embeddings and calculate similarity
-    const episodes = db.getRecentEpisodes(context.project_hash || 'unknown', 100);
+    const config = loadConfig();
+    const model = await getEmbeddingModel();
+    
+    // Over-fetch across the whole history so project match and command
+    // similarity can re-rank the candidates in retrieveMemories()
+    const candidates = Math.max(limit, config.retrieval.ann_candidates);
+    const neighbours = config.storage.index_type === 'hnsw'
+      ? getVectorIndex({ model, dim: queryEmbedding.length }).search(queryEmbedding, candidates)
+      : flatSearch(queryEmbedding, model, candidates);
     
     const similarities = [];
     
-    for (const episode of episodes) {
-      const embedding = db.getEmbedding(episode.id);
+    for (const { label, similarity } of neighbours) {
+      const episode = db.getEpisode(label);
       
-      if (embedding) {
-        const similarity = cosineSimilarity(queryEmbedding, embedding.vector);
-        
+      // The index may still reference pruned episodes
+      if (episode) {
         similarities.push({
           ...episode,
           similarity
@@ -157,10 +243,7 @@ async function semanticSearch(context, limit) {
       }
     }
     
-    // Sort by similarity and return top results
-    similarities.sort((a, b) => b.similarity - a.similarity);
-    
-    return similarities.slice(0, limit);
+    return similarities;
   } catch (error) {
     // If embedding search fails, return empty array
     console.warn('Semantic search failed:', error.message);
@@ -168,6 +251,26 @@ async function semanticSearch(context, limit) {
   }
 }
 
+/**
+ * Exact nearest-neighbour scan (storage.index_type: "flat")
+ * @param {Float32Array} queryEmbedding - Query vector
+ * @param {string} model - Embedding model name
+ * @param {number} limit - Max results
+ * @returns {Array} [{ label, similarity }] best first
+ */
+function flatSearch(queryEmbedding, model, limit) {
+  const best = new Map();
+  
+  for (const embedding of db.loadEmbeddings({ model, dim: queryEmbedding.length })) {
+    best.set(embedding.episode_id, cosineSimilarity(queryEmbedding, embedding.vector));
+  }
+  
+  return [...best.entries()]
+    .map(([label, similarity]) => ({ label, similarity }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
 /**
  * Fallback text-based search
  * @param {Object} context - Current context
@@ -199,12 +302,14 @@ function textSearch(context, limit) {
     return [];
   }
   
-  // Search in episodes
+  // Search in episodes (relevance-ordered)
   const results = db.searchEpisodes(query, limit);
+  const topRank = results[0]?.rank || 1;
   
+  // Scale BM25 against the best hit, which keeps the old fixed 0.5
   return results.map(ep => ({
     ...ep,
-    similarity: 0.5 // Default similarity for text search
+    similarity: 0.5 * (ep.rank / topRank)
   }));
 }
 
@@ -235,6 +340,65 @@ function buildQueryText(context) {
   return parts.join(' | ');
 }
 
+/**
+ * Format one source event of a memory as a single line
+ * @param {Object} event - Raw event
+ * @returns {string} "$ command (exit N)"
+ */
+function formatEventLine(event) {
+  const exit = event.exit_code === null || event.exit_code === undefined ? '' : ` (exit ${event.exit_code})`;
+  return `$ ${event.command}${exit}`;
+}
+
+/**
+ * Describe how often the current error has been seen
+ * @param {Object} recurrence - { count, first_seen, last_seen }
+ * @returns {string} Summary line
+ */
+export function formatRecurrence(recurrence) {
+  const times = recurrence.count === 1 ? 'once' : `${recurrence.count} times`;
+  return `🔁 This exact error happened ${times} before (last seen ${recurrence.last_seen})`;
+}
+
+/**
+ * Describe a run that was much slower than usual
+ * @param {Object} slowdown - See timing.js checkSlowdown, with `last` run
+ * @returns {string} Summary lines
+ */
+export function formatSlowdown(slowdown) {
+  const usual = slowdown.ratio
+    ? `, ${slowdown.ratio.toFixed(1)}× the usual ${formatDuration(slowdown.median)}`
+    : '';
+  const lines = [
+    `🐢 Took ${formatDuration(slowdown.duration_ms)}${usual} (p90 ${formatDuration(slowdown.p90)} over ${slowdown.samples} runs)`
+  ];
+  
+  const last = slowdown.last;
+  if (!last) {
+    lines.push('   First time it has been this slow');
+    return lines.join('\n');
+  }
+  
+  lines.push(`   Last this slow: ${last.timestamp} (${formatDuration(last.duration_ms)})${last.git_branch ? ` on ${last.git_branch}` : ''}`);
+  if (last.branch_change) {
+    lines.push(`   Branch changed before it: ${last.branch_change.from || '?'} → ${last.branch_change.to || '?'}`);
+  }
+  if (last.changes.length > 0) {
+    lines.push(`   Ran before it: ${last.changes.join(' → ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Describe the fix of an episode
+ * @param {Object} memory - Episode
+ * @returns {string} Fix, or why there is none
+ */
+export function formatFix(memory) {
+  if (memory.fix) return memory.fix;
+  return memory.command ? 'not resolved yet' : 'N/A';
+}
+
 /**
  * Format retrieved memory for display
  * @param {Object} memory - Retrieved memory
@@ -242,27 +406,40 @@ function buildQueryText(context) {
  * @returns {string} Formatted output
  */
 export function formatMemory(memory, format = 'compact') {
+  const events = memory.events || [];
+  
   if (format === 'verbose') {
+    const commands = events.map(e => {
+      const stderr = e.stderr_text ? `\n    ${e.stderr_text.split('\n').slice(0, 3).join('\n    ')}` : '';
+      return `  ${formatEventLine(e)}${stderr}`;
+    });
+    
     return `
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 📌 Episode #${memory.id}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 Problem: ${memory.problem || 'N/A'}
 Environment: ${memory.environment || 'N/A'}
-Fix: ${memory.fix || 'N/A'}
+Fix: ${formatFix(memory)}${memory.resolved_at ? ` (resolved ${memory.resolved_at})` : ''}${memory.fix_commit ? `\nCommit: ${formatFixCommit(memory)}` : ''}
 Keywords: ${memory.keywords || 'N/A'}
+Occurrences: ${memory.occurrences || 1}${memory.recurrence_count > 1 ? ` (error seen ${memory.recurrence_count}×)` : ''}
+Seen: ${memory.first_seen || 'N/A'} → ${memory.last_seen || 'N/A'}
 Confidence: ${(memory.confidence * 100).toFixed(1)}%
 Project: ${memory.project_hash || 'N/A'}
-Created: ${memory.created_at || 'N/A'}
+Created: ${memory.created_at || 'N/A'}${commands.length ? `\nCommands:\n${commands.join('\n')}` : ''}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     `.trim();
   }
   
   // Compact format
+  const ran = events.slice(0, 3).map(e => `\n   ${formatEventLine(e).substring(0, 70)}`).join('');
+  const times = Math.max(memory.recurrence_count || 1, memory.occurrences || 1);
+  const seen = times > 1 ? `, seen ${times}×` : '';
+  
   return `
-💭 Past episode (${(memory.confidence * 100).toFixed(0)}% match):
+💭 Past episode (${(memory.confidence * 100).toFixed(0)}% match${seen}):
    Problem: ${(memory.problem || 'N/A').substring(0, 80)}
-   Fix: ${(memory.fix || 'N/A').substring(0, 60)}
+   Fix: ${formatFix(memory).substring(0, 60)}${memory.fix_commit ? `\n   ↳ ${formatFixCommit(memory).substring(0, 70)}` : ''}${ran}
 `.trim();
 }
 
@@ -320,8 +497,17 @@ export async function retrieve(context) {
     };
   }
   
+  const errorSignature = context.error_signature ?? computeErrorSignature(context.error, context.command);
+  const history = errorSignature ? db.getSignatureHistory(errorSignature, context.episode_id) : null;
+  const recurrence = history?.count > 0 ? history : null;
+  const slowdown = context.slowdown || null;
+  const notices = [
+    recurrence ? formatRecurrence(recurrence) : null,
+    slowdown ? formatSlowdown(slowdown) : null
+  ].filter(Boolean);
+  
   // Retrieve memories
-  const memories = await retrieveMemories(context);
+  const memories = await retrieveMemories({ ...context, error_signature: errorSignature });
   
   if (memories.length === 0) {
     return {
@@ -329,7 +515,9 @@ export async function retrieve(context) {
       reason,
       memories: [],
       suggestion: null,
-      message: 'No relevant memories found'
+      recurrence,
+      slowdown,
+      message: notices.length > 0 ? notices.join('\n') : 'No relevant memories found'
     };
   }
   
@@ -345,7 +533,9 @@ export async function retrieve(context) {
     memories,
     suggestion,
     topMemory,
-    formatted: formatMemory(topMemory, config.output.format)
+    recurrence,
+    slowdown,
+    formatted: [...notices, formatMemory(topMemory, config.output.format)].join('\n')
   };
 }
 
@@ -355,5 +545,8 @@ export default {
   retrieveMemories,
   retrieve,
   formatMemory,
+  formatRecurrence,
+  formatSlowdown,
+  formatFix,
   suggestNextCommand
 };
@@ -0,0 +1,244 @@
+/**
+ * Ghostly Memory Bank - Capture Rules
+ * Ordered include/exclude rules from `capture.rules`, matched by command
+ * name, subcommand, argument regex, cwd glob, exit code and duration
+ */
+
+import os from 'os';
+import { loadConfig } from './config.js';
+import { getPrimaryCommand } from './shell-parser.js';
+
+/**
+ * Rule actions
+ * `include` makes an event significant (it becomes an episode); `exclude`
+ * drops it before anything is stored.
+ */
+export const ACTIONS = ['include', 'exclude'];
+
+// Conditions a rule may use
+const CONDITIONS = ['command', 'subcommand', 'args', 'cwd', 'exit_code', 'duration'];
+
+// Milliseconds per duration unit
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// Compiled rules, keyed by the rule list they were compiled from
+let compiled = { source: null, rules: [] };
+
+/**
+ * Convert a glob into a RegExp
+ * `**` crosses directories, `*` and `?` stay within one; a leading `~` is
+ * the home directory. A pattern also matches everything below it, so "dir"
+ * and "dir/**" are the same.
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Anchored pattern
+ */
+export function globToRegExp(glob) {
+  const expanded = glob
+    .replace(/^~(?=$|\/)/, os.homedir())
+    .replace(/(?:\/\*\*)+\/*$/, '')
+    .replace(/\/+$/, '');
+  let source = '';
+
+  for (let i = 0; i < expanded.length; i++) {
+    const ch = expanded[i];
+    if (ch === '*' && expanded[i + 1] === '*') {
+      source += '.*';
+      i++;
+      if (expanded[i + 1] === '/') i++;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}(?:/.*)?$`);
+}
+
+/**
+ * Parse a duration like "30s", "1.5m", "500ms" or a number of seconds
+ * @param {string|number} value - Duration
+ * @returns {number} Milliseconds
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') return value * 1000;
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}" (use e.g. 500ms, 30s, 2m)`);
+  }
+  return parseFloat(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+/**
+ * Build a numeric test from a comparison like ">30s", "!=0" or [1, 2]
+ * @param {string|number|Array} spec - Comparison, value or list of values
+ * @param {Function} parse - Converts the operand to a number
+ * @returns {Function} (value) => boolean
+ */
+function compileComparison(spec, parse) {
+  if (Array.isArray(spec)) {
+    const values = spec.map(parse);
+    return value => values.includes(value);
+  }
+
+  const match = String(spec).trim().match(/^(>=|<=|!=|>|<|=)?\s*(.+)$/);
+  const operand = parse(match[2]);
+  switch (match[1]) {
+    case '>': return value => value > operand;
+    case '>=': return value => value >= operand;
+    case '<': return value => value < operand;
+    case '<=': return value => value <= operand;
+    case '!=': return value => value !== operand;
+    default: return value => value === operand;
+  }
+}
+
+/**
+ * Parse an exit code operand
+ * @param {string|number} value - Exit code
+ * @returns {number} Exit code
+ */
+function parseExitCode(value) {
+  const code = Number(value);
+  if (!Number.isInteger(code)) {
+    throw new Error(`Invalid exit code "${value}"`);
+  }
+  return code;
+}
+
+/**
+ * Normalize a string-or-list condition
+ * @param {string|Array<string>} value - Condition value
+ * @returns {Array<string>} Values
+ */
+function toList(value) {
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * Validate a configured rule and compile its conditions
+ * @param {Object} rule - Rule from capture.rules
+ * @param {number} index - Position in the list
+ * @returns {Object} { index, rule, action, tests }
+ */
+export function compileRule(rule, index) {
+  const where = `capture.rules[${index}]`;
+
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`${where} must be a mapping`);
+  }
+  if (!ACTIONS.includes(rule.action)) {
+    throw new Error(`${where}: action must be one of ${ACTIONS.join(', ')} (got "${rule.action}")`);
+  }
+
+  const unknown = Object.keys(rule).filter(key => key !== 'action' && key !== 'name' && !CONDITIONS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${where}: unknown condition ${unknown.join(', ')} (use ${CONDITIONS.join(', ')})`);
+  }
+
+  const tests = [];
+  try {
+    if (rule.command != null) {
+      const names = toList(rule.command);
+      tests.push(facts => names.includes(facts.name));
+    }
+    if (rule.subcommand != null) {
+      const subcommands = toList(rule.subcommand);
+      tests.push(facts => subcommands.includes(facts.subcommand));
+    }
+    if (rule.args != null) {
+      const pattern = new RegExp(rule.args);
+      tests.push(facts => pattern.test(facts.args));
+    }
+    if (rule.cwd != null) {
+      const globs = toList(rule.cwd).map(globToRegExp);
+      tests.push(facts => facts.cwd != null && globs.some(glob => glob.test(facts.cwd)));
+    }
+    if (rule.exit_code != null) {
+      const test = compileComparison(rule.exit_code, parseExitCode);
+      tests.push(facts => facts.exitCode != null && test(facts.exitCode));
+    }
+    if (rule.duration != null) {
+      const test = compileComparison(rule.duration, parseDuration);
+      tests.push(facts => facts.durationMs != null && test(facts.durationMs));
+    }
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+
+  return { index, rule, action: rule.action, tests };
+}
+
+/**
+ * Get the compiled capture.rules of the current config
+ * @returns {Array<Object>} Compiled rules, in order
+ */
+export function getCaptureRules() {
+  const rules = loadConfig().capture.rules || [];
+  if (compiled.source !== rules) {
+    compiled = { source: rules, rules: rules.map(compileRule) };
+  }
+  return compiled.rules;
+}
+
+/**
+ * Extract the facts rules are matched against
+ * @param {Object} event - Terminal event
+ * @returns {Object} { name, subcommand, args, cwd, exitCode, durationMs }
+ */
+function getFacts(event) {
+  const primary = getPrimaryCommand(event.command);
+  const args = primary?.args || [];
+
+  return {
+    name: (primary?.name || '').split('/').pop(),
+    subcommand: args.find(arg => !arg.startsWith('-')) || null,
+    args: args.join(' '),
+    cwd: event.cwd || null,
+    exitCode: event.exit_code ?? null,
+    durationMs: event.duration_ms ?? null
+  };
+}
+
+/**
+ * Find the first rule an event matches
+ * A rule matches when all of its conditions hold.
+ * @param {Object} event - Terminal event (command, cwd, exit_code, duration_ms)
+ * @param {Array<Object>} rules - Compiled rules (the configured ones by default)
+ * @returns {Object|null} { index, rule, action }
+ */
+export function matchRule(event, rules = getCaptureRules()) {
+  const facts = getFacts(event);
+  const match = rules.find(rule => rule.tests.every(test => test(facts)));
+  return match ? { index: match.index, rule: match.rule, action: match.action } : null;
+}
+
+/**
+ * Describe a rule in one line
+ * @param {Object} rule - Rule from capture.rules
+ * @returns {string} e.g. "exclude git status"
+ */
+export function describeRule(rule) {
+  const parts = [rule.action];
+  if (rule.command != null) parts.push(toList(rule.command).join('|'));
+  if (rule.subcommand != null) parts.push(toList(rule.subcommand).join('|'));
+  if (rule.args != null) parts.push(`args~/${rule.args}/`);
+  if (rule.cwd != null) parts.push(`in ${toList(rule.cwd).join(', ')}`);
+  if (rule.exit_code != null) parts.push(`exit ${Array.isArray(rule.exit_code) ? rule.exit_code.join('|') : rule.exit_code}`);
+  if (rule.duration != null) parts.push(`took ${Array.isArray(rule.duration) ? rule.duration.join('|') : rule.duration}`);
+
+  return rule.name ? `${rule.name} (${parts.join(' ')})` : parts.join(' ');
+}
+
+export default {
+  ACTIONS,
+  globToRegExp,
+  parseDuration,
+  compileRule,
+  getCaptureRules,
+  matchRule,
+  describeRule
+};
@@ -0,0 +1,389 @@
+/**
+ * Ghostly Memory Bank - Shell Command Parsing
+ * A POSIX-shell tokenizer and parser for captured command lines: quotes,
+ * escapes, env prefixes, wrappers (sudo, time, env, npx...), redirections
+ * and compound commands joined by &&, ||, ; and |
+ */
+
+// Control operators, longest first
+const OPERATORS = ['&&', '||', '|&', ';;', '|', ';', '&', '(', ')'];
+
+// Redirection operators, longest first
+const REDIRECTIONS = ['&>>', '&>', '>>', '>&', '>|', '<<<', '<<', '<&', '<>', '>', '<'];
+
+// Escapes understood inside $'...'
+const ANSI_ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"', e: '\x1b', a: '\x07', 0: '\0' };
+
+/**
+ * Commands that run another command
+ * `options` take a value; `positional` counts leading operands (timeout's
+ * duration) that come before the wrapped command.
+ */
+const WRAPPERS = {
+  sudo: { options: ['-u', '-g', '-h', '-p', '-C', '-U', '-r', '-t', '-T', '-D'] },
+  doas: { options: ['-u', '-C'] },
+  time: { options: ['-f', '-o'] },
+  nice: { options: ['-n'] },
+  ionice: { options: ['-c', '-n', '-p'] },
+  nohup: { options: [] },
+  env: { options: ['-u', '-C', '-S'], assignments: true },
+  command: { options: [] },
+  builtin: { options: [] },
+  exec: { options: ['-a'] },
+  stdbuf: { options: ['-i', '-o', '-e'] },
+  timeout: { options: ['-s', '-k', '--signal', '--kill-after'], positional: 1 },
+  npx: { options: ['-p', '--package'] },
+  pnpx: { options: [] },
+  bunx: { options: ['-p', '--package'] }
+};
+
+// Commands that only prepare the shell for the command that matters
+const SETUP_COMMANDS = new Set(['cd', 'pushd', 'popd', 'export', 'source', '.', 'set', 'unset', 'alias', 'true', ':']);
+
+/**
+ * Split a command line into words, operators and redirections
+ * Words carry their unquoted `value` and the `raw` source text. Command
+ * substitutions ($(...), `...`) and parameter expansions are kept verbatim.
+ * @param {string} input - Command line
+ * @returns {Array<Object>} Tokens: { type: 'word'|'op'|'redirect', value, raw }
+ */
+export function tokenize(input) {
+  const tokens = [];
+  const text = input || '';
+  let word = null;
+  let i = 0;
+
+  const startWord = () => {
+    if (!word) word = { type: 'word', value: '', start: i, quoted: false };
+  };
+  const endWord = () => {
+    if (word) {
+      tokens.push({ type: 'word', value: word.value, raw: text.slice(word.start, i), quoted: word.quoted });
+      word = null;
+    }
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    // Blanks end words; newlines separate commands
+    if (ch === ' ' || ch === '\t') {
+      endWord();
+      i++;
+      continue;
+    }
+    if (ch === '\n') {
+      endWord();
+      tokens.push({ type: 'op', value: ';', raw: '\n' });
+      i++;
+      continue;
+    }
+
+    // Comments run to the end of the line
+    if (ch === '#' && !word) {
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+
+    // Redirections, with an optional file descriptor ("2>&1")
+    const redirection = REDIRECTIONS.find(op => text.startsWith(op, i));
+    if (redirection) {
+      const fd = word && !word.quoted && /^\d+$/.test(text.slice(word.start, i)) ? word.value : '';
+      if (fd) word = null;
+      else endWord();
+      tokens.push({ type: 'redirect', value: fd + redirection, raw: fd + redirection });
+      i += redirection.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => text.startsWith(op, i));
+    if (operator) {
+      endWord();
+      tokens.push({ type: 'op', value: operator, raw: operator });
+      i += operator.length;
+      continue;
+    }
+
+    // Backslash-newline continues the line without starting a word
+    if (ch === '\\' && text[i + 1] === '\n') {
+      i += 2;
+      continue;
+    }
+
+    startWord();
+
+    if (ch === '\\') {
+      if (i + 1 < text.length) word.value += text[i + 1];
+      word.quoted = true;
+      i += 2;
+      continue;
+    }
+
+    if (ch === "'") {
+      const end = text.indexOf("'", i + 1);
+      const close = end === -1 ? text.length : end;
+      word.value += text.slice(i + 1, close);
+      word.quoted = true;
+      i = close + 1;
+      continue;
+    }
+
+    if (ch === '$' && text[i + 1] === "'") {
+      i += 2;
+      while (i < text.length && text[i] !== "'") {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          word.value += ANSI_ESCAPES[text[i + 1]] ?? text[i + 1];
+          i += 2;
+        } else {
+          word.value += text[i++];
+        }
+      }
+      word.quoted = true;
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && '$`"\\\n'.includes(text[i + 1])) {
+          if (text[i + 1] !== '\n') word.value += text[i + 1];
+          i += 2;
+        } else {
+          word.value += text[i++];
+        }
+      }
+      word.quoted = true;
+      i++;
+      continue;
+    }
+
+    // $(...), ${...} and `...` are copied verbatim, nesting included
+    if ((ch === '$' && (text[i + 1] === '(' || text[i + 1] === '{')) || ch === '`') {
+      const end = findClosing(text, i);
+      word.value += text.slice(i, end);
+      i = end;
+      continue;
+    }
+
+    word.value += ch;
+    i++;
+  }
+
+  endWord();
+  return tokens;
+}
+
+/**
+ * Find the end of a command substitution or parameter expansion
+ * @param {string} text - Command line
+ * @param {number} start - Index of the `$` or backtick
+ * @returns {number} Index just past the closing character
+ */
+function findClosing(text, start) {
+  if (text[start] === '`') {
+    let i = start + 1;
+    while (i < text.length && text[i] !== '`') i += text[i] === '\\' ? 2 : 1;
+    return Math.min(i + 1, text.length);
+  }
+
+  const open = text[start + 1];
+  const close = open === '(' ? ')' : '}';
+  let depth = 0;
+  let quote = null;
+
+  for (let i = start + 1; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '\\') {
+      i++;
+    } else if (ch === "'" || ch === '"') {
+      quote = ch;
+    } else if (ch === open) {
+      depth++;
+    } else if (ch === close && --depth === 0) {
+      return i + 1;
+    }
+  }
+
+  return text.length;
+}
+
+/**
+ * Check if a word is an environment assignment ("FOO=1", "PATH=$PATH:bin")
+ * @param {Object} token - Word token
+ * @returns {boolean} True for NAME=value
+ */
+function isAssignment(token) {
+  return /^[A-Za-z_][A-Za-z0-9_]*=/.test(token.raw);
+}
+
+/**
+ * Skip a wrapper's options (and leading operands) to the wrapped command
+ * @param {Object} wrapper - WRAPPERS entry
+ * @param {Array<Object>} words - Word tokens
+ * @param {number} index - Index just past the wrapper name
+ * @param {Object} env - Receives assignments made by `env`
+ * @returns {number} Index of the wrapped command
+ */
+function skipWrapperOptions(wrapper, words, index, env) {
+  let i = index;
+  let positional = wrapper.positional || 0;
+
+  while (i < words.length) {
+    const value = words[i].value;
+
+    if (value === '--') return i + 1;
+
+    if (value.startsWith('-') && value.length > 1) {
+      i += wrapper.options.includes(value) ? 2 : 1;
+      continue;
+    }
+
+    if (wrapper.assignments && isAssignment(words[i])) {
+      const eq = value.indexOf('=');
+      env[value.slice(0, eq)] = value.slice(eq + 1);
+      i++;
+      continue;
+    }
+
+    if (positional > 0) {
+      positional--;
+      i++;
+      continue;
+    }
+
+    break;
+  }
+
+  return i;
+}
+
+/**
+ * Turn the words of one simple command into a structured command
+ * @param {Array<Object>} words - Word tokens
+ * @param {Array<Object>} redirects - { op, target }
+ * @returns {Object} { type: 'command', env, wrappers, name, args, argv, redirects }
+ */
+function buildCommand(words, redirects) {
+  const env = {};
+  const wrappers = [];
+  let i = 0;
+
+  while (i < words.length && isAssignment(words[i])) {
+    const value = words[i].value;
+    const eq = value.indexOf('=');
+    env[value.slice(0, eq)] = value.slice(eq + 1);
+    i++;
+  }
+
+  while (i < words.length) {
+    const name = words[i].value.split('/').pop();
+    const wrapper = WRAPPERS[name];
+    if (!wrapper) break;
+
+    const next = skipWrapperOptions(wrapper, words, i + 1, env);
+    // A bare wrapper ("sudo -v", "time") is the command itself
+    if (next >= words.length) break;
+
+    wrappers.push(name);
+    i = next;
+  }
+
+  return {
+    type: 'command',
+    env,
+    wrappers,
+    name: i < words.length ? words[i].value : '',
+    args: words.slice(i + 1).map(word => word.value),
+    argv: words.map(word => word.value),
+    redirects
+  };
+}
+
+/**
+ * Parse a command line into a list of pipelines of simple commands
+ * Each pipeline's `operator` is the control operator joining it to the next
+ * pipeline ('&&', '||', ';', '&'), or null for the last one.
+ * @param {string} input - Command line
+ * @returns {Object} { type: 'list', raw, pipelines: [{ type: 'pipeline', operator, commands }] }
+ */
+export function parseShellCommand(input) {
+  const pipelines = [];
+  let pipeline = { type: 'pipeline', operator: null, commands: [] };
+  let words = [];
+  let redirects = [];
+
+  const flushCommand = () => {
+    if (words.length > 0 || redirects.length > 0) {
+      pipeline.commands.push(buildCommand(words, redirects));
+    }
+    words = [];
+    redirects = [];
+  };
+  const flushPipeline = operator => {
+    flushCommand();
+    if (pipeline.commands.length > 0) {
+      pipeline.operator = operator;
+      pipelines.push(pipeline);
+    }
+    pipeline = { type: 'pipeline', operator: null, commands: [] };
+  };
+
+  const tokens = tokenize(input);
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.type === 'word') {
+      words.push(token);
+    } else if (token.type === 'redirect') {
+      const target = tokens[i + 1]?.type === 'word' ? tokens[++i].value : null;
+      redirects.push({ op: token.value, target });
+    } else if (token.value === '|' || token.value === '|&') {
+      flushCommand();
+    } else if (token.value === '(' || token.value === ')') {
+      // Subshell grouping: the commands inside are parsed like any others
+      flushCommand();
+    } else {
+      flushPipeline(token.value === ';;' ? ';' : token.value);
+    }
+  }
+  flushPipeline(null);
+
+  if (pipelines.length > 0) {
+    pipelines[pipelines.length - 1].operator = null;
+  }
+
+  return { type: 'list', raw: input || '', pipelines };
+}
+
+/**
+ * Get every simple command of a command line, in order
+ * @param {string|Object} input - Command line or parsed list
+ * @returns {Array<Object>} Commands
+ */
+export function getCommands(input) {
+  const list = typeof input === 'string' || input == null ? parseShellCommand(input) : input;
+  return list.pipelines.flatMap(pipeline => pipeline.commands).filter(command => command.name);
+}
+
+/**
+ * Get the command that matters in a command line
+ * Skips setup steps like `cd dir &&` and `export X=1;`, and looks through
+ * wrappers and env prefixes: "cd api && sudo FOO=1 npm test" -> npm.
+ * @param {string|Object} input - Command line or parsed list
+ * @returns {Object|null} Command, or null for an empty line
+ */
+export function getPrimaryCommand(input) {
+  const commands = getCommands(input);
+  return commands.find(command => !SETUP_COMMANDS.has(command.name)) || commands[0] || null;
+}
+
+export default {
+  tokenize,
+  parseShellCommand,
+  getCommands,
+  getPrimaryCommand
+};
@@ -0,0 +1,142 @@
+/**
+ * Ghostly Memory Bank - Error Signatures
+ * Normalizes error output by masking volatile tokens (paths, addresses,
+ * line numbers, IDs, durations, ports...) so the same failure gets the same
+ * signature wherever and whenever it happens
+ */
+
+import crypto from 'crypto';
+import { getPrimaryCommand, getCommands } from './shell-parser.js';
+
+// Lines that look like the actual error rather than context
+const ERROR_LINE = /\b(error|exception|fatal|failed|failure|panic|cannot|can't|unable|denied|not found|no such|refused|undefined|traceback)\b/i;
+
+// Lines used to build a signature
+const MAX_LINES = 3;
+
+/**
+ * Masks applied in order; earlier masks protect their output from later ones
+ */
+const MASKS = [
+  // ANSI colour codes
+  [/\x1b\[[0-9;]*[A-Za-z]/g, ''],
+  // ISO-8601 timestamps and clock times
+  [/\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?\b/g, '<time>'],
+  [/\b\d{1,2}:\d{2}:\d{2}(\.\d+)?\b/g, '<time>'],
+  // UUIDs
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  // URLs keep their scheme only
+  [/\b[a-z][a-z0-9+.-]*:\/\/[^\s'"`)]+/gi, match => `${match.split(':')[0]}://<url>`],
+  // Absolute and home-relative paths keep their file name
+  [/(?<![\w.\/~-])(?:[A-Za-z]:\\|~?\/)(?:[^\s'"`:()\[\]{}<>,]+[\/\\])*([^\s'"`:()\[\]{}<>,\/\\]+)/g, (match, name) => `<path>/${name}`],
+  // IP addresses, then host:port
+  [/\b\d{1,3}(\.\d{1,3}){3}\b/g, '<ip>'],
+  [/(<ip>|\blocalhost|\[::1?\]):\d{2,5}\b/gi, '$1:<port>'],
+  // file:line:col, file(line,col) and "line N, column M"
+  [/:\d+(:\d+)?\b/g, ':<line>'],
+  [/\(\d+,\s*\d+\)/g, '(<line>)'],
+  [/\b(line|ln|column|col)\s*\d+/gi, '$1 <n>'],
+  // Memory addresses and long hex IDs (hashes, commit SHAs, container IDs)
+  [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+  [/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{7,}\b/gi, '<hex>'],
+  // Process IDs and ports
+  [/\b(pid|process|port)(\s*[:=#]?\s*)\d+/gi, '$1$2<n>'],
+  // Durations and sizes
+  [/\b\d+(\.\d+)?\s?(ns|µs|us|ms|s|sec|secs|seconds?|m|min|mins|minutes?|h|hrs?|hours?)\b/gi, '<duration>'],
+  [/\b\d+(\.\d+)?\s?(b|kb|mb|gb|kib|mib|gib|bytes?)\b/gi, '<size>'],
+  // Any other long number (counters, IDs, epoch times)
+  [/\b\d{5,}\b/g, '<n>']
+];
+
+/**
+ * Mask volatile tokens in a line of error output
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+export function normalizeErrorText(text) {
+  if (!text) return '';
+
+  let normalized = text;
+  for (const [pattern, replacement] of MASKS) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+
+  return normalized.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Pick the lines that identify an error
+ * Prefers lines that look like errors; falls back to the first lines.
+ * @param {string} output - stderr (or stdout) text
+ * @returns {Array<string>} Up to MAX_LINES lines
+ */
+function pickErrorLines(output) {
+  const lines = output.split('\n').map(line => line.trim()).filter(Boolean);
+  const errorLines = lines.filter(line => ERROR_LINE.test(line));
+  return (errorLines.length > 0 ? errorLines : lines).slice(0, MAX_LINES);
+}
+
+/**
+ * Get the tool name a signature is scoped to
+ * @param {string} command - Command line
+ * @returns {string} Base name of the primary command ("sudo npm ci" -> npm)
+ */
+function getTool(command) {
+  return (getPrimaryCommand(command)?.name || '').split('/').pop();
+}
+
+/**
+ * Build the normalized, human-readable form of an error
+ * @param {string} output - Error output
+ * @param {string} command - Command that produced it
+ * @returns {string|null} "tool: line | line" or null without error text
+ */
+export function describeErrorSignature(output, command = '') {
+  if (!output || !output.trim()) return null;
+
+  const lines = pickErrorLines(output).map(normalizeErrorText).filter(Boolean);
+  if (lines.length === 0) return null;
+
+  const tool = getTool(command);
+  return `${tool ? `${tool}: ` : ''}${lines.join(' | ')}`;
+}
+
+/**
+ * Normalize a command line for comparison
+ * Env prefixes, wrappers and setup steps are dropped and volatile tokens
+ * (paths, IDs, numbers...) masked: "sudo npm test -- /tmp/a1b2c3d" and
+ * "npm test -- /tmp/9f8e7d6" normalize alike.
+ * @param {string} command - Command line
+ * @returns {string} Normalized command
+ */
+export function normalizeCommand(command) {
+  const primary = getPrimaryCommand(command);
+  const commands = getCommands(command);
+  const start = Math.max(0, commands.indexOf(primary));
+
+  return commands.slice(start)
+    .map(segment => normalizeErrorText([segment.name.split('/').pop(), ...segment.args].join(' ')))
+    .join(' ; ');
+}
+
+/**
+ * Compute the signature of an error
+ * Identical failures hash to the same value regardless of paths, line
+ * numbers, PIDs, ports or timestamps.
+ * @param {string} output - Error output
+ * @param {string} command - Command that produced it
+ * @returns {string|null} 16-hex-digit signature, or null without error text
+ */
+export function computeErrorSignature(output, command = '') {
+  const description = describeErrorSignature(output, command);
+  if (!description) return null;
+
+  return crypto.createHash('sha1').update(description).digest('hex').slice(0, 16);
+}
+
+export default {
+  normalizeErrorText,
+  normalizeCommand,
+  describeErrorSignature,
+  computeErrorSignature
+};
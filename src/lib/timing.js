@@ -0,0 +1,179 @@
+/**
+ * Ghostly Memory Bank - Command Timing
+ * Keeps per-project baselines of how long each command usually takes, flags
+ * runs that are much slower than usual and finds what preceded the last
+ * run that was as slow
+ */
+
+import { loadConfig } from './config.js';
+import db from './database.js';
+import { normalizeCommand } from './signature.js';
+import { parseDuration } from './rules.js';
+
+// Commands listed as what changed before a slow run
+const MAX_CHANGES = 5;
+
+/**
+ * Get the key a command's timing baseline is kept under
+ * @param {string} command - Command line
+ * @returns {string|null} Normalized command line
+ */
+export function getCommandKey(command) {
+  return normalizeCommand(command || '') || null;
+}
+
+/**
+ * Get a percentile of some values, interpolating between neighbours
+ * @param {Array<number>} values - Values, in any order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Percentile, or null without values
+ */
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Format a duration for humans
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "850ms", "12.3s", "4m 10s", "1h 2m"
+ */
+export function formatDuration(ms) {
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  if (ms < 60 * 1000) return `${Math.round(ms / 100) / 10}s`;
+
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m ${Math.round((ms % 60000) / 1000)}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Summarize durations as a baseline
+ * @param {Array<number>} durations - Durations in ms
+ * @returns {Object} { samples, median, p90 }
+ */
+function summarize(durations) {
+  return {
+    samples: durations.length,
+    median: percentile(durations, 50),
+    p90: percentile(durations, 90)
+  };
+}
+
+/**
+ * Get the settings of capture.slow_commands
+ * @returns {Object} Settings, with min_duration in ms
+ */
+function getSlowCommandSettings() {
+  const settings = loadConfig().capture.slow_commands;
+  try {
+    return { ...settings, min_duration: parseDuration(settings.min_duration) };
+  } catch (error) {
+    throw new Error(`capture.slow_commands.min_duration: ${error.message}`);
+  }
+}
+
+/**
+ * Get the timing baseline of a command in a project
+ * Only successful runs count; failures often stop early.
+ * @param {Object} filter - { projectHash, commandKey, beforeId }
+ * @returns {Object} { samples, median, p90 }
+ */
+export function getBaseline({ projectHash, commandKey, beforeId }) {
+  const { baseline_runs: limit } = loadConfig().capture.slow_commands;
+  return summarize(db.getCommandDurations({ projectHash, commandKey, beforeId, limit }));
+}
+
+/**
+ * Get the timing baselines of every timed command in a project
+ * @param {string} projectHash - Project hash
+ * @returns {Array<Object>} { command, samples, median, p90 }, most run first
+ */
+export function getCommandBaselines(projectHash) {
+  const { baseline_runs: limit } = loadConfig().capture.slow_commands;
+  const groups = new Map();
+
+  for (const row of db.getTimedCommands(projectHash)) {
+    const group = groups.get(row.command_key) || { command: row.command, durations: [] };
+    if (group.durations.length < limit) group.durations.push(row.duration_ms);
+    groups.set(row.command_key, group);
+  }
+
+  return [...groups.values()]
+    .map(({ command, durations }) => ({ command, ...summarize(durations) }))
+    .sort((a, b) => b.samples - a.samples);
+}
+
+/**
+ * Check if a run took much longer than the command usually does
+ * It is slow at capture.slow_commands.factor times the median or the p90,
+ * whichever is higher, once min_runs earlier runs make a baseline; runs
+ * shorter than min_duration never are.
+ * @param {Object} event - Event with project_hash, command_key, duration_ms
+ * @returns {Object|null} { duration_ms, median, p90, samples, ratio, threshold }
+ */
+export function checkSlowdown(event) {
+  const settings = getSlowCommandSettings();
+  if (!settings.enabled || event.duration_ms == null || !event.command_key) return null;
+
+  const baseline = getBaseline({ projectHash: event.project_hash, commandKey: event.command_key, beforeId: event.id });
+  if (baseline.samples < settings.min_runs) return null;
+
+  const threshold = Math.max(baseline.median * settings.factor, baseline.p90, settings.min_duration);
+  if (event.duration_ms < threshold) return null;
+
+  return {
+    duration_ms: event.duration_ms,
+    ...baseline,
+    ratio: baseline.median > 0 ? event.duration_ms / baseline.median : null,
+    threshold
+  };
+}
+
+/**
+ * Find the last earlier run that was as slow, and what happened before it
+ * What changed is the commands run in that session since the previous run
+ * of the command, and a branch switch between the two runs.
+ * @param {Object} event - Stored slow event
+ * @param {Object} slowdown - Result of checkSlowdown
+ * @returns {Object|null} { id, timestamp, duration_ms, git_branch, changes, branch_change }
+ */
+export function findLastSlowRun(event, slowdown) {
+  const filter = { projectHash: event.project_hash, commandKey: event.command_key };
+  const last = db.getLastSlowRun({ ...filter, beforeId: event.id, minDuration: slowdown.threshold });
+  if (!last) return null;
+
+  const previous = db.getPreviousRun({ ...filter, beforeId: last.id });
+  const between = db.getSessionEventsBetween({
+    sessionId: last.session_id,
+    projectHash: last.project_hash,
+    afterId: previous?.session_id === last.session_id ? previous.id : 0,
+    untilId: last.id - 1
+  });
+
+  return {
+    id: last.id,
+    timestamp: last.timestamp,
+    duration_ms: last.duration_ms,
+    git_branch: last.git_branch,
+    changes: between.slice(-MAX_CHANGES).map(e => e.command),
+    branch_change: previous && previous.git_branch !== last.git_branch
+      ? { from: previous.git_branch, to: last.git_branch }
+      : null
+  };
+}
+
+export default {
+  getCommandKey,
+  percentile,
+  formatDuration,
+  getBaseline,
+  getCommandBaselines,
+  checkSlowdown,
+  findLastSlowRun
+};
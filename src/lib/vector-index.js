@@ -0,0 +1,634 @@
+/**
+ * Ghostly Memory Bank - Approximate Nearest Neighbour Index
+ * Pure-JS HNSW (Hierarchical Navigable Small World) graph over episode
+ * embeddings, persisted next to the database and caught up incrementally
+ * from the embeddings table
+ */
+
+import fs from 'fs';
+import { loadConfig } from './config.js';
+import db, {
+  getDatabasePath,
+  onEmbeddingInserted,
+  withDatabaseLock,
+  registerSidecar,
+  sealSidecar,
+  openSidecar
+} from './database.js';
+
+const MAGIC = 'GHNSW1';
+const FORMAT_VERSION = 1;
+
+// Share of deleted nodes above which the graph is rebuilt without them
+const MAX_DELETED_FRACTION = 0.25;
+
+/**
+ * Binary heap ordered by a score comparator
+ */
+class Heap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < items.length && this.compare(items[left], items[best]) < 0) best = left;
+        if (right < items.length && this.compare(items[right], items[best]) < 0) best = right;
+        if (best === i) break;
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Copy a vector into a unit-length Float32Array
+ * Unit vectors make cosine similarity a plain dot product.
+ * @param {ArrayLike<number>} vector - Input vector
+ * @returns {Float32Array} Normalized copy
+ */
+function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+  }
+  return out;
+}
+
+/**
+ * Dot product of two equal-length vectors
+ */
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * HNSW graph keyed by episode ID
+ */
+export class HnswIndex {
+  constructor(options = {}) {
+    this.model = options.model || null;
+    this.dim = options.dim;
+    this.M = options.M || 16;
+    this.efConstruction = options.efConstruction || 200;
+    this.efSearch = options.efSearch || 64;
+    this.levelMultiplier = 1 / Math.log(this.M);
+
+    // Per node: label (episode ID), level, neighbours per layer, vector
+    this.labels = [];
+    this.levels = [];
+    this.neighbors = [];
+    this.vectors = [];
+
+    this.labelToNode = new Map();
+    this.deleted = new Set();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+
+    // Highest embeddings.id folded into the index
+    this.lastEmbeddingId = 0;
+  }
+
+  get size() {
+    return this.labels.length - this.deleted.size;
+  }
+
+  /**
+   * Add (or replace) the vector for an episode
+   * @param {number} label - Episode ID
+   * @param {ArrayLike<number>} vector - Embedding vector
+   */
+  add(label, vector) {
+    if (vector.length !== this.dim) {
+      throw new Error(`Vector dimension ${vector.length} does not match index dimension ${this.dim}`);
+    }
+
+    if (this.labelToNode.has(label)) {
+      this.deleted.add(this.labelToNode.get(label));
+    }
+
+    const node = this.labels.length;
+    const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+    const normalized = normalize(vector);
+
+    this.labels.push(label);
+    this.levels.push(level);
+    this.neighbors.push(Array.from({ length: level + 1 }, () => []));
+    this.vectors.push(normalized);
+    this.labelToNode.set(label, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this.searchLayer(normalized, [entry], 1, layer)[0].node;
+    }
+
+    let entries = [entry];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(normalized, entries, this.efConstruction, layer);
+      const maxNeighbors = layer === 0 ? this.M * 2 : this.M;
+      const selected = candidates.slice(0, this.M).map(c => c.node);
+
+      this.neighbors[node][layer] = selected;
+
+      for (const neighbor of selected) {
+        const links = this.neighbors[neighbor][layer];
+        links.push(node);
+        if (links.length > maxNeighbors) {
+          this.neighbors[neighbor][layer] = this.closest(this.vectors[neighbor], links, maxNeighbors);
+        }
+      }
+
+      entries = candidates.map(c => c.node);
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Remove an episode from search results
+   * @param {number} label - Episode ID
+   */
+  remove(label) {
+    if (this.labelToNode.has(label)) {
+      this.deleted.add(this.labelToNode.get(label));
+      this.labelToNode.delete(label);
+    }
+  }
+
+  /**
+   * Rebuild the graph from the live nodes, dropping deleted ones
+   */
+  compact() {
+    const live = this.labels
+      .map((label, node) => ({ label, node }))
+      .filter(({ node }) => !this.deleted.has(node))
+      .map(({ label, node }) => [label, this.vectors[node]]);
+
+    this.labels = [];
+    this.levels = [];
+    this.neighbors = [];
+    this.vectors = [];
+    this.labelToNode = new Map();
+    this.deleted = new Set();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+
+    for (const [label, vector] of live) {
+      this.add(label, vector);
+    }
+  }
+
+  /**
+   * Find the k most similar episodes
+   * @param {ArrayLike<number>} query - Query vector
+   * @param {number} k - Number of results
+   * @returns {Array} [{ label, similarity }] best first
+   */
+  search(query, k) {
+    if (this.entryPoint === -1 || query.length !== this.dim) return [];
+
+    const normalized = normalize(query);
+    let entry = this.entryPoint;
+
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this.searchLayer(normalized, [entry], 1, layer)[0].node;
+    }
+
+    // Deleted nodes still take up room in the candidate list; compaction
+    // keeps them few, and ef stays bounded either way
+    const ef = Math.max(this.efSearch, k + Math.min(this.deleted.size, this.efSearch));
+    return this.searchLayer(normalized, [entry], ef, 0)
+      .filter(c => !this.deleted.has(c.node))
+      .slice(0, k)
+      .map(c => ({ label: this.labels[c.node], similarity: c.similarity }));
+  }
+
+  /**
+   * Greedy best-first search within one layer
+   * @returns {Array} [{ node, similarity }] best first, at most ef entries
+   */
+  searchLayer(query, entries, ef, layer) {
+    const visited = new Set(entries);
+    const candidates = new Heap((a, b) => b.similarity - a.similarity);
+    const results = new Heap((a, b) => a.similarity - b.similarity);
+
+    for (const node of entries) {
+      const item = { node, similarity: dot(query, this.vectors[node]) };
+      candidates.push(item);
+      results.push(item);
+      if (results.size > ef) results.pop();
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.similarity < results.peek().similarity) break;
+
+      for (const neighbor of this.neighbors[current.node][layer] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const similarity = dot(query, this.vectors[neighbor]);
+        if (results.size < ef || similarity > results.peek().similarity) {
+          const item = { node: neighbor, similarity };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => b.similarity - a.similarity);
+  }
+
+  /**
+   * Keep the `count` nodes closest to a vector
+   */
+  closest(vector, nodes, count) {
+    return nodes
+      .map(node => ({ node, similarity: dot(vector, this.vectors[node]) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, count)
+      .map(c => c.node);
+  }
+
+  /**
+   * Serialize to a compact binary buffer
+   * Layout: magic, uint32 header length, JSON header, Float32 vectors
+   * @returns {Buffer} Serialized index
+   */
+  serialize() {
+    const header = Buffer.from(JSON.stringify({
+      version: FORMAT_VERSION,
+      model: this.model,
+      dim: this.dim,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      lastEmbeddingId: this.lastEmbeddingId,
+      labels: this.labels,
+      levels: this.levels,
+      neighbors: this.neighbors,
+      deleted: [...this.deleted]
+    }));
+
+    const vectors = new Float32Array(this.labels.length * this.dim);
+    this.vectors.forEach((vector, i) => vectors.set(vector, i * this.dim));
+
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(header.length);
+
+    return Buffer.concat([
+      Buffer.from(MAGIC),
+      length,
+      header,
+      Buffer.from(vectors.buffer)
+    ]);
+  }
+
+  /**
+   * Restore an index written by serialize()
+   * @param {Buffer} buffer - Serialized index
+   * @returns {HnswIndex} Index
+   */
+  static deserialize(buffer) {
+    if (buffer.toString('utf8', 0, MAGIC.length) !== MAGIC) {
+      throw new Error('Not a ghostly vector index file');
+    }
+
+    const headerLength = buffer.readUInt32LE(MAGIC.length);
+    const headerStart = MAGIC.length + 4;
+    const header = JSON.parse(buffer.toString('utf8', headerStart, headerStart + headerLength));
+
+    if (header.version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported vector index version ${header.version}`);
+    }
+
+    const index = new HnswIndex({
+      model: header.model,
+      dim: header.dim,
+      M: header.M,
+      efConstruction: header.efConstruction
+    });
+
+    const vectorBytes = buffer.subarray(headerStart + headerLength);
+    const vectors = new Float32Array(vectorBytes.buffer.slice(
+      vectorBytes.byteOffset,
+      vectorBytes.byteOffset + vectorBytes.byteLength
+    ));
+
+    index.labels = header.labels;
+    index.levels = header.levels;
+    index.neighbors = header.neighbors;
+    index.vectors = header.labels.map((_, i) => vectors.subarray(i * header.dim, (i + 1) * header.dim));
+    index.deleted = new Set(header.deleted);
+    index.entryPoint = header.entryPoint;
+    index.maxLevel = header.maxLevel;
+    index.lastEmbeddingId = header.lastEmbeddingId;
+
+    header.labels.forEach((label, node) => {
+      if (!index.deleted.has(node)) index.labelToNode.set(label, node);
+    });
+
+    return index;
+  }
+}
+
+// Loaded index, the file it belongs to and additions not yet written to it
+let loadedIndex = null;
+let loadedPath = null;
+let unsavedAdditions = 0;
+
+/**
+ * Get the index file path for the current database
+ * @returns {string} Index file path
+ */
+export function getIndexPath() {
+  return `${getDatabasePath()}.hnsw`;
+}
+
+/**
+ * Get the loaded index, unless it belongs to another database
+ * @returns {HnswIndex|null} Loaded index
+ */
+function currentIndex() {
+  if (loadedIndex && loadedPath !== getIndexPath()) {
+    loadedIndex = null;
+    unsavedAdditions = 0;
+  }
+  return loadedIndex;
+}
+
+/**
+ * Create an empty index configured from config.yaml
+ */
+function createIndex(model, dim) {
+  const config = loadConfig();
+  return new HnswIndex({
+    model,
+    dim,
+    M: config.storage.hnsw_m,
+    efConstruction: config.storage.hnsw_ef_construction,
+    efSearch: config.storage.hnsw_ef_search
+  });
+}
+
+/**
+ * Fold embeddings newer than the index into it
+ * Embedding IDs only grow (writers hold the database lock), so everything
+ * up to lastEmbeddingId is in the index and everything above it is not.
+ * @param {HnswIndex} index - Index to update
+ * @returns {number} Number of vectors added
+ */
+function catchUp(index) {
+  let added = 0;
+
+  for (const embedding of db.loadEmbeddings({ model: index.model, dim: index.dim, afterId: index.lastEmbeddingId })) {
+    index.add(embedding.episode_id, embedding.vector);
+    index.lastEmbeddingId = embedding.id;
+    added++;
+  }
+
+  return added;
+}
+
+/**
+ * Rebuild an index once too many of its nodes are deleted
+ * Re-embedded, merged and pruned episodes leave deleted nodes behind that
+ * searches still have to walk past.
+ * @param {HnswIndex} index - Index to check
+ * @returns {boolean} True when it was compacted (and should be saved)
+ */
+function compactIfNeeded(index) {
+  if (index.deleted.size <= index.labels.length * MAX_DELETED_FRACTION) return false;
+
+  index.compact();
+  return true;
+}
+
+/**
+ * Get the ANN index for a model, loading, building or catching it up as needed
+ * @param {Object} options - { model, dim }
+ * @returns {HnswIndex} Up-to-date index
+ */
+export function getVectorIndex({ model, dim }) {
+  const config = loadConfig();
+
+  if (currentIndex() && loadedIndex.model === model && loadedIndex.dim === dim) {
+    // Transactions may have synced other processes' embeddings since
+    unsavedAdditions += catchUp(loadedIndex);
+    if (compactIfNeeded(loadedIndex)) saveVectorIndex();
+    return loadedIndex;
+  }
+
+  let index = null;
+
+  try {
+    const stored = readIndexFile();
+    if (stored && stored.model === model && stored.dim === dim) {
+      index = stored;
+      index.efSearch = config.storage.hnsw_ef_search;
+    }
+  } catch (error) {
+    console.warn(`Ignoring unreadable vector index: ${error.message}`);
+  }
+
+  const rebuilt = !index;
+  if (rebuilt) {
+    index = createIndex(model, dim);
+  }
+
+  const added = catchUp(index);
+  const compacted = compactIfNeeded(index);
+  loadedIndex = index;
+  loadedPath = getIndexPath();
+  unsavedAdditions = 0;
+
+  if (rebuilt || compacted || added >= config.storage.index_save_every) {
+    saveVectorIndex();
+  } else {
+    unsavedAdditions = added;
+  }
+
+  return index;
+}
+
+/**
+ * Read the index file
+ * @returns {HnswIndex|null} Stored index, null when there is none or it
+ *   cannot be opened with the database key
+ */
+function readIndexFile() {
+  const indexPath = getIndexPath();
+  if (!fs.existsSync(indexPath)) return null;
+
+  const data = openSidecar(fs.readFileSync(indexPath));
+  return data ? HnswIndex.deserialize(data) : null;
+}
+
+/**
+ * Write an index file atomically, encrypted when the database is
+ * Must be called while holding the database lock, so concurrent captures
+ * replace the file one at a time; whichever index is left covers every
+ * embedding up to its lastEmbeddingId and is caught up on next load.
+ * @param {HnswIndex} index - Index to write
+ */
+function writeIndexFile(index) {
+  const data = sealSidecar(index.serialize());
+  if (!data) return;
+
+  const indexPath = getIndexPath();
+  const tmpPath = `${indexPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, data);
+  fs.renameSync(tmpPath, indexPath);
+}
+
+/**
+ * Write the loaded index to disk
+ */
+export function saveVectorIndex() {
+  if (!currentIndex()) return;
+
+  withDatabaseLock(() => writeIndexFile(loadedIndex));
+  unsavedAdditions = 0;
+}
+
+/**
+ * Discard the on-disk index and build it again from the embeddings table
+ * @param {Object} options - { model, dim }
+ * @returns {HnswIndex} Fresh index
+ */
+export function rebuildVectorIndex({ model, dim }) {
+  fs.rmSync(getIndexPath(), { force: true });
+  loadedIndex = null;
+  return getVectorIndex({ model, dim });
+}
+
+/**
+ * Drop episodes from the index (e.g. after pruning)
+ * Updates the loaded index and the file on disk; nodes are only marked
+ * deleted until enough of them pile up to compact the graph.
+ * @param {Array<number>} episodeIds - Episode IDs to remove
+ * @returns {number} Number of entries removed from the on-disk index
+ */
+export function removeFromVectorIndex(episodeIds) {
+  if (episodeIds.length === 0) return 0;
+
+  return withDatabaseLock(() => {
+    let index = currentIndex();
+
+    if (!index) {
+      try {
+        index = readIndexFile();
+      } catch (error) {
+        // Unreadable indexes are rebuilt on next use anyway
+        fs.rmSync(getIndexPath(), { force: true });
+        return 0;
+      }
+      if (!index) return 0;
+    }
+
+    const before = index.size;
+    for (const episodeId of episodeIds) {
+      index.remove(episodeId);
+    }
+    const removed = before - index.size;
+
+    if (removed > 0) {
+      compactIfNeeded(index);
+      writeIndexFile(index);
+      if (index === loadedIndex) unsavedAdditions = 0;
+    }
+
+    return removed;
+  });
+}
+
+/**
+ * Describe the on-disk index without loading it into memory
+ * @returns {Object|null} { model, dim, size, deleted, lastEmbeddingId, bytes }
+ */
+export function getVectorIndexStatus() {
+  const index = readIndexFile();
+  if (!index) return null;
+
+  return {
+    model: index.model,
+    dim: index.dim,
+    size: index.size,
+    deleted: index.deleted.size,
+    lastEmbeddingId: index.lastEmbeddingId,
+    bytes: fs.statSync(getIndexPath()).size
+  };
+}
+
+registerSidecar(getIndexPath);
+
+// Keep a loaded index current as embeddings are written. The new row is
+// already in the table, after any that other processes wrote since the
+// index was last caught up: folding them all in keeps lastEmbeddingId honest.
+onEmbeddingInserted(embedding => {
+  if (!currentIndex() || loadedIndex.model !== embedding.model || loadedIndex.dim !== embedding.dim) return;
+
+  unsavedAdditions += catchUp(loadedIndex);
+
+  if (compactIfNeeded(loadedIndex) || unsavedAdditions >= loadConfig().storage.index_save_every) {
+    saveVectorIndex();
+  }
+});
+
+export default {
+  HnswIndex,
+  getIndexPath,
+  getVectorIndex,
+  saveVectorIndex,
+  rebuildVectorIndex,
+  removeFromVectorIndex,
+  getVectorIndexStatus
+};
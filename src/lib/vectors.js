@@ -0,0 +1,101 @@
+/**
+ * Ghostly Memory Bank - Vector Encoding
+ * Packs embedding vectors into compact BLOBs (little-endian Float32, or
+ * int8 with a per-vector scale) and unpacks them into typed arrays
+ */
+
+import os from 'os';
+
+const LITTLE_ENDIAN = os.endianness() === 'LE';
+
+/**
+ * Supported vector encodings
+ */
+export const ENCODINGS = {
+  FLOAT32: 'f32',
+  INT8: 'i8'
+};
+
+/**
+ * Pack a vector for storage
+ * @param {Array<number>|Float32Array} vector - Embedding vector
+ * @param {string} encoding - 'f32' or 'i8'
+ * @returns {Object} { blob: Uint8Array, dim, encoding, scale }
+ */
+export function packVector(vector, encoding = ENCODINGS.FLOAT32) {
+  const dim = vector.length;
+
+  if (encoding === ENCODINGS.INT8) {
+    let maxAbs = 0;
+    for (let i = 0; i < dim; i++) {
+      maxAbs = Math.max(maxAbs, Math.abs(vector[i]));
+    }
+
+    const scale = maxAbs / 127 || 1;
+    const quantized = new Int8Array(dim);
+    for (let i = 0; i < dim; i++) {
+      quantized[i] = Math.round(vector[i] / scale);
+    }
+
+    return { blob: new Uint8Array(quantized.buffer), dim, encoding, scale };
+  }
+
+  if (encoding !== ENCODINGS.FLOAT32) {
+    throw new Error(`Unknown vector encoding: ${encoding}`);
+  }
+
+  const floats = Float32Array.from(vector);
+  if (!LITTLE_ENDIAN) {
+    const view = new DataView(floats.buffer);
+    for (let i = 0; i < dim; i++) view.setFloat32(i * 4, vector[i], true);
+  }
+
+  return { blob: new Uint8Array(floats.buffer), dim, encoding, scale: null };
+}
+
+/**
+ * Unpack a stored vector into a typed array
+ * int8 vectors are returned as Int8Array without rescaling: cosine
+ * similarity is scale-invariant, so they can be compared directly. Use
+ * dequantize() when real magnitudes are needed.
+ * @param {Uint8Array} blob - Stored BLOB
+ * @param {string} encoding - 'f32' or 'i8'
+ * @returns {Float32Array|Int8Array} Vector
+ */
+export function unpackVector(blob, encoding = ENCODINGS.FLOAT32) {
+  if (encoding === ENCODINGS.INT8) {
+    return new Int8Array(blob.buffer, blob.byteOffset, blob.byteLength);
+  }
+
+  if (!LITTLE_ENDIAN) {
+    const view = new DataView(blob.buffer, blob.byteOffset, blob.byteLength);
+    const floats = new Float32Array(blob.byteLength / 4);
+    for (let i = 0; i < floats.length; i++) floats[i] = view.getFloat32(i * 4, true);
+    return floats;
+  }
+
+  // Float32Array views need 4-byte alignment
+  const aligned = blob.byteOffset % 4 === 0 ? blob : blob.slice();
+  return new Float32Array(aligned.buffer, aligned.byteOffset, aligned.byteLength / 4);
+}
+
+/**
+ * Convert an int8 vector back to approximate float values
+ * @param {Int8Array} vector - Quantized vector
+ * @param {number} scale - Scale stored alongside the vector
+ * @returns {Float32Array} Dequantized vector
+ */
+export function dequantize(vector, scale) {
+  const floats = new Float32Array(vector.length);
+  for (let i = 0; i < vector.length; i++) {
+    floats[i] = vector[i] * scale;
+  }
+  return floats;
+}
+
+export default {
+  ENCODINGS,
+  packVector,
+  unpackVector,
+  dequantize
+};
@@ -0,0 +1,159 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import {
+  initDatabase,
+  closeDatabase,
+  insertEvent,
+  insertEpisode,
+  insertEmbedding,
+  getOrCreateSession,
+  upsertProject,
+  getStats,
+  getRecentEpisodes,
+  getEpisodeEvents,
+  getEmbedding,
+  resolveEpisode,
+  supersedeEpisodes,
+  setConsolidatedEvent,
+  getUnconsolidatedEvents
+} from '../src/lib/database.js';
+import { exportArchive, importArchive } from '../src/lib/archive.js';
+
+describe('archives', () => {
+  let tmpDir;
+
+  function useDatabase(name) {
+    const configPath = path.join(tmpDir, `${name}.yaml`);
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${path.join(tmpDir, `${name}.db`)}"\n`);
+    closeDatabase();
+    resetConfig();
+    loadConfig(configPath);
+    return initDatabase();
+  }
+
+  function remember(command, timestamp, projectHash) {
+    getOrCreateSession('s1', { cwd: '/work' });
+    upsertProject({ project_hash: projectHash, name: projectHash });
+    const eventId = insertEvent({
+      session_id: 's1',
+      timestamp,
+      command,
+      exit_code: 1,
+      stderr_text: `${command}: failed`,
+      project_hash: projectHash
+    });
+    const episodeId = insertEpisode({
+      project_hash: projectHash,
+      summary: `${command} failed`,
+      problem: `${command}: failed`,
+      event_ids: [eventId]
+    });
+    insertEmbedding(episodeId, 'test-model', [1, 2, 3]);
+    return episodeId;
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-archive-'));
+  });
+
+  afterEach(() => {
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('round-trips a filtered archive and skips rows that already exist', async () => {
+    await useDatabase('source');
+    remember('npm test', '2024-03-01T10:00:00.000Z', 'web');
+    remember('cargo build', '2024-03-02T10:00:00.000Z', 'api');
+
+    const archive = path.join(tmpDir, 'web.jsonl.gz');
+    const counts = await exportArchive(archive, { projectHash: 'web', withEmbeddings: true });
+    expect(counts).toEqual({ project: 1, session: 1, event: 1, episode: 1, embedding: 1 });
+
+    await useDatabase('target');
+    // Give the target different IDs than the source
+    remember('make', '2024-01-01T00:00:00.000Z', 'other');
+
+    const first = await importArchive(archive);
+    expect(first.imported).toMatchObject({ project: 1, event: 1, episode: 1 });
+
+    const [episode] = getRecentEpisodes('web');
+    expect(episode.summary).toBe('npm test failed');
+    expect(getEpisodeEvents(episode.id).map(e => e.command)).toEqual(['npm test']);
+
+    const second = await importArchive(archive);
+    expect(second.imported).toMatchObject({ project: 0, session: 0, event: 0, episode: 0, embedding: 0 });
+    expect(getStats()).toMatchObject({ events: 2, episodes: 2 });
+  });
+
+  it('exports episodes only', async () => {
+    await useDatabase('source');
+    remember('npm test', '2024-03-01T10:00:00.000Z', 'web');
+
+    const archive = path.join(tmpDir, 'episodes.jsonl');
+    await exportArchive(archive, { episodesOnly: true });
+
+    const types = fs.readFileSync(archive, 'utf8').trim().split('\n').map(line => JSON.parse(line).type);
+    expect(types).toEqual(['header', 'project', 'episode']);
+  });
+
+  it('keeps vectors as-is when no embedding provider is available', async () => {
+    await useDatabase('source');
+    remember('npm test', '2024-03-01T10:00:00.000Z', 'web');
+    const archive = path.join(tmpDir, 'all.jsonl');
+    await exportArchive(archive, { withEmbeddings: true });
+
+    await useDatabase('target');
+    const result = await importArchive(archive);
+    const [episode] = getRecentEpisodes('web');
+
+    expect(result.imported.embedding).toBe(1);
+    expect(Array.from(getEmbedding(episode.id).vector)).toEqual([1, 2, 3]);
+  });
+
+  it('remaps workflow, resolution and consolidation links', async () => {
+    await useDatabase('source');
+    getOrCreateSession('s1', { cwd: '/work' });
+    upsertProject({ project_hash: 'web', name: 'web' });
+    const event = (command, exitCode, minute) => insertEvent({
+      session_id: 's1',
+      timestamp: `2024-03-01T10:0${minute}:00.000Z`,
+      command,
+      exit_code: exitCode,
+      project_hash: 'web'
+    });
+    const failed = event('npm run build', 1, 0);
+    const install = event('npm install left-pad', 0, 1);
+    const passed = event('npm run build', 0, 2);
+    event('npm test', 0, 3);
+    const failure = insertEpisode({ project_hash: 'web', summary: 'npm run build failed', problem: '', event_ids: [failed] });
+    resolveEpisode(failure, { fix: 'npm install left-pad', resolution_event_id: passed, event_ids: [install, passed] });
+    const workflow = insertEpisode({ project_hash: 'web', kind: 'workflow', summary: 'Multi-step workflow: 3 commands', problem: '', event_ids: [failed, install, passed] });
+    supersedeEpisodes(workflow, [failed]);
+    setConsolidatedEvent('s1', passed);
+
+    const archive = path.join(tmpDir, 'workflows.jsonl');
+    await exportArchive(archive);
+
+    const database = await useDatabase('target');
+    // Give the target different IDs than the source
+    getOrCreateSession('s2', { cwd: '/other' });
+    insertEpisode({ project_hash: 'other', summary: 'make failed', problem: '', event_ids: [insertEvent({ session_id: 's2', timestamp: '2024-01-01T00:00:00.000Z', command: 'make', exit_code: 1 })] });
+    await importArchive(archive);
+
+    const rows = database.exec(`
+      SELECT e.kind, w.kind, r.command, r.exit_code FROM episodes e
+      LEFT JOIN episodes w ON w.id = e.workflow_id
+      LEFT JOIN raw_events r ON r.id = e.resolution_event_id
+      WHERE e.project_hash = 'web' ORDER BY e.id
+    `)[0].values;
+    expect(rows).toEqual([
+      ['event', 'workflow', 'npm run build', 0],
+      ['workflow', null, null, null]
+    ]);
+    expect(getUnconsolidatedEvents('s1').map(e => e.command)).toEqual(['npm test']);
+  });
+});
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import { initDatabase, closeDatabase } from '../src/lib/database.js';
+import { acquireLock, releaseLock } from '../src/lib/lock.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CLI = path.join(__dirname, '..', 'src', 'cli', 'index.js');
+const CAPTURES = 6;
+
+function capture(cwd, command) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI, 'capture', command, '--cwd', cwd], {
+      cwd,
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('exit', code => {
+      if (code === 0) resolve();
+      else reject(new Error(`capture "${command}" exited with ${code}: ${stderr}`));
+    });
+  });
+}
+
+describe('concurrent captures', () => {
+  let tmpDir;
+  let configPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-concurrency-'));
+    configPath = path.join(tmpDir, 'config.yaml');
+    // A tiny checkpoint threshold makes the processes race on checkpoints too
+    fs.writeFileSync(configPath, 'storage:\n  db_path: "./ghostly.db"\n  journal_checkpoint_kb: 1\n');
+  });
+
+  afterEach(() => {
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('keeps every event when several processes capture at once', async () => {
+    const commands = Array.from({ length: CAPTURES }, (_, i) => `cat notes-${i}.txt`);
+
+    await Promise.all(commands.map(command => capture(tmpDir, command)));
+
+    const cwd = process.cwd();
+    process.chdir(tmpDir);
+    try {
+      resetConfig();
+      loadConfig(configPath);
+      const database = await initDatabase();
+      const stored = database.exec('SELECT command FROM raw_events')[0]?.values.map(row => row[0]) || [];
+
+      expect(stored.sort()).toEqual([...commands].sort());
+      expect(fs.existsSync(path.join(tmpDir, 'ghostly.db.lock'))).toBe(false);
+    } finally {
+      // db_path is relative to the working directory
+      closeDatabase();
+      process.chdir(cwd);
+    }
+  }, 60000);
+});
+
+describe('stale locks', () => {
+  let tmpDir;
+  let lockPath;
+
+  function holdLock(owner, ageMs) {
+    fs.writeFileSync(lockPath, typeof owner === 'string' ? owner : JSON.stringify({ ...owner, acquired_at: new Date().toISOString() }));
+    const touched = (Date.now() - ageMs) / 1000;
+    fs.utimesSync(lockPath, touched, touched);
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-lock-'));
+    lockPath = path.join(tmpDir, 'ghostly.db.lock');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('waits for a live owner on this host however long it holds the lock', async () => {
+    const owner = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 30000)'], { stdio: 'ignore' });
+    try {
+      holdLock({ pid: owner.pid, host: os.hostname() }, 60000);
+
+      expect(() => acquireLock(lockPath, { timeoutMs: 200, staleMs: 50 })).toThrow(`held by pid ${owner.pid}`);
+      expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid).toBe(owner.pid);
+    } finally {
+      owner.kill();
+      await new Promise(resolve => owner.once('exit', resolve));
+    }
+
+    // Once the owner is gone its lock is broken straight away
+    acquireLock(lockPath, { timeoutMs: 200, staleMs: 60000 });
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid).toBe(process.pid);
+    releaseLock(lockPath);
+  });
+
+  it('breaks old locks whose owner is on another host or unreadable', () => {
+    const readOwner = () => JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+
+    holdLock({ pid: process.pid, host: 'another-host' }, 60000);
+    acquireLock(lockPath, { timeoutMs: 200, staleMs: 50 });
+    expect(readOwner()).toMatchObject({ pid: process.pid, host: os.hostname() });
+    releaseLock(lockPath);
+
+    holdLock('not json', 0);
+    expect(() => acquireLock(lockPath, { timeoutMs: 100, staleMs: 60000 })).toThrow('Timed out waiting for database lock');
+    holdLock('not json', 60000);
+    acquireLock(lockPath, { timeoutMs: 200, staleMs: 50 });
+    expect(readOwner().pid).toBe(process.pid);
+    releaseLock(lockPath);
+  });
+});
@@ -0,0 +1,111 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import { closeDatabase, getEpisode, getEpisodeEvents, searchEpisodes } from '../src/lib/database.js';
+import { processEvent } from '../src/lib/event-listener.js';
+import { consolidate } from '../src/lib/consolidation.js';
+import { retrieveMemories } from '../src/lib/retrieval.js';
+
+describe('workflow consolidation', () => {
+  let tmpDir;
+  let cwd;
+  let clock;
+
+  function run(command, exitCode, options = {}) {
+    clock += options.after ?? 30 * 1000;
+    return processEvent({
+      session_id: options.session || 'shell-1',
+      timestamp: new Date(clock).toISOString(),
+      cwd,
+      git_branch: 'main',
+      command,
+      exit_code: exitCode,
+      stderr: exitCode ? options.stderr || `${command}: failed` : ''
+    });
+  }
+
+  async function composeWorkflow() {
+    await run('docker compose up', 1, { stderr: 'Error response from daemon: port is already allocated' });
+    await run('docker ps', 0);
+    await run('docker stop web-old', 0);
+    await run('vim docker-compose.yml', 0);
+    await run('docker compose up -d', 0);
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-consolidation-'));
+    cwd = path.join(tmpDir, 'web');
+    clock = Date.parse('2024-03-01T10:00:00Z');
+    const configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${path.join(tmpDir, 'ghostly.db')}"\nembedding:\n  provider: none\nretrieval:\n  min_confidence: 0\n`);
+    resetConfig();
+    loadConfig(configPath);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('turns a finished run of commands into one workflow episode', async () => {
+    await composeWorkflow();
+
+    // The next command, ten minutes later, closes the run
+    const result = await run('npm test', 0, { after: 10 * 60 * 1000 });
+    expect(result.workflows).toHaveLength(1);
+
+    const workflow = getEpisode(result.workflows[0].id);
+    expect(workflow).toMatchObject({ kind: 'workflow', command: 'docker compose up' });
+    expect(workflow.fix).toBe('docker compose up → docker ps → docker stop web-old → vim docker-compose.yml → docker compose up -d');
+    expect(getEpisodeEvents(workflow.id).map(e => e.command)).toHaveLength(5);
+  });
+
+  it('folds covered single-command episodes into the workflow', async () => {
+    const first = await run('docker compose up', 1, { stderr: 'Error response from daemon: port is already allocated' });
+    await run('docker ps', 0);
+    await run('docker compose up -d', 0);
+    const { workflows } = await run('ls', 0, { after: 10 * 60 * 1000 }).then(() => run('git status', 0));
+    expect(workflows).toHaveLength(1);
+
+    expect(getEpisode(first.episodeId).workflow_id).toBe(workflows[0].id);
+    expect(searchEpisodes('docker').map(e => e.id)).toEqual([workflows[0].id]);
+
+    const memories = await retrieveMemories({
+      command: 'docker compose up',
+      error: 'Error response from daemon: port is already allocated',
+      cwd,
+      project_hash: workflows[0].project_hash
+    });
+    const ids = memories.map(m => m.id);
+    expect(ids).toContain(workflows[0].id);
+    expect(ids).not.toContain(first.episodeId);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('leaves the current run open and skips short or trivial runs', async () => {
+    await run('docker compose up', 1);
+    await run('docker compose up -d', 0);
+    expect((await run('cat notes.txt', 0, { after: 10 * 60 * 1000 })).workflows).toEqual([]);
+    await run('cat todo.txt', 0);
+    await run('vim notes.txt', 0);
+
+    // Nothing finished yet at capture time; later the quiet run closes
+    const batch = await consolidate({ now: clock + 60 * 1000 });
+    expect(batch.workflows).toEqual([]);
+
+    await run('docker build .', 0, { after: 10 * 60 * 1000 });
+    await run('docker push', 0);
+    await run('docker compose up -d', 0);
+    const closed = await consolidate({ now: clock + 10 * 60 * 1000 });
+    expect(closed.workflows).toHaveLength(1);
+    expect(closed.workflows[0].fix).toBe('docker build . → docker push → docker compose up -d');
+
+    // Already consolidated runs are never grouped twice
+    expect((await consolidate({ now: clock + 20 * 60 * 1000 })).workflows).toEqual([]);
+  });
+});
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import {
+  initDatabase,
+  closeDatabase,
+  insertEpisode,
+  getEpisode,
+  getEpisodeEvents
+} from '../src/lib/database.js';
+import { processEvent } from '../src/lib/event-listener.js';
+import { dedupe } from '../src/lib/dedupe.js';
+import { calculateConfidence } from '../src/lib/retrieval.js';
+
+describe('episode de-duplication', () => {
+  let tmpDir;
+  let cwd;
+  let clock;
+
+  function run(command, exitCode, stderr = '') {
+    clock += 60 * 60 * 1000;
+    return processEvent({
+      session_id: 'shell-1',
+      timestamp: new Date(clock).toISOString(),
+      cwd,
+      git_branch: 'main',
+      command,
+      exit_code: exitCode,
+      stderr
+    });
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-dedupe-'));
+    cwd = path.join(tmpDir, 'web');
+    clock = Date.parse('2024-03-01T10:00:00Z');
+    const configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${path.join(tmpDir, 'ghostly.db')}"\nembedding:\n  provider: none\nretrieval:\n  min_confidence: 0\n`);
+    resetConfig();
+    loadConfig(configPath);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('folds a repeated command into one episode with occurrences', async () => {
+    const first = await run('npm test', 0);
+    const second = await run('npm  test', 0);
+    const third = await run('npm test', 0);
+
+    expect(second.episodeId).toBe(first.episodeId);
+    expect(third).toMatchObject({ episodeId: first.episodeId, occurrences: 3 });
+
+    const episode = getEpisode(first.episodeId);
+    expect(episode).toMatchObject({
+      occurrences: 3,
+      first_seen: '2024-03-01T11:00:00.000Z',
+      last_seen: '2024-03-01T13:00:00.000Z'
+    });
+    expect(getEpisodeEvents(episode.id).map(e => e.id)).toEqual([first.eventId, second.eventId, third.eventId]);
+  });
+
+  it('folds repeated failures and still reports their recurrence', async () => {
+    const stderr = "Error: Cannot find module '/tmp/web/src/a.js'";
+    const first = await run('node src/a.js', 1, stderr);
+    const again = await run('node src/a.js', 1, stderr);
+
+    expect(again).toMatchObject({ episodeId: first.episodeId, occurrences: 2 });
+    expect(again.retrieval.recurrence.count).toBe(1);
+    expect(getEpisode(first.episodeId).recurrence_count).toBe(2);
+
+    // A different failure of the same command stays apart
+    const other = await run('node src/a.js', 1, 'SyntaxError: Unexpected token');
+    expect(other.episodeId).not.toBe(first.episodeId);
+  });
+
+  it('merges existing duplicates in a batch, unless it is a dry run', async () => {
+    await initDatabase();
+    const episode = { project_hash: 'p1', summary: 'make failed', command: 'make build', error_signature: 'sig' };
+    const a = insertEpisode({ ...episode, first_seen: '2024-03-01T10:00:00.000Z' });
+    const b = insertEpisode({ ...episode, command: 'make   build', first_seen: '2024-03-05T10:00:00.000Z' });
+    const c = insertEpisode({ ...episode, command: 'make lint' });
+
+    const preview = dedupe({ dryRun: true });
+    expect(preview.merged).toEqual([{ canonicalId: a, duplicateId: b }]);
+    expect(getEpisode(b)).toBeTruthy();
+
+    const result = dedupe();
+    expect(result).toMatchObject({ scanned: 3, dryRun: false });
+    expect(getEpisode(b)).toBeNull();
+    expect(getEpisode(c)).toBeTruthy();
+    expect(getEpisode(a)).toMatchObject({
+      occurrences: 2,
+      first_seen: '2024-03-01T10:00:00.000Z',
+      last_seen: '2024-03-05T10:00:00.000Z'
+    });
+    expect(dedupe().merged).toEqual([]);
+  });
+
+  it('ranks memories seen more often higher', () => {
+    const context = { project_hash: 'p1', command: 'npm test' };
+    const memory = { project_hash: 'p1', command: 'npm test' };
+
+    expect(calculateConfidence({ ...memory, occurrences: 5 }, context, 0.5))
+      .toBeGreaterThan(calculateConfidence({ ...memory, occurrences: 1 }, context, 0.5));
+  });
+});
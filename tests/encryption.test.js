@@ -0,0 +1,140 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import {
+  initDatabase,
+  closeDatabase,
+  insertEvent,
+  insertEpisode,
+  insertEmbedding,
+  getRecentEvents,
+  getEncryptionStatus,
+  rekey
+} from '../src/lib/database.js';
+import { isEncrypted, isSqliteFile } from '../src/lib/encryption.js';
+import { getIndexPath, getVectorIndex, getVectorIndexStatus } from '../src/lib/vector-index.js';
+import { captureEnvironment } from '../src/lib/environment.js';
+
+describe('encryption at rest', () => {
+  let tmpDir;
+  let dbPath;
+  let configPath;
+
+  function writeConfig(encrypt) {
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${dbPath}"\nsecurity:\n  encrypt: ${encrypt}\n`);
+    resetConfig();
+    loadConfig(configPath);
+  }
+
+  async function reopen() {
+    closeDatabase();
+    return initDatabase();
+  }
+
+  function captureSecret() {
+    insertEvent({
+      session_id: 's1',
+      timestamp: new Date().toISOString(),
+      command: 'curl https://build.internal.example',
+      exit_code: 1,
+      stderr_text: 'Could not resolve host: build.internal.example'
+    });
+  }
+
+  const onDisk = () => fs.readFileSync(dbPath);
+  const journal = () => fs.readFileSync(`${dbPath}.journal`, 'utf8');
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-encryption-'));
+    dbPath = path.join(tmpDir, 'ghostly.db');
+    configPath = path.join(tmpDir, 'config.yaml');
+    process.env.GHOSTLY_PASSPHRASE = 'correct horse battery staple';
+  });
+
+  afterEach(() => {
+    closeDatabase();
+    resetConfig();
+    delete process.env.GHOSTLY_PASSPHRASE;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('keeps the database file and journal encrypted and opens them transparently', async () => {
+    writeConfig(true);
+    await initDatabase();
+    captureSecret();
+
+    expect(journal()).not.toContain('build.internal.example');
+    expect(getEncryptionStatus()).toMatchObject({ encrypted: true, keySource: 'GHOSTLY_PASSPHRASE' });
+
+    await reopen();
+    expect(isEncrypted(onDisk())).toBe(true);
+    expect(onDisk().includes('build.internal.example')).toBe(false);
+    expect(getRecentEvents()[0].stderr_text).toContain('build.internal.example');
+  });
+
+  it('refuses to open an encrypted database without the right key', async () => {
+    writeConfig(true);
+    await initDatabase();
+    captureSecret();
+    closeDatabase();
+
+    delete process.env.GHOSTLY_PASSPHRASE;
+    await expect(initDatabase()).rejects.toThrow(/is encrypted/);
+
+    process.env.GHOSTLY_PASSPHRASE = 'wrong';
+    await expect(initDatabase()).rejects.toThrow(/wrong passphrase/);
+  });
+
+  it('encrypts a plaintext database and changes keys with rekey', async () => {
+    writeConfig(false);
+    await initDatabase();
+    captureSecret();
+    await reopen();
+    expect(isSqliteFile(onDisk())).toBe(true);
+
+    rekey({ secret: Buffer.from('first key'), source: 'test' });
+    expect(isEncrypted(onDisk())).toBe(true);
+
+    rekey({ secret: Buffer.from('second key'), source: 'test' });
+    process.env.GHOSTLY_PASSPHRASE = 'second key';
+    await reopen();
+    expect(getRecentEvents()).toHaveLength(1);
+
+    rekey(null);
+    expect(isSqliteFile(onDisk())).toBe(true);
+  });
+
+  it('seals the vector index and environment cache with the database key', async () => {
+    writeConfig(true);
+    await initDatabase();
+    const episodeId = insertEpisode({ project_hash: 'p1', summary: 'build.internal.example unreachable', problem: '', environment: '', fix: '', keywords: '' });
+    insertEmbedding(episodeId, 'sealed-model', [0.25, 0.5, 0.75]);
+    getVectorIndex({ model: 'sealed-model', dim: 3 });
+    captureEnvironment({ command: 'node --version', cwd: tmpDir });
+
+    const cachePath = path.join(tmpDir, 'environment-cache.json');
+    const index = fs.readFileSync(getIndexPath());
+    expect(isEncrypted(index)).toBe(true);
+    expect(index.includes(Buffer.from(new Float32Array([0.25 / Math.hypot(0.25, 0.5, 0.75)]).buffer))).toBe(false);
+    expect(isEncrypted(fs.readFileSync(cachePath))).toBe(true);
+    expect(fs.readFileSync(cachePath).includes(process.env.PATH)).toBe(false);
+
+    await reopen();
+    expect(getVectorIndexStatus()).toMatchObject({ model: 'sealed-model', size: 1 });
+
+    // A new key cannot open them: they are deleted and rebuilt on use
+    rekey({ secret: Buffer.from('another key'), source: 'test' });
+    expect(fs.existsSync(getIndexPath())).toBe(false);
+    expect(fs.existsSync(cachePath)).toBe(false);
+  });
+
+  it('leaves the vector index in plaintext for a plaintext database', async () => {
+    writeConfig(false);
+    await initDatabase();
+    insertEmbedding(insertEpisode({ project_hash: 'p1', summary: 'plain', problem: '', environment: '', fix: '', keywords: '' }), 'plain-model', [1, 0]);
+    getVectorIndex({ model: 'plain-model', dim: 2 });
+
+    expect(fs.readFileSync(getIndexPath()).toString('utf8', 0, 6)).toBe('GHNSW1');
+  });
+});
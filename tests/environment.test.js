@@ -0,0 +1,130 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import { closeDatabase, getEpisode, getEpisodeEvents } from '../src/lib/database.js';
+import { processEvent } from '../src/lib/event-listener.js';
+import { calculateConfidence } from '../src/lib/retrieval.js';
+import {
+  captureEnvironment,
+  getRelevantTools,
+  diffEnvironments,
+  diffWithLastSuccess,
+  environmentSimilarity
+} from '../src/lib/environment.js';
+
+describe('environment fingerprints', () => {
+  let tmpDir;
+  let bin;
+  let cwd;
+
+  function fakeTool(name, output) {
+    const file = path.join(bin, name);
+    fs.writeFileSync(file, `#!/bin/sh\necho "${output}"\n`);
+    fs.chmodSync(file, 0o755);
+  }
+
+  function fingerprint(node, extra = {}) {
+    return { os: 'linux 6.1 x64', shell: 'zsh', tools: { node, npm: '9.6.7' }, markers: {}, env: {}, ...extra };
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-environment-'));
+    bin = path.join(tmpDir, 'bin');
+    cwd = path.join(tmpDir, 'web');
+    fs.mkdirSync(bin);
+    fs.mkdirSync(cwd);
+    const configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${path.join(tmpDir, 'ghostly.db')}"\nembedding:\n  provider: none\nretrieval:\n  min_confidence: 0\n`);
+    resetConfig();
+    loadConfig(configPath);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('picks the tools a command relies on', () => {
+    expect(getRelevantTools('cd api && npm test')).toEqual(['node', 'npm']);
+    expect(getRelevantTools('cargo build --release')).toEqual(['rustc', 'cargo']);
+    expect(getRelevantTools('git status')).toEqual([]);
+  });
+
+  it('records tool versions, markers and allowlisted variables, and caches versions', () => {
+    fakeTool('node', 'v18.17.0');
+    fakeTool('npm', '9.6.7');
+    fs.writeFileSync(path.join(tmpDir, '.nvmrc'), '18\n');
+    const env = {
+      PATH: `${bin}:/usr/bin:/bin`,
+      SHELL: '/bin/zsh',
+      VIRTUAL_ENV: '/srv/app/.venv',
+      NODE_ENV: 'development',
+      NODE_OPTIONS: '--max-old-space-size=4096',
+      AWS_PROFILE: 'PASSWORD=hunter2',
+      HOME: '/home/ana'
+    };
+
+    const first = captureEnvironment({ command: 'npm test', cwd }, env);
+    expect(first).toMatchObject({
+      shell: 'zsh',
+      tools: { node: '18.17.0', npm: '9.6.7' },
+      markers: { venv: '/srv/app/.venv', nvmrc: '18' },
+      env: { NODE_ENV: 'development', NODE_OPTIONS: '--max-old-space-size=4096', AWS_PROFILE: 'PASSWORD=[REDACTED]' }
+    });
+    expect(first.env.HOME).toBeUndefined();
+
+    // Versions come from the cache until it expires
+    fakeTool('node', 'v20.1.0');
+    expect(captureEnvironment({ command: 'npm test', cwd }, env).tools.node).toBe('18.17.0');
+    expect(fs.existsSync(path.join(tmpDir, 'environment-cache.json'))).toBe(true);
+
+    // A different PATH (another nvm version, say) is probed again
+    expect(captureEnvironment({ command: 'node -v', cwd }, { ...env, PATH: `${bin}:/bin` }).tools.node).toBe('20.1.0');
+  });
+
+  it('diffs and scores fingerprints', () => {
+    const before = fingerprint('18.17.0', { markers: { venv: '/app/.venv' } });
+    const after = fingerprint('20.1.0');
+
+    expect(diffEnvironments(before, after)).toEqual([
+      { key: 'markers.venv', before: '/app/.venv', after: null },
+      { key: 'tools.node', before: '18.17.0', after: '20.1.0' }
+    ]);
+    expect(environmentSimilarity(after, fingerprint('20.1.0'))).toBe(1);
+    expect(environmentSimilarity(before, after)).toBe(0.75);
+    expect(environmentSimilarity(null, after)).toBe(0);
+  });
+
+  it('stores fingerprints with events and compares a failure with the last success', async () => {
+    const capture = (exitCode, environment) => processEvent({
+      session_id: 'shell-1',
+      timestamp: new Date().toISOString(),
+      cwd,
+      command: 'npm test',
+      exit_code: exitCode,
+      stderr: exitCode ? 'Error: engine "node" is incompatible' : '',
+      environment
+    });
+
+    await capture(0, fingerprint('18.17.0'));
+    const failure = await capture(1, fingerprint('20.1.0'));
+
+    const episode = getEpisode(failure.episodeId);
+    expect(episode.environment).toContain('node 20.1.0');
+
+    const [event] = getEpisodeEvents(failure.episodeId);
+    const { success, diff } = diffWithLastSuccess(event);
+    expect(success.exit_code).toBe(0);
+    expect(diff).toEqual([{ key: 'tools.node', before: '18.17.0', after: '20.1.0' }]);
+
+    // Memories made in the same environment rank higher
+    const context = { project_hash: episode.project_hash, command: 'npm test', fingerprint: fingerprint('20.1.0') };
+    expect(calculateConfidence({ ...episode, fingerprint: fingerprint('20.1.0') }, context, 0.5))
+      .toBeGreaterThan(calculateConfidence({ ...episode, fingerprint: fingerprint('18.17.0') }, context, 0.5));
+  });
+});
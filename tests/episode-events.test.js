@@ -0,0 +1,113 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { jest } from '@jest/globals';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import {
+  initDatabase,
+  closeDatabase,
+  insertEvent,
+  insertEpisode,
+  linkEpisodeEvents,
+  getEpisodeEvents
+} from '../src/lib/database.js';
+import { processEvent } from '../src/lib/event-listener.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CLI = path.join(__dirname, '..', 'src', 'cli', 'index.js');
+
+describe('episode provenance', () => {
+  let tmpDir;
+  let cwd;
+  let clock;
+
+  function run(command, exitCode, stderr = '') {
+    clock += 1000;
+    return processEvent({
+      session_id: 'shell-1',
+      timestamp: new Date(clock).toISOString(),
+      cwd,
+      command,
+      exit_code: exitCode,
+      stderr
+    });
+  }
+
+  function show(...args) {
+    // The CLI reads config.yaml from its working directory
+    return execFileSync(process.execPath, [CLI, 'show', ...args], { cwd: tmpDir, encoding: 'utf8' });
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-provenance-'));
+    cwd = path.join(tmpDir, 'web');
+    fs.mkdirSync(cwd);
+    clock = Date.parse('2024-03-01T10:00:00Z');
+    const configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${path.join(tmpDir, 'ghostly.db')}"\nembedding:\n  provider: none\ncapture:\n  environment:\n    enabled: false\n  git:\n    enabled: false\n`);
+    resetConfig();
+    loadConfig(configPath);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('appends links in order and ignores events already linked', async () => {
+    await initDatabase();
+    const events = ['a', 'b', 'c'].map(name => insertEvent({ session_id: 's1', timestamp: new Date().toISOString(), command: `cat ${name}`, exit_code: 0 }));
+    const episodeId = insertEpisode({ project_hash: 'p1', summary: 'cat', problem: '', environment: '', fix: '', keywords: '' });
+
+    linkEpisodeEvents(episodeId, [events[2], events[0]]);
+    linkEpisodeEvents(episodeId, [events[1], events[0]]);
+
+    expect(getEpisodeEvents(episodeId).map(event => event.id)).toEqual([events[2], events[0], events[1]]);
+    expect(getEpisodeEvents(episodeId + 1)).toEqual([]);
+  });
+
+  it('links a failure, the commands that fixed it and the successful run in order', async () => {
+    const failure = await run('npm run build', 1, "Error: Cannot find module 'left-pad'\n    at Module._resolveFilename");
+    const install = await run('npm install left-pad', 0);
+    const success = await run('npm run build', 0);
+
+    expect(getEpisodeEvents(failure.episodeId).map(event => [event.id, event.command, event.exit_code])).toEqual([
+      [failure.eventId, 'npm run build', 1],
+      [install.eventId, 'npm install left-pad', 0],
+      [success.eventId, 'npm run build', 0]
+    ]);
+  });
+
+  it('shows the commands, exit codes and stderr an episode was built from', async () => {
+    const failure = await run('npm run build', 1, "Error: Cannot find module 'left-pad'\n    at Module._resolveFilename");
+    await run('npm install left-pad', 0);
+    await run('npm run build', 0);
+    closeDatabase();
+
+    const output = show(String(failure.episodeId));
+    const listing = output.slice(output.indexOf('Built from'));
+
+    expect(output).toContain(`📌 Episode #${failure.episodeId}:`);
+    expect(listing).toContain('Built from 3 command(s):');
+    expect(listing.match(/[✅❌] \$ .+/g)).toEqual([
+      '❌ $ npm run build',
+      '✅ $ npm install left-pad',
+      '✅ $ npm run build'
+    ]);
+    expect(listing.match(/exit \d+/g)).toEqual(['exit 1', 'exit 0', 'exit 0']);
+    expect(listing).toContain("   │ Error: Cannot find module 'left-pad'\n   │     at Module._resolveFilename");
+  });
+
+  it('says so when an episode has no linked events', async () => {
+    await initDatabase();
+    const episodeId = insertEpisode({ project_hash: 'p1', summary: 'imported', problem: '', environment: '', fix: '', keywords: '' });
+    closeDatabase();
+
+    expect(show(String(episodeId))).toContain('(no linked events)');
+  });
+});
@@ -0,0 +1,102 @@
+import { parseErrorDetails, registerErrorParser, getErrorParsers } from '../src/lib/error-parsers.js';
+import { hasError, hasSuccess } from '../src/lib/episodes.js';
+
+const SAMPLES = [
+  ['npm install left-padd', `npm ERR! code E404
+npm ERR! 404 Not Found - GET https://registry.npmjs.org/left-padd - Not found
+npm ERR! 404
+npm ERR! 404  'left-padd@*' is not in this registry.`,
+  { parser: 'npm', code: 'E404', package: 'left-padd', message: '404 Not Found - GET https://registry.npmjs.org/left-padd - Not found' }],
+
+  ['yarn add left-padd', `yarn add v1.22.19
+error Couldn't find package "left-padd" on the "npm" registry.`,
+  { parser: 'yarn', package: 'left-padd' }],
+
+  ['pnpm add react@99', ' ERR_PNPM_NO_MATCHING_VERSION  No matching version found for react@99',
+  { parser: 'pnpm', code: 'ERR_PNPM_NO_MATCHING_VERSION', package: 'react' }],
+
+  ['python app.py', `Traceback (most recent call last):
+  File "/srv/app/app.py", line 3, in <module>
+    import requests
+ModuleNotFoundError: No module named 'requests'`,
+  { parser: 'python', code: 'ModuleNotFoundError', file: '/srv/app/app.py', line: 3, package: 'requests' }],
+
+  ['npx tsc --noEmit', "src/index.ts(12,5): error TS2322: Type 'string' is not assignable to type 'number'.",
+  { parser: 'tsc', code: 'TS2322', file: 'src/index.ts', line: 12 }],
+
+  ['cargo build', `   Compiling demo v0.1.0
+error[E0425]: cannot find value \`answer\` in this scope
+ --> src/main.rs:4:20
+  |
+error: could not compile \`demo\` (bin "demo") due to 1 previous error`,
+  { parser: 'rust', code: 'E0425', file: 'src/main.rs', line: 4, package: 'demo' }],
+
+  ['go build ./...', `# example.com/web/server
+server/routes.go:14:2: undefined: handler`,
+  { parser: 'go', message: 'undefined: handler', file: 'server/routes.go', line: 14, package: 'example.com/web/server' }],
+
+  ['npm test', `FAIL src/sum.test.js
+  ● sum › adds numbers
+
+    expect(received).toBe(expected) // Object.is equality
+
+      3 | test('adds numbers', () => {
+    > 4 |   expect(sum(1, 2)).toBe(4);
+        |                     ^`,
+  { parser: 'jest', file: 'src/sum.test.js', line: 4, message: 'sum › adds numbers: expect(received).toBe(expected) // Object.is equality' }],
+
+  ['pytest', `tests/test_math.py:7: AssertionError
+=========================== short test summary info ============================
+FAILED tests/test_math.py::test_add - assert 3 == 4
+========================= 1 failed, 2 passed in 0.03s ==========================`,
+  { parser: 'pytest', code: 'AssertionError', file: 'tests/test_math.py', line: 7, message: 'test_add: assert 3 == 4' }],
+
+  ['docker run acme/web', `Unable to find image 'acme/web:latest' locally
+docker: Error response from daemon: pull access denied for acme/web, repository does not exist or may require 'docker login'.`,
+  { parser: 'docker', package: 'acme/web' }],
+
+  ['kubectl get pod web', 'Error from server (NotFound): pods "web" not found',
+  { parser: 'kubectl', code: 'NotFound', package: 'web' }],
+
+  ['node server.js', `/srv/web/server.js:4
+Error: ENOENT: no such file or directory, open '/srv/web/config.json'
+    at Object.openSync (node:fs:601:3)
+    at Object.<anonymous> (/srv/web/server.js:4:16)`,
+  { parser: 'generic', code: 'ENOENT', file: '/srv/web/server.js', line: 4 }],
+
+  ['git checkout feature', "error: pathspec 'feature' did not match any file(s) known to git",
+  { parser: 'generic', message: "pathspec 'feature' did not match any file(s) known to git" }]
+];
+
+describe('error parsers', () => {
+  it.each(SAMPLES)('parses %s', (command, output, expected) => {
+    expect(parseErrorDetails(output, command)).toMatchObject(expected);
+  });
+
+  it('returns nothing for clean output', () => {
+    expect(parseErrorDetails('added 12 packages in 2s', 'npm install')).toBeNull();
+  });
+
+  it('accepts custom parsers ahead of the built-in ones', () => {
+    registerErrorParser({
+      name: 'terraform',
+      tools: ['terraform'],
+      test: /^Error: /m,
+      parse: output => [{ parser: 'terraform', code: null, message: output.match(/^Error: (.+)$/m)[1], file: null, line: null, package: null }]
+    }, { first: true });
+
+    expect(getErrorParsers()[0]).toBe('terraform');
+    expect(parseErrorDetails('Error: Invalid provider configuration', 'terraform plan'))
+      .toMatchObject({ parser: 'terraform', message: 'Invalid provider configuration' });
+  });
+});
+
+describe('output patterns', () => {
+  it('matches whole words instead of substrings', () => {
+    expect(hasSuccess('Refreshing token cache')).toBe(false);
+    expect(hasSuccess('Build ok')).toBe(true);
+    expect(hasError('Found 0 errors. Watching for file changes.')).toBe(false);
+    expect(hasError('3 tests failed')).toBe(true);
+    expect(hasError("TypeError: Cannot read properties of undefined (reading 'map')")).toBe(true);
+  });
+});
@@ -0,0 +1,111 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import {
+  initDatabase,
+  closeDatabase,
+  insertEvent,
+  insertEpisode,
+  searchEpisodes,
+  searchEvents
+} from '../src/lib/database.js';
+import { buildMatchQuery, HIGHLIGHT_OPEN, HIGHLIGHT_CLOSE } from '../src/lib/fulltext.js';
+
+describe('buildMatchQuery', () => {
+  it('ORs the meaningful terms of a query', () => {
+    expect(buildMatchQuery('webpack module not found')).toBe('webpack OR module OR not OR found');
+    expect(buildMatchQuery('the error in the build')).toBe('error OR build');
+  });
+
+  it('keeps stop words when there is nothing else', () => {
+    expect(buildMatchQuery('to be or not')).toBe('not');
+    expect(buildMatchQuery('it is')).toBe('it OR is');
+  });
+
+  it('keeps quoted phrases and prefix terms', () => {
+    expect(buildMatchQuery('"module not found" webp*')).toBe('"module not found" OR webp*');
+    expect(buildMatchQuery('"ENOENT"')).toBe('enoent');
+    expect(buildMatchQuery('@babel/core*')).toBe('babel OR core*');
+  });
+
+  it('strips FTS operators and syntax from user input', () => {
+    expect(buildMatchQuery('NEAR/3 (foo) -bar baz:qux')).toBe('near OR 3 OR foo OR bar OR baz OR qux');
+    expect(buildMatchQuery('"unterminated phrase')).toBe('unterminated OR phrase');
+    expect(buildMatchQuery('"" *** --')).toBeNull();
+    expect(buildMatchQuery('')).toBeNull();
+  });
+
+  it('de-duplicates and caps the number of terms', () => {
+    expect(buildMatchQuery('npm npm NPM')).toBe('npm');
+    const words = Array.from({ length: 40 }, (_, i) => `word${i}`).join(' ');
+    expect(buildMatchQuery(words).split(' OR ')).toHaveLength(32);
+  });
+});
+
+describe('full-text search', () => {
+  let tmpDir;
+
+  function episode(summary, problem, fix, keywords = '') {
+    return insertEpisode({ project_hash: 'p1', summary, problem, environment: '', fix, keywords });
+  }
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-fulltext-'));
+    const configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${path.join(tmpDir, 'ghostly.db')}"\n`);
+    resetConfig();
+    loadConfig(configPath);
+    await initDatabase();
+  });
+
+  afterEach(() => {
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('ranks the episode matching the most terms first', () => {
+    episode('npm install failed', 'Module not found in registry', 'npm cache clean --force');
+    const best = episode('webpack build failed', "Module not found: Error: Can't resolve './App' in webpack config", 'Fix the import path', 'webpack module');
+    episode('webpack dev server slow', 'Rebuilds take 30 seconds', 'Enable persistent caching', 'webpack');
+    episode('cargo build failed', 'linker not found', 'Install build-essential');
+
+    const results = searchEpisodes('webpack module not found', 10);
+
+    expect(results[0].id).toBe(best);
+    expect(results).toHaveLength(4);
+    expect(results.map(result => result.rank)).toEqual([...results.map(result => result.rank)].sort((a, b) => b - a));
+    expect(results[0].snippet).toContain(`${HIGHLIGHT_OPEN}webpack${HIGHLIGHT_CLOSE}`);
+    expect(results[0].snippet).toContain(`${HIGHLIGHT_OPEN}Module${HIGHLIGHT_CLOSE} ${HIGHLIGHT_OPEN}not${HIGHLIGHT_CLOSE} ${HIGHLIGHT_OPEN}found${HIGHLIGHT_CLOSE}`);
+  });
+
+  it('matches phrases and prefixes', () => {
+    const phrase = episode('tsc failed', 'error TS2307: Cannot find module react', 'npm install @types/react');
+    episode('import failed', 'module cannot be found, find it first', 'Add the dependency');
+
+    expect(searchEpisodes('"cannot find module"').map(result => result.id)).toEqual([phrase]);
+    expect(searchEpisodes('TS23*').map(result => result.id)).toEqual([phrase]);
+    expect(searchEpisodes('"cannot find module"')[0].snippet).toContain(`${HIGHLIGHT_OPEN}Cannot${HIGHLIGHT_CLOSE} ${HIGHLIGHT_OPEN}find${HIGHLIGHT_CLOSE}`);
+  });
+
+  it('treats operators in the query as plain words', () => {
+    episode('git push rejected', 'Updates were rejected because the remote contains work', 'git pull --rebase');
+
+    expect(() => searchEpisodes('rejected AND (remote OR "')).not.toThrow();
+    expect(searchEpisodes('rejected AND (remote OR "')).toHaveLength(1);
+    expect(searchEpisodes('*** ""')).toEqual([]);
+  });
+
+  it('searches event commands and stderr with highlighted snippets', () => {
+    const event = { session_id: 's1', timestamp: new Date().toISOString(), cwd: '/tmp', exit_code: 1, project_hash: 'p1' };
+    insertEvent({ ...event, command: 'npm run build', stderr_text: 'ERROR in ./src/index.js Module not found: webpack could not resolve ./App' });
+    insertEvent({ ...event, command: 'webpack --watch', stderr_text: 'ok' });
+    insertEvent({ ...event, command: 'ls', stderr_text: 'No such file or directory' });
+
+    const results = searchEvents('webpack module not found');
+
+    expect(results.map(result => result.command)).toEqual(['npm run build', 'webpack --watch']);
+    expect(results[0].snippet).toContain(`${HIGHLIGHT_OPEN}Module${HIGHLIGHT_CLOSE} ${HIGHLIGHT_OPEN}not${HIGHLIGHT_CLOSE} ${HIGHLIGHT_OPEN}found${HIGHLIGHT_CLOSE}`);
+  });
+});
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { jest } from '@jest/globals';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import { closeDatabase, getEpisode, getEpisodeEvents } from '../src/lib/database.js';
+import { processEvent } from '../src/lib/event-listener.js';
+import { formatMemory } from '../src/lib/retrieval.js';
+import { getGitState, parseGitState, formatGitState, formatFixCommit } from '../src/lib/git.js';
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'Ghostly', GIT_AUTHOR_EMAIL: 'ghostly@example.com',
+  GIT_COMMITTER_NAME: 'Ghostly', GIT_COMMITTER_EMAIL: 'ghostly@example.com'
+};
+
+describe('git state', () => {
+  let tmpDir;
+  let repo;
+
+  function git(...args) {
+    return execFileSync('git', args, { cwd: repo, env: GIT_ENV, encoding: 'utf8' }).trim();
+  }
+
+  function commit(file, content, message) {
+    fs.writeFileSync(path.join(repo, file), content);
+    git('add', file);
+    git('commit', '-q', '-m', message);
+    return git('rev-parse', 'HEAD');
+  }
+
+  function run(command, exitCode = 0) {
+    return processEvent({
+      session_id: 'shell-1',
+      timestamp: new Date().toISOString(),
+      cwd: repo,
+      command,
+      exit_code: exitCode,
+      stderr: exitCode ? 'Error: Cannot find module "eslint-config-acme"' : ''
+    });
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-git-'));
+    const origin = path.join(tmpDir, 'origin');
+    fs.mkdirSync(origin);
+    execFileSync('git', ['init', '-q', '-b', 'main'], { cwd: origin });
+    repo = origin;
+    commit('package.json', '{}\n', 'initial');
+    execFileSync('git', ['clone', '-q', origin, 'web'], { cwd: tmpDir });
+    repo = path.join(tmpDir, 'web');
+
+    const configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${path.join(tmpDir, 'ghostly.db')}"\nembedding:\n  provider: none\nretrieval:\n  min_confidence: 0\n`);
+    resetConfig();
+    loadConfig(configPath);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('reads HEAD, ahead/behind and dirty files', async () => {
+    const head = commit('.eslintrc', 'extends: acme\n', 'add eslint config');
+    fs.writeFileSync(path.join(repo, 'package.json'), '{ "private": true }\n');
+    fs.writeFileSync(path.join(repo, 'index.js'), '');
+    git('add', 'index.js');
+    fs.writeFileSync(path.join(repo, 'notes.txt'), '');
+
+    const state = await getGitState(repo);
+    expect(state).toMatchObject({
+      branch: 'main',
+      head,
+      subject: 'add eslint config',
+      tracking: 'origin/main',
+      ahead: 1,
+      behind: 0,
+      staged: ['index.js'],
+      unstaged: ['package.json'],
+      untracked: 1,
+      conflicted: []
+    });
+    expect(formatGitState(state)).toBe(`${head.substring(0, 7)}, 1 ahead of origin/main, 1 staged, 1 modified, 1 untracked`);
+    expect(await getGitState(tmpDir)).toBeNull();
+  });
+
+  it('records the git state with events and fills in the branch', async () => {
+    const result = await run('npm install');
+    const [event] = getEpisodeEvents(result.episodeId);
+
+    expect(event.git_branch).toBe('main');
+    expect(event.git_head).toBe(git('rev-parse', 'HEAD'));
+    expect(parseGitState(event.git_status)).toMatchObject({ tracking: 'origin/main', ahead: 0, staged: [] });
+    expect(getEpisode(result.episodeId).environment).toContain(`commit: ${event.git_head.substring(0, 7)}`);
+  });
+
+  it('links a failure resolved after a commit to that commit', async () => {
+    const failure = await run('npm test', 1);
+    const sha = commit('.eslintrc', 'extends: acme\n', 'bump eslint config');
+    const success = await run('npm test');
+
+    expect(success.resolved).toHaveLength(1);
+    const episode = getEpisode(failure.episodeId);
+    expect(episode).toMatchObject({ resolved: 1, fix_commit: sha, fix_commit_subject: 'bump eslint config' });
+    expect(formatFixCommit(episode)).toBe(`fixed in ${sha.substring(0, 7)}: bump eslint config`);
+    expect(formatMemory({ ...episode, confidence: 0.9 })).toContain(`↳ fixed in ${sha.substring(0, 7)}: bump eslint config`);
+  });
+
+  it('links an uncommitted fix to the first commit that takes it', async () => {
+    commit('app.js', 'broken\n', 'add app');
+    const failure = await run('npm test', 1);
+    fs.writeFileSync(path.join(repo, 'app.js'), 'fixed\n');
+    await run('npm test');
+    expect(getEpisode(failure.episodeId)).toMatchObject({ resolved: 1, fix_commit: null });
+
+    // An unrelated commit comes first
+    commit('README.md', '# web\n', 'docs');
+    expect((await run('git commit -m docs')).fixCommits).toEqual([]);
+
+    git('add', 'app.js');
+    git('commit', '-q', '-m', 'fix app');
+    const sha = git('rev-parse', 'HEAD');
+    commit('CHANGELOG.md', '- fix\n', 'changelog');
+
+    const linked = await run('git push');
+    expect(linked.fixCommits.map(episode => episode.id)).toEqual([failure.episodeId]);
+    expect(getEpisode(failure.episodeId)).toMatchObject({ fix_commit: sha, fix_commit_subject: 'fix app' });
+  });
+});
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import { getDatabase, closeDatabase, getEpisodeEvents } from '../src/lib/database.js';
+import { processEvent } from '../src/lib/event-listener.js';
+import { checkExclusion, commandPatternToRegExp } from '../src/lib/ignore.js';
+
+describe('capture exclusions', () => {
+  let tmpDir;
+  let project;
+
+  function capture(command, cwd = project) {
+    return processEvent({
+      session_id: 'shell-1',
+      timestamp: '2024-03-01T10:00:00.000Z',
+      cwd,
+      command,
+      exit_code: 1,
+      stdout: 'token printed here',
+      stderr: 'Error: something failed'
+    });
+  }
+
+  async function countEvents() {
+    const db = await getDatabase();
+    return db.exec('SELECT COUNT(*) FROM raw_events')[0].values[0][0];
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-ignore-'));
+    project = path.join(tmpDir, 'work', 'api');
+    fs.mkdirSync(path.join(project, 'secrets'), { recursive: true });
+    const configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${path.join(tmpDir, 'ghostly.db')}"\nembedding:\n  provider: none\nsecurity:\n  exclude_projects:\n    - "*/node_modules/*"\n    - "${path.join(tmpDir, 'private')}"\n`);
+    resetConfig();
+    loadConfig(configPath);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('matches command patterns against whole command lines', () => {
+    expect(commandPatternToRegExp('vault read *').test('vault read secret/db')).toBe(true);
+    expect(commandPatternToRegExp('aws sts').test('aws sts get-session-token --duration 900')).toBe(true);
+    expect(commandPatternToRegExp('aws sts').test('aws s3 ls')).toBe(false);
+  });
+
+  it('honors security.exclude_projects', () => {
+    expect(checkExclusion({ command: 'npm test', cwd: path.join(project, 'node_modules', 'left-pad') }))
+      .toMatchObject({ action: 'exclude', source: 'security.exclude_projects[0]' });
+    expect(checkExclusion({ command: 'ls', cwd: path.join(tmpDir, 'private', 'notes') }))
+      .toMatchObject({ action: 'exclude', source: 'security.exclude_projects[1]' });
+    expect(checkExclusion({ command: 'npm test', cwd: project }).action).toBe('store');
+  });
+
+  it('reads .ghostlyignore files up the tree', () => {
+    fs.writeFileSync(path.join(project, '.ghostlyignore'), '# api rules\nsecrets/\ncommand: vault *\nmetadata-only: command: kubectl get secret *\n');
+    fs.mkdirSync(path.join(tmpDir, 'work', 'scratch'));
+    fs.writeFileSync(path.join(tmpDir, 'work', 'scratch', '.ghostlyignore'), '');
+
+    const ignoreFile = path.join(project, '.ghostlyignore');
+    expect(checkExclusion({ command: 'cat key', cwd: path.join(project, 'secrets') }))
+      .toEqual({ action: 'exclude', reason: 'ghostlyignore', source: `${ignoreFile}:2` });
+    expect(checkExclusion({ command: 'vault read secret/db', cwd: path.join(project, 'src') }).source).toBe(`${ignoreFile}:3`);
+    expect(checkExclusion({ command: 'kubectl get secret db -o yaml', cwd: project }).action).toBe('metadata');
+    expect(checkExclusion({ command: 'npm test', cwd: project }).action).toBe('store');
+    expect(checkExclusion({ command: 'npm test', cwd: path.join(tmpDir, 'work', 'scratch', 'a') }).action).toBe('exclude');
+  });
+
+  it('keeps excluded events out of the database and the embedding provider', async () => {
+    fs.writeFileSync(path.join(project, '.ghostlyignore'), 'secrets\nmetadata-only: command: kubectl *\n');
+
+    // The "none" provider warns whenever an embedding is attempted
+    const skipped = await capture('cat credentials.json', path.join(project, 'secrets'));
+    expect(skipped).toMatchObject({ skipped: true, reason: 'ghostlyignore' });
+    expect(console.warn).not.toHaveBeenCalled();
+
+    const stored = await capture('kubectl get secret db -o yaml');
+    expect(stored.metadataOnly).toBe(true);
+    const [event] = getEpisodeEvents(stored.episodeId);
+    expect(event).toMatchObject({ command: 'kubectl get secret db -o yaml', stdout_text: null, stderr_text: null });
+    expect(await countEvents()).toBe(1);
+  });
+});
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import db, { initDatabase, closeDatabase } from '../src/lib/database.js';
+import { getJournalPath } from '../src/lib/journal.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATABASE_MODULE = new URL('../src/lib/database.js', import.meta.url).href;
+const CONFIG_MODULE = new URL('../src/lib/config.js', import.meta.url).href;
+
+// Opens the database in a fresh process, which replays the journal
+const READ_TIMESTAMPS = `
+  import { loadConfig } from '${CONFIG_MODULE}';
+  import { initDatabase, closeDatabase } from '${DATABASE_MODULE}';
+  loadConfig(process.argv[1]);
+  const database = await initDatabase();
+  const [result] = database.exec(\`
+    SELECT 'episode', created_at, updated_at FROM episodes
+    UNION ALL SELECT 'event', created_at, NULL FROM raw_events
+    UNION ALL SELECT 'session', started_at, last_activity FROM sessions
+  \`);
+  console.log(JSON.stringify(result.values));
+  closeDatabase();
+`;
+
+function makeEvent(command) {
+  return {
+    session_id: 'journal-test',
+    timestamp: new Date().toISOString(),
+    cwd: '/tmp/project',
+    command,
+    exit_code: 1,
+    project_hash: 'abcd1234'
+  };
+}
+
+function countEvents(database) {
+  return database.exec('SELECT COUNT(*) FROM raw_events')[0].values[0][0];
+}
+
+describe('write journal', () => {
+  let tmpDir;
+  let dbPath;
+  let journalPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-journal-'));
+    dbPath = path.join(tmpDir, 'ghostly.db');
+    journalPath = getJournalPath(dbPath);
+    const configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${dbPath}"\n`);
+    resetConfig();
+    loadConfig(configPath);
+  });
+
+  afterEach(() => {
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('appends writes to the journal instead of rewriting the database', async () => {
+    await initDatabase();
+    const before = fs.readFileSync(dbPath);
+
+    db.insertEvent(makeEvent('npm test'));
+
+    expect(fs.readFileSync(dbPath).equals(before)).toBe(true);
+    expect(fs.readFileSync(journalPath, 'utf8').trim().split('\n')).toHaveLength(1);
+  });
+
+  it('replays acknowledged writes after a crash', async () => {
+    await initDatabase();
+    db.transaction(() => {
+      db.insertEvent(makeEvent('npm test'));
+      db.insertEvent(makeEvent('npm run build'));
+    });
+
+    // Simulate a crash: drop the in-memory state without checkpointing
+    fs.appendFileSync(journalPath, '{"seq": 99, "ops": [{"sql": "DELE');
+    const reopened = await initDatabase();
+
+    expect(countEvents(reopened)).toBe(2);
+  });
+
+  it('rolls back a failed transaction without journaling it', async () => {
+    const database = await initDatabase();
+
+    expect(() => db.transaction(() => {
+      db.insertEvent(makeEvent('npm test'));
+      throw new Error('boom');
+    })).toThrow('boom');
+
+    expect(countEvents(database)).toBe(0);
+    expect(fs.existsSync(journalPath) ? fs.readFileSync(journalPath, 'utf8') : '').toBe('');
+  });
+
+  it('folds the journal into the database on checkpoint', async () => {
+    await initDatabase();
+    db.insertEvent(makeEvent('npm test'));
+    db.checkpoint();
+
+    expect(fs.readFileSync(journalPath, 'utf8')).toBe('');
+
+    const reopened = await initDatabase();
+    expect(countEvents(reopened)).toBe(1);
+  });
+
+  it('keeps the original timestamps when another process replays the journal', async () => {
+    const database = await initDatabase();
+    db.getOrCreateSession('journal-test', { cwd: '/tmp/project' });
+    db.insertEvent(makeEvent('npm test'));
+    const episodeId = db.insertEpisode({ project_hash: 'abcd1234', summary: 'npm test failed', problem: '', environment: '', fix: '', keywords: '' });
+    db.updateEpisode(episodeId, { summary: 'npm test failed', problem: '', environment: '', fix: 'npm ci', keywords: '' });
+    const [written] = database.exec(`
+      SELECT 'episode', created_at, updated_at FROM episodes
+      UNION ALL SELECT 'event', created_at, NULL FROM raw_events
+      UNION ALL SELECT 'session', started_at, last_activity FROM sessions
+    `);
+
+    // Replay at least a second later, so re-stamped rows would differ
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', READ_TIMESTAMPS, path.join(tmpDir, 'config.yaml')], {
+      cwd: __dirname,
+      encoding: 'utf8'
+    });
+
+    expect(fs.readFileSync(journalPath, 'utf8')).toBe('');
+    expect(JSON.parse(output.trim().split('\n').pop())).toEqual(written.values);
+  });
+});
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import {
+  initDatabase,
+  getSchemaStatus,
+  getEmbedding,
+  loadEmbeddings,
+  closeDatabase
+} from '../src/lib/database.js';
+import { LATEST_VERSION, MIGRATIONS, applyMigrations } from '../src/lib/migrations.js';
+import { computeErrorSignature } from '../src/lib/signature.js';
+
+describe('schema migrations', () => {
+  let tmpDir;
+  let dbPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-migrations-'));
+    dbPath = path.join(tmpDir, 'ghostly.db');
+    const configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${dbPath}"\n`);
+    resetConfig();
+    loadConfig(configPath);
+  });
+
+  afterEach(() => {
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('brings a new database to the latest version', async () => {
+    await initDatabase();
+    const status = getSchemaStatus();
+
+    expect(status.current).toBe(LATEST_VERSION);
+    expect(status.migrations.every(m => m.applied)).toBe(true);
+  });
+
+  it('upgrades an unversioned database and backs it up first', async () => {
+    const SQL = await initSqlJs();
+    const legacy = new SQL.Database();
+    legacy.run(`
+      CREATE TABLE raw_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        cwd TEXT,
+        git_branch TEXT,
+        command TEXT NOT NULL,
+        exit_code INTEGER,
+        stdout_text TEXT,
+        stderr_text TEXT,
+        project_hash TEXT,
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+    legacy.run(`INSERT INTO raw_events (session_id, timestamp, command) VALUES ('s1', '2024-01-01T00:00:00Z', 'npm test')`);
+    fs.writeFileSync(dbPath, Buffer.from(legacy.export()));
+    legacy.close();
+
+    const database = await initDatabase();
+
+    expect(getSchemaStatus().current).toBe(LATEST_VERSION);
+    expect(database.exec('SELECT command FROM raw_events')[0].values).toEqual([['npm test']]);
+    expect(fs.readdirSync(tmpDir).some(f => /^ghostly\.db\.v0-.*\.bak$/.test(f))).toBe(true);
+  });
+
+  it('converts JSON vectors of a v3 database into packed blobs', async () => {
+    const SQL = await initSqlJs();
+    const v3 = new SQL.Database();
+    applyMigrations(v3, MIGRATIONS.filter(m => m.version <= 3));
+    v3.run(`INSERT INTO episodes (id, project_hash, summary) VALUES (1, 'p1', 'npm test failed'), (2, 'p1', 'cargo build failed')`);
+    v3.run(`INSERT INTO embeddings (episode_id, model, vector) VALUES (1, 'model-a', '[0.5,-0.25,0.125]')`);
+    // Some writers stored the JSON as a BLOB
+    v3.run(`INSERT INTO embeddings (episode_id, model, vector) VALUES (2, 'model-a', ?)`, [new TextEncoder().encode('[1,0]')]);
+    fs.writeFileSync(dbPath, Buffer.from(v3.export()));
+    v3.close();
+
+    const database = await initDatabase();
+
+    expect(getSchemaStatus().current).toBe(LATEST_VERSION);
+    const first = getEmbedding(1);
+    expect(first).toMatchObject({ dim: 3, encoding: 'f32', scale: null });
+    expect(first.vector).toBeInstanceOf(Float32Array);
+    expect(Array.from(first.vector)).toEqual([0.5, -0.25, 0.125]);
+    expect(Array.from(getEmbedding(2).vector)).toEqual([1, 0]);
+    expect([...loadEmbeddings({ dim: 2 })].map(embedding => embedding.episode_id)).toEqual([2]);
+    expect(database.exec('SELECT typeof(vector), length(vector) FROM embeddings ORDER BY id')[0].values).toEqual([['blob', 12], ['blob', 8]]);
+  });
+
+  it('re-signs episodes by their primary command', async () => {
+    const SQL = await initSqlJs();
+    const v17 = new SQL.Database();
+    applyMigrations(v17, MIGRATIONS.filter(m => m.version <= 17));
+    const stderr = 'npm ERR! code ENOENT';
+    v17.run(`INSERT INTO raw_events (id, session_id, timestamp, command, exit_code, stderr_text) VALUES
+      (1, 's1', '2024-01-01T00:00:00Z', 'sudo npm ci', 1, ?), (2, 's1', '2024-01-02T00:00:00Z', 'npm ci', 1, ?)`, [stderr, stderr]);
+    // Signed under "sudo" and "npm" before; problem-only episodes use their command
+    v17.run(`INSERT INTO episodes (id, project_hash, summary, problem, command, error_signature, recurrence_count) VALUES
+      (1, 'p1', 'npm ci failed', ?, 'sudo npm ci', 'sudo-signature', 1),
+      (2, 'p1', 'npm ci failed', ?, 'npm ci', 'npm-signature', 1),
+      (3, 'p1', 'imported', ?, 'env CI=1 npm ci', 'env-signature', 1),
+      (4, 'p1', 'npm ci passed', '', 'npm ci', NULL, 1)`, [stderr, stderr, stderr]);
+    v17.run('INSERT INTO episode_events (episode_id, event_id, position) VALUES (1, 1, 0), (2, 2, 0)');
+    fs.writeFileSync(dbPath, Buffer.from(v17.export()));
+    v17.close();
+
+    const database = await initDatabase();
+    const signature = computeErrorSignature(stderr, 'npm ci');
+
+    expect(database.exec('SELECT id, error_signature, recurrence_count FROM episodes ORDER BY id')[0].values).toEqual([
+      [1, signature, 3],
+      [2, signature, 3],
+      [3, signature, 3],
+      [4, null, 1]
+    ]);
+  });
+
+  it('drops embeddings that were replaced by a later one', async () => {
+    const SQL = await initSqlJs();
+    const v18 = new SQL.Database();
+    applyMigrations(v18, MIGRATIONS.filter(m => m.version <= 18));
+    v18.run(`INSERT INTO episodes (id, project_hash, summary) VALUES (1, 'p1', 'npm test failed'), (2, 'p1', 'make failed')`);
+    v18.run(`INSERT INTO embeddings (id, episode_id, model, vector, dim, encoding) VALUES
+      (1, 1, 'model-a', x'0000803f', 1, 'f32'), (2, 2, 'model-a', x'0000803f', 1, 'f32'), (3, 1, 'model-a', x'00000040', 1, 'f32')`);
+    fs.writeFileSync(dbPath, Buffer.from(v18.export()));
+    v18.close();
+
+    const database = await initDatabase();
+
+    expect(database.exec('SELECT id, episode_id FROM embeddings ORDER BY id')[0].values).toEqual([[2, 2], [3, 1]]);
+    expect(Array.from(getEmbedding(1).vector)).toEqual([2]);
+  });
+
+  it('re-signs episodes from their stdout as well as their stderr', async () => {
+    const SQL = await initSqlJs();
+    const v19 = new SQL.Database();
+    applyMigrations(v19, MIGRATIONS.filter(m => m.version <= 19));
+    const stdout = "src/app.ts(3,7): error TS2322: Type 'string' is not assignable to type 'number'.";
+    v19.run(`INSERT INTO raw_events (id, session_id, timestamp, command, exit_code, stdout_text, stderr_text) VALUES
+      (1, 's1', '2024-01-01T00:00:00Z', 'npx tsc', 2, ?, NULL),
+      (2, 's1', '2024-01-02T00:00:00Z', 'npm test', 1, 'FAIL src/a.test.js', 'npm ERR! Test failed'),
+      (3, 's1', '2024-01-03T00:00:00Z', 'npm test', 0, 'Tests: 3 passed', NULL)`, [stdout]);
+    v19.run(`INSERT INTO episodes (id, project_hash, summary, problem, command, fix, error_signature) VALUES
+      (1, 'p1', 'tsc failed', 'Command exited with code 2', 'npx tsc', NULL, NULL),
+      (2, 'p1', 'npm test failed', 'npm ERR! Test failed', 'npm test', NULL, 'stderr-signature'),
+      (3, 'p1', 'npm test passed', '', 'npm test', 'npm test', NULL)`);
+    v19.run('INSERT INTO episode_events (episode_id, event_id, position) VALUES (1, 1, 0), (2, 2, 0), (3, 3, 0)');
+    fs.writeFileSync(dbPath, Buffer.from(v19.export()));
+    v19.close();
+
+    const database = await initDatabase();
+
+    expect(database.exec('SELECT id, error_signature FROM episodes ORDER BY id')[0].values).toEqual([
+      [1, computeErrorSignature(stdout, 'npx tsc')],
+      [2, computeErrorSignature('npm ERR! Test failed\nFAIL src/a.test.js', 'npm test')],
+      [3, null]
+    ]);
+  });
+
+  it('leaves the schema untouched when migrations are disabled', async () => {
+    await initDatabase({ migrate: false });
+    const status = getSchemaStatus();
+
+    expect(status.current).toBe(0);
+    expect(status.migrations.some(m => !m.applied)).toBe(true);
+  });
+});
@@ -0,0 +1,119 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import { closeDatabase } from '../src/lib/database.js';
+import { processEvent } from '../src/lib/event-listener.js';
+import { generateProjectHash } from '../src/lib/episodes.js';
+import { generalizeCommand, mineRecipes, renderSteps, runRecipe } from '../src/lib/recipes.js';
+
+describe('recipes', () => {
+  let tmpDir;
+  let cwd;
+  let clock;
+
+  async function runs(...sequences) {
+    for (const sequence of sequences) {
+      clock += 60 * 60 * 1000;
+      for (const step of sequence) {
+        const [command, exitCode = 0] = Array.isArray(step) ? step : [step];
+        clock += 30 * 1000;
+        await processEvent({
+          session_id: 'shell-1',
+          timestamp: new Date(clock).toISOString(),
+          cwd,
+          command,
+          exit_code: exitCode,
+          stderr: exitCode ? 'Error: failed' : ''
+        });
+      }
+    }
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-recipes-'));
+    cwd = path.join(tmpDir, 'web');
+    fs.mkdirSync(cwd);
+    clock = Date.parse('2024-03-01T10:00:00Z');
+    const configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${path.join(tmpDir, 'ghostly.db')}"\nembedding:\n  provider: none\nretrieval:\n  min_confidence: 0\ncapture:\n  environment:\n    enabled: false\n  git:\n    enabled: false\n`);
+    resetConfig();
+    loadConfig(configPath);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('generalizes values but keeps commands, subcommands and flags', () => {
+    expect(generalizeCommand(`NODE_ENV=test git commit -m 'fix login' --author=ana`))
+      .toEqual(['NODE_ENV=*', 'git', 'commit', '-m', '*', '--author=*']);
+    expect(generalizeCommand('rm -rf node_modules && ./scripts/setup.sh v1.2')).toEqual(['rm', '-rf', 'node_modules', '&&', './scripts/setup.sh', '*']);
+  });
+
+  it('mines closed sequences and generalizes the arguments that vary', async () => {
+    const reinstall = ['rm -rf node_modules', 'npm ci', 'npm test'];
+    const branch = name => [`git checkout -b feature/${name}`, `git push -u origin feature/${name}`];
+    await runs(
+      reinstall,
+      [...branch('login'), 'npm test'],
+      ['rm -rf node_modules', ['npm ci', 1], 'npm ci', 'npm test'],
+      branch('signup'),
+      reinstall,
+      ['ls', ...branch('billing')]
+    );
+
+    const { recipes, added } = mineRecipes(generateProjectHash(cwd));
+    // A failed attempt is left out; the most recently used recipe comes first
+    expect(recipes.map(recipe => [recipe.name, recipe.support, recipe.steps, recipe.params])).toEqual([
+      ['git-checkout-push-origin', 3, ['git checkout -b {1}', 'git push -u origin {1}'], ['feature/billing']],
+      ['rm-node-modules-npm-ci-test', 3, reinstall, []]
+    ]);
+    expect(added).toHaveLength(2);
+
+    expect(renderSteps(recipes[0], ['feature/search'])).toEqual(['git checkout -b feature/search', 'git push -u origin feature/search']);
+  });
+
+  it('keeps names when mining again and drops recipes a longer one replaces', async () => {
+    const projectHash = generateProjectHash(cwd);
+    await runs(['npm ci', 'npm run build', 'npm test'], ['npm ci', 'npm run build', 'npm test'], ['npm ci', 'npm run build']);
+    expect(mineRecipes(projectHash).recipes.map(recipe => recipe.name)).toEqual(['npm-ci-run-build']);
+
+    // The last run goes on to the tests
+    clock += 30 * 1000;
+    await processEvent({ session_id: 'shell-1', timestamp: new Date(clock).toISOString(), cwd, command: 'npm test', exit_code: 0 });
+    const { recipes, added, removed } = mineRecipes(projectHash);
+
+    expect(recipes.map(recipe => [recipe.name, recipe.support])).toEqual([['npm-ci-run-build-test', 3]]);
+    expect({ added, removed }).toEqual({ added: ['npm-ci-run-build-test'], removed: 1 });
+    expect(mineRecipes(projectHash)).toMatchObject({ added: [], removed: 0 });
+  });
+
+  it('replays steps until one fails', async () => {
+    const recipe = { steps: ['echo one > one.txt', 'echo {1} > two.txt', 'false', 'echo four > four.txt'], params: ['two'] };
+    const confirm = jest.fn(async () => 'run');
+
+    const result = await runRecipe(recipe, { cwd: tmpDir, shell: '/bin/sh', values: ['deux'], confirm });
+    expect(result).toMatchObject({ completed: false, aborted: false });
+    expect(result.results.map(step => [step.status, step.exit_code])).toEqual([['ok', 0], ['ok', 0], ['failed', 1]]);
+    expect(fs.readFileSync(path.join(tmpDir, 'two.txt'), 'utf8')).toBe('deux\n');
+    expect(fs.existsSync(path.join(tmpDir, 'four.txt'))).toBe(false);
+    expect(confirm).toHaveBeenCalledTimes(3);
+    expect(confirm).toHaveBeenCalledWith('echo deux > two.txt', 1, 4);
+  });
+
+  it('skips or stops where the user says so', async () => {
+    const recipe = { steps: ['echo one > one.txt', 'echo two > two.txt', 'echo three > three.txt'], params: [] };
+    const answers = ['skip', 'run', 'quit'];
+
+    const result = await runRecipe(recipe, { cwd: tmpDir, shell: '/bin/sh', confirm: async () => answers.shift() });
+    expect(result).toMatchObject({ completed: false, aborted: true });
+    expect(result.results.map(step => step.status)).toEqual(['skipped', 'ok']);
+    expect(['one.txt', 'two.txt', 'three.txt'].map(file => fs.existsSync(path.join(tmpDir, file)))).toEqual([false, true, false]);
+  });
+});
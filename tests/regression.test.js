@@ -0,0 +1,112 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { jest } from '@jest/globals';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import { closeDatabase } from '../src/lib/database.js';
+import { processEvent } from '../src/lib/event-listener.js';
+import { generateProjectHash } from '../src/lib/episodes.js';
+import { isDependencyFile, findFailingRun, compareWithLastSuccess } from '../src/lib/regression.js';
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'Ghostly', GIT_AUTHOR_EMAIL: 'ghostly@example.com',
+  GIT_COMMITTER_NAME: 'Ghostly', GIT_COMMITTER_EMAIL: 'ghostly@example.com'
+};
+
+describe('diff with the last success', () => {
+  let tmpDir;
+  let repo;
+
+  function git(...args) {
+    return execFileSync('git', args, { cwd: repo, env: GIT_ENV, encoding: 'utf8' }).trim();
+  }
+
+  function commit(file, content, message) {
+    fs.writeFileSync(path.join(repo, file), content);
+    git('add', file);
+    git('commit', '-q', '-m', message);
+    return git('rev-parse', 'HEAD');
+  }
+
+  function run(command, exitCode = 0, node = '18.17.0') {
+    return processEvent({
+      session_id: 'shell-1',
+      timestamp: new Date().toISOString(),
+      cwd: repo,
+      command,
+      exit_code: exitCode,
+      stderr: exitCode ? 'TypeError: Cannot read properties of undefined' : '',
+      environment: { os: 'linux', shell: 'zsh', tools: { node }, markers: {}, env: {} }
+    });
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-regression-'));
+    repo = path.join(tmpDir, 'web');
+    fs.mkdirSync(repo);
+    git('init', '-q', '-b', 'main');
+    commit('package.json', '{ "dependencies": { "left-pad": "1.0.0" } }\n', 'initial');
+
+    const configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${path.join(tmpDir, 'ghostly.db')}"\nembedding:\n  provider: none\nretrieval:\n  min_confidence: 0\n`);
+    resetConfig();
+    loadConfig(configPath);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('recognizes manifests and lockfiles', () => {
+    expect(['package-lock.json', 'api/Cargo.lock', 'go.sum', 'requirements-dev.txt'].every(isDependencyFile)).toBe(true);
+    expect(isDependencyFile('src/index.js')).toBe(false);
+  });
+
+  it('finds the latest run of a command, or the latest failure', async () => {
+    const projectHash = generateProjectHash(repo);
+    await run('npm test');
+    const failure = await run('npm run build', 1);
+    const last = await run('npm  test');
+
+    expect(findFailingRun({ projectHash, command: 'npm test' }).id).toBe(last.eventId);
+    expect(findFailingRun({ projectHash }).id).toBe(failure.eventId);
+    expect(findFailingRun({ projectHash, command: 'cargo test' })).toBeNull();
+  });
+
+  it('lists commits, dependency changes, branch, environment and commands since the last success', async () => {
+    const worked = await run('npm test');
+    git('checkout', '-q', '-b', 'upgrade');
+    commit('package-lock.json', '{ "lockfileVersion": 3 }\n', 'add lockfile');
+    const sha = commit('src.js', 'module.exports = 1;\n', 'refactor');
+    await run('npm install left-pad@2');
+    fs.writeFileSync(path.join(repo, 'package.json'), '{ "dependencies": { "left-pad": "2.0.0" } }\n');
+    const failed = await run('npm test', 1, '20.1.0');
+
+    const projectHash = generateProjectHash(repo);
+    const comparison = await compareWithLastSuccess(findFailingRun({ projectHash, command: 'npm test' }));
+
+    expect(comparison.success.id).toBe(worked.eventId);
+    expect(comparison.failing.id).toBe(failed.eventId);
+    expect(comparison.branch).toEqual({ from: 'main', to: 'upgrade' });
+    expect(comparison.commits.map(commit => commit.subject)).toEqual(['add lockfile', 'refactor']);
+    expect(comparison.commits[1].sha).toBe(sha);
+    expect(comparison.dependencies).toEqual([
+      { file: 'package-lock.json', added: 1, deleted: 0, uncommitted: false },
+      { file: 'package.json', added: null, deleted: null, uncommitted: true }
+    ]);
+    expect(comparison.environment).toEqual([{ key: 'tools.node', before: '18.17.0', after: '20.1.0' }]);
+    expect(comparison.commands.map(event => event.command)).toEqual(['npm install left-pad@2']);
+  });
+
+  it('has nothing to compare without an earlier success', async () => {
+    await run('npm test', 1);
+    expect(await compareWithLastSuccess(findFailingRun({ projectHash: generateProjectHash(repo), command: 'npm test' })))
+      .toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import { closeDatabase, getEpisode, getEpisodeEvents } from '../src/lib/database.js';
+import { processEvent } from '../src/lib/event-listener.js';
+import { isRelatedCommand } from '../src/lib/episodes.js';
+
+describe('failure resolution', () => {
+  let tmpDir;
+  let cwd;
+  let clock;
+
+  function run(command, exitCode, extra = {}) {
+    clock += 1000;
+    return processEvent({
+      session_id: 'shell-1',
+      timestamp: new Date(clock).toISOString(),
+      cwd,
+      git_branch: 'main',
+      command,
+      exit_code: exitCode,
+      stderr: exitCode ? `${command}: failed` : '',
+      ...extra
+    });
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-resolution-'));
+    cwd = path.join(tmpDir, 'web');
+    clock = Date.parse('2024-03-01T10:00:00Z');
+    const configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${path.join(tmpDir, 'ghostly.db')}"\nembedding:\n  provider: none\n`);
+    resetConfig();
+    loadConfig(configPath);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('matches re-runs of the same tool and subcommand', () => {
+    expect(isRelatedCommand('npm test', 'npm test -- --runInBand')).toBe(true);
+    expect(isRelatedCommand('cargo build', 'cargo build --release')).toBe(true);
+    expect(isRelatedCommand('npm test', 'npm install')).toBe(false);
+    expect(isRelatedCommand('make', 'cmake')).toBe(false);
+  });
+
+  it('records the commands between a failure and the next success as its fix', async () => {
+    const failure = await run('npm test', 1);
+    expect(getEpisode(failure.episodeId)).toMatchObject({ command: 'npm test', fix: null, resolved: 0 });
+
+    await run('npm install left-pad', 0);
+    await run('npm test', 1);
+    await run('npm run build', 0);
+    const success = await run('npm test -- --runInBand', 0);
+
+    const episode = getEpisode(failure.episodeId);
+    expect(episode).toMatchObject({
+      resolved: 1,
+      resolution_event_id: success.eventId,
+      fix: 'npm install left-pad → npm run build → npm test -- --runInBand'
+    });
+    expect(episode.resolved_at).toBeTruthy();
+    expect(episode.occurrences).toBe(2);
+    expect(getEpisodeEvents(failure.episodeId).map(e => e.command)).toEqual([
+      'npm test', 'npm test', 'npm install left-pad', 'npm run build', 'npm test -- --runInBand'
+    ]);
+    expect(success.resolved.map(e => e.id)).toContain(failure.episodeId);
+  });
+
+  it('gives a failure that comes back after its fix an episode and fix of its own', async () => {
+    const first = await run('npm test', 1);
+    await run('npm install left-pad', 0);
+    await run('npm test', 0);
+
+    const again = await run('npm test', 1);
+    await run('npm run build', 0);
+    const success = await run('npm test', 0);
+
+    expect(again.episodeId).not.toBe(first.episodeId);
+    expect(getEpisode(first.episodeId)).toMatchObject({ occurrences: 1, fix: 'npm install left-pad → npm test' });
+    expect(getEpisode(again.episodeId)).toMatchObject({
+      resolved: 1,
+      resolution_event_id: success.eventId,
+      fix: 'npm run build → npm test'
+    });
+  });
+
+  it('leaves failures of other sessions and unrelated commands open', async () => {
+    const failure = await run('npm test', 1);
+
+    await run('npm test', 0, { session_id: 'shell-2' });
+    await run('npm install', 0);
+
+    expect(getEpisode(failure.episodeId)).toMatchObject({ resolved: 0, fix: null });
+  });
+});
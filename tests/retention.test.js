@@ -0,0 +1,118 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import {
+  initDatabase,
+  closeDatabase,
+  insertEvent,
+  insertEpisode,
+  insertEmbedding,
+  setEpisodePinned,
+  getEpisode,
+  getRecentEvents
+} from '../src/lib/database.js';
+import { prune } from '../src/lib/retention.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('retention', () => {
+  let tmpDir;
+  // Episodes are stamped with the real clock, so prune "400 days from now"
+  const now = new Date(Date.now() + 400 * DAY_MS);
+  const daysAgo = days => new Date(now.getTime() - days * DAY_MS).toISOString();
+
+  function setup(retention) {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-retention-'));
+    const configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, [
+      'storage:',
+      `  db_path: "${path.join(tmpDir, 'ghostly.db')}"`,
+      '  retention:',
+      ...Object.entries(retention).map(([key, value]) => `    ${key}: ${value}`)
+    ].join('\n') + '\n');
+    resetConfig();
+    loadConfig(configPath);
+  }
+
+  function event(command, timestamp, extra = {}) {
+    return insertEvent({
+      session_id: 's1',
+      timestamp,
+      command,
+      exit_code: 1,
+      stdout_text: 'out',
+      stderr_text: 'err',
+      project_hash: 'p1',
+      ...extra
+    });
+  }
+
+  function episode(eventIds) {
+    return insertEpisode({ project_hash: 'p1', summary: 'failed build', event_ids: eventIds });
+  }
+
+  afterEach(() => {
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('applies age limits but never touches pinned episodes', async () => {
+    setup({ raw_output_days: 30, raw_events_days: 180, episodes_days: 365 });
+    await initDatabase();
+
+    const ancient = event('make old', daysAgo(300));
+    const pinnedEvent = event('make pinned', daysAgo(300));
+    const stale = event('make stale', daysAgo(60));
+    const fresh = event('make fresh', daysAgo(1));
+
+    const expired = episode([ancient]);
+    const pinned = episode([pinnedEvent]);
+    setEpisodePinned(pinned, true);
+    insertEmbedding(expired, 'test-model', [1, 0, 0]);
+    insertEmbedding(pinned, 'test-model', [0, 1, 0]);
+
+    const result = prune({ now });
+
+    expect(result).toMatchObject({ episodes: 1, events: 1, outputs: 1, embeddings: 1 });
+    expect(getEpisode(expired)).toBeNull();
+    expect(getEpisode(pinned)).not.toBeNull();
+
+    const events = Object.fromEntries(getRecentEvents().map(e => [e.id, e]));
+    expect(events[ancient]).toBeUndefined();
+    expect(events[pinnedEvent].stderr_text).toBe('err');
+    expect(events[stale]).toMatchObject({ command: 'make stale', stdout_text: null, stderr_text: null });
+    expect(events[fresh].stderr_text).toBe('err');
+  });
+
+  it('evicts the oldest events of a project over its size cap', async () => {
+    setup({ raw_output_days: 0, raw_events_days: 0, episodes_days: 0, max_project_mb: 0.001 });
+    await initDatabase();
+
+    const output = 'x'.repeat(400);
+    const oldest = event('build 1', daysAgo(3), { stdout_text: output });
+    const middle = event('build 2', daysAgo(2), { stdout_text: output });
+    const newest = event('build 3', daysAgo(1), { stdout_text: output });
+
+    expect(prune({ now }).events).toBe(1);
+
+    const remaining = getRecentEvents().map(e => e.id).sort();
+    expect(remaining).toEqual([middle, newest].sort());
+    expect(remaining).not.toContain(oldest);
+  });
+
+  it('only reports in dry-run mode', async () => {
+    setup({ raw_output_days: 30, raw_events_days: 180, episodes_days: 365 });
+    await initDatabase();
+
+    event('make old', daysAgo(300));
+    const expired = episode([]);
+
+    const result = prune({ now, dryRun: true });
+
+    expect(result).toMatchObject({ episodes: 1, events: 1, dryRun: true });
+    expect(getEpisode(expired)).not.toBeNull();
+    expect(getRecentEvents()).toHaveLength(1);
+  });
+});
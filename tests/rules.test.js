@@ -0,0 +1,100 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import { closeDatabase } from '../src/lib/database.js';
+import { processEvent } from '../src/lib/event-listener.js';
+import { classifyEvent, shouldIgnoreCommand } from '../src/lib/episodes.js';
+import { matchRule, getCaptureRules, globToRegExp, parseDuration } from '../src/lib/rules.js';
+
+const RULES = `capture:
+  ignore_commands: [ls, cd]
+  important_commands: [git, npm]
+  rules:
+    - { action: exclude, command: git, subcommand: [status, diff] }
+    - { action: include, command: [terraform, bazel] }
+    - { action: exclude, args: "--dry-run" }
+    - { action: include, command: ls, cwd: "/srv/logs/**" }
+    - { action: exclude, command: npm, exit_code: "!=0", cwd: "/tmp/**" }
+    - { action: include, command: make, duration: "> 30s" }
+`;
+
+describe('capture rules', () => {
+  let tmpDir;
+
+  function useConfig(yaml) {
+    const configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${path.join(tmpDir, 'ghostly.db')}"\nembedding:\n  provider: none\n${yaml}`);
+    resetConfig();
+    loadConfig(configPath);
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-rules-'));
+    useConfig(RULES);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('matches by command, subcommand, args, cwd, exit code and duration', () => {
+    expect(matchRule({ command: 'git status -s' })?.index).toBe(0);
+    expect(matchRule({ command: 'cd api && sudo git diff HEAD' })?.index).toBe(0);
+    expect(matchRule({ command: 'git push' })).toBeNull();
+    expect(matchRule({ command: 'terraform apply' })?.index).toBe(1);
+    expect(matchRule({ command: 'kubectl apply --dry-run -f x.yaml' })?.index).toBe(2);
+    expect(matchRule({ command: 'ls -la', cwd: '/srv/logs/app' })?.index).toBe(3);
+    expect(matchRule({ command: 'ls -la', cwd: '/srv' })).toBeNull();
+    expect(matchRule({ command: 'npm test', cwd: '/tmp/x', exit_code: 1 })?.index).toBe(4);
+    expect(matchRule({ command: 'npm test', cwd: '/tmp/x', exit_code: 0 })).toBeNull();
+    expect(matchRule({ command: 'make', duration_ms: 45000 })?.index).toBe(5);
+    expect(matchRule({ command: 'make', duration_ms: 2000 })).toBeNull();
+    expect(matchRule({ command: 'make' })).toBeNull();
+  });
+
+  it('lets the first matching rule decide before the lists', () => {
+    expect(classifyEvent({ command: 'git status', exit_code: 0 })).toMatchObject({ action: 'ignore', reason: 'exclude_rule' });
+    expect(classifyEvent({ command: 'git push', exit_code: 0 })).toMatchObject({ action: 'significant', reason: 'important_command' });
+    expect(classifyEvent({ command: 'terraform plan', exit_code: 0 })).toMatchObject({ action: 'significant', reason: 'include_rule' });
+    expect(classifyEvent({ command: 'ls', cwd: '/srv/logs', exit_code: 0 }).action).toBe('significant');
+    expect(classifyEvent({ command: 'ls', cwd: '/home', exit_code: 0 })).toMatchObject({ action: 'ignore', reason: 'ignored_command' });
+    expect(classifyEvent({ command: 'cat notes.txt', exit_code: 0 }).action).toBe('store');
+    expect(shouldIgnoreCommand('git diff')).toBe(true);
+    expect(shouldIgnoreCommand('git push')).toBe(false);
+  });
+
+  it('never stores excluded events', async () => {
+    const cwd = path.join(tmpDir, 'web');
+    const skipped = await processEvent({ command: 'git status', cwd, exit_code: 0, stdout: '', stderr: '' });
+    expect(skipped).toMatchObject({ skipped: true, reason: 'exclude_rule', rule: { index: 0 } });
+
+    const included = await processEvent({ command: 'bazel build //app', cwd, exit_code: 0, stdout: '', stderr: '' });
+    expect(included).toMatchObject({ stored: true, significant: true });
+  });
+
+  it('rejects invalid rules with their position', () => {
+    useConfig('capture:\n  rules:\n    - { action: include, command: make }\n    - { action: keep, command: make }\n');
+    expect(() => getCaptureRules()).toThrow('capture.rules[1]: action must be one of include, exclude');
+
+    useConfig('capture:\n  rules:\n    - { action: include, branch: main }\n');
+    expect(() => getCaptureRules()).toThrow('capture.rules[0]: unknown condition branch');
+
+    useConfig('capture:\n  rules:\n    - { action: include, duration: "> soon" }\n');
+    expect(() => getCaptureRules()).toThrow('capture.rules[0]: Invalid duration');
+  });
+
+  it('converts globs and durations', () => {
+    expect(globToRegExp('/srv/*/logs').test('/srv/api/logs/today')).toBe(true);
+    expect(globToRegExp('/srv/*/logs').test('/srv/a/b/logs')).toBe(false);
+    expect(globToRegExp('~/work/**').test(path.join(os.homedir(), 'work/a/b'))).toBe(true);
+    expect(parseDuration('1.5m')).toBe(90000);
+    expect(parseDuration('500ms')).toBe(500);
+    expect(parseDuration(2)).toBe(2000);
+  });
+});
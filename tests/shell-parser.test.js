@@ -0,0 +1,205 @@
+import { tokenize, parseShellCommand, getCommands, getPrimaryCommand } from '../src/lib/shell-parser.js';
+import { getCommandName, parseCommand, shouldIgnoreCommand } from '../src/lib/episodes.js';
+import { commandSimilarity } from '../src/lib/embedding.js';
+
+const words = line => tokenize(line).filter(token => token.type === 'word').map(token => token.value);
+const tokens = line => tokenize(line).map(token => [token.type, token.value]);
+const commands = line => parseShellCommand(line).pipelines.map(pipeline => [pipeline.operator, pipeline.commands.map(command => command.name)]);
+
+describe('shell parser', () => {
+  it('honours quotes and escapes', () => {
+    const words = tokenize(`git commit -m "fix: \\"quoted\\" $(date)" 'it''s' a\\ b`)
+      .filter(token => token.type === 'word')
+      .map(token => token.value);
+
+    expect(words).toEqual(['git', 'commit', '-m', 'fix: "quoted" $(date)', 'its', 'a b']);
+  });
+
+  it('keeps the raw text and quoting of every word', () => {
+    expect(tokenize(`echo "a b" c\\d e`).map(({ value, raw, quoted }) => [value, raw, quoted])).toEqual([
+      ['echo', 'echo', false],
+      ['a b', '"a b"', true],
+      ['cd', 'c\\d', true],
+      ['e', 'e', false]
+    ]);
+  });
+
+  it('decodes ANSI-C quoting', () => {
+    expect(words(`printf $'a\\tb\\n' $'it\\'s' $'\\e[1m\\q' x$'\\x'y`)).toEqual(['printf', 'a\tb\n', "it's", '\x1b[1mq', 'xxy']);
+  });
+
+  it('only unescapes $, `, ", \\ and newlines inside double quotes', () => {
+    expect(words('echo "\\$HOME \\`pwd\\` \\"q\\" \\\\ \\n a\\\nb"')).toEqual(['echo', '$HOME `pwd` "q" \\ \\n ab']);
+  });
+
+  it('joins lines continued with a backslash', () => {
+    expect(words('npm install \\\n  --save left-pad')).toEqual(['npm', 'install', '--save', 'left-pad']);
+    expect(words('np\\\nm test \\\n')).toEqual(['npm', 'test']);
+    expect(words('echo a\\')).toEqual(['echo', 'a']);
+  });
+
+  it('skips comments but not # inside a word', () => {
+    expect(tokens('make # build it\nls a#b')).toEqual([
+      ['word', 'make'],
+      ['op', ';'],
+      ['word', 'ls'],
+      ['word', 'a#b']
+    ]);
+    expect(tokenize('# only a comment')).toEqual([]);
+  });
+
+  it('reads to the end of the line when a quote is not closed', () => {
+    expect(words(`echo 'it is`)).toEqual(['echo', 'it is']);
+    expect(words('echo "it is')).toEqual(['echo', 'it is']);
+    expect(words(`echo $'it\\tis`)).toEqual(['echo', 'it\tis']);
+    expect(words('echo $(date')).toEqual(['echo', '$(date']);
+    expect(words('echo `date')).toEqual(['echo', '`date']);
+  });
+
+  it('copies substitutions and expansions verbatim, nesting and quotes included', () => {
+    expect(words('cd $(dirname $(pwd)) ${HOME:-/tmp}/x `date +%s` $(echo ")") a$(b c)d')).toEqual([
+      'cd',
+      '$(dirname $(pwd))',
+      '${HOME:-/tmp}/x',
+      '`date +%s`',
+      '$(echo ")")',
+      'a$(b c)d'
+    ]);
+  });
+
+  it('recognizes redirections, with and without a file descriptor', () => {
+    expect(tokens('cmd 2>&1 &>>log <<<"hi there" <<EOF 10>out "2">f')).toEqual([
+      ['word', 'cmd'],
+      ['redirect', '2>&'],
+      ['word', '1'],
+      ['redirect', '&>>'],
+      ['word', 'log'],
+      ['redirect', '<<<'],
+      ['word', 'hi there'],
+      ['redirect', '<<'],
+      ['word', 'EOF'],
+      ['redirect', '10>'],
+      ['word', 'out'],
+      ['word', '2'],
+      ['redirect', '>'],
+      ['word', 'f']
+    ]);
+  });
+
+  it('splits operators, longest first', () => {
+    expect(tokens('(a&&b)|&c&d;;e||f;g|h').filter(([type]) => type === 'op').map(([, value]) => value)).toEqual(
+      ['(', '&&', ')', '|&', '&', ';;', '||', ';', '|']
+    );
+  });
+
+  it.each([
+    ['sudo npm install', 'npm', ['install']],
+    ['FOO=1 make', 'make', []],
+    ['time cargo build --release', 'cargo', ['build', '--release']],
+    ['cd api && npm test', 'npm', ['test']],
+    ['npx jest -t "my test"', 'jest', ['-t', 'my test']],
+    ['env -u HOME CI=1 nice -n 5 timeout 30 pytest -x', 'pytest', ['-x']]
+  ])('finds the real command in %s', (line, name, args) => {
+    expect(getPrimaryCommand(line)).toMatchObject({ name, args });
+  });
+
+  it('splits compound commands into pipelines and segments', () => {
+    const list = parseShellCommand('make build 2>&1 | tee build.log && ./deploy.sh || echo failed; FOO=bar node app.js > out.txt');
+
+    expect(list.pipelines.map(p => p.operator)).toEqual(['&&', '||', ';', null]);
+    expect(list.pipelines[0].commands.map(c => c.name)).toEqual(['make', 'tee']);
+    expect(list.pipelines[0].commands[0].redirects).toEqual([{ op: '2>&', target: '1' }]);
+    expect(list.pipelines[3].commands[0]).toMatchObject({
+      name: 'node',
+      env: { FOO: 'bar' },
+      redirects: [{ op: '>', target: 'out.txt' }]
+    });
+  });
+
+  it('starts new pipelines at &, newlines and ;; and drops trailing operators', () => {
+    expect(commands('npm start & npm test')).toEqual([['&', ['npm']], [null, ['npm']]]);
+    expect(commands('make\nmake install')).toEqual([[';', ['make']], [null, ['make']]]);
+    expect(commands('case $x in a) make;; esac')).toEqual([[';', ['case', 'make']], [null, ['esac']]]);
+    expect(commands('make &&')).toEqual([[null, ['make']]]);
+    expect(commands(';; ; &&')).toEqual([]);
+  });
+
+  it('pipes with | and |&', () => {
+    expect(commands('make 2>&1 |& tee log | grep -c error')).toEqual([[null, ['make', 'tee', 'grep']]]);
+  });
+
+  it('parses the commands inside subshells and groups', () => {
+    expect(commands('(cd api && npm test) || (echo failed; exit 1)')).toEqual([
+      ['&&', ['cd']],
+      ['||', ['npm']],
+      [';', ['echo']],
+      [null, ['exit']]
+    ]);
+    expect(getPrimaryCommand('(cd api && npm test)')).toMatchObject({ name: 'npm', args: ['test'] });
+  });
+
+  it('attaches here-strings, here-docs and missing targets to their command', () => {
+    const [[cat], [sort]] = parseShellCommand('cat <<< "hi there" > ; sort <<EOF').pipelines.map(p => p.commands);
+
+    expect(cat).toMatchObject({ name: 'cat', args: [], redirects: [{ op: '<<<', target: 'hi there' }, { op: '>', target: null }] });
+    expect(sort.redirects).toEqual([{ op: '<<', target: 'EOF' }]);
+  });
+
+  it('keeps commands that are only redirections out of getCommands', () => {
+    const list = parseShellCommand('> out.txt; make');
+
+    expect(list.pipelines[0].commands[0]).toMatchObject({ name: '', args: [], redirects: [{ op: '>', target: 'out.txt' }] });
+    expect(getCommands(list).map(command => command.name)).toEqual(['make']);
+    expect(getPrimaryCommand('> out.txt')).toBeNull();
+  });
+
+  it('returns an empty list for empty input', () => {
+    expect(parseShellCommand('')).toEqual({ type: 'list', raw: '', pipelines: [] });
+    expect(parseShellCommand(null)).toEqual({ type: 'list', raw: '', pipelines: [] });
+    expect(getCommands(undefined)).toEqual([]);
+    expect(getPrimaryCommand('   ')).toBeNull();
+  });
+
+  it('collects env prefixes, wrappers and the full argv', () => {
+    expect(parseShellCommand('FOO="a b" BAR= /usr/bin/sudo -u deploy env CI=1 -u HOME npm test').pipelines[0].commands[0]).toEqual({
+      type: 'command',
+      env: { FOO: 'a b', BAR: '', CI: '1' },
+      wrappers: ['sudo', 'env'],
+      name: 'npm',
+      args: ['test'],
+      argv: ['FOO=a b', 'BAR=', '/usr/bin/sudo', '-u', 'deploy', 'env', 'CI=1', '-u', 'HOME', 'npm', 'test'],
+      redirects: []
+    });
+  });
+
+  it.each([
+    ['timeout 30 pytest -x', 'pytest', ['-x']],
+    ['timeout -s KILL 5m make test', 'make', ['test']],
+    ['timeout --kill-after 5 --preserve-status 1m npm ci', 'npm', ['ci']],
+    ['sudo -- make install', 'make', ['install']],
+    ['nohup nice -n 10 ionice -c 3 stdbuf -o L ./worker', './worker', []]
+  ])('skips wrapper options and operands in %s', (line, name, args) => {
+    expect(getPrimaryCommand(line)).toMatchObject({ name, args });
+  });
+
+  it.each([
+    ['sudo -v', 'sudo', ['-v']],
+    ['time', 'time', []],
+    ['timeout 30', 'timeout', ['30']]
+  ])('treats a bare wrapper as the command in %s', (line, name, args) => {
+    expect(getPrimaryCommand(line)).toMatchObject({ name, args, wrappers: [] });
+  });
+
+  it('falls back to a setup command when there is nothing else', () => {
+    expect(getPrimaryCommand('export CI=1; source .env; make').name).toBe('make');
+    expect(getPrimaryCommand('cd /tmp && pushd api').name).toBe('cd');
+  });
+
+  it('feeds command names and similarity downstream', () => {
+    expect(getCommandName('sudo -u deploy docker compose up')).toBe('docker');
+    expect(parseCommand('cd web && yarn build').commands.map(c => c.name)).toEqual(['cd', 'yarn']);
+    expect(shouldIgnoreCommand('cd api && npm test')).toBe(false);
+    expect(shouldIgnoreCommand('ls -la | head')).toBe(true);
+    expect(commandSimilarity('sudo npm install', 'npm install')).toBe(1);
+  });
+});
@@ -0,0 +1,79 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import {
+  initDatabase,
+  closeDatabase,
+  insertEpisode,
+  getEpisode,
+  getSignatureHistory
+} from '../src/lib/database.js';
+import { normalizeErrorText, computeErrorSignature } from '../src/lib/signature.js';
+import { createEpisodeFromEvent, createEpisodeFromEvents } from '../src/lib/episodes.js';
+
+describe('error signatures', () => {
+  it('masks volatile tokens', () => {
+    expect(normalizeErrorText(
+      "Error: ENOENT: no such file '/home/ana/app/config.json' at 2024-03-01T10:00:00Z (pid 4242) after 35ms"
+    )).toBe("Error: ENOENT: no such file '<path>/config.json' at <time> (pid <n>) after <duration>");
+
+    expect(normalizeErrorText('panic at /go/src/main.go:14:2 addr=0xc000123 req 123e4567-e89b-12d3-a456-426614174000'))
+      .toBe('panic at <path>/main.go:<line> addr=<hex> req <uuid>');
+
+    expect(normalizeErrorText('connect ECONNREFUSED 127.0.0.1:5432'))
+      .toBe('connect ECONNREFUSED <ip>:<port>');
+  });
+
+  it('gives the same failure the same signature and keeps different ones apart', () => {
+    const a = computeErrorSignature("Error: Cannot find module '/Users/ana/web/src/a.js'\n    at load (node:internal:1039:15)", 'node src/a.js');
+    const b = computeErrorSignature("Error: Cannot find module '/home/bo/web/src/a.js'\n    at load (node:internal:1145:10)", 'node src/a.js');
+    const other = computeErrorSignature("Error: Cannot find module '/home/bo/web/src/b.js'", 'node src/b.js');
+
+    expect(a).toBe(b);
+    expect(other).not.toBe(a);
+    expect(computeErrorSignature('', 'make')).toBeNull();
+  });
+
+  it('signs failures reported only on stdout', () => {
+    const stdout = "src/app.ts(3,7): error TS2322: Type 'string' is not assignable to type 'number'.";
+    const failure = { command: 'npx tsc', exit_code: 2, stdout_text: stdout, stderr_text: '', cwd: '/tmp/web' };
+    const signature = computeErrorSignature(stdout, 'npx tsc');
+
+    expect(signature).not.toBeNull();
+    expect(createEpisodeFromEvent(failure).error_signature).toBe(signature);
+    expect(createEpisodeFromEvents([
+      { command: 'npm install', exit_code: 0, cwd: '/tmp/web' },
+      failure,
+      { command: 'npx tsc', exit_code: 0, cwd: '/tmp/web' }
+    ]).error_signature).toBe(signature);
+  });
+
+  describe('recurrence', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-signature-'));
+      const configPath = path.join(tmpDir, 'config.yaml');
+      fs.writeFileSync(configPath, `storage:\n  db_path: "${path.join(tmpDir, 'ghostly.db')}"\n`);
+      resetConfig();
+      loadConfig(configPath);
+    });
+
+    afterEach(() => {
+      closeDatabase();
+      resetConfig();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('counts episodes sharing a signature', async () => {
+      await initDatabase();
+
+      const ids = [1, 2, 3].map(() => insertEpisode({ summary: 'port in use', error_signature: 'abc' }));
+      insertEpisode({ summary: 'other', error_signature: 'def' });
+
+      expect(ids.map(id => getEpisode(id).recurrence_count)).toEqual([3, 3, 3]);
+      expect(getSignatureHistory('abc', ids[2]).count).toBe(2);
+    });
+  });
+});
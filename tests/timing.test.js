@@ -0,0 +1,120 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import { closeDatabase, getEpisode, getEpisodeEvents } from '../src/lib/database.js';
+import { processEvent } from '../src/lib/event-listener.js';
+import { percentile, formatDuration, getCommandBaselines } from '../src/lib/timing.js';
+
+describe('command timing', () => {
+  let tmpDir;
+  let cwd;
+  let clock;
+
+  function run(command, seconds, options = {}) {
+    clock += 5 * 60 * 1000;
+    return processEvent({
+      session_id: 'shell-1',
+      timestamp: new Date(clock).toISOString(),
+      cwd,
+      git_branch: options.branch || 'main',
+      command,
+      exit_code: 0,
+      duration_ms: seconds * 1000
+    });
+  }
+
+  async function builds(count, seconds = 60) {
+    for (let i = 0; i < count; i++) {
+      await run('npm run build', seconds + i);
+    }
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-timing-'));
+    cwd = path.join(tmpDir, 'web');
+    clock = Date.parse('2024-03-01T10:00:00Z');
+    const configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${path.join(tmpDir, 'ghostly.db')}"\nembedding:\n  provider: none\nretrieval:\n  min_confidence: 0\ncapture:\n  rules:\n    - { action: exclude, command: make, duration: "< 1s" }\n`);
+    resetConfig();
+    loadConfig(configPath);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('computes percentiles and formats durations', () => {
+    expect(percentile([5, 1, 3, 2, 4], 50)).toBe(3);
+    expect(percentile([1, 2, 3, 4], 50)).toBe(2.5);
+    expect(percentile([], 90)).toBeNull();
+    expect([850, 12300, 250000, 3720000].map(formatDuration)).toEqual(['850ms', '12.3s', '4m 10s', '1h 2m']);
+  });
+
+  it('stores durations and keeps per-command baselines', async () => {
+    await builds(4);
+    await run('npm test', 10);
+    await run('npm test', 12);
+
+    const build = await run('npm run build', 62);
+    expect(getEpisodeEvents(build.episodeId).pop()).toMatchObject({ id: build.eventId, duration_ms: 62000 });
+
+    const baselines = getCommandBaselines(getEpisode(build.episodeId).project_hash);
+    expect(baselines.map(b => [b.command, b.samples, b.median])).toEqual([
+      ['npm run build', 5, 62000],
+      ['npm test', 2, 11000]
+    ]);
+
+    // Capture rules see the duration too
+    expect(await run('make', 0.2)).toMatchObject({ skipped: true, reason: 'exclude_rule' });
+  });
+
+  it('flags a slow run and explains it by the last run that was as slow', async () => {
+    await builds(5);
+
+    const first = await run('npm run build', 250);
+    expect(first.slowdown).toMatchObject({ duration_ms: 250000, median: 62000, samples: 5, last: null });
+    expect(first.slowdown.ratio).toBeCloseTo(4.03, 2);
+    expect(first.retrieval.reason).toBe('slow_command');
+    expect(getEpisode(first.episodeId)).toMatchObject({ problem: 'Took 4m 10s, 4.0× the usual 1m 2s', occurrences: 1 });
+
+    await builds(3);
+    await run('npm install webpack@5', 20);
+    await run('git pull', 2, { branch: 'upgrade' });
+    await run('npm run build', 61, { branch: 'upgrade' });
+    const second = await run('npm run build', 240, { branch: 'upgrade' });
+
+    expect(second.slowdown.last).toMatchObject({
+      id: first.eventId,
+      duration_ms: 250000,
+      changes: [],
+      branch_change: null
+    });
+    expect(second.retrieval.message || second.retrieval.formatted).toContain('Last this slow');
+    expect(second).toMatchObject({ episodeId: first.episodeId, occurrences: 2 });
+
+    // Ordinary runs are not flagged
+    expect((await run('npm run build', 65, { branch: 'upgrade' })).slowdown).toBeNull();
+  });
+
+  it('lists what ran between the previous run and the slow one', async () => {
+    await builds(5);
+    await run('npm install webpack@5', 20);
+    await run('git checkout upgrade', 1, { branch: 'upgrade' });
+    const slow = await run('npm run build', 300, { branch: 'upgrade' });
+    await builds(2);
+
+    const again = await run('npm run build', 280);
+    expect(again.slowdown.last).toMatchObject({
+      id: slow.eventId,
+      git_branch: 'upgrade',
+      changes: ['npm install webpack@5', 'git checkout upgrade'],
+      branch_change: { from: 'main', to: 'upgrade' }
+    });
+  });
+});
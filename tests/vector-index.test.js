@@ -0,0 +1,246 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { jest } from '@jest/globals';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import { initDatabase, closeDatabase, insertEpisode, insertEmbedding } from '../src/lib/database.js';
+import { HnswIndex, getIndexPath, getVectorIndex, getVectorIndexStatus } from '../src/lib/vector-index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATABASE_MODULE = new URL('../src/lib/database.js', import.meta.url).href;
+const CONFIG_MODULE = new URL('../src/lib/config.js', import.meta.url).href;
+const INDEX_MODULE = new URL('../src/lib/vector-index.js', import.meta.url).href;
+
+// Another capture process: loads the index, then stores episodes with embeddings
+const CAPTURE = `
+  import { loadConfig } from '${CONFIG_MODULE}';
+  import { initDatabase, closeDatabase, insertEpisode, insertEmbedding } from '${DATABASE_MODULE}';
+  import { getVectorIndex } from '${INDEX_MODULE}';
+  const [configPath, ...vectors] = process.argv.slice(1);
+  loadConfig(configPath);
+  await initDatabase();
+  getVectorIndex({ model: 'model-a', dim: 3 });
+  for (const vector of vectors) {
+    const id = insertEpisode({ project_hash: 'p1', summary: 'from another process', problem: '', environment: '', fix: '', keywords: '' });
+    insertEmbedding(id, 'model-a', JSON.parse(vector));
+  }
+  closeDatabase();
+`;
+
+/**
+ * Deterministic pseudo-random numbers (mulberry32)
+ */
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomVectors(count, dim, seed) {
+  const next = random(seed);
+  return Array.from({ length: count }, () => Array.from({ length: dim }, () => next() * 2 - 1));
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / Math.sqrt(normA * normB);
+}
+
+function flatSearch(vectors, query, k, labels = vectors.map((_, label) => label)) {
+  return labels
+    .map(label => ({ label, similarity: cosine(vectors[label], query) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k)
+    .map(result => result.label);
+}
+
+describe('HnswIndex', () => {
+  const dim = 16;
+  const vectors = randomVectors(600, dim, 1);
+  const queries = randomVectors(25, dim, 2);
+
+  function build() {
+    const index = new HnswIndex({ model: 'model-a', dim, M: 8, efConstruction: 100, efSearch: 64 });
+    vectors.forEach((vector, label) => index.add(label, vector));
+    return index;
+  }
+
+  it('finds nearly the same neighbours as a flat scan', () => {
+    const index = build();
+    let found = 0;
+
+    for (const query of queries) {
+      const expected = new Set(flatSearch(vectors, query, 10));
+      found += index.search(query, 10).filter(result => expected.has(result.label)).length;
+    }
+
+    expect(found / (queries.length * 10)).toBeGreaterThanOrEqual(0.9);
+  });
+
+  it('returns similarities best first and skips removed episodes', () => {
+    const index = build();
+    const [best] = flatSearch(vectors, queries[0], 1);
+
+    const results = index.search(queries[0], 5);
+    expect(results[0].label).toBe(best);
+    expect(results[0].similarity).toBeCloseTo(cosine(vectors[best], queries[0]), 5);
+    expect(results.map(result => result.similarity)).toEqual([...results.map(result => result.similarity)].sort((a, b) => b - a));
+
+    index.remove(best);
+    expect(index.size).toBe(vectors.length - 1);
+    expect(index.search(queries[0], 5).map(result => result.label)).not.toContain(best);
+  });
+
+  it('survives a serialize/deserialize round trip', () => {
+    const index = build();
+    index.remove(7);
+    index.add(3, vectors[4]);
+    index.lastEmbeddingId = 42;
+
+    const restored = HnswIndex.deserialize(index.serialize());
+
+    expect(restored).toMatchObject({ model: 'model-a', dim, M: 8, lastEmbeddingId: 42, size: index.size });
+    expect(restored.labels).toEqual(index.labels);
+    expect(restored.neighbors).toEqual(index.neighbors);
+    expect([...restored.deleted]).toEqual([...index.deleted]);
+    for (const query of queries) {
+      expect(restored.search(query, 10)).toEqual(index.search(query, 10));
+    }
+  });
+
+  it('compacts deleted nodes away and keeps finding the rest', () => {
+    const index = build();
+    for (let label = 0; label < vectors.length; label += 2) index.remove(label);
+    const live = vectors.map((_, label) => label).filter(label => label % 2);
+
+    index.compact();
+
+    expect(index.labels.length).toBe(vectors.length / 2);
+    expect(index.deleted.size).toBe(0);
+    let found = 0;
+    for (const query of queries) {
+      const expected = new Set(flatSearch(vectors, query, 10, live));
+      found += index.search(query, 10).filter(result => expected.has(result.label)).length;
+    }
+    expect(found / (queries.length * 10)).toBeGreaterThanOrEqual(0.9);
+  });
+
+  it('bounds the search beam however many nodes are deleted', () => {
+    const index = build();
+    for (let label = 0; label < 500; label++) index.remove(label);
+    const searchLayer = jest.spyOn(index, 'searchLayer');
+
+    const results = index.search(queries[0], 10);
+
+    expect(Math.max(...searchLayer.mock.calls.map(call => call[2]))).toBe(10 + index.efSearch);
+    expect(results.every(result => result.label >= 500)).toBe(true);
+  });
+
+  it('rejects files that are not an index', () => {
+    expect(() => HnswIndex.deserialize(Buffer.from('SQLite format 3\0'))).toThrow('Not a ghostly vector index file');
+  });
+});
+
+describe('persistent vector index', () => {
+  let tmpDir;
+  let configPath;
+
+  function episode(vector) {
+    const id = insertEpisode({ project_hash: 'p1', summary: 'local', problem: '', environment: '', fix: '', keywords: '' });
+    insertEmbedding(id, 'model-a', vector);
+    return id;
+  }
+
+  function captureElsewhere(...vectors) {
+    execFileSync(process.execPath, ['--input-type=module', '-e', CAPTURE, configPath, ...vectors.map(vector => JSON.stringify(vector))], {
+      cwd: __dirname,
+      stdio: 'ignore'
+    });
+  }
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-vector-index-'));
+    configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${path.join(tmpDir, 'ghostly.db')}"\n  index_save_every: 1\n`);
+    resetConfig();
+    loadConfig(configPath);
+    await initDatabase();
+  });
+
+  afterEach(() => {
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('catches up on embeddings another process wrote before its own', async () => {
+    const first = episode([1, 0, 0]);
+    const index = getVectorIndex({ model: 'model-a', dim: 3 });
+    expect(index.size).toBe(1);
+
+    // The other process writes (and saves its index) while ours is loaded
+    captureElsewhere([0, 1, 0], [0, 0, 1]);
+    const last = episode([1, 1, 0]);
+
+    expect(index.size).toBe(4);
+    expect(index.search([0, 0, 1], 1)[0].label).toBe(last - 1);
+    expect(index.search([0, 1, 0], 1)[0].label).toBe(last - 2);
+    expect(index.search([1, 0, 0], 1)[0].label).toBe(first);
+
+    const saved = getVectorIndexStatus();
+    expect(saved).toMatchObject({ model: 'model-a', dim: 3, size: 4, lastEmbeddingId: index.lastEmbeddingId });
+    expect(fs.readdirSync(tmpDir).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  it('replaces re-embedded vectors and compacts the nodes they leave behind', () => {
+    const ids = [episode([1, 0, 0]), episode([0, 1, 0]), episode([0, 0, 1])];
+    const index = getVectorIndex({ model: 'model-a', dim: 3 });
+
+    for (let i = 0; i < 10; i++) {
+      insertEmbedding(ids[0], 'model-a', [1, i / 10, 0]);
+      expect(index.deleted.size).toBeLessThanOrEqual(index.labels.length / 4);
+    }
+
+    expect(index.size).toBe(3);
+    expect(index.search([1, 0.9, 0], 1)[0].label).toBe(ids[0]);
+    expect(getVectorIndexStatus()).toMatchObject({ size: 3, deleted: index.deleted.size });
+  });
+
+  it('loads the saved index and folds in what was written since', async () => {
+    episode([1, 0, 0]);
+    getVectorIndex({ model: 'model-a', dim: 3 });
+    closeDatabase();
+
+    captureElsewhere([0, 1, 0]);
+    await initDatabase();
+    const saved = HnswIndex.deserialize(fs.readFileSync(getIndexPath()));
+    captureElsewhere([0, 0, 1]);
+
+    // A new process: the file has two vectors, the table three
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', `
+      import { loadConfig } from '${CONFIG_MODULE}';
+      import { initDatabase, closeDatabase } from '${DATABASE_MODULE}';
+      import { getVectorIndex } from '${INDEX_MODULE}';
+      loadConfig(process.argv[1]);
+      await initDatabase();
+      const index = getVectorIndex({ model: 'model-a', dim: 3 });
+      console.log(JSON.stringify({ size: index.size, lastEmbeddingId: index.lastEmbeddingId }));
+      closeDatabase();
+    `, configPath], { cwd: __dirname, encoding: 'utf8' });
+
+    expect(saved.size).toBe(2);
+    expect(JSON.parse(output.trim().split('\n').pop())).toEqual({ size: 3, lastEmbeddingId: 3 });
+  });
+});
@@ -0,0 +1,132 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, resetConfig } from '../src/lib/config.js';
+import {
+  initDatabase,
+  closeDatabase,
+  insertEpisode,
+  insertEmbedding,
+  getEmbedding,
+  loadEmbeddings
+} from '../src/lib/database.js';
+import { ENCODINGS, packVector, unpackVector, dequantize } from '../src/lib/vectors.js';
+
+describe('vector encoding', () => {
+  const vector = [0.5, -0.25, 0.125, 1e-3, -0.999];
+
+  it('round-trips float32 vectors as little-endian bytes', () => {
+    const packed = packVector(vector);
+
+    expect(packed).toMatchObject({ dim: 5, encoding: ENCODINGS.FLOAT32, scale: null });
+    expect(packed.blob).toBeInstanceOf(Uint8Array);
+    expect(packed.blob.byteLength).toBe(20);
+    expect(new DataView(packed.blob.buffer).getFloat32(4, true)).toBe(-0.25);
+
+    const unpacked = unpackVector(packed.blob);
+    expect(unpacked).toBeInstanceOf(Float32Array);
+    expect(Array.from(unpacked)).toEqual(Array.from(Float32Array.from(vector)));
+  });
+
+  it('unpacks blobs that are not 4-byte aligned', () => {
+    const { blob } = packVector(vector);
+    const shifted = new Uint8Array(blob.byteLength + 1);
+    shifted.set(blob, 1);
+
+    expect(Array.from(unpackVector(shifted.subarray(1)))).toEqual(Array.from(Float32Array.from(vector)));
+  });
+
+  it('quantizes to int8 with the largest magnitude at 127', () => {
+    const packed = packVector(vector, ENCODINGS.INT8);
+
+    expect(packed).toMatchObject({ dim: 5, encoding: ENCODINGS.INT8 });
+    expect(packed.scale).toBeCloseTo(0.999 / 127, 10);
+    expect(packed.blob.byteLength).toBe(5);
+
+    const quantized = unpackVector(packed.blob, ENCODINGS.INT8);
+    expect(quantized).toBeInstanceOf(Int8Array);
+    expect(Array.from(quantized)).toEqual([64, -32, 16, 0, -127]);
+  });
+
+  it('keeps the int8 quantization error within half a step', () => {
+    const values = Array.from({ length: 384 }, (_, i) => Math.sin(i * 0.37) * (1 + (i % 7)));
+    const packed = packVector(values, ENCODINGS.INT8);
+    const restored = dequantize(unpackVector(packed.blob, ENCODINGS.INT8), packed.scale);
+
+    for (let i = 0; i < values.length; i++) {
+      expect(Math.abs(restored[i] - values[i])).toBeLessThanOrEqual(packed.scale / 2 + 1e-6);
+    }
+  });
+
+  it('quantizes a zero vector with a unit scale', () => {
+    const packed = packVector([0, 0, 0], ENCODINGS.INT8);
+
+    expect(packed.scale).toBe(1);
+    expect(Array.from(unpackVector(packed.blob, ENCODINGS.INT8))).toEqual([0, 0, 0]);
+  });
+
+  it('rejects unknown encodings', () => {
+    expect(() => packVector(vector, 'f16')).toThrow('Unknown vector encoding: f16');
+  });
+});
+
+describe('stored embeddings', () => {
+  let tmpDir;
+
+  function setup(quantization = 'none') {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghostly-vectors-'));
+    const configPath = path.join(tmpDir, 'config.yaml');
+    fs.writeFileSync(configPath, `storage:\n  db_path: "${path.join(tmpDir, 'ghostly.db')}"\n  vector_quantization: ${quantization}\n`);
+    resetConfig();
+    loadConfig(configPath);
+    return initDatabase();
+  }
+
+  function episode() {
+    return insertEpisode({ project_hash: 'p1', summary: 'npm test failed', problem: '', environment: '', fix: '', keywords: '' });
+  }
+
+  afterEach(() => {
+    closeDatabase();
+    resetConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('stores packed vectors and replaces an episode\'s previous one', async () => {
+    const database = await setup();
+    const id = episode();
+    insertEmbedding(id, 'model-a', [1, 0, 0]);
+    insertEmbedding(id, 'model-b', [0, 1, 0]);
+
+    const embedding = getEmbedding(id);
+    expect(embedding).toMatchObject({ episode_id: id, model: 'model-b', dim: 3, encoding: 'f32', scale: null });
+    expect(Array.from(embedding.vector)).toEqual([0, 1, 0]);
+    expect(database.exec('SELECT COUNT(*) FROM embeddings')[0].values).toEqual([[1]]);
+  });
+
+  it('stores int8 vectors with their scale when quantization is on', async () => {
+    await setup('int8');
+    const id = episode();
+    insertEmbedding(id, 'model-a', [0.1, -0.4]);
+
+    const embedding = getEmbedding(id);
+    expect(embedding).toMatchObject({ dim: 2, encoding: 'i8' });
+    expect(embedding.scale).toBeCloseTo(0.4 / 127, 6);
+    expect(Array.from(embedding.vector)).toEqual([32, -127]);
+  });
+
+  it('filters loaded embeddings by model, dimension and id', async () => {
+    await setup();
+    const first = insertEmbedding(episode(), 'model-a', [1, 0, 0]);
+    const second = insertEmbedding(episode(), 'model-b', [0, 1, 0]);
+    const third = insertEmbedding(episode(), 'model-a', [0, 0, 1, 0]);
+    const fourth = insertEmbedding(episode(), 'model-a', [0, 1, 1]);
+    const ids = filter => [...loadEmbeddings(filter)].map(embedding => embedding.id);
+
+    expect(ids()).toEqual([first, second, third, fourth]);
+    expect(ids({ model: 'model-a' })).toEqual([first, third, fourth]);
+    expect(ids({ model: 'model-a', dim: 3 })).toEqual([first, fourth]);
+    expect(ids({ dim: 3, afterId: first })).toEqual([second, fourth]);
+    expect([...loadEmbeddings({ afterId: third })][0].vector).toBeInstanceOf(Float32Array);
+  });
+});